@@ -4,11 +4,16 @@
  */
 
 class SimulationController {
-    constructor() {
-        this.simulationEngine = new SimulationEngine();
-        this.droneService = new DroneService();
-        this.orderService = new OrderService();
-        this.optimizationService = new OptimizationService();
+    constructor(seed = Date.now()) {
+        // One seeded source for every stochastic component, so a seed reproduces a run
+        this.random = new RandomGenerator(seed);
+        this.simulationEngine = new SimulationEngine(this.random);
+        this.droneService = new DroneService(this.random);
+        this.orderService = new OrderService(this.random);
+        this.orderService.setSimulationClock(() => this.simulationEngine.currentTime);
+        this.optimizationService = new OptimizationService(this.random);
+        this.optimizationService.setPathPlanner(this.simulationEngine.pathPlanner);
+        this.scenarioLoader = new ScenarioLoader();
         
         this.isInitialized = false;
         this.currentTab = 'dashboard';
@@ -72,7 +77,15 @@ class SimulationController {
             'pause-simulation': () => this.pauseSimulation(),
             'stop-simulation': () => this.stopSimulation(),
             'reset-simulation': () => this.resetSimulation(),
-            'simulation-speed': (e) => this.setSimulationSpeed(e.target.value)
+            'simulation-speed': (e) => this.setSimulationSpeed(e.target.value),
+            'dispatch-mode': (e) => this.simulationEngine.setDispatchMode(e.target.value),
+            'dispatch-policy': (e) => this.simulationEngine.setDispatchPolicy(e.target.value),
+            'load-scenario': () => {
+                const input = document.getElementById('scenario-file');
+                if (input) input.click();
+            },
+            'start-generator': () => this.startOrderGeneratorFromForm(),
+            'stop-generator': () => this.stopOrderGenerators()
         };
 
         Object.keys(controls).forEach(id => {
@@ -82,6 +95,11 @@ class SimulationController {
                 element.addEventListener(eventType, controls[id]);
             }
         });
+
+        const scenarioInput = document.getElementById('scenario-file');
+        if (scenarioInput) {
+            scenarioInput.addEventListener('change', (e) => this.handleScenarioFile(e));
+        }
     }
 
     /**
@@ -107,6 +125,12 @@ class SimulationController {
             this.updateDashboard(data);
         });
 
+        // Orders may arrive over simulation time (scenarios, generators); mirror them into the order service
+        this.simulationEngine.on('orderAdded', (data) => {
+            this.orderService.orders.set(data.order.id, data.order);
+            this.orderService.updatePriorityQueue();
+        });
+
         this.simulationEngine.on('orderAssigned', (data) => {
             this.showNotification(`Pedido ${data.order.id} atribuído ao ${data.drone.name}`, 'info');
         });
@@ -173,6 +197,135 @@ class SimulationController {
         });
     }
 
+    /**
+     * Handle scenario file selection
+     * @param {Event} e - File input change event
+     */
+    handleScenarioFile(e) {
+        const file = e.target.files && e.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => this.loadScenario(reader.result);
+        reader.onerror = () => this.showNotification('Erro ao ler arquivo de cenário', 'error');
+        reader.readAsText(file);
+
+        e.target.value = '';
+    }
+
+    /**
+     * Replace the current simulation with one built from a scenario
+     * @param {Object|string} source - Scenario object or JSON text
+     * @returns {Object} Load result
+     */
+    loadScenario(source) {
+        const result = this.scenarioLoader.load(source);
+
+        if (!result.success) {
+            this.showNotification(ValidationUtils.formatErrors(result.errors), 'error');
+            return result;
+        }
+
+        this.simulationEngine.stop();
+        this.stopRefreshInterval();
+
+        const engine = result.engine;
+        this.simulationEngine = engine;
+        this.random = engine.random;
+        this.droneService = new DroneService(this.random);
+        this.orderService = new OrderService(this.random);
+        this.orderService.setSimulationClock(() => this.simulationEngine.currentTime);
+        this.optimizationService = new OptimizationService(this.random);
+        this.optimizationService.setPathPlanner(engine.pathPlanner);
+
+        for (const drone of engine.drones.values()) {
+            this.droneService.drones.set(drone.id, drone);
+        }
+
+        engine.orders.forEach(order => this.orderService.orders.set(order.id, order));
+        this.orderService.updatePriorityQueue();
+
+        this.setupSimulationEvents();
+        this.updateGeneratorControls();
+        this.updateDispatchControls();
+        this.updateSimulationControls(false, false);
+        this.updateUI();
+        this.showNotification(`Cenário "${engine.scenario.name}" carregado`, 'success');
+
+        return result;
+    }
+
+    /**
+     * Attach a stochastic order generator to the running simulation
+     * @param {Object} config - OrderGenerator configuration
+     * @returns {Object} Result with generator or errors
+     */
+    startOrderGenerator(config) {
+        const validation = OrderGenerator.validateConfig(config);
+        if (!validation.isValid) {
+            this.showNotification(ValidationUtils.formatErrors(validation.errors), 'error');
+            return { success: false, errors: validation.errors };
+        }
+
+        const generator = this.simulationEngine.addOrderGenerator(new OrderGenerator(config));
+        this.updateGeneratorControls();
+        this.showNotification(`Geração de pedidos ativada (${generator.config.rate} pedidos/h)`, 'success');
+
+        return { success: true, generator: generator };
+    }
+
+    /**
+     * Read generator form and start a generator
+     * @returns {Object} Result with generator or errors
+     */
+    startOrderGeneratorFromForm() {
+        const rate = parseFloat(document.getElementById('generator-rate').value);
+        const demandCurve = document.getElementById('generator-curve').value;
+        const seed = document.getElementById('generator-seed').value.trim();
+
+        const config = { rate, demandCurve };
+        if (seed !== '') {
+            config.seed = seed;
+        }
+
+        return this.startOrderGenerator(config);
+    }
+
+    /**
+     * Detach every order generator
+     */
+    stopOrderGenerators() {
+        [...this.simulationEngine.orderGenerators].forEach(generator => {
+            this.simulationEngine.removeOrderGenerator(generator);
+        });
+        this.updateGeneratorControls();
+    }
+
+    /**
+     * Update generator buttons
+     */
+    updateGeneratorControls() {
+        const stopButton = document.getElementById('stop-generator');
+        if (stopButton) {
+            stopButton.disabled = this.simulationEngine.orderGenerators.length === 0;
+        }
+    }
+
+    /**
+     * Show the engine's dispatch mode and policy (scenarios may set them)
+     */
+    updateDispatchControls() {
+        const select = document.getElementById('dispatch-mode');
+        if (select) {
+            select.value = this.simulationEngine.dispatchMode;
+        }
+
+        const policySelect = document.getElementById('dispatch-policy');
+        if (policySelect && this.simulationEngine.dispatchPolicy) {
+            policySelect.value = this.simulationEngine.dispatchPolicy.type;
+        }
+    }
+
     /**
      * Switch between tabs
      * @param {string} tabName - Tab to switch to
@@ -307,6 +460,7 @@ class SimulationController {
             () => {
                 this.simulationEngine.reset();
                 this.stopRefreshInterval();
+                this.updateGeneratorControls();
                 this.updateUI();
                 this.hideModal();
             }
@@ -357,6 +511,9 @@ class SimulationController {
         // Update orders queue
         this.updateOrdersQueue();
 
+        // Update charging infrastructure
+        this.updateChargingStations();
+
         // Update simulation time
         this.updateElement('sim-time', this.simulationEngine.getFormattedTime());
         this.updateElement('processed-orders', stats.totalDeliveries);
@@ -369,6 +526,7 @@ class SimulationController {
     updateDashboardContent() {
         this.updateDroneStatus();
         this.updateOrdersQueue();
+        this.updateChargingStations();
         this.initializeMap();
         this.initializeCharts();
     }
@@ -406,6 +564,62 @@ class SimulationController {
         });
     }
 
+    /**
+     * Update charging station utilization and wait metrics
+     */
+    updateChargingStations() {
+        const container = document.getElementById('charging-stations');
+        if (!container) return;
+
+        const stations = this.simulationEngine.getChargingReport();
+        const swapDepots = this.simulationEngine.getDepotReport().filter(depot => depot.batteryPacks);
+        container.innerHTML = '';
+
+        if (stations.length === 0 && swapDepots.length === 0) {
+            container.innerHTML = '<p>Nenhuma estação de recarga</p>';
+            return;
+        }
+
+        stations.forEach(station => {
+            const stationElement = document.createElement('div');
+            const bays = station.bays === null ? '∞' : station.bays;
+            const utilization = station.utilization === null ? '-' : `${Math.round(station.utilization)}%`;
+            stationElement.className = 'charging-station-item';
+
+            stationElement.innerHTML = `
+                <div class="station-info">
+                    <h4>${station.name}</h4>
+                    <p>${station.baysInUse}/${bays} baias em uso · ${station.queueLength} na fila</p>
+                </div>
+                <div class="station-metrics">
+                    <span title="Utilização">${utilization}</span>
+                    <span title="Espera média / máxima">${station.averageWaitTime.toFixed(1)}s / ${station.maxWaitTime.toFixed(1)}s</span>
+                </div>
+            `;
+
+            container.appendChild(stationElement);
+        });
+
+        swapDepots.forEach(depot => {
+            const packs = depot.batteryPacks;
+            const depotElement = document.createElement('div');
+            depotElement.className = `charging-station-item${packs.waitingDrones > 0 ? ' starved' : ''}`;
+
+            depotElement.innerHTML = `
+                <div class="station-info">
+                    <h4>${depot.name} - troca de bateria</h4>
+                    <p>${packs.chargedPacks}/${packs.packs} baterias carregadas · ${packs.swaps} trocas</p>
+                </div>
+                <div class="station-metrics">
+                    <span title="Drones sem bateria disponível">${packs.starvationEvents} faltas</span>
+                    <span title="Tempo total aguardando bateria">${packs.starvationTime.toFixed(1)}s</span>
+                </div>
+            `;
+
+            container.appendChild(depotElement);
+        });
+    }
+
     /**
      * Update orders queue display
      */
@@ -422,7 +636,7 @@ class SimulationController {
         }
 
         pendingOrders.slice(0, 10).forEach(order => {
-            const displayInfo = order.getDisplayInfo();
+            const displayInfo = order.getDisplayInfo(this.simulationEngine.currentTime);
             const orderElement = document.createElement('div');
             orderElement.className = 'order-item';
             
@@ -451,7 +665,7 @@ class SimulationController {
         tbody.innerHTML = '';
 
         orders.forEach(order => {
-            const displayInfo = order.getDisplayInfo();
+            const displayInfo = order.getDisplayInfo(this.simulationEngine.currentTime);
             const row = document.createElement('tr');
             
             row.innerHTML = `
@@ -469,6 +683,7 @@ class SimulationController {
                         ${displayInfo.status}
                     </span>
                 </td>
+                <td class="order-stages">${this.formatStageDurations(order)}</td>
                 <td>
                     <button class="btn-icon" onclick="controller.editOrder('${order.id}')" title="Editar">
                         <i class="fas fa-edit"></i>
@@ -483,6 +698,19 @@ class SimulationController {
         });
     }
 
+    /**
+     * Format the time an order spent in each status, current one included
+     * @param {Order} order - Order to format
+     * @returns {string} e.g. "Pendente 4s · Coletado 5s · Em Transporte 12s"
+     */
+    formatStageDurations(order) {
+        const durations = order.getStageDurations(this.simulationEngine.currentTime);
+
+        return Object.entries(durations)
+            .map(([status, seconds]) => `${Order.STATUS_LABELS[status] || status} ${Math.round(seconds)}s`)
+            .join(' · ') || '-';
+    }
+
     /**
      * Update drones grid
      */
@@ -561,6 +789,73 @@ class SimulationController {
         // Clear existing content
         container.innerHTML = '';
 
+        // Add obstacles
+        this.simulationEngine.obstacles.forEach(obstacle => {
+            const block = document.createElement('div');
+            block.className = 'obstacle';
+            block.style.left = `${obstacle.x * 5}px`;
+            block.style.top = `${obstacle.y * 5}px`;
+            block.style.width = `${obstacle.width * 5}px`;
+            block.style.height = `${obstacle.height * 5}px`;
+            block.title = `Obstáculo (${obstacle.x}, ${obstacle.y})`;
+
+            container.appendChild(block);
+        });
+
+        // Add no-fly zones (dimmed while inactive)
+        if (this.simulationEngine.noFlyZones.length > 0) {
+            const svgNamespace = 'http://www.w3.org/2000/svg';
+            const svg = document.createElementNS(svgNamespace, 'svg');
+            svg.setAttribute('class', 'no-fly-layer');
+
+            this.simulationEngine.noFlyZones.forEach(zone => {
+                const polygon = document.createElementNS(svgNamespace, 'polygon');
+                const active = this.simulationEngine.activeNoFlyZoneIds.has(zone.id);
+                polygon.setAttribute('points', zone.polygon.map(point => `${point.x * 5},${point.y * 5}`).join(' '));
+                polygon.setAttribute('class', `no-fly-zone ${active ? 'active' : 'inactive'}`);
+
+                const title = document.createElementNS(svgNamespace, 'title');
+                title.textContent = `${zone.name} - ${active ? 'ativa' : 'inativa'}`;
+                polygon.appendChild(title);
+                svg.appendChild(polygon);
+            });
+
+            container.appendChild(svg);
+        }
+
+        // Add wind and weather overlay
+        if (this.simulationEngine.weatherField) {
+            container.appendChild(this.createWeatherLayer());
+        }
+
+        // Add remaining routes of drones on a trip
+        container.appendChild(this.createRouteLayer());
+
+        // Add depots
+        this.simulationEngine.depots.forEach(depot => {
+            const marker = document.createElement('div');
+            const homed = depot.droneIds.size;
+            marker.className = 'depot-marker';
+            marker.style.left = `${depot.location.x * 5}px`;
+            marker.style.top = `${depot.location.y * 5}px`;
+            marker.title = `${depot.name} - ${homed} drone(s)`;
+
+            container.appendChild(marker);
+        });
+
+        // Add standalone charging stations (depot bays are shown with the depot)
+        this.simulationEngine.chargingStations.forEach(station => {
+            if (station.depotId) return;
+
+            const marker = document.createElement('div');
+            marker.className = `charging-station-marker${station.queue.length > 0 ? ' busy' : ''}`;
+            marker.style.left = `${station.location.x * 5}px`;
+            marker.style.top = `${station.location.y * 5}px`;
+            marker.title = `${station.name} - ${station.charging.size} carregando, ${station.queue.length} na fila`;
+
+            container.appendChild(marker);
+        });
+
         // Add drone markers
         this.droneService.getAllDrones().forEach(drone => {
             const marker = document.createElement('div');
@@ -587,6 +882,101 @@ class SimulationController {
         });
     }
 
+    /**
+     * Build the route overlay: the path each drone still has to fly
+     * Routes changed in flight are highlighted and show where inserted
+     * parcels are collected.
+     * @returns {SVGElement} Overlay layer
+     */
+    createRouteLayer() {
+        const svgNamespace = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(svgNamespace, 'svg');
+        svg.setAttribute('class', 'route-layer');
+
+        this.simulationEngine.drones.forEach(drone => {
+            if (!['loading', 'flying', 'delivering'].includes(drone.status) || drone.currentRoute.length === 0) return;
+
+            const path = drone.getRemainingPath();
+            const line = document.createElementNS(svgNamespace, 'polyline');
+            line.setAttribute('class', `drone-route${drone.rerouted ? ' rerouted' : ''}`);
+            line.setAttribute('points', path.map(point => `${point.x * 5},${point.y * 5}`).join(' '));
+
+            const title = document.createElementNS(svgNamespace, 'title');
+            title.textContent = `${drone.name}${drone.rerouted ? ' - rota alterada em voo' : ''}`;
+            line.appendChild(title);
+            svg.appendChild(line);
+
+            drone.pickups.forEach((point, orderId) => {
+                const marker = document.createElementNS(svgNamespace, 'circle');
+                marker.setAttribute('class', 'pickup-point');
+                marker.setAttribute('cx', point.x * 5);
+                marker.setAttribute('cy', point.y * 5);
+                marker.setAttribute('r', 6);
+
+                const label = document.createElementNS(svgNamespace, 'title');
+                label.textContent = `Coleta do pedido ${orderId} (${drone.name})`;
+                marker.appendChild(label);
+                svg.appendChild(marker);
+            });
+        });
+
+        return svg;
+    }
+
+    /**
+     * Build the weather overlay: rain shading and wind arrows pointing downwind
+     * Arrow length grows with wind speed up to the grounding limit; arrows turn
+     * red where flights are grounded.
+     * @returns {SVGElement} Overlay layer
+     */
+    createWeatherLayer() {
+        const engine = this.simulationEngine;
+        const field = engine.weatherField;
+        const spacing = 10;
+        const svgNamespace = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(svgNamespace, 'svg');
+        svg.setAttribute('class', 'weather-layer');
+        svg.innerHTML = '<defs><marker id="wind-arrow" viewBox="0 0 10 10" refX="8" refY="5" ' +
+            'markerWidth="4" markerHeight="4" orient="auto"><path d="M0,0 L10,5 L0,10 z"></path></marker></defs>';
+
+        field.sampleGrid(engine.gridSize, engine.currentTime, spacing).forEach(sample => {
+            const cx = sample.x * 5;
+            const cy = sample.y * 5;
+
+            if (sample.precipitation > 0) {
+                const rain = document.createElementNS(svgNamespace, 'rect');
+                rain.setAttribute('class', 'rain-cell');
+                rain.setAttribute('x', cx - spacing * 2.5);
+                rain.setAttribute('y', cy - spacing * 2.5);
+                rain.setAttribute('width', spacing * 5);
+                rain.setAttribute('height', spacing * 5);
+                rain.setAttribute('fill-opacity', (sample.precipitation * 0.4).toFixed(2));
+                svg.appendChild(rain);
+            }
+
+            if (sample.windSpeed > 0) {
+                const length = spacing * 4 * Math.min(1, sample.windSpeed / field.limits.maxWindSpeed);
+                const dx = (sample.wind.x / sample.windSpeed) * length / 2;
+                const dy = (sample.wind.y / sample.windSpeed) * length / 2;
+                const arrow = document.createElementNS(svgNamespace, 'line');
+                arrow.setAttribute('class', `wind-vector${sample.grounded ? ' grounded' : ''}`);
+                arrow.setAttribute('x1', cx - dx);
+                arrow.setAttribute('y1', cy - dy);
+                arrow.setAttribute('x2', cx + dx);
+                arrow.setAttribute('y2', cy + dy);
+                arrow.setAttribute('marker-end', 'url(#wind-arrow)');
+
+                const title = document.createElementNS(svgNamespace, 'title');
+                title.textContent = `Vento ${sample.windSpeed.toFixed(1)} (${Math.round(sample.direction)}°), ` +
+                    `chuva ${Math.round(sample.precipitation * 100)}%${sample.grounded ? ' - voos suspensos' : ''}`;
+                arrow.appendChild(title);
+                svg.appendChild(arrow);
+            }
+        });
+
+        return svg;
+    }
+
     /**
      * Update reports
      */
@@ -699,6 +1089,18 @@ class SimulationController {
                     `).join('')}
                 </div>
             </div>
+            ${report.depots.length > 0 ? `
+            <div class="report-section">
+                <h4>Performance por Depósito</h4>
+                <div class="metrics-row">
+                    ${report.depots.map(depot => `
+                        <div class="metric-item">
+                            <span class="metric-value">${depot.deliveries}</span>
+                            <span class="metric-label">${depot.name} (${depot.drones} drones, ${depot.averageDeliveryTime.toFixed(1)} min)</span>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>` : ''}
         `;
     }
 
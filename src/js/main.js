@@ -36,13 +36,25 @@ document.addEventListener('DOMContentLoaded', function() {
 function checkDependencies() {
     const requiredClasses = [
         'CalculationUtils',
+        'RouteImprover',
         'ValidationUtils', 
+        'RandomGenerator',
+        'PathPlanner',
+        'EnergyModel',
         'Order',
         'Drone',
+        'NoFlyZone',
+        'WeatherField',
+        'BatteryInventory',
+        'Depot',
+        'ChargingStation',
         'SimulationEngine',
         'DroneService',
         'OrderService',
         'OptimizationService',
+        'DispatchPolicy',
+        'ScenarioLoader',
+        'OrderGenerator',
         'SimulationController'
     ];
     
@@ -183,14 +195,17 @@ window.DroneSimulation = {
             
             const priorities = ['baixa', 'media', 'alta'];
             
+            // Use the simulation's seeded source when available
+            const nextRandom = () => controller ? controller.random.next() : Math.random();
+            
             return {
-                customerName: customers[Math.floor(Math.random() * customers.length)],
-                weight: Math.round((Math.random() * 9 + 1) * 10) / 10, // 1-10kg
+                customerName: customers[Math.floor(nextRandom() * customers.length)],
+                weight: Math.round((nextRandom() * 9 + 1) * 10) / 10, // 1-10kg
                 location: {
-                    x: Math.floor(Math.random() * 100),
-                    y: Math.floor(Math.random() * 100)
+                    x: Math.floor(nextRandom() * 100),
+                    y: Math.floor(nextRandom() * 100)
                 },
-                priority: priorities[Math.floor(Math.random() * priorities.length)]
+                priority: priorities[Math.floor(nextRandom() * priorities.length)]
             };
         },
         
@@ -278,7 +293,127 @@ window.DroneSimulation = {
         
         getOrders: () => {
             if (!controller) return [];
-            return controller.orderService.getAllOrders().map(order => order.getDisplayInfo());
+            return controller.orderService.getAllOrders().map(order => order.getDisplayInfo(controller.simulationEngine.currentTime));
+        },
+        
+        // Airspace operations
+        addNoFlyZone: (zoneData) => {
+            if (!controller) return { success: false, error: 'Controller not initialized' };
+            
+            try {
+                const zone = controller.simulationEngine.addNoFlyZone(zoneData);
+                controller.updateUI();
+                return { success: true, zone };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        },
+        
+        removeNoFlyZone: (zoneId) => {
+            if (!controller) return { success: false, error: 'Controller not initialized' };
+            controller.simulationEngine.removeNoFlyZone(zoneId);
+            controller.updateUI();
+            return { success: true };
+        },
+        
+        setWeather: (fieldData) => {
+            if (!controller) return { success: false, error: 'Controller not initialized' };
+            
+            try {
+                const field = controller.simulationEngine.setWeatherField(fieldData);
+                controller.updateUI();
+                return { success: true, field };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        },
+        
+        setDispatchMode: (mode, options) => {
+            if (!controller) return { success: false, error: 'Controller not initialized' };
+            
+            try {
+                controller.simulationEngine.setDispatchMode(mode, options);
+                controller.updateDispatchControls();
+                return { success: true };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        },
+        
+        setDispatchPolicy: (policy) => {
+            if (!controller) return { success: false, error: 'Controller not initialized' };
+            
+            try {
+                controller.simulationEngine.setDispatchPolicy(policy);
+                controller.updateDispatchControls();
+                return { success: true };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        },
+        
+        reassignOrder: (orderId, droneId, reason) => {
+            if (!controller) return { success: false, error: 'Controller not initialized' };
+            
+            const result = controller.simulationEngine.reassignOrder(orderId, droneId, reason);
+            controller.updateUI();
+            return result;
+        },
+        
+        recallDrone: (droneId, reason) => {
+            if (!controller) return { success: false, error: 'Controller not initialized' };
+            
+            const result = controller.simulationEngine.recallDrone(droneId, reason);
+            controller.updateUI();
+            return result;
+        },
+        
+        setInsertionOptions: (options) => {
+            if (!controller) return { success: false, error: 'Controller not initialized' };
+            
+            controller.simulationEngine.setInsertionOptions(options);
+            return { success: true, options: controller.simulationEngine.insertionOptions };
+        },
+        
+        // Depot operations
+        addDepot: (depotData) => {
+            if (!controller) return { success: false, error: 'Controller not initialized' };
+            
+            try {
+                const depot = controller.simulationEngine.addDepot(depotData);
+                controller.updateUI();
+                return { success: true, depot };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        },
+        
+        addChargingStation: (stationData) => {
+            if (!controller) return { success: false, error: 'Controller not initialized' };
+            
+            try {
+                const station = controller.simulationEngine.addChargingStation(stationData);
+                controller.updateUI();
+                return { success: true, station };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        },
+        
+        addOptimizedDepots: (count, depotDefaults = {}) => {
+            if (!controller) return { success: false, error: 'Controller not initialized' };
+            
+            const points = controller.orderService.getAllOrders().map(order => order.location);
+            if (points.length === 0) return { success: false, error: 'No orders to optimize depots for' };
+            
+            try {
+                const depots = controller.optimizationService.planDepots(points, count, depotDefaults)
+                    .map(depotData => controller.simulationEngine.addDepot(depotData));
+                controller.updateUI();
+                return { success: true, depots };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
         },
         
         // Simulation operations
@@ -300,6 +435,22 @@ window.DroneSimulation = {
             return { success: true };
         },
         
+        loadScenario: (scenario) => {
+            if (!controller) return { success: false, error: 'Controller not initialized' };
+            return controller.loadScenario(scenario);
+        },
+        
+        addOrderGenerator: (config) => {
+            if (!controller) return { success: false, error: 'Controller not initialized' };
+            return controller.startOrderGenerator(config);
+        },
+        
+        stopOrderGenerators: () => {
+            if (!controller) return { success: false, error: 'Controller not initialized' };
+            controller.stopOrderGenerators();
+            return { success: true };
+        },
+        
         getSimulationState: () => {
             if (!controller) return null;
             return controller.simulationEngine.getState();
@@ -0,0 +1,181 @@
+/**
+ * Battery inventory model - Swappable battery packs kept at a depot
+ * DTI Digital - Logistics Drone Simulation
+ */
+
+class BatteryInventory {
+    /**
+     * @param {Object} inventoryData - Inventory data
+     * @param {number} inventoryData.packs - Number of spare packs on the rack
+     * @param {number} inventoryData.swapTime - Simulation seconds to swap a pack
+     * @param {number} inventoryData.packChargeRate - Background recharge rate in % per simulation second
+     */
+    constructor(inventoryData) {
+        this.size = inventoryData.packs;
+        this.swapTime = inventoryData.swapTime !== undefined ? inventoryData.swapTime : BatteryInventory.DEFAULT_SWAP_TIME;
+        this.packChargeRate = inventoryData.packChargeRate || BatteryInventory.DEFAULT_PACK_CHARGE_RATE;
+        this.packs = this.createPacks();
+        this.waiting = new Map(); // droneId -> simulation time it started waiting for a pack
+        this.stats = this.initializeStats();
+    }
+
+    /**
+     * Create a full rack of charged packs
+     * @returns {Array} Pack levels in %
+     */
+    createPacks() {
+        return Array.from({ length: this.size }, () => 100);
+    }
+
+    /**
+     * Initialize inventory statistics
+     * @returns {Object} Statistics object
+     */
+    initializeStats() {
+        return {
+            swaps: 0,
+            starvationEvents: 0, // Drones that found no charged pack
+            starvationTime: 0, // Drone-seconds spent waiting for a pack
+            minChargedPacks: this.size
+        };
+    }
+
+    /**
+     * Count packs ready to hand out
+     * @returns {number} Fully charged packs
+     */
+    getChargedCount() {
+        return this.packs.filter(level => level >= 100).length;
+    }
+
+    /**
+     * Take a charged pack for a drone, or register it as waiting
+     * @param {string} droneId - Drone ID
+     * @param {number} simTime - Current simulation time
+     * @returns {boolean} True if a pack was taken
+     */
+    takePack(droneId, simTime) {
+        const index = this.packs.findIndex(level => level >= 100);
+
+        if (index === -1) {
+            if (!this.waiting.has(droneId)) {
+                this.waiting.set(droneId, simTime);
+                this.stats.starvationEvents++;
+            }
+            return false;
+        }
+
+        this.packs.splice(index, 1);
+        this.stopWaiting(droneId, simTime);
+        this.stats.swaps++;
+        this.stats.minChargedPacks = Math.min(this.stats.minChargedPacks, this.getChargedCount());
+        return true;
+    }
+
+    /**
+     * Put a depleted pack on the rack to recharge
+     * @param {number} level - Pack level in %
+     */
+    returnPack(level) {
+        this.packs.push(level);
+    }
+
+    /**
+     * Stop counting a drone as starved
+     * @param {string} droneId - Drone ID
+     * @param {number} simTime - Current simulation time
+     */
+    stopWaiting(droneId, simTime) {
+        if (this.waiting.has(droneId)) {
+            this.stats.starvationTime += simTime - this.waiting.get(droneId);
+            this.waiting.delete(droneId);
+        }
+    }
+
+    /**
+     * Recharge packs on the rack
+     * @param {number} deltaTime - Simulation seconds elapsed
+     */
+    update(deltaTime) {
+        this.packs = this.packs.map(level => Math.min(100, level + this.packChargeRate * deltaTime));
+    }
+
+    /**
+     * Get pack availability and starvation metrics
+     * @param {number} simTime - Current simulation time
+     * @returns {Object} Inventory metrics
+     */
+    getMetrics(simTime) {
+        const openWait = Array.from(this.waiting.values()).reduce((sum, since) => sum + (simTime - since), 0);
+
+        return {
+            packs: this.packs.length,
+            chargedPacks: this.getChargedCount(),
+            minChargedPacks: this.stats.minChargedPacks,
+            swaps: this.stats.swaps,
+            waitingDrones: this.waiting.size,
+            starvationEvents: this.stats.starvationEvents,
+            starvationTime: this.stats.starvationTime + openWait
+        };
+    }
+
+    /**
+     * Refill the rack and clear statistics
+     */
+    reset() {
+        this.packs = this.createPacks();
+        this.waiting.clear();
+        this.stats = this.initializeStats();
+    }
+
+    /**
+     * Validate inventory data
+     * @returns {Object} Validation result with isValid boolean and errors array
+     */
+    validate() {
+        const errors = [];
+
+        if (!(Number.isInteger(this.size) && this.size >= 0)) {
+            errors.push('Número de baterias reserva deve ser um inteiro não negativo');
+        }
+
+        if (typeof this.swapTime !== 'number' || this.swapTime < 0) {
+            errors.push('Tempo de troca de bateria deve ser um número não negativo');
+        }
+
+        if (!(this.packChargeRate > 0)) {
+            errors.push('Taxa de recarga das baterias deve ser maior que zero');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * Convert inventory to JSON
+     * @returns {Object} JSON representation
+     */
+    toJSON() {
+        return {
+            packs: this.size,
+            swapTime: this.swapTime,
+            packChargeRate: this.packChargeRate
+        };
+    }
+}
+
+// Defaults: a 30 s swap and packs recharging at the default drone rate
+BatteryInventory.DEFAULT_SWAP_TIME = 30;
+BatteryInventory.DEFAULT_PACK_CHARGE_RATE = 10;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BatteryInventory;
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+    window.BatteryInventory = BatteryInventory;
+}
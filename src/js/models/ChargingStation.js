@@ -0,0 +1,215 @@
+/**
+ * Charging station model - Limited charging bays with a FIFO queue
+ * DTI Digital - Logistics Drone Simulation
+ */
+
+class ChargingStation {
+    /**
+     * @param {Object} stationData - Station data
+     * @param {string} stationData.name - Display name (e.g. "Posto Norte")
+     * @param {Object} stationData.location - Location {x, y}
+     * @param {number} stationData.bays - Drones that can charge at once (omit for unlimited)
+     * @param {number} stationData.chargePower - Maximum charge rate per bay in % per simulation second (omit to follow the drone's curve)
+     * @param {string} stationData.depotId - Depot the station belongs to (optional)
+     */
+    constructor(stationData) {
+        this.id = stationData.id || this.generateId();
+        this.name = stationData.name || this.id;
+        this.location = {
+            x: parseFloat(stationData.location.x),
+            y: parseFloat(stationData.location.y)
+        };
+        this.bays = stationData.bays !== undefined && stationData.bays !== null ? stationData.bays : Infinity;
+        this.chargePower = stationData.chargePower !== undefined && stationData.chargePower !== null ? stationData.chargePower : Infinity;
+        this.depotId = stationData.depotId || null;
+        this.openedAt = 0;
+        this.charging = new Map(); // droneId -> simulation time the bay was taken
+        this.queue = []; // { droneId, since } in arrival order
+        this.stats = this.initializeStats();
+    }
+
+    /**
+     * Generate unique ID for station
+     * @returns {string} Unique station ID
+     */
+    generateId() {
+        ChargingStation.counter = (ChargingStation.counter || 0) + 1;
+        return `CHG-${ChargingStation.counter}`;
+    }
+
+    /**
+     * Initialize station statistics
+     * @returns {Object} Statistics object
+     */
+    initializeStats() {
+        return {
+            sessions: 0,
+            totalWaitTime: 0,
+            maxWaitTime: 0,
+            maxQueueLength: 0,
+            busyBaySeconds: 0
+        };
+    }
+
+    /**
+     * Check if a drone is holding a bay
+     * @param {string} droneId - Drone ID
+     * @returns {boolean} True if charging here
+     */
+    isCharging(droneId) {
+        return this.charging.has(droneId);
+    }
+
+    /**
+     * Check if a drone is waiting for a bay
+     * @param {string} droneId - Drone ID
+     * @returns {boolean} True if queued
+     */
+    isQueued(droneId) {
+        return this.queue.some(entry => entry.droneId === droneId);
+    }
+
+    /**
+     * Join the station: take a free bay or wait in line
+     * @param {string} droneId - Drone ID
+     * @param {number} simTime - Current simulation time
+     * @returns {boolean} True if the drone holds a bay
+     */
+    join(droneId, simTime) {
+        if (!this.isCharging(droneId) && !this.isQueued(droneId)) {
+            this.queue.push({ droneId, since: simTime });
+            this.promote(simTime);
+            this.stats.maxQueueLength = Math.max(this.stats.maxQueueLength, this.queue.length);
+        }
+
+        return this.isCharging(droneId);
+    }
+
+    /**
+     * Leave the station, freeing the bay or the place in line
+     * @param {string} droneId - Drone ID
+     * @param {number} simTime - Current simulation time
+     */
+    leave(droneId, simTime) {
+        if (this.isCharging(droneId)) {
+            this.stats.busyBaySeconds += simTime - this.charging.get(droneId);
+            this.charging.delete(droneId);
+        } else {
+            this.queue = this.queue.filter(entry => entry.droneId !== droneId);
+        }
+
+        this.promote(simTime);
+    }
+
+    /**
+     * Move waiting drones into free bays, first come first served
+     * @param {number} simTime - Current simulation time
+     */
+    promote(simTime) {
+        while (this.queue.length > 0 && this.charging.size < this.bays) {
+            const { droneId, since } = this.queue.shift();
+            const wait = simTime - since;
+
+            this.charging.set(droneId, simTime);
+            this.stats.sessions++;
+            this.stats.totalWaitTime += wait;
+            this.stats.maxWaitTime = Math.max(this.stats.maxWaitTime, wait);
+        }
+    }
+
+    /**
+     * Get utilization and wait metrics
+     * @param {number} simTime - Current simulation time
+     * @returns {Object} Station metrics
+     */
+    getMetrics(simTime) {
+        const openBaySeconds = Array.from(this.charging.values()).reduce((sum, since) => sum + (simTime - since), 0);
+        const busyBaySeconds = this.stats.busyBaySeconds + openBaySeconds;
+        const elapsed = simTime - this.openedAt;
+        const queuedWait = this.queue.reduce((max, entry) => Math.max(max, simTime - entry.since), 0);
+
+        return {
+            id: this.id,
+            name: this.name,
+            bays: this.bays === Infinity ? null : this.bays,
+            baysInUse: this.charging.size,
+            queueLength: this.queue.length,
+            maxQueueLength: this.stats.maxQueueLength,
+            sessions: this.stats.sessions,
+            // Unlimited stations have no meaningful utilization
+            utilization: this.bays === Infinity || elapsed <= 0 ? null : busyBaySeconds / (this.bays * elapsed) * 100,
+            averageWaitTime: this.stats.sessions > 0 ? this.stats.totalWaitTime / this.stats.sessions : 0,
+            maxWaitTime: Math.max(this.stats.maxWaitTime, queuedWait)
+        };
+    }
+
+    /**
+     * Empty bays and queue and clear statistics
+     * @param {number} simTime - Simulation time the station reopens
+     */
+    reset(simTime = 0) {
+        this.charging.clear();
+        this.queue = [];
+        this.openedAt = simTime;
+        this.stats = this.initializeStats();
+    }
+
+    /**
+     * Validate station data
+     * @returns {Object} Validation result with isValid boolean and errors array
+     */
+    validate() {
+        const errors = [];
+
+        if (!isFinite(this.location.x) || !isFinite(this.location.y)) {
+            errors.push('Localização da estação deve ter coordenadas numéricas');
+        }
+
+        if (this.bays !== Infinity && !(Number.isInteger(this.bays) && this.bays > 0)) {
+            errors.push('Estação deve ter um número inteiro de baias maior que zero');
+        }
+
+        if (this.chargePower !== Infinity && !(typeof this.chargePower === 'number' && this.chargePower > 0)) {
+            errors.push('Potência de recarga deve ser maior que zero');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * Convert station to JSON
+     * @returns {Object} JSON representation
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            location: this.location,
+            bays: this.bays === Infinity ? null : this.bays,
+            chargePower: this.chargePower === Infinity ? null : this.chargePower,
+            depotId: this.depotId
+        };
+    }
+
+    /**
+     * Create station from JSON data
+     * @param {Object} jsonData - JSON data
+     * @returns {ChargingStation} Station instance
+     */
+    static fromJSON(jsonData) {
+        return new ChargingStation(jsonData);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChargingStation;
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+    window.ChargingStation = ChargingStation;
+}
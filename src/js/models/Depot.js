@@ -0,0 +1,239 @@
+/**
+ * Depot model - Home base with drone capacity, charging bays and inventory
+ * DTI Digital - Logistics Drone Simulation
+ */
+
+class Depot {
+    /**
+     * @param {Object} depotData - Depot data
+     * @param {string} depotData.name - Display name (e.g. "Central")
+     * @param {Object} depotData.location - Location {x, y}
+     * @param {number} depotData.capacity - Maximum drones homed here (omit for unlimited)
+     * @param {number} depotData.chargingBays - Drones that can charge at once (omit for unlimited)
+     * @param {number} depotData.chargePower - Charge rate cap per bay in % per simulation second (optional)
+     * @param {Object} depotData.inventory - Stock per item {sku: quantity}; omit to stock everything
+     * @param {Object} depotData.batteryPacks - Swappable packs {packs, swapTime, packChargeRate} (optional)
+     * @param {string} depotData.energyPolicy - 'charge', 'swap' or 'swap_or_charge' (defaults to 'swap' when packs are given)
+     */
+    constructor(depotData) {
+        this.id = depotData.id || this.generateId();
+        this.name = depotData.name || this.id;
+        this.location = {
+            x: parseFloat(depotData.location.x),
+            y: parseFloat(depotData.location.y)
+        };
+        this.capacity = depotData.capacity !== undefined && depotData.capacity !== null ? depotData.capacity : Infinity;
+        this.chargingBays = depotData.chargingBays !== undefined && depotData.chargingBays !== null ? depotData.chargingBays : Infinity;
+        this.chargePower = depotData.chargePower !== undefined && depotData.chargePower !== null ? depotData.chargePower : Infinity;
+        this.initialInventory = depotData.inventory ? { ...depotData.inventory } : null;
+        this.inventory = this.initialInventory ? { ...this.initialInventory } : null;
+        this.batteryInventory = depotData.batteryPacks ? new BatteryInventory(depotData.batteryPacks) : null;
+        this.energyPolicy = depotData.energyPolicy || (this.batteryInventory ? 'swap' : 'charge');
+        this.droneIds = new Set();
+        this.stats = this.initializeStats();
+    }
+
+    /**
+     * Generate unique ID for depot
+     * @returns {string} Unique depot ID
+     */
+    generateId() {
+        Depot.counter = (Depot.counter || 0) + 1;
+        return `DEP-${Depot.counter}`;
+    }
+
+    /**
+     * Initialize depot statistics
+     * @returns {Object} Statistics object
+     */
+    initializeStats() {
+        return {
+            dispatchedOrders: 0
+        };
+    }
+
+    /**
+     * Check if another drone can be homed here
+     * @returns {boolean} True if below capacity
+     */
+    hasCapacity() {
+        return this.droneIds.size < this.capacity;
+    }
+
+    /**
+     * Home a drone at this depot
+     * @param {Drone} drone - Drone to home
+     */
+    homeDrone(drone) {
+        if (!this.droneIds.has(drone.id) && !this.hasCapacity()) {
+            throw new Error(`Depot ${this.name} is at capacity (${this.capacity} drones)`);
+        }
+
+        this.droneIds.add(drone.id);
+        drone.homeDepotId = this.id;
+        drone.baseLocation = { ...this.location };
+    }
+
+    /**
+     * Release a drone homed here
+     * @param {string} droneId - Drone ID
+     */
+    releaseDrone(droneId) {
+        this.droneIds.delete(droneId);
+    }
+
+    /**
+     * Check if the depot can supply an item
+     * @param {string} item - Item SKU (orders without item need no stock)
+     * @returns {boolean} True if in stock
+     */
+    hasStock(item) {
+        if (!item || !this.inventory) return true;
+        return (this.inventory[item] || 0) > 0;
+    }
+
+    /**
+     * Take one unit of an item from stock
+     * @param {string} item - Item SKU
+     * @returns {boolean} True if reserved
+     */
+    reserveStock(item) {
+        if (!this.hasStock(item)) {
+            return false;
+        }
+
+        if (item && this.inventory) {
+            this.inventory[item]--;
+        }
+        this.stats.dispatchedOrders++;
+        return true;
+    }
+
+    /**
+     * Put units of an item back into stock
+     * @param {string} item - Item SKU
+     * @param {number} quantity - Units to add
+     */
+    restock(item, quantity = 1) {
+        if (!item || !this.inventory) return;
+        this.inventory[item] = (this.inventory[item] || 0) + quantity;
+    }
+
+    /**
+     * Check if drones landing here get a battery swap
+     * @returns {boolean} True for swap policies with a pack inventory
+     */
+    offersSwap() {
+        return this.energyPolicy !== 'charge' && !!this.batteryInventory;
+    }
+
+    /**
+     * Describe the depot's charging bays as a station
+     * @returns {Object} Charging station data
+     */
+    getChargingStationData() {
+        return {
+            id: `${this.id}-CHG`,
+            name: this.name,
+            location: { ...this.location },
+            bays: this.chargingBays,
+            chargePower: this.chargePower,
+            depotId: this.id
+        };
+    }
+
+    /**
+     * Restore initial inventory and clear homed drones and statistics
+     */
+    reset() {
+        this.droneIds.clear();
+        this.inventory = this.initialInventory ? { ...this.initialInventory } : null;
+        if (this.batteryInventory) {
+            this.batteryInventory.reset();
+        }
+        this.stats = this.initializeStats();
+    }
+
+    /**
+     * Validate depot data
+     * @returns {Object} Validation result with isValid boolean and errors array
+     */
+    validate() {
+        const errors = [];
+
+        if (!isFinite(this.location.x) || !isFinite(this.location.y)) {
+            errors.push('Localização do depósito deve ter coordenadas numéricas');
+        }
+
+        if (this.capacity !== Infinity && !(Number.isInteger(this.capacity) && this.capacity > 0)) {
+            errors.push('Capacidade do depósito deve ser um inteiro maior que zero');
+        }
+
+        if (this.chargingBays !== Infinity && !(Number.isInteger(this.chargingBays) && this.chargingBays > 0)) {
+            errors.push('Número de baias de recarga deve ser um inteiro maior que zero');
+        }
+
+        if (this.chargePower !== Infinity && !(typeof this.chargePower === 'number' && this.chargePower > 0)) {
+            errors.push('Potência de recarga deve ser maior que zero');
+        }
+
+        if (this.inventory && Object.values(this.inventory).some(quantity => !(Number.isInteger(quantity) && quantity >= 0))) {
+            errors.push('Estoque do depósito deve ter quantidades inteiras não negativas');
+        }
+
+        if (!Depot.ENERGY_POLICIES.includes(this.energyPolicy)) {
+            errors.push(`Política de energia inválida: ${this.energyPolicy}`);
+        } else if (this.energyPolicy !== 'charge' && !this.batteryInventory) {
+            errors.push('Política de troca exige baterias reserva (batteryPacks)');
+        }
+
+        if (this.batteryInventory) {
+            errors.push(...this.batteryInventory.validate().errors);
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * Convert depot to JSON
+     * @returns {Object} JSON representation
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            location: this.location,
+            capacity: this.capacity === Infinity ? null : this.capacity,
+            chargingBays: this.chargingBays === Infinity ? null : this.chargingBays,
+            chargePower: this.chargePower === Infinity ? null : this.chargePower,
+            inventory: this.inventory,
+            batteryPacks: this.batteryInventory ? this.batteryInventory.toJSON() : null,
+            energyPolicy: this.energyPolicy
+        };
+    }
+
+    /**
+     * Create depot from JSON data
+     * @param {Object} jsonData - JSON data
+     * @returns {Depot} Depot instance
+     */
+    static fromJSON(jsonData) {
+        return new Depot(jsonData);
+    }
+}
+
+// 'swap_or_charge' swaps when a charged pack is ready and charges in a bay otherwise
+Depot.ENERGY_POLICIES = ['charge', 'swap', 'swap_or_charge'];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Depot;
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+    window.Depot = Depot;
+}
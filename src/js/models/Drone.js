@@ -4,8 +4,8 @@
  */
 
 class Drone {
-    constructor(droneData) {
-        this.id = droneData.id || this.generateId();
+    constructor(droneData, random = null) {
+        this.id = droneData.id || this.generateId(random);
         this.name = droneData.name;
         this.capacity = parseFloat(droneData.capacity);
         this.range = parseFloat(droneData.range);
@@ -14,14 +14,30 @@ class Drone {
         this.status = droneData.status || 'idle';
         this.location = droneData.location || { x: 0, y: 0 };
         this.baseLocation = droneData.baseLocation || { x: 0, y: 0 };
+        this.homeDepotId = droneData.depotId || null; // Set when homed by SimulationEngine
         this.currentOrders = [];
         this.completedDeliveries = 0;
         this.totalDistanceTraveled = 0;
         this.totalBatteryUsed = 0;
         this.currentRoute = [];
         this.routeIndex = 0;
-        this.lastMaintenanceDate = new Date();
+        this.pickups = new Map(); // orderId -> pickup point (order origin or in-flight insertion), until collected
+        this.rerouted = false; // Route changed in flight since takeoff
+        this.returnCargo = new Set(); // Ids of orders on board taken off the route, handed off at base
+        this.awaitingWindow = null; // Order whose stop was reached before its time window opened
+        this.returnPath = null; // Waypoints to base while returning
+        this.returnTarget = null; // Charging station to fly to instead of base
+        this.pathPlanner = null; // Set by SimulationEngine when obstacles are known
+        this.weather = null; // Local conditions, set by SimulationEngine each step when a weather field is active
+        this.simulationTime = null; // Engine clock, set by SimulationEngine each step to stamp deliveries
+        this.lastMaintenanceTime = droneData.lastMaintenanceTime !== undefined ? droneData.lastMaintenanceTime : 0; // Simulation seconds
         this.lastStatusChange = 0; // Simulation time when status last changed
+        this.chargeProfile = { ...Drone.DEFAULT_CHARGE_PROFILE, ...(droneData.chargeProfile || {}) };
+        this.maintenanceDuration = droneData.maintenanceDuration !== undefined ? droneData.maintenanceDuration : 5; // Simulation seconds
+        this.energyProfile = { ...(droneData.energyProfile || {}) }; // EnergyModel parameters for this drone
+        this.energyModel = droneData.energyModel !== undefined ? droneData.energyModel : this.createEnergyModel(); // null: flat legacy rate
+        this.batteryReserve = droneData.batteryReserve !== undefined ? droneData.batteryReserve : Drone.DEFAULT_BATTERY_RESERVE; // % kept for the way home
+        this.maintenanceRemaining = 0;
         this.createdAt = new Date();
         this.updatedAt = new Date();
         
@@ -36,19 +52,36 @@ class Drone {
 
     /**
      * Generate unique ID for drone
+     * @param {RandomGenerator} random - Seeded random source (optional)
      * @returns {string} Unique drone ID
      */
-    generateId() {
+    generateId(random = null) {
+        if (random) {
+            // Reproducible ID: no wall-clock component
+            return 'DRN-' + random.nextInt(0, 1e9) + '-' + random.nextString(6);
+        }
         return 'DRN-' + Date.now() + '-' + Math.random().toString(36).substr(2, 6);
     }
 
+    /**
+     * Build the drone's energy model from its profile
+     * @returns {EnergyModel|null} Model, or null to use the flat legacy rate
+     */
+    createEnergyModel() {
+        if (typeof EnergyModel === 'undefined') {
+            return null;
+        }
+
+        return new EnergyModel({ referenceSpeed: this.speed, ...this.energyProfile });
+    }
+
     /**
      * Update drone status
      * @param {string} newStatus - New status
      * @param {Object} metadata - Additional metadata
      */
     updateStatus(newStatus, metadata = {}) {
-        const validStatuses = ['idle', 'loading', 'flying', 'delivering', 'returning', 'charging', 'maintenance', 'offline'];
+        const validStatuses = ['idle', 'loading', 'flying', 'delivering', 'returning', 'charging', 'swapping', 'maintenance', 'offline'];
         
         if (!validStatuses.includes(newStatus)) {
             throw new Error(`Invalid drone status: ${newStatus}`);
@@ -58,6 +91,11 @@ class Drone {
         this.status = newStatus;
         this.updatedAt = new Date();
 
+        if (newStatus !== previousStatus) {
+            this.returnPath = null;
+            this.consumeVerticalEnergy(previousStatus, newStatus);
+        }
+
         // Handle status-specific actions
         switch (newStatus) {
             case 'charging':
@@ -84,8 +122,11 @@ class Drone {
             return false;
         }
 
-        const totalWeight = orders.reduce((sum, order) => sum + order.weight, 0);
-        if (totalWeight > this.capacity) {
+        // Without origins every parcel is on board from takeoff
+        const load = orders.some(order => order.origin)
+            ? this.getPeakPayload(this.planRoute(orders), orders)
+            : orders.reduce((sum, order) => sum + order.weight, 0);
+        if (load > this.capacity + 1e-9) {
             return false;
         }
 
@@ -98,27 +139,92 @@ class Drone {
 
     /**
      * Calculate optimal route for current orders
+     * Orders with an origin wait in pickups until the drone lands there.
      */
     calculateRoute() {
-        if (this.currentOrders.length === 0) {
-            this.currentRoute = [];
-            return;
+        this.currentRoute = this.planRoute(this.currentOrders);
+        this.routeIndex = 0;
+        this.pickups = new Map(this.currentRoute.filter(point => point.pickup).map(point => [point.orderId, point]));
+        this.returnCargo.clear();
+        this.awaitingWindow = null;
+        this.rerouted = false;
+    }
+
+    /**
+     * Plan a round trip from base through the stops of some orders
+     * Orders with an origin are collected there before their dropoff.
+     * @param {Array} orders - Orders to deliver
+     * @returns {Array} Route points, expanded around obstacles when a planner is set
+     */
+    planRoute(orders) {
+        if (orders.length === 0) {
+            return [];
         }
 
-        const deliveryPoints = this.currentOrders.map(order => ({
-            ...order.location,
-            orderId: order.id
-        }));
+        const deliveryPoints = orders.flatMap(order => [
+            ...(order.origin ? [{ ...order.origin, orderId: order.id, pickup: true }] : []),
+            { ...order.location, orderId: order.id }
+        ]);
 
+        let route;
         if (typeof CalculationUtils !== 'undefined') {
             const optimizedRoute = CalculationUtils.calculateOptimalRoute(deliveryPoints, this.location);
-            this.currentRoute = [this.baseLocation, ...optimizedRoute, this.baseLocation];
+            route = [this.baseLocation, ...optimizedRoute, this.baseLocation];
         } else {
             // Fallback: simple route
-            this.currentRoute = [this.baseLocation, ...deliveryPoints, this.baseLocation];
+            route = [this.baseLocation, ...deliveryPoints, this.baseLocation];
         }
 
+        return this.pathPlanner ? this.pathPlanner.expandRoute(route) : route;
+    }
+
+    /**
+     * Get the path still to be flown
+     * @returns {Array} Points from the current location to the end of the route
+     */
+    getRemainingPath() {
+        if (this.status === 'returning') {
+            return [this.location, ...(this.returnPath || [this.getReturnDestination()])];
+        }
+
+        return [this.location, ...this.currentRoute.slice(this.routeIndex + 1)];
+    }
+
+    /**
+     * Re-plan the rest of the route from the current location
+     * @param {Function} dropStop - Predicate (location) for delivery stops that can no longer be served
+     * @returns {Array} Orders removed from the route
+     */
+    replanRoute(dropStop = null) {
+        if (this.status === 'returning') {
+            this.returnPath = null;
+            return [];
+        }
+
+        if (this.currentRoute.length === 0) {
+            return [];
+        }
+
+        const dropped = dropStop ? this.currentOrders.filter(order => dropStop(order.location)) : [];
+        const droppedIds = dropped.map(order => order.id);
+        const stops = this.currentRoute.slice(this.routeIndex + 1)
+            .filter(point => !point.waypoint && !droppedIds.includes(point.orderId));
+
+        this.currentOrders = this.currentOrders.filter(order => !droppedIds.includes(order.id));
+        droppedIds.forEach(id => {
+            this.pickups.delete(id);
+            this.returnCargo.delete(id);
+        });
+        if (this.awaitingWindow && droppedIds.includes(this.awaitingWindow.id)) {
+            this.awaitingWindow = null;
+        }
+        this.currentRoute = [{ ...this.location }, ...stops];
+        if (this.pathPlanner) {
+            this.currentRoute = this.pathPlanner.expandRoute(this.currentRoute);
+        }
         this.routeIndex = 0;
+
+        return dropped;
     }
 
     /**
@@ -132,21 +238,22 @@ class Drone {
 
         const currentTarget = this.currentRoute[this.routeIndex + 1];
         const distance = this.getDistanceTo(currentTarget);
-        const timeToReach = (distance / this.speed) * 60; // Convert to minutes
+        const groundSpeed = this.getGroundSpeed(currentTarget);
+        const timeToReach = (distance / groundSpeed) * 60; // Convert to minutes
 
         if (deltaTime >= timeToReach || distance < 0.1) {
             // Reached target
             this.location = { ...currentTarget };
             this.routeIndex++;
-            
-            // Update battery
-            const batteryConsumption = this.calculateBatteryConsumption(distance);
-            this.consumeBattery(batteryConsumption);
-            this.totalDistanceTraveled += distance;
+            this.recordFlight(distance, groundSpeed);
 
-            // Check if reached delivery point
+            // Check if reached delivery point (detour waypoints are just flown through)
             if (this.routeIndex < this.currentRoute.length - 1) {
-                this.handleDeliveryPoint();
+                if (currentTarget.pickup) {
+                    this.handlePickupPoint(currentTarget);
+                } else if (!currentTarget.waypoint) {
+                    this.handleDeliveryPoint();
+                }
             } else {
                 // Completed route
                 this.completeDeliveryRun();
@@ -155,6 +262,7 @@ class Drone {
             // Move towards target
             const progress = deltaTime / timeToReach;
             this.moveTowards(currentTarget, progress);
+            this.recordFlight(distance * progress, groundSpeed);
         }
     }
 
@@ -163,20 +271,27 @@ class Drone {
      * @param {number} deltaTime - Time elapsed since last update
      */
     moveTowardsBase(deltaTime) {
-        const distance = this.getDistanceTo(this.baseLocation);
-        const timeToReach = (distance / this.speed) * 60; // Convert to minutes
-        
-        if (deltaTime >= timeToReach || distance < 0.1) {
-            // Reached base
-            this.location = { ...this.baseLocation };
-            
-            // Update battery and distance
-            const batteryConsumption = this.calculateBatteryConsumption(distance);
-            this.consumeBattery(batteryConsumption);
-            this.totalDistanceTraveled += distance;
+        const target = this.getNextReturnWaypoint();
+        const destination = this.getReturnDestination();
+        const distance = this.getDistanceTo(target);
+        const groundSpeed = this.getGroundSpeed(target);
+        const timeToReach = (distance / groundSpeed) * 60; // Convert to minutes
+
+        if ((deltaTime >= timeToReach || distance < 0.1) && this.returnPath && this.returnPath.length > 1) {
+            // Reached a detour waypoint
+            this.location = { ...target };
+            this.returnPath.shift();
+            this.recordFlight(distance, groundSpeed);
+        } else if (deltaTime >= timeToReach || distance < 0.1) {
+            // Reached base (or the charging station it diverted to)
+            this.location = { ...destination };
+            this.recordFlight(distance, groundSpeed);
             
             // Check what to do next
-            if (this.batteryLevel < 20) {
+            if (this.returnTarget) {
+                this.returnTarget = null;
+                this.updateStatus('charging');
+            } else if (this.batteryLevel < this.batteryReserve) {
                 this.updateStatus('charging');
             } else {
                 this.updateStatus('idle');
@@ -184,17 +299,45 @@ class Drone {
         } else {
             // Move towards base
             const progress = deltaTime / timeToReach;
-            this.moveTowards(this.baseLocation, progress);
+            this.moveTowards(target, progress);
+            this.recordFlight(distance * progress, groundSpeed);
         }
     }
 
     /**
-     * Charge battery over time
+     * Get next point on the way back to base, planning around obstacles once per return
+     * @returns {Object} Next target {x, y}
+     */
+    getNextReturnWaypoint() {
+        const destination = this.getReturnDestination();
+
+        if (!this.pathPlanner) {
+            return destination;
+        }
+
+        if (!this.returnPath) {
+            const path = this.pathPlanner.findPath(this.location, destination);
+            this.returnPath = path ? path.slice(1) : [{ ...destination }];
+        }
+
+        return this.returnPath[0];
+    }
+
+    /**
+     * Get where the current return flight ends
+     * @returns {Object} Diversion station location, or base
+     */
+    getReturnDestination() {
+        return this.returnTarget || this.baseLocation;
+    }
+
+    /**
+     * Charge battery over simulation time, following the drone's charge curve
      * @param {number} deltaTime - Time elapsed since last update
+     * @param {number} maxRate - Charger power cap in % per simulation second
      */
-    chargeBattery(deltaTime) {
-        const chargeRate = 10; // 10% per second for simulation
-        const chargeAmount = chargeRate * deltaTime;
+    chargeBattery(deltaTime, maxRate = Infinity) {
+        const chargeAmount = Math.min(this.getChargeRate(), maxRate) * deltaTime;
         
         this.batteryLevel = Math.min(100, this.batteryLevel + chargeAmount);
         
@@ -203,26 +346,74 @@ class Drone {
         }
     }
 
+    /**
+     * Get current charge rate from the charge profile
+     * Curves: 'linear' (constant rate) or 'cccv' (constant rate until
+     * taperStart, then tapering linearly down to minRate at 100%).
+     * A function (batteryLevel) => rate may also be given as curve.
+     * @returns {number} Charge rate in % per simulation second
+     */
+    getChargeRate() {
+        const { curve, rate, taperStart, minRate } = this.chargeProfile;
+
+        if (typeof curve === 'function') {
+            return Math.max(0, curve(this.batteryLevel));
+        }
+
+        if (curve === 'cccv' && this.batteryLevel > taperStart) {
+            const taperProgress = (this.batteryLevel - taperStart) / (100 - taperStart);
+            return rate - (rate - minRate) * taperProgress;
+        }
+
+        return rate;
+    }
+
     /**
      * Handle reaching a delivery point
+     * Before the order's time window opens the drone hovers there
+     * (awaitingWindow) and SimulationEngine hands the parcel over later.
      */
     handleDeliveryPoint() {
         const currentPoint = this.currentRoute[this.routeIndex];
         const orderAtPoint = this.currentOrders.find(order => 
+            !this.pickups.has(order.id) && !this.returnCargo.has(order.id) &&
             Math.abs(order.location.x - currentPoint.x) < 0.1 && 
             Math.abs(order.location.y - currentPoint.y) < 0.1
         );
 
         if (orderAtPoint) {
             this.updateStatus('delivering');
-            orderAtPoint.updateStatus('delivered');
-            this.completedDeliveries++;
-            
-            // Remove delivered order from current orders
-            this.currentOrders = this.currentOrders.filter(order => order.id !== orderAtPoint.id);
+            if (orderAtPoint.isBeforeWindow(this.simulationTime)) {
+                this.awaitingWindow = orderAtPoint;
+                return;
+            }
+            this.deliverOrder(orderAtPoint);
         }
     }
 
+    /**
+     * Hand a parcel over at its delivery point
+     * @param {Order} order - Order on board
+     */
+    deliverOrder(order) {
+        this.awaitingWindow = null;
+        order.updateStatus('delivered', { time: this.simulationTime });
+        this.completedDeliveries++;
+
+        // Remove delivered order from current orders
+        this.currentOrders = this.currentOrders.filter(o => o.id !== order.id);
+    }
+
+    /**
+     * Handle reaching the pickup point of an order (its origin, or a depot for insertions)
+     * The drone lands to load the parcel, like at the start of a trip.
+     * @param {Object} point - Pickup point {x, y, orderId, pickup}
+     */
+    handlePickupPoint(point) {
+        this.pickups.delete(point.orderId);
+        this.updateStatus('loading');
+    }
+
     /**
      * Complete delivery run and return to base
      */
@@ -230,9 +421,12 @@ class Drone {
         this.currentOrders = [];
         this.currentRoute = [];
         this.routeIndex = 0;
+        this.pickups.clear();
+        this.returnCargo.clear();
+        this.awaitingWindow = null;
         this.location = { ...this.baseLocation };
         
-        if (this.batteryLevel < 20) {
+        if (this.batteryLevel < this.batteryReserve) {
             this.updateStatus('charging');
         } else {
             this.updateStatus('idle');
@@ -266,18 +460,134 @@ class Drone {
         return Math.sqrt(dx * dx + dy * dy);
     }
 
+    /**
+     * Calculate flyable distance to target, detouring around obstacles
+     * @param {Object} target - Target position {x, y}
+     * @returns {number} Path distance
+     */
+    getPathDistanceTo(target) {
+        if (this.pathPlanner) {
+            return this.pathPlanner.getPathDistance(this.location, target);
+        }
+
+        return this.getDistanceTo(target);
+    }
+
+    /**
+     * Get weight currently carried
+     * @returns {number} Payload in kg
+     */
+    getPayload() {
+        return this.currentOrders
+            .filter(order => !this.pickups.has(order.id))
+            .reduce((sum, order) => sum + order.weight, 0);
+    }
+
     /**
      * Calculate battery consumption for distance
      * @param {number} distance - Distance traveled
+     * @param {number} payload - Weight carried (defaults to the current load)
      * @returns {number} Battery consumed (percentage)
      */
-    calculateBatteryConsumption(distance) {
-        if (typeof CalculationUtils !== 'undefined') {
+    calculateBatteryConsumption(distance, payload = this.getPayload()) {
+        if (this.energyModel) {
+            return this.energyModel.flightCost(distance, { payload, speed: this.speed });
+        }
+        if (typeof CalculationUtils !== 'undefined' && CalculationUtils.calculateBatteryConsumption) {
             return CalculationUtils.calculateBatteryConsumption(distance);
         }
         return distance * 2; // 2% per unit distance
     }
 
+    /**
+     * Calculate battery consumption for hovering
+     * @param {number} seconds - Simulation seconds hovering
+     * @returns {number} Battery consumed (percentage)
+     */
+    calculateHoverConsumption(seconds) {
+        const cost = this.energyModel ? this.energyModel.hoverCost(seconds, { payload: this.getPayload() }) : 0;
+        return cost * this.getWeatherEnergyFactor();
+    }
+
+    /**
+     * Charge the battery for distance flown
+     * Against a headwind the drone spends longer in the air for the same ground
+     * distance, so energy follows the distance flown through the air.
+     * @param {number} distance - Ground distance flown
+     * @param {number} groundSpeed - Ground speed on the leg (defaults to airspeed)
+     */
+    recordFlight(distance, groundSpeed = this.speed) {
+        const airDistance = distance * this.speed / groundSpeed;
+        this.consumeBattery(this.calculateBatteryConsumption(airDistance) * this.getWeatherEnergyFactor());
+        this.totalDistanceTraveled += distance;
+    }
+
+    /**
+     * Get ground speed towards a target under the local wind
+     * The drone crabs into the crosswind and the along-track wind adds to or
+     * subtracts from its airspeed.
+     * @param {Object} target - Target position {x, y}
+     * @returns {number} Ground speed (never below MIN_GROUND_SPEED_RATIO of airspeed)
+     */
+    getGroundSpeed(target) {
+        const minimum = this.speed * Drone.MIN_GROUND_SPEED_RATIO;
+        const dx = target.x - this.location.x;
+        const dy = target.y - this.location.y;
+        const length = Math.hypot(dx, dy);
+
+        if (!this.weather || length < 1e-9) {
+            return this.speed;
+        }
+
+        const { x: windX, y: windY } = this.weather.wind;
+        const tailwind = (windX * dx + windY * dy) / length;
+        const crosswind = (windX * dy - windY * dx) / length;
+
+        if (Math.abs(crosswind) >= this.speed) {
+            return minimum;
+        }
+
+        return Math.max(minimum, Math.sqrt(this.speed * this.speed - crosswind * crosswind) + tailwind);
+    }
+
+    /**
+     * Get energy multiplier from local weather (rain)
+     * @returns {number} Factor (1 without weather)
+     */
+    getWeatherEnergyFactor() {
+        return this.weather ? this.weather.energyFactor : 1;
+    }
+
+    /**
+     * Hover in place (e.g. while delivering)
+     * @param {number} deltaTime - Time elapsed since last update
+     */
+    hover(deltaTime) {
+        this.consumeBattery(this.calculateHoverConsumption(deltaTime));
+    }
+
+    /**
+     * Charge takeoff and landing costs on status changes
+     * Drones cruise while flying or returning and are down in every other status.
+     * @param {string} previousStatus - Status before the change
+     * @param {string} newStatus - Status after the change
+     */
+    consumeVerticalEnergy(previousStatus, newStatus) {
+        if (!this.energyModel) {
+            return;
+        }
+
+        const wasAirborne = Drone.AIRBORNE_STATUSES.includes(previousStatus);
+        const isAirborne = Drone.AIRBORNE_STATUSES.includes(newStatus);
+        const conditions = { payload: this.getPayload() };
+
+        if (!wasAirborne && isAirborne) {
+            this.consumeBattery(this.energyModel.climbCost(conditions));
+        } else if (wasAirborne && !isAirborne) {
+            this.consumeBattery(this.energyModel.descentCost(conditions));
+        }
+    }
+
     /**
      * Consume battery
      * @param {number} amount - Amount to consume (percentage)
@@ -293,50 +603,53 @@ class Drone {
 
     /**
      * Start charging battery
+     * Charging itself progresses in chargeBattery(), driven by the simulation clock
      */
     startCharging() {
-        if (this.batteryLevel < 100) {
-            const chargeInterval = setInterval(() => {
-                this.batteryLevel = Math.min(100, this.batteryLevel + 5);
-                
-                if (this.batteryLevel >= 100) {
-                    clearInterval(chargeInterval);
-                    this.updateStatus('idle');
-                }
-            }, 1000); // 5% per second for simulation
-        } else {
+        if (this.batteryLevel >= 100) {
             this.updateStatus('idle');
         }
     }
 
     /**
      * Check if drone needs maintenance
+     * @param {number|null} now - Simulation time in seconds (defaults to the engine clock; without one the interval is not checked)
      * @returns {boolean} True if maintenance needed
      */
-    needsMaintenance() {
-        const daysSinceLastMaintenance = (Date.now() - this.lastMaintenanceDate) / (1000 * 60 * 60 * 24);
+    needsMaintenance(now = this.simulationTime) {
         const flightHoursThreshold = 100;
-        const timeThreshold = 30; // days
+        const intervalElapsed = typeof now === 'number' && now - this.lastMaintenanceTime > Drone.MAINTENANCE_INTERVAL;
         
         return (this.stats.totalFlightTime > flightHoursThreshold) || 
-               (daysSinceLastMaintenance > timeThreshold) ||
+               intervalElapsed ||
                this.stats.efficiencyScore < 60;
     }
 
     /**
      * Perform maintenance
+     * @param {number} duration - Maintenance duration in simulation seconds (optional)
+     * @param {number|null} now - Simulation time in seconds (defaults to the engine clock)
      */
-    performMaintenance() {
+    performMaintenance(duration = this.maintenanceDuration, now = this.simulationTime) {
         this.updateStatus('maintenance');
-        this.lastMaintenanceDate = new Date();
+        this.lastMaintenanceTime = typeof now === 'number' ? now : this.lastMaintenanceTime;
         this.stats.totalFlightTime = 0;
         this.stats.efficiencyScore = 100;
         this.stats.maintenanceNeeded = false;
-        
-        setTimeout(() => {
+        this.maintenanceRemaining = duration;
+    }
+
+    /**
+     * Advance maintenance over simulation time
+     * @param {number} deltaTime - Time elapsed since last update
+     */
+    progressMaintenance(deltaTime) {
+        this.maintenanceRemaining = Math.max(0, this.maintenanceRemaining - deltaTime);
+
+        if (this.maintenanceRemaining <= 0) {
             this.batteryLevel = 100;
             this.updateStatus('idle');
-        }, 5000); // 5 seconds maintenance time
+        }
     }
 
     /**
@@ -368,27 +681,376 @@ class Drone {
      * @returns {number} Minutes of flight time remaining
      */
     getRemainingFlightTime() {
-        const consumptionPerKm = 2; // 2% per km
+        const consumptionPerKm = this.calculateBatteryConsumption(1);
         const remainingDistance = (this.batteryLevel / consumptionPerKm);
         return (remainingDistance / this.speed) * 60; // Convert to minutes
     }
 
     /**
      * Check if drone can handle new order
+     * The whole route, including the orders already loaded, must be flyable.
      * @param {Order} order - Order to check
      * @returns {boolean} True if can handle
      */
     canHandleOrder(order) {
+        return this.canHandleOrders([...this.currentOrders, order]);
+    }
+
+    /**
+     * Check if drone can carry a set of orders in one trip
+     * @param {Array} orders - Orders for the trip
+     * @param {number} batteryLevel - Battery % at takeoff (defaults to the current level)
+     * @returns {boolean} True if the load fits and the route is flyable
+     */
+    canHandleOrders(orders, batteryLevel = this.batteryLevel) {
         if (this.status !== 'idle') return false;
-        
-        const currentWeight = this.currentOrders.reduce((sum, o) => sum + o.weight, 0);
-        if (currentWeight + order.weight > this.capacity) return false;
-        
-        const distanceToOrder = this.getDistanceTo(order.location);
-        const distanceToBase = order.getDistanceFromBase ? order.getDistanceFromBase(this.baseLocation) : 0;
-        const totalDistance = distanceToOrder + distanceToBase;
-        
-        return totalDistance <= this.range && this.batteryLevel > 20;
+
+        const route = this.planRoute(orders);
+        if (this.getPeakPayload(route, orders) > this.capacity + 1e-9) return false;
+
+        const stops = route.filter(point => !point.waypoint && point.orderId);
+        if (!this.meetsHardWindows(stops, orders, Drone.LOADING_TIME)) return false;
+
+        return this.canFlyRoute(route, orders, batteryLevel);
+    }
+
+    /**
+     * Check that every order with a hard time window is delivered by its latest time
+     * Needs the simulation clock; without it (no engine) windows are not checked.
+     * @param {Array} stops - Stops in flying order from the current location
+     * @param {Array} orders - Orders served by the stops
+     * @param {number} startDelay - Seconds before the drone sets off (loading)
+     * @returns {boolean} True if no hard window is missed
+     */
+    meetsHardWindows(stops, orders, startDelay = 0) {
+        const hard = orders.filter(order => order.timeWindow && order.timeWindow.hard && order.timeWindow.latest !== null);
+        if (hard.length === 0 || this.simulationTime === null) return true;
+
+        const { arrivals } = this.getStopSchedule(stops, orders, startDelay);
+        return hard.every(order => !arrivals.has(order.id) ||
+            this.simulationTime + arrivals.get(order.id) <= order.timeWindow.latest + 1e-9);
+    }
+
+    /**
+     * Get the heaviest load carried along a route planned from base
+     * Parcels with a pickup point on the route are only carried from there
+     * and every parcel comes off at its dropoff.
+     * @param {Array} route - Route points in flying order
+     * @param {Array} orders - Orders served by the route
+     * @returns {number} Peak payload in kg
+     */
+    getPeakPayload(route, orders) {
+        const pickedUp = route.filter(point => point.pickup).map(point => point.orderId);
+        let payload = orders
+            .filter(order => !pickedUp.includes(order.id))
+            .reduce((sum, order) => sum + order.weight, 0);
+        let peak = payload;
+
+        for (const point of route) {
+            const order = point.waypoint ? null : orders.find(o => o.id === point.orderId);
+            if (!order) continue;
+
+            payload += point.pickup ? order.weight : -order.weight;
+            peak = Math.max(peak, payload);
+        }
+
+        return peak;
+    }
+
+    /**
+     * Check a route before takeoff
+     * With an energy model the trip must leave the battery reserve untouched;
+     * without one the drone's range bounds the whole trip.
+     * @param {Array} route - Route points from base back to base
+     * @param {Array} orders - Orders delivered along the route
+     * @param {number} batteryLevel - Battery % at takeoff (defaults to the current level)
+     * @returns {boolean} True if the route is flyable
+     */
+    canFlyRoute(route, orders, batteryLevel = this.batteryLevel) {
+        if (this.energyModel) {
+            return this.estimateRouteEnergy(route, orders) <= batteryLevel - this.batteryReserve + 1e-9;
+        }
+
+        return this.getRouteDistance(route) <= this.range && batteryLevel > this.batteryReserve;
+    }
+
+    /**
+     * Check in flight that the rest of the route still ends home with the reserve
+     * @param {Array} stops - Orders to deliver on the way, in order (defaults to the planned route)
+     * @returns {boolean} True if the drone can finish its route (always true without an energy model)
+     */
+    canFinishRoute(stops = null) {
+        if (!this.energyModel) {
+            return true;
+        }
+
+        let path = this.getRemainingPath();
+        if (stops) {
+            const points = stops.flatMap(order => [
+                ...(this.pickups.has(order.id) ? [this.pickups.get(order.id)] : []),
+                { ...order.location, orderId: order.id }
+            ]);
+            path = [{ ...this.location }, ...points, this.baseLocation];
+            path = this.pathPlanner ? this.pathPlanner.expandRoute(path) : path;
+        }
+
+        return this.canFinishPath(path, this.currentOrders);
+    }
+
+    /**
+     * Check in flight that a path from the current location can be flown
+     * With an energy model the reserve must be left; without one the path
+     * must fit in the drone's range.
+     * @param {Array} path - Points from the current location back to base
+     * @param {Array} orders - Orders on the path
+     * @returns {boolean} True if the path is flyable
+     */
+    canFinishPath(path, orders) {
+        if (!this.energyModel) {
+            return this.getRouteDistance(path) <= this.range;
+        }
+
+        const options = { airborne: Drone.AIRBORNE_STATUSES.includes(this.status) };
+        return this.estimateRouteEnergy(path, orders, options) <= this.batteryLevel - this.batteryReserve + 1e-9;
+    }
+
+    /**
+     * Get length of a route
+     * @param {Array} route - Route points
+     * @returns {number} Distance along the points
+     */
+    getRouteDistance(route) {
+        let distance = 0;
+        for (let i = 1; i < route.length; i++) {
+            distance += Math.hypot(route[i].x - route[i - 1].x, route[i].y - route[i - 1].y);
+        }
+        return distance;
+    }
+
+    /**
+     * Estimate battery needed to fly a route under the current weather
+     * The route is split into legs at the orders' delivery points; each order's
+     * weight comes off after its stop. Orders with a pickup point on the route
+     * are only carried from there.
+     * @param {Array} route - Route points in flying order
+     * @param {Array} orders - Orders on board at the start of the route
+     * @param {Object} options - Estimate options
+     * @param {boolean} options.airborne - Already at cruise altitude (no climb for the first leg)
+     * @returns {number} Battery needed (percentage)
+     */
+    estimateRouteEnergy(route, orders, { airborne = false } = {}) {
+        const legs = [];
+        const pickedUp = route.filter(point => point.pickup).map(point => point.orderId);
+        let payload = orders
+            .filter(order => !pickedUp.includes(order.id))
+            .reduce((sum, order) => sum + order.weight, 0);
+        let distance = 0;
+
+        for (let i = 1; i < route.length; i++) {
+            distance += Math.hypot(route[i].x - route[i - 1].x, route[i].y - route[i - 1].y);
+            const stop = route[i].waypoint ? null : orders.find(order => order.id === route[i].orderId);
+
+            if (stop || i === route.length - 1) {
+                legs.push({ distance, payload });
+                distance = 0;
+                if (stop) {
+                    payload += route[i].pickup ? stop.weight : -stop.weight;
+                }
+            }
+        }
+
+        if (legs.length === 0) {
+            return 0;
+        }
+
+        if (!this.energyModel) {
+            return legs.reduce((total, leg) => total + this.calculateBatteryConsumption(leg.distance, leg.payload), 0);
+        }
+
+        let energy = EnergyModel.estimateTrip(this.energyModel, legs, { speed: this.speed });
+        if (airborne) {
+            energy -= this.energyModel.climbCost({ payload: legs[0].payload });
+        }
+
+        return energy * this.getWeatherEnergyFactor();
+    }
+
+    /**
+     * Plan how to fit one more order into the route being flown
+     * The parcel is collected at a pickup point on the way, then delivered.
+     * Every pickup and delivery position is tried; the cheapest one that keeps
+     * the load within capacity, the energy above the reserve and every
+     * remaining stop within maxDelay wins.
+     * @param {Order} order - Order to insert
+     * @param {Object} pickup - Where the parcel is collected {x, y}
+     * @param {Object} limits - {maxDetour, maxDelay} (route length, seconds)
+     * @returns {Object|null} {stops, detour, delay, arrival}, or null when it does not fit
+     */
+    planInsertion(order, pickup, { maxDetour = Infinity, maxDelay = Infinity } = {}) {
+        if (!['flying', 'delivering'].includes(this.status) || this.currentOrders.length === 0) {
+            return null;
+        }
+
+        const stops = this.currentRoute.slice(this.routeIndex + 1).filter(point => !point.waypoint && point.orderId);
+        const pickupPoint = { x: pickup.x, y: pickup.y, orderId: order.id, pickup: true };
+        const dropPoint = { ...order.location, orderId: order.id };
+        const orders = [...this.currentOrders, order];
+        const current = this.getStopSchedule(stops, orders);
+        let best = null;
+
+        for (let i = 0; i <= stops.length; i++) {
+            for (let j = i; j <= stops.length; j++) {
+                const trial = [...stops.slice(0, i), pickupPoint, ...stops.slice(i, j), dropPoint, ...stops.slice(j)];
+                const schedule = this.getStopSchedule(trial, orders);
+                const detour = schedule.distance - current.distance;
+                if (detour > maxDetour || (best && detour >= best.detour)) continue;
+
+                const delay = Math.max(0, ...stops.map(stop =>
+                    schedule.arrivals.get(Drone.stopKey(stop)) - current.arrivals.get(Drone.stopKey(stop))));
+                if (delay > maxDelay || !this.canCarry(trial, orders) || !this.canFinishPath(schedule.path, orders)) continue;
+                if (!this.meetsHardWindows(trial, orders)) continue;
+
+                best = { stops: trial, detour, delay, arrival: schedule.arrivals.get(Drone.stopKey(dropPoint)) };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Fly a new order as part of the current route
+     * @param {Order} order - Order to add
+     * @param {Array} stops - Remaining stops from planInsertion, including the order's pickup and delivery
+     */
+    insertOrder(order, stops) {
+        const pickup = stops.find(point => point.pickup && point.orderId === order.id);
+        if (pickup) {
+            this.pickups.set(order.id, pickup);
+        }
+
+        const route = [{ ...this.location }, ...stops, this.baseLocation];
+        this.currentOrders.push(order);
+        this.currentRoute = this.pathPlanner ? this.pathPlanner.expandRoute(route) : route;
+        this.routeIndex = 0;
+        this.rerouted = true;
+    }
+
+    /**
+     * Check if an order's parcel is on board
+     * Parcels are loaded at takeoff, or at their pickup point for orders
+     * with an origin or inserted in flight.
+     * @param {Order} order - Order to check
+     * @returns {boolean} True if the drone carries the parcel
+     */
+    isCarrying(order) {
+        if (!this.currentOrders.includes(order) || this.pickups.has(order.id)) {
+            return false;
+        }
+
+        return !(this.status === 'loading' && this.routeIndex === 0);
+    }
+
+    /**
+     * Take an order off the route
+     * A parcel already on board stays there (returnCargo) until the drone
+     * lands at base; otherwise the order leaves the drone at once. A drone
+     * still loading with nothing left to fly stays at base.
+     * @param {Order} order - Order to remove
+     * @returns {boolean} True if the parcel stays on board until base
+     */
+    removeOrder(order) {
+        const aboard = this.isCarrying(order);
+        const stops = this.currentRoute.slice(this.routeIndex + 1)
+            .filter(point => !point.waypoint && point.orderId && point.orderId !== order.id);
+
+        this.pickups.delete(order.id);
+        if (this.awaitingWindow === order) {
+            this.awaitingWindow = null;
+        }
+        if (aboard) {
+            this.returnCargo.add(order.id);
+        } else {
+            this.currentOrders = this.currentOrders.filter(o => o !== order);
+        }
+
+        if (this.currentOrders.length === 0 && this.status === 'loading' && this.routeIndex === 0) {
+            this.currentRoute = [];
+            this.updateStatus('idle');
+            return aboard;
+        }
+
+        const route = [{ ...this.location }, ...stops, this.baseLocation];
+        this.currentRoute = this.pathPlanner ? this.pathPlanner.expandRoute(route) : route;
+        this.routeIndex = 0;
+        this.rerouted = true;
+
+        return aboard;
+    }
+
+    /**
+     * Time the remaining stops from the current location
+     * Arrivals include the ground time at earlier stops (loading at pickups,
+     * handing over at deliveries) and, with the simulation clock known, the
+     * wait for time windows that are not open yet.
+     * @param {Array} stops - Stops in flying order
+     * @param {Array} orders - Orders served by the stops, for their time windows (optional)
+     * @param {number} startDelay - Seconds before the drone sets off
+     * @returns {Object} {path, distance, arrivals: Map stopKey -> seconds from now}
+     */
+    getStopSchedule(stops, orders = [], startDelay = 0) {
+        let path = [{ ...this.location }, ...stops, this.baseLocation];
+        path = this.pathPlanner ? this.pathPlanner.expandRoute(path) : path;
+
+        const secondsPerUnit = 60 / this.speed;
+        const arrivals = new Map();
+        let distance = 0;
+        let groundTime = startDelay;
+
+        for (let i = 1; i < path.length; i++) {
+            distance += Math.hypot(path[i].x - path[i - 1].x, path[i].y - path[i - 1].y);
+            if (!path[i].waypoint && path[i].orderId) {
+                let arrival = distance * secondsPerUnit + groundTime;
+                const order = path[i].pickup ? null : orders.find(o => o.id === path[i].orderId);
+                if (order && this.simulationTime !== null && order.isBeforeWindow(this.simulationTime + arrival)) {
+                    groundTime += order.timeWindow.earliest - (this.simulationTime + arrival);
+                    arrival = order.timeWindow.earliest - this.simulationTime;
+                }
+
+                arrivals.set(Drone.stopKey(path[i]), arrival);
+                groundTime += path[i].pickup ? Drone.LOADING_TIME : Drone.DELIVERY_TIME;
+            }
+        }
+
+        return { path, distance, arrivals };
+    }
+
+    /**
+     * Check that the load never exceeds capacity along some stops
+     * @param {Array} stops - Stops in flying order
+     * @param {Array} orders - Orders served by the stops
+     * @returns {boolean} True if the load fits all the way
+     */
+    canCarry(stops, orders) {
+        let payload = this.getPayload();
+
+        for (const stop of stops) {
+            const order = orders.find(o => o.id === stop.orderId);
+            payload += stop.pickup ? order.weight : -order.weight;
+            if (payload > this.capacity + 1e-9) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Key a route stop by order and kind
+     * @param {Object} stop - Route point with orderId
+     * @returns {string} Key
+     */
+    static stopKey(stop) {
+        return `${stop.orderId}${stop.pickup ? ':pickup' : ''}`;
     }
 
     /**
@@ -403,6 +1065,7 @@ class Drone {
             'delivering': { display: 'Entregando', class: 'status-delivering' },
             'returning': { display: 'Retornando', class: 'status-returning' },
             'charging': { display: 'Carregando Bateria', class: 'status-charging' },
+            'swapping': { display: 'Trocando Bateria', class: 'status-swapping' },
             'maintenance': { display: 'Manutenção', class: 'status-maintenance' },
             'offline': { display: 'Offline', class: 'status-offline' }
         };
@@ -492,11 +1155,16 @@ class Drone {
             status: this.status,
             location: this.location,
             baseLocation: this.baseLocation,
+            depotId: this.homeDepotId,
             completedDeliveries: this.completedDeliveries,
             totalDistanceTraveled: this.totalDistanceTraveled,
             totalBatteryUsed: this.totalBatteryUsed,
             stats: this.stats,
-            lastMaintenanceDate: this.lastMaintenanceDate,
+            chargeProfile: this.chargeProfile,
+            energyProfile: this.energyProfile,
+            batteryReserve: this.batteryReserve,
+            maintenanceDuration: this.maintenanceDuration,
+            lastMaintenanceTime: this.lastMaintenanceTime,
             createdAt: this.createdAt,
             updatedAt: this.updatedAt
         };
@@ -513,7 +1181,6 @@ class Drone {
         drone.totalDistanceTraveled = jsonData.totalDistanceTraveled || 0;
         drone.totalBatteryUsed = jsonData.totalBatteryUsed || 0;
         drone.stats = jsonData.stats || drone.stats;
-        drone.lastMaintenanceDate = new Date(jsonData.lastMaintenanceDate);
         drone.createdAt = new Date(jsonData.createdAt);
         drone.updatedAt = new Date(jsonData.updatedAt);
         return drone;
@@ -528,6 +1195,30 @@ class Drone {
     }
 }
 
+// Default charge profile: 10% per simulation second, taper from 80% for 'cccv'
+Drone.DEFAULT_CHARGE_PROFILE = {
+    curve: 'linear',
+    rate: 10,
+    taperStart: 80,
+    minRate: 2
+};
+
+// Battery share a drone keeps for reaching home, in %
+Drone.DEFAULT_BATTERY_RESERVE = 20;
+
+// Slowest ground speed into a headwind, as a share of airspeed
+Drone.MIN_GROUND_SPEED_RATIO = 0.1;
+
+// Statuses in which the drone is at cruise altitude
+Drone.AIRBORNE_STATUSES = ['flying', 'returning'];
+
+// Simulation seconds between scheduled maintenances (30 days)
+Drone.MAINTENANCE_INTERVAL = 30 * 24 * 60 * 60;
+
+// Simulation seconds on the ground to load a parcel and to hand one over
+Drone.LOADING_TIME = 5;
+Drone.DELIVERY_TIME = 3;
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = Drone;
@@ -0,0 +1,145 @@
+/**
+ * No-fly zone model - Restricted airspace with optional time windows
+ * DTI Digital - Logistics Drone Simulation
+ */
+
+class NoFlyZone {
+    /**
+     * @param {Object} zoneData - Zone data
+     * @param {string} zoneData.name - Display name (e.g. "Aeroporto")
+     * @param {Array} zoneData.polygon - Vertices [{x, y}, ...]
+     * @param {Array} zoneData.windows - Active windows [{start, end}] in simulation seconds; empty means always active
+     * @param {number} zoneData.period - Repeat windows every period seconds (e.g. 86400 for daily)
+     */
+    constructor(zoneData) {
+        this.id = zoneData.id || this.generateId();
+        this.name = zoneData.name || this.id;
+        this.polygon = (zoneData.polygon || []).map(point => ({ x: parseFloat(point.x), y: parseFloat(point.y) }));
+        this.windows = (zoneData.windows || []).map(slot => ({
+            start: slot.start !== undefined ? slot.start : 0,
+            end: slot.end !== undefined && slot.end !== null ? slot.end : Infinity
+        }));
+        this.period = zoneData.period || null;
+        this.reason = zoneData.reason || '';
+    }
+
+    /**
+     * Generate unique ID for zone
+     * @returns {string} Unique zone ID
+     */
+    generateId() {
+        NoFlyZone.counter = (NoFlyZone.counter || 0) + 1;
+        return `NFZ-${NoFlyZone.counter}`;
+    }
+
+    /**
+     * Check if zone is active at a simulation time
+     * @param {number} simTime - Simulation time in seconds
+     * @returns {boolean} True if active
+     */
+    isActiveAt(simTime) {
+        if (this.windows.length === 0) return true;
+
+        const time = this.period ? simTime % this.period : simTime;
+        return this.windows.some(slot => time >= slot.start && time < slot.end);
+    }
+
+    /**
+     * Check if zone stays active from a simulation time onwards
+     * @param {number} simTime - Simulation time in seconds
+     * @returns {boolean} True if it never deactivates
+     */
+    isPermanentFrom(simTime) {
+        if (this.windows.length === 0) return true;
+        if (this.period) return false;
+
+        return this.windows.some(slot => slot.end === Infinity && simTime >= slot.start);
+    }
+
+    /**
+     * Check if point lies inside the zone
+     * @param {Object} point - Point {x, y}
+     * @returns {boolean} True if inside
+     */
+    containsPoint(point) {
+        return CalculationUtils.isPointInPolygon(point, this.polygon);
+    }
+
+    /**
+     * Check if a path enters the zone
+     * @param {Array} path - Points [{x, y}, ...]
+     * @returns {boolean} True if any leg crosses the zone
+     */
+    intersectsPath(path) {
+        for (let i = 0; i < path.length - 1; i++) {
+            if (CalculationUtils.segmentCrossesPolygon(path[i], path[i + 1], this.polygon)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Validate zone data
+     * @returns {Object} Validation result with isValid boolean and errors array
+     */
+    validate() {
+        const errors = [];
+
+        if (this.polygon.length < 3) {
+            errors.push('Zona deve ter ao menos três vértices');
+        } else if (this.polygon.some(point => !isFinite(point.x) || !isFinite(point.y))) {
+            errors.push('Vértices da zona devem ter coordenadas numéricas');
+        }
+
+        if (this.windows.some(slot => typeof slot.start !== 'number' || !(slot.end > slot.start))) {
+            errors.push('Janelas de ativação devem ter início menor que o fim');
+        }
+
+        if (this.period !== null && !(this.period > 0)) {
+            errors.push('Período de repetição deve ser maior que zero');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * Convert zone to JSON
+     * @returns {Object} JSON representation
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            polygon: this.polygon,
+            windows: this.windows.map(slot => ({
+                start: slot.start,
+                end: slot.end === Infinity ? null : slot.end
+            })),
+            period: this.period,
+            reason: this.reason
+        };
+    }
+
+    /**
+     * Create zone from JSON data
+     * @param {Object} jsonData - JSON data
+     * @returns {NoFlyZone} Zone instance
+     */
+    static fromJSON(jsonData) {
+        return new NoFlyZone(jsonData);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NoFlyZone;
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+    window.NoFlyZone = NoFlyZone;
+}
@@ -4,37 +4,57 @@
  */
 
 class Order {
-    constructor(orderData) {
-        this.id = orderData.id || this.generateId();
+    constructor(orderData, random = null) {
+        this.id = orderData.id || this.generateId(random);
         this.customerName = orderData.customerName;
         this.weight = parseFloat(orderData.weight);
         this.location = {
             x: parseFloat(orderData.location.x),
             y: parseFloat(orderData.location.y)
         };
+        this.origin = orderData.origin ? { // Pickup point (store, restaurant); null: parcel leaves from the base or depot
+            x: parseFloat(orderData.origin.x),
+            y: parseFloat(orderData.origin.y)
+        } : null;
         this.priority = orderData.priority.toLowerCase();
         this.status = orderData.status || 'pending';
         this.timestamp = orderData.timestamp || Date.now();
-        this.deliveryTime = orderData.deliveryTime || null;
+        this.deliveryTime = orderData.deliveryTime || null; // Legacy deadline, mapped onto the simulation clock when there is no time window
+        this.timeWindow = Order.parseTimeWindow(orderData.timeWindow); // {earliest, latest, hard, penalty} in simulation seconds
+        this.serviceTime = orderData.serviceTime !== undefined ? orderData.serviceTime : null; // Seconds at the door for route planning (null: planner default)
         this.assignedDrone = null;
+        this.item = orderData.item || null; // Item SKU drawn from depot stock (optional)
+        this.depotId = orderData.depotId || null; // Depot that dispatched the order
         this.estimatedDeliveryTime = null;
         this.actualDeliveryTime = null;
+        this.simulationTimestamp = orderData.simulationTimestamp !== undefined ? orderData.simulationTimestamp : null;
+        this.simulationDeliveryTime = orderData.simulationDeliveryTime !== undefined ? orderData.simulationDeliveryTime : null;
+        this.assignmentHistory = (orderData.assignmentHistory || []).map(entry => ({ ...entry })); // Drones that held the order and why it moved
+        this.statusHistory = (orderData.statusHistory || []).map(entry => ({ ...entry })); // [{status, time}] in simulation seconds
         this.createdAt = new Date();
         this.updatedAt = new Date();
     }
 
     /**
      * Generate unique ID for order
+     * @param {RandomGenerator} random - Seeded random source (optional)
      * @returns {string} Unique order ID
      */
-    generateId() {
+    generateId(random = null) {
+        if (random) {
+            // Reproducible ID: no wall-clock component
+            return 'ORD-' + random.nextInt(0, 1e9) + '-' + random.nextString(9);
+        }
         return 'ORD-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
     }
 
     /**
      * Update order status
+     * Lifecycle driven by the simulation: pending → assigned (drone chosen)
+     * → picked_up (parcel handed to the drone, loading) → in_transit (take-off)
+     * → delivered. Orders taken off a drone go back to pending.
      * @param {string} newStatus - New status
-     * @param {Object} metadata - Additional metadata
+     * @param {Object} metadata - Additional metadata ({time} stamps the status history)
      */
     updateStatus(newStatus, metadata = {}) {
         const validStatuses = ['pending', 'assigned', 'picked_up', 'in_transit', 'delivered', 'cancelled'];
@@ -45,6 +65,7 @@ class Order {
 
         this.status = newStatus;
         this.updatedAt = new Date();
+        this.statusHistory.push({ status: newStatus, time: metadata.time !== undefined ? metadata.time : null });
 
         // Handle status-specific updates
         switch (newStatus) {
@@ -66,27 +87,59 @@ class Order {
      * Assign drone to order
      * @param {string} droneId - ID of assigned drone
      * @param {number} estimatedTime - Estimated delivery time
+     * @param {number} time - Simulation time of the assignment (optional)
      */
-    assignDrone(droneId, estimatedTime = null) {
+    assignDrone(droneId, estimatedTime = null, time = null) {
         this.assignedDrone = droneId;
         this.estimatedDeliveryTime = estimatedTime;
-        this.updateStatus('assigned', { droneId, estimatedTime });
+        this.updateStatus('assigned', { droneId, estimatedTime, time });
+    }
+
+    /**
+     * Get how long the order spent in each status
+     * Only stamped history entries count; the current status runs until now.
+     * @param {number} now - Current simulation time (optional; open status not counted without it)
+     * @returns {Object} Seconds per status, e.g. {pending: 4, picked_up: 5, in_transit: 30}
+     */
+    getStageDurations(now = null) {
+        const durations = {};
+        const stamped = this.statusHistory.filter(entry => typeof entry.time === 'number');
+
+        stamped.forEach((entry, index) => {
+            const next = stamped[index + 1];
+            const end = next ? next.time : (Order.FINAL_STATUSES.includes(entry.status) ? null : now);
+            if (end === null) return;
+
+            durations[entry.status] = (durations[entry.status] || 0) + Math.max(0, end - entry.time);
+        });
+
+        return durations;
+    }
+
+    /**
+     * Record a change of hands in the order's assignment history
+     * @param {string} event - 'assigned', 'inserted', 'reassigned', 'handoff', 'preempted' or 'requeued'
+     * @param {Object} details - {time, droneId, fromDroneId, reason, ...}
+     */
+    recordAssignment(event, details = {}) {
+        this.assignmentHistory.push({ event, ...details });
     }
 
     /**
      * Calculate priority score for sorting
+     * @param {number|null} age - Seconds the order has waited (defaults to wall-clock age)
      * @returns {number} Priority score
      */
-    getPriorityScore() {
+    getPriorityScore(age = null) {
         if (typeof CalculationUtils !== 'undefined') {
-            return CalculationUtils.calculatePriorityScore(this);
+            return CalculationUtils.calculatePriorityScore(this, age);
         }
         
         // Fallback calculation
         const priorityWeights = { 'alta': 100, 'media': 50, 'baixa': 10 };
         const priorityScore = priorityWeights[this.priority] || 10;
-        const timeScore = Date.now() - this.timestamp;
-        return priorityScore + (timeScore / 1000);
+        const timeScore = age !== null ? age : (Date.now() - this.timestamp) / 1000;
+        return priorityScore + timeScore;
     }
 
     /**
@@ -105,13 +158,73 @@ class Order {
         return Math.sqrt(dx * dx + dy * dy);
     }
 
+    /**
+     * Get the order's deadline on the simulation clock
+     * A legacy deliveryTime keeps the lead it had over the order's creation,
+     * counted from the simulation time the order arrived.
+     * @returns {number|null} Simulation seconds, or null without a deadline (or before the order arrived)
+     */
+    getDeadline() {
+        if (this.timeWindow) return this.timeWindow.latest;
+        if (!this.deliveryTime || typeof this.simulationTimestamp !== 'number') return null;
+
+        return this.simulationTimestamp + (new Date(this.deliveryTime).getTime() - this.timestamp) / 1000;
+    }
+
     /**
      * Check if order is overdue
+     * @param {number} now - Current simulation time (seconds)
      * @returns {boolean} True if order is overdue
      */
-    isOverdue() {
-        if (!this.deliveryTime) return false;
-        return new Date() > new Date(this.deliveryTime) && this.status !== 'delivered';
+    isOverdue(now = null) {
+        const deadline = this.getDeadline();
+        if (deadline === null || typeof now !== 'number') return false;
+
+        return now > deadline && !Order.FINAL_STATUSES.includes(this.status);
+    }
+
+    /**
+     * Check if a handover at the given time would come before the window opens
+     * @param {number} time - Simulation time (seconds)
+     * @returns {boolean} True if the drone must wait
+     */
+    isBeforeWindow(time) {
+        return !!this.timeWindow && typeof time === 'number' && time < this.timeWindow.earliest;
+    }
+
+    /**
+     * Get how late the order was (or would be) delivered
+     * @param {number} time - Delivery time in simulation seconds (defaults to the actual one)
+     * @returns {number} Seconds past the window's latest time (0 when on time or without a deadline)
+     */
+    getLateness(time = this.simulationDeliveryTime) {
+        if (!this.timeWindow || this.timeWindow.latest === null || typeof time !== 'number') return 0;
+        return Math.max(0, time - this.timeWindow.latest);
+    }
+
+    /**
+     * Check if the order has a deadline to be measured against
+     * @returns {boolean} True with a window closing time or a legacy deliveryTime
+     */
+    hasDeadline() {
+        return this.timeWindow ? this.timeWindow.latest !== null : !!this.deliveryTime;
+    }
+
+    /**
+     * Check if a delivered order made its deadline
+     * @returns {boolean} True if delivered on time (orders without a deadline always are)
+     */
+    isDeliveredOnTime() {
+        if (this.status !== 'delivered') return false;
+        if (this.timeWindow) return this.getLateness() === 0;
+        if (!this.deliveryTime) return true;
+
+        const deadline = this.getDeadline();
+        if (deadline !== null && typeof this.simulationDeliveryTime === 'number') {
+            return this.simulationDeliveryTime <= deadline;
+        }
+
+        return this.actualDeliveryTime <= new Date(this.deliveryTime).getTime();
     }
 
     /**
@@ -140,15 +253,7 @@ class Order {
      * @returns {string} Formatted status
      */
     getStatusDisplay() {
-        const statusMap = {
-            'pending': 'Pendente',
-            'assigned': 'Designado',
-            'picked_up': 'Coletado',
-            'in_transit': 'Em Transporte',
-            'delivered': 'Entregue',
-            'cancelled': 'Cancelado'
-        };
-        return statusMap[this.status] || this.status;
+        return Order.STATUS_LABELS[this.status] || this.status;
     }
 
     /**
@@ -273,13 +378,22 @@ class Order {
             customerName: this.customerName,
             weight: this.weight,
             location: this.location,
+            origin: this.origin,
             priority: this.priority,
             status: this.status,
             timestamp: this.timestamp,
             deliveryTime: this.deliveryTime,
+            timeWindow: this.timeWindow,
+            serviceTime: this.serviceTime,
             assignedDrone: this.assignedDrone,
+            item: this.item,
+            depotId: this.depotId,
             estimatedDeliveryTime: this.estimatedDeliveryTime,
             actualDeliveryTime: this.actualDeliveryTime,
+            simulationTimestamp: this.simulationTimestamp,
+            simulationDeliveryTime: this.simulationDeliveryTime,
+            assignmentHistory: this.assignmentHistory,
+            statusHistory: this.statusHistory,
             createdAt: this.createdAt,
             updatedAt: this.updatedAt
         };
@@ -299,9 +413,10 @@ class Order {
 
     /**
      * Get display information for UI
+     * @param {number|null} now - Current simulation time (seconds) for the overdue flag
      * @returns {Object} Display information
      */
-    getDisplayInfo() {
+    getDisplayInfo(now = null) {
         return {
             id: this.id,
             customer: this.customerName,
@@ -311,11 +426,27 @@ class Order {
             status: this.getStatusDisplay(),
             age: this.getAge(),
             urgency: this.getUrgencyLevel(),
-            isOverdue: this.isOverdue(),
+            isOverdue: this.isOverdue(now),
             estimatedDelivery: this.getEstimatedMinutesToDelivery()
         };
     }
 
+    /**
+     * Normalize a delivery time window
+     * @param {Object} window - {earliest, latest, hard, penalty}; missing bounds are open
+     * @returns {Object|null} {earliest, latest, hard, penalty} or null without a window
+     */
+    static parseTimeWindow(window) {
+        if (!window) return null;
+
+        return {
+            earliest: window.earliest !== undefined && window.earliest !== null ? parseFloat(window.earliest) : 0,
+            latest: window.latest !== undefined && window.latest !== null ? parseFloat(window.latest) : null,
+            hard: !!window.hard, // Hard: the dispatcher never plans a late delivery; soft: lateness is penalized
+            penalty: window.penalty !== undefined && window.penalty !== null ? parseFloat(window.penalty) : null // Cost per second late (null: engine default)
+        };
+    }
+
     /**
      * Get summary for notifications
      * @returns {string} Order summary
@@ -325,6 +456,22 @@ class Order {
     }
 }
 
+// Display names of the order statuses
+Order.STATUS_LABELS = {
+    'pending': 'Pendente',
+    'assigned': 'Designado',
+    'picked_up': 'Coletado',
+    'in_transit': 'Em Transporte',
+    'delivered': 'Entregue',
+    'cancelled': 'Cancelado'
+};
+
+// Statuses of an order in a drone's hands
+Order.ROUTE_STATUSES = ['assigned', 'picked_up', 'in_transit'];
+
+// Statuses that end the lifecycle
+Order.FINAL_STATUSES = ['delivered', 'cancelled'];
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = Order;
@@ -4,7 +4,11 @@
  */
 
 class SimulationEngine {
-    constructor() {
+    /**
+     * @param {RandomGenerator} random - Seeded random source shared with services (optional)
+     */
+    constructor(random = null) {
+        this.random = random || (typeof RandomGenerator !== 'undefined' ? new RandomGenerator() : null);
         this.isRunning = false;
         this.isPaused = false;
         this.speed = 1;
@@ -12,15 +16,37 @@ class SimulationEngine {
         this.lastUpdateTime = 0;
         this.drones = new Map();
         this.orders = new Map();
+        this.scheduledOrders = []; // { order, arrivalTime } sorted by arrivalTime
+        this.orderGenerators = [];
         this.completedOrders = [];
         this.eventLog = [];
         this.obstacles = [];
-        this.baseLocation = { x: 0, y: 0 };
+        this.noFlyZones = [];
+        this.activeNoFlyZoneIds = new Set();
+        this.noFlyViolations = []; // { time, droneId, zoneId }
+        this.openViolations = new Set(); // "droneId|zoneId" while the drone is still inside
+        this.heldOrderIds = new Set(); // Orders already reported as waiting (zone closing or stock)
+        this.depots = new Map();
+        this.chargingStations = new Map();
+        this.batterySwaps = new Map(); // droneId -> depot swapping its pack
+        this.weatherField = null;
+        this.groundedDroneIds = new Set(); // Drones held or sent home by the weather limits
+        this.dispatchMode = 'single'; // One order per trip; 'batched' builds multi-stop trips (setDispatchMode)
+        this.batchOptions = { ...SimulationEngine.DEFAULT_BATCH_OPTIONS };
+        this.dispatchPolicy = typeof DispatchPolicy !== 'undefined' ? new DispatchPolicy() : null;
+        this.insertionOptions = { ...SimulationEngine.DEFAULT_INSERTION_OPTIONS };
+        this.preemptionOptions = { ...SimulationEngine.DEFAULT_PREEMPTION_OPTIONS, priorities: [...SimulationEngine.DEFAULT_PREEMPTION_OPTIONS.priorities] };
+        this.windowOptions = { ...SimulationEngine.DEFAULT_WINDOW_OPTIONS };
+        this.handoffs = new Map(); // orderId -> { order, fromDroneId, toDroneId, reason } for parcels going back to base
+        this.preemptions = new Map(); // urgent orderId -> id of the drone recalled for it
+        this.baseLocation = { x: 0, y: 0 }; // Legacy single base, used while no depots are defined
         this.gridSize = { width: 100, height: 100 };
+        this.pathPlanner = typeof PathPlanner !== 'undefined' ? new PathPlanner(this.obstacles, { bounds: this.gridSize }) : null;
         this.statistics = this.initializeStatistics();
         this.eventListeners = new Map();
         this.updateInterval = null;
         this.updateFrequency = 100; // milliseconds
+        this.fixedTimeStep = 0.1; // seconds of simulation time per headless step
     }
 
     /**
@@ -38,6 +64,18 @@ class SimulationEngine {
             pendingOrders: 0,
             batteryConsumption: 0,
             efficiency: 100,
+            noFlyViolations: 0,
+            weatherAborts: 0,
+            routeFailovers: 0,
+            insertedOrders: 0,
+            reassignments: 0,
+            preemptions: 0,
+            lateDeliveries: 0,
+            totalLateness: 0,
+            latenessPenalty: 0,
+            missedWindows: 0,
+            dispatchedTrips: 0,
+            dispatchedOrders: 0,
             uptime: 0
         };
     }
@@ -108,9 +146,21 @@ class SimulationEngine {
         this.currentTime = 0;
         this.drones.clear();
         this.orders.clear();
+        this.scheduledOrders = [];
+        this.orderGenerators = [];
         this.completedOrders = [];
         this.eventLog = [];
         this.statistics = this.initializeStatistics();
+        this.noFlyViolations = [];
+        this.openViolations.clear();
+        this.heldOrderIds.clear();
+        this.depots.forEach(depot => depot.reset());
+        this.chargingStations.forEach(station => station.reset(0));
+        this.batterySwaps.clear();
+        this.groundedDroneIds.clear();
+        this.handoffs.clear();
+        this.preemptions.clear();
+        this.updateNoFlyZones();
 
         // Reset all drones to base
         for (const drone of this.drones.values()) {
@@ -125,37 +175,84 @@ class SimulationEngine {
     }
 
     /**
-     * Main update loop
+     * Main update loop (real-time mode, driven by setInterval)
      */
     update() {
         const currentTime = Date.now();
         const deltaTime = (currentTime - this.lastUpdateTime) * this.speed / 1000; // Convert to seconds
         this.lastUpdateTime = currentTime;
+        this.advance(deltaTime);
+    }
+
+    /**
+     * Advance the simulation by a fixed timestep without timers (headless mode)
+     * @param {number} dt - Simulation seconds to advance
+     * @returns {number} Current simulation time
+     */
+    step(dt = this.fixedTimeStep) {
+        if (typeof dt !== 'number' || !isFinite(dt) || dt <= 0) {
+            throw new Error(`Invalid simulation timestep: ${dt}`);
+        }
+
+        this.advance(dt);
+        return this.currentTime;
+    }
+
+    /**
+     * Run the simulation headless until the given simulation time is reached
+     * @param {number} simTime - Target simulation time in seconds
+     * @param {number} dt - Fixed timestep in seconds
+     * @returns {Object} Simulation state at the target time
+     */
+    runUntil(simTime, dt = this.fixedTimeStep) {
+        if (this.updateInterval) {
+            throw new Error('Cannot run headless while the real-time loop is active');
+        }
+
+        while (this.currentTime < simTime) {
+            // Last step is clipped so the run ends exactly on simTime
+            this.step(Math.min(dt, simTime - this.currentTime));
+        }
+
+        return this.getState();
+    }
+
+    /**
+     * Advance all simulation state by deltaTime seconds
+     * @param {number} deltaTime - Simulation seconds elapsed
+     */
+    advance(deltaTime) {
+        const previousTime = this.currentTime;
         this.currentTime += deltaTime;
 
+        // Activate/deactivate restricted airspace before anything moves
+        this.updateNoFlyZones();
+
+        // Sample stochastic arrivals for this step, then release orders whose arrival time has been reached
+        this.generateOrders(previousTime, this.currentTime);
+        this.releaseScheduledOrders();
+
+        // Recharge spare battery packs in the background
+        for (const depot of this.depots.values()) {
+            if (depot.batteryInventory) {
+                depot.batteryInventory.update(deltaTime);
+            }
+        }
+
         // Update all drones
         for (const drone of this.drones.values()) {
             this.updateDrone(drone, deltaTime);
         }
 
+        this.checkNoFlyViolations();
+
         // Process pending orders
         this.processOrderQueue();
 
         // Check for completed deliveries and move them
-        const completedOrderIds = [];
-        for (const [orderId, order] of this.orders) {
-            if (order.status === 'delivered') {
-                this.completedOrders.push(order);
-                completedOrderIds.push(orderId);
-                this.logEvent(`Pedido ${order.id} entregue com sucesso para ${order.customerName}`, 'success');
-                this.emit('deliveryCompleted', { order });
-            }
-        }
-        
-        // Remove completed orders from active orders
-        completedOrderIds.forEach(orderId => {
-            this.orders.delete(orderId);
-        });
+        Array.from(this.orders.values())
+            .filter(order => order.status === 'delivered')
+            .forEach(order => this.handleDeliveryCompletion(order));
 
         // Update statistics
         this.updateStatistics();
@@ -174,11 +271,15 @@ class SimulationEngine {
      */
     updateDrone(drone, deltaTime) {
         const previousStatus = drone.status;
+
+        drone.weather = this.getWeatherAt(drone.location);
+        drone.simulationTime = this.currentTime;
+        this.checkWeatherLimits(drone);
         
         switch (drone.status) {
             case 'loading':
-                // Simulate loading time (5 seconds)
-                if (this.currentTime - drone.lastStatusChange > 5) {
+                // Simulate loading time
+                if (this.currentTime - drone.lastStatusChange > Drone.LOADING_TIME) {
                     drone.updateStatus('flying');
                 }
                 break;
@@ -188,8 +289,19 @@ class SimulationEngine {
                 break;
                 
             case 'delivering':
+                drone.hover(deltaTime);
+
+                // Early for a time window: keep hovering until it opens, then hand over
+                if (drone.awaitingWindow) {
+                    if (!drone.awaitingWindow.isBeforeWindow(this.currentTime)) {
+                        drone.deliverOrder(drone.awaitingWindow);
+                        drone.lastStatusChange = this.currentTime;
+                    }
+                    break;
+                }
+
                 // Auto-transition after delivery time
-                if (this.currentTime - drone.lastStatusChange > 3) {
+                if (this.currentTime - drone.lastStatusChange > Drone.DELIVERY_TIME) {
                     if (drone.currentOrders.length > 0) {
                         drone.updateStatus('flying');
                     } else {
@@ -202,9 +314,44 @@ class SimulationEngine {
                 drone.moveTowardsBase(deltaTime);
                 break;
                 
-            case 'charging':
-                drone.chargeBattery(deltaTime);
+            case 'charging': {
+                // Swap depots hand out a charged pack instead; drones already at a bay keep charging
+                const station = this.getChargingStationAt(drone.location);
+                const atCharger = station && (station.isCharging(drone.id) || station.isQueued(drone.id));
+                if (!atCharger && this.trySwapBattery(drone)) {
+                    break;
+                }
+
+                // Stations are shared: drones charge only while holding a bay, otherwise they wait in line
+                if (!station) {
+                    drone.chargeBattery(deltaTime);
+                } else if (station.join(drone.id, this.currentTime)) {
+                    drone.chargeBattery(deltaTime, station.chargePower);
+                }
+                break;
+            }
+
+            case 'swapping':
+                this.progressBatterySwap(drone);
                 break;
+
+            case 'maintenance':
+                drone.progressMaintenance(deltaTime);
+                break;
+        }
+
+        if (drone.status !== 'charging') {
+            this.leaveChargingStation(drone);
+        }
+
+        // Charged away from home: resume the deliveries or fly back to base
+        if (previousStatus === 'charging' && drone.status === 'idle' && drone.getDistanceTo(drone.baseLocation) >= 0.1) {
+            if (drone.currentOrders.length > 0) {
+                drone.replanRoute();
+                drone.updateStatus('flying');
+            } else {
+                drone.updateStatus('returning');
+            }
         }
 
         // Track status changes
@@ -212,86 +359,633 @@ class SimulationEngine {
             drone.lastStatusChange = this.currentTime;
             this.logEvent(`Drone ${drone.name} mudou status: ${previousStatus} → ${drone.status}`);
             this.emit('droneStatusChanged', { drone, previousStatus });
+            this.updateCargoStatus(drone);
+            this.completeHandoffs(drone);
+        }
+
+        // Keep checking that the rest of the route still gets home with the reserve
+        // (drones without an energy model only have the low-battery return below)
+        if (['loading', 'flying', 'delivering'].includes(drone.status) && drone.currentOrders.length > 0 && !drone.canFinishRoute()) {
+            this.failOverRoute(drone, 'energia insuficiente para concluir a rota');
         }
 
         // Check for low battery
-        if (drone.batteryLevel < 20 && drone.status !== 'charging') {
+        if (drone.batteryLevel < drone.batteryReserve && !['charging', 'swapping', 'maintenance'].includes(drone.status)) {
             this.logEvent(`Drone ${drone.name} com bateria baixa (${drone.batteryLevel}%)`, 'warning');
             drone.updateStatus('returning');
+            if (!drone.returnTarget) {
+                this.divertToChargingStation(drone);
+            }
         }
 
         // Check for maintenance needs
-        if (drone.needsMaintenance() && drone.status === 'idle') {
+        if (drone.needsMaintenance(this.currentTime) && drone.status === 'idle') {
             this.logEvent(`Drone ${drone.name} precisa de manutenção`, 'warning');
-            drone.performMaintenance();
+            drone.performMaintenance(drone.maintenanceDuration, this.currentTime);
         }
     }
 
     /**
      * Process order queue and assign to available drones
+     * Urgent orders may first join a route already in flight; the dispatch
+     * policy decides which idle drone flies the rest.
      */
     processOrderQueue() {
+        if (!this.dispatchPolicy) {
+            throw new Error('No dispatch policy set');
+        }
+
+        // Age on the simulation clock, so a seeded run ranks its queue the same on any host
+        const priority = (order) => order.getPriorityScore(this.currentTime - order.simulationTimestamp);
         const pendingOrders = Array.from(this.orders.values())
             .filter(order => order.status === 'pending')
-            .sort((a, b) => b.getPriorityScore() - a.getPriorityScore());
+            .sort((a, b) => priority(b) - priority(a));
 
         const availableDrones = Array.from(this.drones.values())
-            .filter(drone => drone.status === 'idle' && drone.batteryLevel > 20);
+            .filter(drone => drone.status === 'idle' && drone.batteryLevel > drone.batteryReserve && !this.groundedDroneIds.has(drone.id));
 
-        for (const order of pendingOrders) {
-            const suitableDrone = this.findBestDroneForOrder(order, availableDrones);
-            
-            if (suitableDrone) {
-                this.assignOrderToDrone(order, suitableDrone);
-                availableDrones.splice(availableDrones.indexOf(suitableDrone), 1);
+        const dispatchable = pendingOrders.filter(order => {
+            const zone = this.getActiveNoFlyZoneAt(order.location);
+            if (zone) {
+                this.handleOrderInNoFlyZone(order, zone);
+                return false;
+            }
+            if (!this.isWindowReachable(order)) {
+                this.rejectMissedWindow(order);
+                return false;
+            }
+            if (!this.isReleased(order)) return false;
+
+            return !(order.priority === 'alta' && this.insertIntoActiveRoute(order, availableDrones));
+        });
+
+        // Urgent orders nobody can take may bump a low-priority batch
+        for (const order of dispatchable) {
+            if (order.priority !== 'alta' || this.getDispatchCandidates(order, availableDrones).length > 0) continue;
+
+            const drone = this.preemptFor(order);
+            if (drone && drone.status === 'idle') {
+                availableDrones.push(drone);
+            }
+        }
+
+        if (dispatchable.length === 0) return;
+
+        if (availableDrones.length > 0) {
+            for (const trip of this.dispatchPolicy.dispatch(dispatchable, availableDrones, this)) {
+                // Trips are planned together; an earlier one may have taken the last units
+                if (!this.canSupply(trip.depot, trip.orders)) continue;
+                this.assignOrdersToDrone(trip.orders, trip.drone, trip.depot);
+            }
+        }
+
+        this.chargeForWaitingOrders(dispatchable);
+    }
+
+    /**
+     * Send idle drones to charge for orders no idle drone can fly right now
+     * Drones land idle while above their reserve, so without this an order
+     * needing more than any partial battery would wait forever. Only drones
+     * that could fly one of those orders on a full battery go.
+     * @param {Array} orders - Orders offered for dispatch this tick
+     */
+    chargeForWaitingOrders(orders) {
+        const idle = Array.from(this.drones.values())
+            .filter(drone => drone.status === 'idle' && !this.groundedDroneIds.has(drone.id));
+        const waiting = orders.filter(order => order.status === 'pending' &&
+            this.getDispatchCandidates(order, idle).length === 0 && !this.heldOrderIds.has(order.id));
+        if (waiting.length === 0) return;
+
+        for (const drone of idle) {
+            if (drone.batteryLevel >= 100 || !waiting.some(order => drone.canHandleOrders([order], 100))) continue;
+
+            drone.updateStatus('charging');
+            drone.lastStatusChange = this.currentTime;
+            this.logEvent(`Drone ${drone.name} foi recarregar (${Math.round(drone.batteryLevel)}%) para atender pedidos pendentes`, 'warning');
+            this.emit('droneStatusChanged', { drone, previousStatus: 'idle' });
+        }
+    }
+
+    /**
+     * Grow a trip around its first order with more pending orders
+     * Candidates are taken in priority order while the drone can still carry
+     * and fly the whole route with its reserve, up to maxStops and as long as
+     * each one lengthens the route by at most maxDetour. Urgent ('alta') trips
+     * only take other urgent orders, so they are not delayed by lower priorities.
+     * @param {Order} seed - Highest-priority order of the trip
+     * @param {Object} dispatch - {drone, depot} chosen for the seed
+     * @param {Array} pendingOrders - Pending orders, highest priority first
+     * @returns {Array} Orders for the trip, seed first
+     */
+    buildBatch(seed, dispatch, pendingOrders) {
+        const { drone, depot } = dispatch;
+        const { maxStops, maxDetour } = this.batchOptions;
+        const batch = [seed];
+        let routeLength = drone.getRouteDistance(drone.planRoute(batch));
+
+        for (const candidate of pendingOrders) {
+            if (batch.length >= maxStops) break;
+            if (batch.includes(candidate) || candidate.status !== 'pending') continue;
+            if (seed.priority === 'alta' && candidate.priority !== 'alta') continue;
+            if (this.getActiveNoFlyZoneAt(candidate.location)) continue;
+
+            const trial = [...batch, candidate];
+            if (!this.canSupply(depot, trial) || !drone.canHandleOrders(trial)) continue;
+
+            const trialLength = drone.getRouteDistance(drone.planRoute(trial));
+            if (trialLength - routeLength > maxDetour) continue;
+
+            batch.push(candidate);
+            routeLength = trialLength;
+        }
+
+        return batch;
+    }
+
+    /**
+     * Switch between one order per trip and multi-stop trips
+     * @param {string} mode - 'single' or 'batched'
+     * @param {Object} options - Batching options {maxStops, maxDetour} (optional)
+     */
+    setDispatchMode(mode, options = {}) {
+        if (!SimulationEngine.DISPATCH_MODES.includes(mode)) {
+            throw new Error(`Unknown dispatch mode: ${mode}`);
+        }
+
+        this.dispatchMode = mode;
+        this.batchOptions = { ...this.batchOptions, ...options };
+        this.logEvent(`Despacho ${mode === 'batched' ? 'em lotes' : 'de um pedido por viagem'} ativo`);
+        this.emit('dispatchModeChanged', { mode, options: this.batchOptions });
+    }
+
+    /**
+     * Insert an urgent order into the route of a drone already in flight
+     * The drone collects the parcel on the way at the order's origin, or else
+     * at a depot stocking the item (at its base when there are no depots). Among all drones and pickup
+     * points the smallest detour within insertionOptions wins, unless an idle
+     * drone would deliver the order sooner on a trip of its own.
+     * @param {Order} order - Urgent pending order
+     * @param {Array} idleDrones - Drones available for new trips
+     * @returns {boolean} True if the order joined a route
+     */
+    insertIntoActiveRoute(order, idleDrones) {
+        const { enabled, ...limits } = this.insertionOptions;
+        if (!enabled) return false;
+
+        const depots = Array.from(this.depots.values()).filter(depot => this.canSupply(depot, [order]));
+        let best = null;
+
+        for (const drone of this.drones.values()) {
+            if (this.groundedDroneIds.has(drone.id) || drone.returnTarget) continue;
+
+            let pickups = [{ depot: null, location: order.origin || drone.baseLocation }];
+            if (!order.origin && this.depots.size > 0) {
+                pickups = depots.map(depot => ({ depot, location: depot.location }));
+            }
+
+            for (const { depot, location } of pickups) {
+                const plan = drone.planInsertion(order, location, limits);
+                if (plan && (!best || plan.detour < best.plan.detour)) {
+                    best = { drone, depot, plan };
+                }
+            }
+        }
+
+        if (!best) return false;
+
+        // A fresh trip may still get there first
+        const direct = this.getDispatchCandidates(order, idleDrones).map(({ drone }) => {
+            if (!order.origin) {
+                return Drone.LOADING_TIME + drone.getPathDistanceTo(order.location) * 60 / drone.speed;
+            }
+            const distance = drone.getPathDistanceTo(order.origin) + this.getDistanceBetween(order.origin, order.location);
+            return 2 * Drone.LOADING_TIME + distance * 60 / drone.speed;
+        });
+        if (Math.min(...direct) <= best.plan.arrival) return false;
+
+        const { drone, depot, plan } = best;
+        drone.insertOrder(order, plan.stops);
+        order.assignDrone(drone.id, null, this.currentTime);
+        order.recordAssignment('inserted', { time: this.currentTime, droneId: drone.id });
+        this.preemptions.delete(order.id);
+        if (depot && !order.origin) {
+            depot.reserveStock(order.item);
+            order.depotId = depot.id;
+            this.heldOrderIds.delete(order.id);
+        }
+
+        this.statistics.insertedOrders++;
+        const origin = order.origin ? 'origem do pedido' : (depot ? `depósito ${depot.name}` : 'base');
+        this.logEvent(`Pedido urgente ${order.id} inserido na rota do drone ${drone.name} ` +
+            `(coleta na ${origin}, desvio de ${plan.detour.toFixed(1)}, atraso máximo de ${Math.round(plan.delay)}s)`, 'success');
+        this.emit('orderAssigned', { order, drone, depot });
+        this.emit('routeChanged', { drone, order, depot, detour: plan.detour, delay: plan.delay });
+
+        return true;
+    }
+
+    /**
+     * Move an assigned order to another drone, or back to the queue
+     * A parcel still on the ground moves at once: an idle drone takes it on a
+     * trip of its own, a drone in flight collects it on the way. A parcel
+     * already on board is handed off at the base: its drone carries it home
+     * and the new drone (or the queue) takes it from there.
+     * @param {string} orderId - Order to move
+     * @param {string|null} droneId - New drone (null: back to the queue)
+     * @param {string} reason - Reason for the history and the log
+     * @returns {Object} Result with handoff flag, or errors
+     */
+    reassignOrder(orderId, droneId = null, reason = 'reatribuição manual') {
+        const order = this.orders.get(orderId);
+        if (!order) {
+            return { success: false, errors: ['Pedido não encontrado'] };
+        }
+
+        const from = this.drones.get(order.assignedDrone);
+        if (!Order.ROUTE_STATUSES.includes(order.status) || !from || !from.currentOrders.includes(order) || this.handoffs.has(orderId)) {
+            return { success: false, errors: ['Pedido não está em rota com um drone'] };
+        }
+
+        const to = droneId ? this.drones.get(droneId) : null;
+        if (droneId && !to) {
+            return { success: false, errors: ['Drone não encontrado'] };
+        }
+        if (to === from) {
+            return { success: false, errors: ['Pedido já está com este drone'] };
+        }
+
+        if (from.isCarrying(order)) {
+            from.removeOrder(order);
+            this.handoffs.set(order.id, { order, fromDroneId: from.id, toDroneId: to ? to.id : null, reason });
+            order.recordAssignment('handoff', { time: this.currentTime, fromDroneId: from.id, droneId: to ? to.id : null, reason });
+            this.statistics.reassignments++;
+            this.logEvent(`Pedido ${order.id} será entregue na base pelo drone ${from.name}` +
+                `${to ? ` e passado ao drone ${to.name}` : ' e volta à fila'}: ${reason}`, 'warning');
+            this.emit('orderReassigned', { order, from, to, handoff: true });
+            return { success: true, handoff: true };
+        }
+
+        const depot = this.depots.get(order.depotId);
+        const pickup = order.origin || (depot ? depot.location : from.baseLocation);
+        const transfer = to ? this.planTransfer(order, to, pickup) : null;
+        if (to && !transfer) {
+            return { success: false, errors: [`Drone ${to.name} não pode levar o pedido agora`] };
+        }
+
+        from.removeOrder(order);
+        this.statistics.reassignments++;
+
+        if (!to) {
+            this.requeueOrders([order], reason);
+            this.emit('orderReassigned', { order, from, to: null, handoff: false });
+            return { success: true, handoff: false };
+        }
+
+        order.recordAssignment('reassigned', { time: this.currentTime, fromDroneId: from.id, droneId: to.id, reason });
+        this.applyTransfer(order, to, transfer);
+        this.logEvent(`Pedido ${order.id} passou do drone ${from.name} para o drone ${to.name}: ${reason}`, 'warning');
+        this.emit('orderReassigned', { order, from, to, handoff: false });
+
+        return { success: true, handoff: false };
+    }
+
+    /**
+     * Plan how a drone can take over a parcel waiting on the ground
+     * @param {Order} order - Order to take over
+     * @param {Drone} drone - New drone
+     * @param {Object} pickup - Where the parcel waits {x, y}
+     * @returns {Object|null} {depot} for a new trip, {stops} for a route in flight, or null
+     */
+    planTransfer(order, drone, pickup) {
+        if (drone.status === 'idle' && !this.groundedDroneIds.has(drone.id)) {
+            const depot = this.depots.get(drone.homeDepotId) || null;
+            const restocked = depot && depot.id === order.depotId;
+            if (drone.canHandleOrder(order) && (restocked || this.canSupply(depot, [order]))) {
+                return { depot };
             }
+            return null;
         }
+
+        const plan = drone.planInsertion(order, pickup, this.insertionOptions);
+        return plan ? { stops: plan.stops } : null;
+    }
+
+    /**
+     * Hand a parcel waiting on the ground to a drone
+     * @param {Order} order - Order to take over
+     * @param {Drone} drone - New drone
+     * @param {Object} transfer - Plan from planTransfer
+     */
+    applyTransfer(order, drone, transfer) {
+        if (transfer.stops) {
+            drone.insertOrder(order, transfer.stops);
+            order.assignDrone(drone.id, null, this.currentTime);
+            this.emit('routeChanged', { drone, order, depot: this.depots.get(order.depotId) || null });
+            return;
+        }
+
+        // A fresh trip takes the parcel from the new drone's own depot
+        this.returnOrderStock(order);
+        this.assignOrdersToDrone([order], drone, transfer.depot);
+    }
+
+    /**
+     * Finish the handoffs of a drone that landed at base
+     * Parcels it carried back go to the drone chosen for them when it can
+     * take them now, otherwise back to the queue.
+     * @param {Drone} drone - Drone whose status just changed
+     */
+    completeHandoffs(drone) {
+        for (const [orderId, handoff] of this.handoffs) {
+            const { order, fromDroneId, toDroneId } = handoff;
+            if (fromDroneId !== drone.id || drone.currentOrders.includes(order)) continue;
+
+            this.handoffs.delete(orderId);
+            if (!Order.ROUTE_STATUSES.includes(order.status) || order.assignedDrone !== drone.id) continue; // requeued on the way
+
+            const to = this.drones.get(toDroneId);
+            const transfer = to ? this.planTransfer(order, to, drone.baseLocation) : null;
+            if (!transfer) {
+                this.requeueOrders([order], to ? `drone ${to.name} indisponível na passagem` : handoff.reason);
+                continue;
+            }
+
+            order.recordAssignment('reassigned', { time: this.currentTime, fromDroneId, droneId: to.id, reason: handoff.reason });
+            this.applyTransfer(order, to, transfer);
+            this.logEvent(`Pedido ${order.id} passado do drone ${drone.name} para o drone ${to.name} na base`, 'success');
+        }
+    }
+
+    /**
+     * Send every order of a drone elsewhere and bring it home
+     * Parcels on board are handed off at the base, the rest go back to the queue.
+     * @param {string} droneId - Drone to recall
+     * @param {string} reason - Reason for the history and the log
+     * @returns {Object} Result with the moved orders, or errors
+     */
+    recallDrone(droneId, reason = 'drone chamado de volta') {
+        const drone = this.drones.get(droneId);
+        if (!drone) {
+            return { success: false, errors: ['Drone não encontrado'] };
+        }
+
+        const orders = drone.currentOrders.filter(order => !drone.returnCargo.has(order.id));
+        if (orders.length === 0) {
+            return { success: false, errors: ['Drone não tem pedidos em rota'] };
+        }
+
+        orders.forEach(order => this.reassignOrder(order.id, null, reason));
+        this.logEvent(`Drone ${drone.name} chamado de volta à base: ${reason}`, 'warning');
+
+        return { success: true, orders };
+    }
+
+    /**
+     * Bump a low-priority batch for an urgent order nobody can take
+     * Only drones whose orders all have a preemptible priority qualify: a
+     * drone still loading gives its batch back and is free at once; one in
+     * flight within maxRecallDistance of its base is recalled, hands its
+     * batch off there and is free for the urgent order on landing.
+     * @param {Order} order - Urgent pending order
+     * @returns {Drone|null} Preempted drone, or null
+     */
+    preemptFor(order) {
+        const { enabled, priorities, maxRecallDistance } = this.preemptionOptions;
+        const recalled = this.drones.get(this.preemptions.get(order.id));
+        if (!enabled || (recalled && recalled.status !== 'idle')) return null;
+
+        const candidates = Array.from(this.drones.values())
+            .filter(drone => ['loading', 'flying', 'delivering'].includes(drone.status) && !this.groundedDroneIds.has(drone.id))
+            .filter(drone => drone.currentOrders.some(o => !drone.returnCargo.has(o.id)) &&
+                drone.currentOrders.every(o => priorities.includes(o.priority)) && order.weight <= drone.capacity)
+            .map(drone => ({ drone, distance: this.getDistanceBetween(drone.location, drone.baseLocation) }))
+            .filter(({ distance }) => distance <= maxRecallDistance)
+            .sort((a, b) => a.distance - b.distance);
+
+        if (candidates.length === 0) return null;
+
+        const { drone } = candidates[0];
+        const bumped = [...drone.currentOrders];
+        const reason = `preterido pelo pedido urgente ${order.id}`;
+
+        this.statistics.preemptions++;
+        this.preemptions.set(order.id, drone.id);
+        bumped.forEach(o => o.recordAssignment('preempted', { time: this.currentTime, droneId: drone.id, by: order.id }));
+        this.recallDrone(drone.id, reason);
+        this.logEvent(`Pedido urgente ${order.id} preteriu ${bumped.length} pedido(s) do drone ${drone.name}`, 'warning');
+        this.emit('orderPreempted', { order, drone, bumped });
+
+        return drone;
+    }
+
+    /**
+     * Check if an order's time window is close enough to dispatch it
+     * Orders are held until releaseLead seconds before their window opens, so
+     * drones do not hover for long waiting at the door.
+     * @param {Order} order - Pending order
+     * @returns {boolean} True if the order may be dispatched now
+     */
+    isReleased(order) {
+        return !order.timeWindow || order.timeWindow.earliest - this.currentTime <= this.windowOptions.releaseLead;
+    }
+
+    /**
+     * Check that a pending order's hard window can still be met
+     * A trip needs at least the loading time, so a window closing sooner is lost.
+     * @param {Order} order - Pending order
+     * @returns {boolean} False once the hard window can no longer be met
+     */
+    isWindowReachable(order) {
+        const window = order.timeWindow;
+        return !window || !window.hard || window.latest === null || this.currentTime + Drone.LOADING_TIME <= window.latest;
+    }
+
+    /**
+     * Cancel an order whose hard delivery window can no longer be met
+     * @param {Order} order - Pending order
+     */
+    rejectMissedWindow(order) {
+        order.updateStatus('cancelled', { time: this.currentTime });
+        this.orders.delete(order.id);
+        this.completedOrders.push(order);
+        this.heldOrderIds.delete(order.id);
+        this.statistics.missedWindows++;
+        this.logEvent(`Pedido ${order.id} rejeitado: janela de entrega encerra em ${order.timeWindow.latest}s e não pode mais ser cumprida`, 'error');
+        this.emit('orderRejected', { order, window: order.timeWindow });
+    }
+
+    /**
+     * Tune time window handling
+     * @param {Object} options - {latenessPenalty, releaseLead}
+     */
+    setWindowOptions(options) {
+        this.windowOptions = { ...this.windowOptions, ...options };
+        this.emit('windowOptionsChanged', { options: this.windowOptions });
+    }
+
+    /**
+     * Tune or switch off preemption of low-priority batches by urgent orders
+     * @param {Object} options - {enabled, priorities, maxRecallDistance}
+     */
+    setPreemptionOptions(options) {
+        this.preemptionOptions = { ...this.preemptionOptions, ...options };
+        this.emit('preemptionOptionsChanged', { options: this.preemptionOptions });
+    }
+
+    /**
+     * Tune or switch off the insertion of urgent orders into routes in flight
+     * @param {Object} options - {enabled, maxDetour, maxDelay}
+     */
+    setInsertionOptions(options) {
+        this.insertionOptions = { ...this.insertionOptions, ...options };
+        this.emit('insertionOptionsChanged', { options: this.insertionOptions });
     }
 
     /**
-     * Find best drone for an order
+     * Switch the policy that pairs pending orders with idle drones
+     * @param {string|Object} policy - DispatchPolicy type, or an object exposing dispatch(orders, drones, engine)
+     */
+    setDispatchPolicy(policy) {
+        this.dispatchPolicy = DispatchPolicy.from(policy);
+        this.logEvent(`Política de despacho: ${this.dispatchPolicy.name || this.dispatchPolicy.type || 'personalizada'}`);
+        this.emit('dispatchPolicyChanged', { policy: this.dispatchPolicy });
+    }
+
+    /**
+     * Depot and drone pairs able to serve an order now
+     * Depots stocking the item are tried nearest first; the capable drones of
+     * the first one that has any are returned. Orders with an origin need no
+     * stock and take drones from the depot nearest their origin. Drones
+     * without a depot fly from baseLocation and are the fallback.
      * @param {Order} order - Order to assign
      * @param {Array} availableDrones - Available drones
-     * @returns {Drone|null} Best suitable drone
+     * @returns {Array} Candidates [{drone, depot}], empty when nothing can serve the order now
      */
-    findBestDroneForOrder(order, availableDrones) {
-        if (!availableDrones.length) return null;
+    getDispatchCandidates(order, availableDrones) {
+        const capable = (drones, depot) => drones
+            .filter(drone => drone.canHandleOrder(order))
+            .map(drone => ({ drone, depot }));
 
-        let bestDrone = null;
-        let bestScore = -1;
+        if (this.depots.size === 0) {
+            return capable(availableDrones, null);
+        }
+
+        const stocked = Array.from(this.depots.values()).filter(depot => order.origin || depot.hasStock(order.item));
+        if (stocked.length === 0 && !this.heldOrderIds.has(order.id)) {
+            this.heldOrderIds.add(order.id);
+            this.logEvent(`Pedido ${order.id} aguardando: item ${order.item} sem estoque nos depósitos`, 'warning');
+        }
 
-        for (const drone of availableDrones) {
-            if (!drone.canHandleOrder(order)) continue;
+        const target = order.origin || order.location;
+        const byDistance = stocked
+            .map(depot => ({ depot, distance: this.getDistanceBetween(depot.location, target) }))
+            .sort((a, b) => a.distance - b.distance);
 
-            const distance = drone.getDistanceTo(order.location);
-            const batteryScore = drone.batteryLevel / 100;
-            const capacityScore = (drone.capacity - order.weight) / drone.capacity;
-            
-            const score = batteryScore * 0.3 + capacityScore * 0.3 + (1 / (distance + 1)) * 0.4;
+        for (const { depot } of byDistance) {
+            const candidates = capable(availableDrones.filter(d => d.homeDepotId === depot.id), depot);
+            if (candidates.length > 0) {
+                return candidates;
+            }
+        }
+
+        return capable(availableDrones.filter(d => !d.homeDepotId), null);
+    }
+
+    /**
+     * Check that a depot stocks every item of a trip
+     * Orders with an origin are collected there and draw no stock.
+     * @param {Depot} depot - Supplying depot (null: no stock to check)
+     * @param {Array} orders - Orders of the trip
+     * @returns {boolean} True when the depot holds enough units
+     */
+    canSupply(depot, orders) {
+        if (!depot || !depot.inventory) return true;
 
-            if (score > bestScore) {
-                bestScore = score;
-                bestDrone = drone;
+        const needed = {};
+        for (const order of orders) {
+            if (order.item && !order.origin) {
+                needed[order.item] = (needed[order.item] || 0) + 1;
             }
         }
 
-        return bestDrone;
+        return Object.entries(needed).every(([item, count]) => (depot.inventory[item] || 0) >= count);
+    }
+
+    /**
+     * Flight distance between two points, around obstacles when a planner is set
+     * @param {Object} from - Start {x, y}
+     * @param {Object} to - End {x, y}
+     * @returns {number} Distance
+     */
+    getDistanceBetween(from, to) {
+        return this.pathPlanner
+            ? this.pathPlanner.getPathDistance(from, to)
+            : Math.hypot(to.x - from.x, to.y - from.y);
     }
 
     /**
      * Assign order to drone
      * @param {Order} order - Order to assign
      * @param {Drone} drone - Drone to assign to
+     * @param {Depot} depot - Depot supplying the order (optional)
      */
-    assignOrderToDrone(order, drone) {
-        const success = drone.assignOrders([order]);
-        
-        if (success) {
-            order.assignDrone(drone.id);
-            this.logEvent(`Pedido ${order.id} atribuído ao drone ${drone.name}`, 'success');
-            this.emit('orderAssigned', { order, drone });
-        } else {
-            this.logEvent(`Falha ao atribuir pedido ${order.id} ao drone ${drone.name}`, 'error');
+    assignOrderToDrone(order, drone, depot = null) {
+        this.assignOrdersToDrone([order], drone, depot);
+    }
+
+    /**
+     * Load a trip of one or more orders onto a drone
+     * @param {Array} orders - Orders for the trip
+     * @param {Drone} drone - Drone to assign to
+     * @param {Depot} depot - Depot supplying the orders (optional)
+     */
+    assignOrdersToDrone(orders, drone, depot = null) {
+        const success = drone.assignOrders(orders);
+        const ids = orders.map(order => order.id).join(', ');
+
+        if (!success) {
+            this.logEvent(`Falha ao atribuir pedido ${ids} ao drone ${drone.name}`, 'error');
+            return;
+        }
+
+        this.statistics.dispatchedTrips++;
+        this.statistics.dispatchedOrders += orders.length;
+
+        for (const order of orders) {
+            order.assignDrone(drone.id, null, this.currentTime);
+            order.recordAssignment('assigned', { time: this.currentTime, droneId: drone.id });
+            this.preemptions.delete(order.id);
+            if (depot && !order.origin) {
+                depot.reserveStock(order.item);
+                order.depotId = depot.id;
+                this.heldOrderIds.delete(order.id);
+            }
+            const origin = depot ? ` (depósito ${depot.name})` : '';
+            this.logEvent(`Pedido ${order.id} atribuído ao drone ${drone.name}${origin}`, 'success');
+            this.emit('orderAssigned', { order, drone, depot });
+        }
+
+        if (orders.length > 1) {
+            this.logEvent(`Drone ${drone.name} levará ${orders.length} pedidos na mesma viagem (${ids})`);
+        }
+
+        this.updateCargoStatus(drone);
+    }
+
+    /**
+     * Move a drone's orders along their lifecycle after it changes status
+     * Parcels are picked up when the drone starts loading them and are in
+     * transit from take-off. A parcel still waiting at a pickup point stays
+     * assigned until the drone lands there.
+     * @param {Drone} drone - Drone whose status just changed
+     */
+    updateCargoStatus(drone) {
+        for (const order of drone.currentOrders) {
+            if (drone.status === 'loading' && order.status === 'assigned' && !drone.pickups.has(order.id)) {
+                order.updateStatus('picked_up', { time: this.currentTime });
+            } else if (drone.status !== 'loading' && order.status === 'picked_up') {
+                order.updateStatus('in_transit', { time: this.currentTime });
+            }
         }
     }
 
@@ -300,8 +994,15 @@ class SimulationEngine {
      * @param {Drone} drone - Drone to add
      */
     addDrone(drone) {
+        const depot = this.selectHomeDepot(drone);
+        if (depot) {
+            depot.homeDrone(drone);
+        }
+
         this.drones.set(drone.id, drone);
-        drone.location = { ...this.baseLocation };
+        drone.location = depot ? { ...depot.location } : { ...this.baseLocation };
+        drone.pathPlanner = this.pathPlanner;
+        drone.simulationTime = this.currentTime;
         this.logEvent(`Drone ${drone.name} adicionado à simulação`);
         this.emit('droneAdded', { drone });
     }
@@ -313,27 +1014,397 @@ class SimulationEngine {
     removeDrone(droneId) {
         const drone = this.drones.get(droneId);
         if (drone) {
-            // Cancel current orders
-            for (const order of drone.currentOrders) {
-                order.updateStatus('pending');
+            // Put current orders back in the queue
+            this.requeueOrders(drone.currentOrders, `drone ${drone.name} removido`);
+
+            const depot = this.depots.get(drone.homeDepotId);
+            if (depot) {
+                depot.releaseDrone(droneId);
             }
-            
+            this.leaveChargingStation(drone);
+            this.depots.forEach(d => d.batteryInventory && d.batteryInventory.stopWaiting(droneId, this.currentTime));
+            this.batterySwaps.delete(droneId);
+
+            // Its own handoffs were requeued above; parcels promised to it go back to the queue on landing
+            for (const [orderId, handoff] of this.handoffs) {
+                if (handoff.fromDroneId === droneId) {
+                    this.handoffs.delete(orderId);
+                } else if (handoff.toDroneId === droneId) {
+                    handoff.toDroneId = null;
+                }
+            }
+            for (const [orderId, recalledId] of this.preemptions) {
+                if (recalledId === droneId) this.preemptions.delete(orderId);
+            }
+
             this.drones.delete(droneId);
             this.logEvent(`Drone ${drone.name} removido da simulação`, 'warning');
             this.emit('droneRemoved', { drone });
         }
     }
 
+    /**
+     * Resolve the depot a drone is homed at
+     * Drones naming a depot go there; others go to the nearest depot with room.
+     * @param {Drone} drone - Drone being added
+     * @returns {Depot|null} Home depot, or null while no depots are defined
+     */
+    selectHomeDepot(drone) {
+        if (drone.homeDepotId) {
+            const depot = this.depots.get(drone.homeDepotId);
+            if (!depot) {
+                throw new Error(`Unknown depot: ${drone.homeDepotId}`);
+            }
+            return depot;
+        }
+
+        if (this.depots.size === 0) return null;
+
+        const candidates = Array.from(this.depots.values())
+            .filter(depot => depot.hasCapacity())
+            .sort((a, b) => this.getDistanceBetween(drone.baseLocation, a.location) -
+                this.getDistanceBetween(drone.baseLocation, b.location));
+
+        if (candidates.length === 0) {
+            throw new Error(`No depot has capacity for drone ${drone.name}`);
+        }
+        return candidates[0];
+    }
+
+    /**
+     * Add depot to simulation
+     * @param {Depot|Object} depotData - Depot or depot data {name, location, capacity, chargingBays, inventory}
+     * @returns {Depot} The added depot
+     */
+    addDepot(depotData) {
+        const depot = depotData instanceof Depot ? depotData : new Depot(depotData);
+        const validation = depot.validate();
+        if (!validation.isValid) {
+            throw new Error(`Invalid depot: ${validation.errors.join('; ')}`);
+        }
+
+        this.depots.set(depot.id, depot);
+        this.registerChargingStation(depot.getChargingStationData());
+        this.logEvent(`Depósito "${depot.name}" adicionado em (${depot.location.x}, ${depot.location.y})`);
+        this.emit('depotAdded', { depot });
+
+        return depot;
+    }
+
+    /**
+     * Add charging station to simulation
+     * @param {ChargingStation|Object} stationData - Station or station data {name, location, bays, chargePower}
+     * @returns {ChargingStation} The added station
+     */
+    addChargingStation(stationData) {
+        const station = this.registerChargingStation(stationData);
+
+        this.logEvent(`Estação de recarga "${station.name}" adicionada em (${station.location.x}, ${station.location.y})`);
+        this.emit('chargingStationAdded', { station });
+
+        return station;
+    }
+
+    /**
+     * Validate a station and start tracking it
+     * @param {ChargingStation|Object} stationData - Station or station data
+     * @returns {ChargingStation} The registered station
+     */
+    registerChargingStation(stationData) {
+        const station = stationData instanceof ChargingStation ? stationData : new ChargingStation(stationData);
+        const validation = station.validate();
+        if (!validation.isValid) {
+            throw new Error(`Invalid charging station: ${validation.errors.join('; ')}`);
+        }
+
+        station.openedAt = this.currentTime;
+        this.chargingStations.set(station.id, station);
+        return station;
+    }
+
+    /**
+     * Find the charging station at a point
+     * @param {Object} point - Point {x, y}
+     * @returns {ChargingStation|null} Station or null
+     */
+    getChargingStationAt(point) {
+        for (const station of this.chargingStations.values()) {
+            if (Math.hypot(station.location.x - point.x, station.location.y - point.y) < 0.1) {
+                return station;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Free the drone's bay or place in line at any station
+     * @param {Drone} drone - Drone leaving the charger
+     */
+    leaveChargingStation(drone) {
+        for (const station of this.chargingStations.values()) {
+            if (station.isCharging(drone.id) || station.isQueued(drone.id)) {
+                station.leave(drone.id, this.currentTime);
+            }
+        }
+    }
+
+    /**
+     * Fail over a drone that can no longer fly its route home with the reserve
+     * Trailing stops are dropped until the rest of the route fits. When no stop
+     * fits, the drone heads for a charging station nearer than its base (keeping
+     * its orders to resume after charging) or flies home and hands every order
+     * back to the queue.
+     * @param {Drone} drone - Drone on a mission
+     * @param {string} reason - Reason for the log
+     */
+    failOverRoute(drone, reason) {
+        const stops = drone.currentRoute.slice(drone.routeIndex + 1)
+            .filter(point => !point.waypoint && !point.pickup)
+            .map(point => drone.currentOrders.find(order => order.id === point.orderId))
+            .filter(order => order);
+
+        this.statistics.routeFailovers++;
+
+        let kept = stops.length - 1;
+        while (kept > 0 && !drone.canFinishRoute(stops.slice(0, kept))) {
+            kept--;
+        }
+
+        if (kept > 0) {
+            const dropped = stops.slice(kept);
+            drone.replanRoute(location => dropped.some(order => order.location === location));
+            this.logEvent(`Drone ${drone.name} encurtou a rota: ${reason}`, 'warning');
+            this.emit('droneFailover', { drone, reason, orders: dropped });
+            this.requeueOrders(dropped, 'fora do alcance com a reserva de bateria');
+            return;
+        }
+
+        if (this.divertToChargingStation(drone)) {
+            drone.updateStatus('returning');
+            this.logEvent(`Drone ${drone.name} vai recarregar antes de concluir a rota: ${reason}`, 'warning');
+            this.emit('droneFailover', { drone, reason, orders: [] });
+            return;
+        }
+
+        const aborted = drone.replanRoute(() => true);
+        drone.updateStatus('returning');
+        this.logEvent(`Drone ${drone.name} abandonou a rota e voltou à base: ${reason}`, 'warning');
+        this.emit('droneFailover', { drone, reason, orders: aborted });
+        this.requeueOrders(aborted, 'drone sem energia para concluir a rota');
+    }
+
+    /**
+     * Put undelivered orders back in the queue
+     * @param {Array} orders - Orders taken off a drone
+     * @param {string} reason - Reason for the log
+     */
+    requeueOrders(orders, reason) {
+        orders.forEach(order => {
+            order.recordAssignment('requeued', { time: this.currentTime, droneId: order.assignedDrone, reason });
+            order.updateStatus('pending', { time: this.currentTime });
+            order.assignedDrone = null;
+            this.returnOrderStock(order);
+            this.logEvent(`Pedido ${order.id} devolvido à fila: ${reason}`, 'warning');
+        });
+    }
+
+    /**
+     * Send a low-battery drone to a station nearer than its base
+     * @param {Drone} drone - Returning drone
+     * @returns {ChargingStation|null} Station diverted to, or null to keep heading home
+     */
+    divertToChargingStation(drone) {
+        let best = null;
+        let bestDistance = this.getDistanceBetween(drone.location, drone.baseLocation);
+
+        for (const station of this.chargingStations.values()) {
+            const distance = this.getDistanceBetween(drone.location, station.location);
+            if (distance < bestDistance && distance >= 0.1) {
+                best = station;
+                bestDistance = distance;
+            }
+        }
+
+        if (best) {
+            drone.returnTarget = { ...best.location };
+            drone.returnPath = null;
+            this.logEvent(`Drone ${drone.name} desviou para a estação de recarga "${best.name}"`, 'warning');
+            this.emit('droneDiverted', { drone, station: best });
+        }
+
+        return best;
+    }
+
+    /**
+     * Start a battery swap for a drone landing at a swap depot
+     * Under the 'swap' policy a drone that finds no charged pack waits for one;
+     * under 'swap_or_charge' it falls back to a charging bay.
+     * @param {Drone} drone - Drone needing energy
+     * @returns {boolean} True if the drone is swapping or waiting for a pack
+     */
+    trySwapBattery(drone) {
+        const depot = Array.from(this.depots.values()).find(d =>
+            d.offersSwap() && Math.hypot(d.location.x - drone.location.x, d.location.y - drone.location.y) < 0.1);
+        if (!depot) return false;
+
+        const inventory = depot.batteryInventory;
+        const starvedBefore = inventory.stats.starvationEvents;
+
+        if (inventory.takePack(drone.id, this.currentTime)) {
+            this.batterySwaps.set(drone.id, depot);
+            drone.updateStatus('swapping');
+            this.logEvent(`Drone ${drone.name} trocando bateria no depósito ${depot.name}`);
+            this.emit('batterySwapStarted', { drone, depot });
+            return true;
+        }
+
+        if (inventory.stats.starvationEvents > starvedBefore) {
+            this.logEvent(`Depósito ${depot.name} sem baterias carregadas para o drone ${drone.name}`, 'warning');
+            this.emit('batteryStarvation', { drone, depot });
+        }
+
+        if (depot.energyPolicy === 'swap_or_charge') {
+            inventory.stopWaiting(drone.id, this.currentTime);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Finish a battery swap once the depot's swap time has passed
+     * @param {Drone} drone - Swapping drone
+     */
+    progressBatterySwap(drone) {
+        const depot = this.batterySwaps.get(drone.id);
+        if (!depot) {
+            drone.updateStatus('idle');
+            return;
+        }
+
+        if (this.currentTime - drone.lastStatusChange >= depot.batteryInventory.swapTime) {
+            depot.batteryInventory.returnPack(drone.batteryLevel);
+            drone.batteryLevel = 100;
+            this.batterySwaps.delete(drone.id);
+            drone.updateStatus('idle');
+            this.emit('batterySwapCompleted', { drone, depot });
+        }
+    }
+
+    /**
+     * Get utilization and wait metrics per station
+     * @returns {Array} Station metrics
+     */
+    getChargingReport() {
+        return Array.from(this.chargingStations.values()).map(station => station.getMetrics(this.currentTime));
+    }
+
+    /**
+     * Return an undelivered order's item to the depot that supplied it
+     * @param {Order} order - Order going back to the queue or cancelled
+     */
+    returnOrderStock(order) {
+        const depot = this.depots.get(order.depotId);
+        if (depot) {
+            depot.restock(order.item);
+        }
+        order.depotId = null;
+    }
+
     /**
      * Add order to simulation
      * @param {Order} order - Order to add
+     * @param {number} arrivalTime - Simulation time the order arrived (defaults to now)
      */
-    addOrder(order) {
+    addOrder(order, arrivalTime = this.currentTime) {
+        order.simulationTimestamp = arrivalTime;
+        if (order.statusHistory.length === 0) {
+            order.statusHistory.push({ status: order.status, time: arrivalTime });
+        }
         this.orders.set(order.id, order);
         this.logEvent(`Pedido ${order.id} adicionado (${order.customerName})`);
         this.emit('orderAdded', { order });
     }
 
+    /**
+     * Schedule an order to arrive at a future simulation time
+     * @param {Order} order - Order to add
+     * @param {number} arrivalTime - Simulation time (seconds) when the order arrives
+     */
+    scheduleOrder(order, arrivalTime) {
+        if (arrivalTime <= this.currentTime) {
+            this.addOrder(order, arrivalTime);
+            return;
+        }
+
+        // Insert after any entry with the same time so arrivals keep their given order
+        let index = this.scheduledOrders.length;
+        while (index > 0 && this.scheduledOrders[index - 1].arrivalTime > arrivalTime) {
+            index--;
+        }
+        this.scheduledOrders.splice(index, 0, { order, arrivalTime });
+    }
+
+    /**
+     * Add every scheduled order whose arrival time has been reached
+     */
+    releaseScheduledOrders() {
+        while (this.scheduledOrders.length > 0 && this.scheduledOrders[0].arrivalTime <= this.currentTime) {
+            const { order, arrivalTime } = this.scheduledOrders.shift();
+            this.addOrder(order, arrivalTime);
+        }
+    }
+
+    /**
+     * Attach a stochastic order generator
+     * @param {OrderGenerator} generator - Generator feeding orders over simulation time
+     * @returns {OrderGenerator} The attached generator
+     */
+    addOrderGenerator(generator) {
+        if (!generator.random) {
+            // Independent stream so adding a generator doesn't shift other random draws
+            generator.random = this.random.fork(`generator-${this.orderGenerators.length}`);
+        }
+        if (!generator.grid) {
+            generator.grid = { ...this.gridSize };
+        }
+
+        this.orderGenerators.push(generator);
+        this.logEvent(`Gerador de pedidos "${generator.name}" ativado (${generator.config.rate} pedidos/h)`, 'info');
+        this.emit('orderGeneratorAdded', { generator });
+        return generator;
+    }
+
+    /**
+     * Detach an order generator
+     * @param {OrderGenerator} generator - Generator to remove
+     */
+    removeOrderGenerator(generator) {
+        const index = this.orderGenerators.indexOf(generator);
+        if (index !== -1) {
+            this.orderGenerators.splice(index, 1);
+            this.logEvent(`Gerador de pedidos "${generator.name}" desativado`, 'info');
+            this.emit('orderGeneratorRemoved', { generator });
+        }
+    }
+
+    /**
+     * Schedule orders produced by the generators in (fromTime, toTime]
+     * @param {number} fromTime - Step start (simulation seconds)
+     * @param {number} toTime - Step end (simulation seconds)
+     */
+    generateOrders(fromTime, toTime) {
+        const arrivals = [];
+        for (const generator of this.orderGenerators) {
+            for (const arrival of generator.generateArrivals(fromTime, toTime)) {
+                arrivals.push({ ...arrival, order: new Order(arrival.orderData, generator.random) });
+            }
+        }
+
+        // Interleave generators by arrival time; sort is stable for ties
+        arrivals.sort((a, b) => a.arrivalTime - b.arrivalTime);
+        arrivals.forEach(({ order, arrivalTime }) => this.scheduleOrder(order, arrivalTime));
+    }
+
     /**
      * Remove/cancel order
      * @param {string} orderId - Order ID to remove
@@ -341,10 +1412,11 @@ class SimulationEngine {
     cancelOrder(orderId) {
         const order = this.orders.get(orderId);
         if (order) {
-            order.updateStatus('cancelled');
+            order.updateStatus('cancelled', { time: this.currentTime });
             
             // Remove from assigned drone
             if (order.assignedDrone) {
+                this.returnOrderStock(order);
                 const drone = this.drones.get(order.assignedDrone);
                 if (drone) {
                     drone.currentOrders = drone.currentOrders.filter(o => o.id !== orderId);
@@ -366,10 +1438,235 @@ class SimulationEngine {
      */
     addObstacle(obstacle) {
         this.obstacles.push(obstacle);
+        if (this.pathPlanner) {
+            this.pathPlanner.setObstacles(this.obstacles, this.gridSize);
+        }
         this.logEvent(`Obstáculo adicionado em (${obstacle.x}, ${obstacle.y})`);
         this.emit('obstacleAdded', { obstacle });
     }
 
+    /**
+     * Add restricted airspace
+     * @param {NoFlyZone|Object} zoneData - Zone or zone data {name, polygon, windows, period}
+     * @returns {NoFlyZone} The added zone
+     */
+    addNoFlyZone(zoneData) {
+        const zone = zoneData instanceof NoFlyZone ? zoneData : new NoFlyZone(zoneData);
+        const validation = zone.validate();
+        if (!validation.isValid) {
+            throw new Error(`Invalid no-fly zone: ${validation.errors.join('; ')}`);
+        }
+
+        this.noFlyZones.push(zone);
+        this.logEvent(`Zona de exclusão aérea "${zone.name}" registrada`);
+        this.emit('noFlyZoneAdded', { zone });
+        this.updateNoFlyZones();
+
+        return zone;
+    }
+
+    /**
+     * Remove restricted airspace
+     * @param {string} zoneId - Zone ID
+     */
+    removeNoFlyZone(zoneId) {
+        const zone = this.noFlyZones.find(z => z.id === zoneId);
+        if (zone) {
+            this.noFlyZones = this.noFlyZones.filter(z => z.id !== zoneId);
+            this.logEvent(`Zona de exclusão aérea "${zone.name}" removida`);
+            this.emit('noFlyZoneRemoved', { zone });
+            this.updateNoFlyZones();
+        }
+    }
+
+    /**
+     * Get zones active at the current simulation time
+     * @returns {Array} Active zones
+     */
+    getActiveNoFlyZones() {
+        return this.noFlyZones.filter(zone => this.activeNoFlyZoneIds.has(zone.id));
+    }
+
+    /**
+     * Find active zone containing a point
+     * @param {Object} point - Point {x, y}
+     * @returns {NoFlyZone|null} Zone or null
+     */
+    getActiveNoFlyZoneAt(point) {
+        return this.getActiveNoFlyZones().find(zone => zone.containsPoint(point)) || null;
+    }
+
+    /**
+     * Sync active zones with the clock, update the planner and re-plan affected flights
+     */
+    updateNoFlyZones() {
+        const active = this.noFlyZones.filter(zone => zone.isActiveAt(this.currentTime));
+        const activeIds = new Set(active.map(zone => zone.id));
+        const activated = active.filter(zone => !this.activeNoFlyZoneIds.has(zone.id));
+        const deactivated = this.noFlyZones.filter(zone => this.activeNoFlyZoneIds.has(zone.id) && !activeIds.has(zone.id));
+
+        if (activated.length === 0 && activeIds.size === this.activeNoFlyZoneIds.size) {
+            return;
+        }
+
+        this.activeNoFlyZoneIds = activeIds;
+        if (this.pathPlanner) {
+            this.pathPlanner.setNoFlyZones(active.map(zone => zone.polygon));
+        }
+
+        activated.forEach(zone => {
+            this.logEvent(`Zona de exclusão aérea "${zone.name}" ativada`, 'warning');
+            this.emit('noFlyZoneActivated', { zone });
+        });
+        deactivated.forEach(zone => {
+            this.logEvent(`Zona de exclusão aérea "${zone.name}" desativada`, 'info');
+            this.emit('noFlyZoneDeactivated', { zone });
+        });
+
+        if (activated.length > 0) {
+            this.replanAroundZones(activated);
+        }
+    }
+
+    /**
+     * Re-plan drones whose remaining path crosses newly active zones
+     * Deliveries inside a zone are dropped from the route and go back to the queue.
+     * @param {Array} zones - Newly active zones
+     */
+    replanAroundZones(zones) {
+        for (const drone of this.drones.values()) {
+            if (!['loading', 'flying', 'delivering', 'returning'].includes(drone.status)) continue;
+
+            const path = drone.getRemainingPath();
+            const blocking = zones.filter(zone => zone.intersectsPath(path) || path.some(point => zone.containsPoint(point)));
+            if (blocking.length === 0) continue;
+
+            const dropped = drone.replanRoute(point => blocking.some(zone => zone.containsPoint(point)));
+            const zoneNames = blocking.map(zone => `"${zone.name}"`).join(', ');
+
+            this.logEvent(`Drone ${drone.name} replanejou a rota para evitar ${zoneNames}`, 'warning');
+            this.emit('droneRerouted', { drone, zones: blocking });
+
+            this.requeueOrders(dropped, 'entrega dentro de zona de exclusão aérea');
+        }
+    }
+
+    /**
+     * Handle a pending order whose delivery point is inside an active zone
+     * Permanent zones reject the order; temporary ones hold it until they close.
+     * @param {Order} order - Pending order
+     * @param {NoFlyZone} zone - Zone containing the delivery point
+     */
+    handleOrderInNoFlyZone(order, zone) {
+        if (zone.isPermanentFrom(this.currentTime)) {
+            order.updateStatus('cancelled', { time: this.currentTime });
+            this.orders.delete(order.id);
+            this.completedOrders.push(order);
+            this.heldOrderIds.delete(order.id);
+            this.logEvent(`Pedido ${order.id} rejeitado: entrega dentro da zona de exclusão aérea "${zone.name}"`, 'error');
+            this.emit('orderRejected', { order, zone });
+        } else if (!this.heldOrderIds.has(order.id)) {
+            this.heldOrderIds.add(order.id);
+            this.logEvent(`Pedido ${order.id} aguardando: entrega dentro da zona de exclusão aérea "${zone.name}"`, 'warning');
+        }
+    }
+
+    /**
+     * Log airborne drones inside active zones (once per entry)
+     */
+    checkNoFlyViolations() {
+        const stillInside = new Set();
+
+        for (const drone of this.drones.values()) {
+            if (!['flying', 'delivering', 'returning'].includes(drone.status)) continue;
+
+            for (const zone of this.getActiveNoFlyZones()) {
+                if (!zone.containsPoint(drone.location)) continue;
+
+                const key = `${drone.id}|${zone.id}`;
+                stillInside.add(key);
+
+                if (!this.openViolations.has(key)) {
+                    const violation = { time: this.currentTime, droneId: drone.id, zoneId: zone.id, location: { ...drone.location } };
+                    this.noFlyViolations.push(violation);
+                    this.logEvent(`Violação: drone ${drone.name} dentro da zona de exclusão aérea "${zone.name}"`, 'error');
+                    this.emit('noFlyViolation', { drone, zone, violation });
+                }
+            }
+        }
+
+        this.openViolations = stillInside;
+    }
+
+    /**
+     * Set (or clear) the wind and weather field
+     * @param {WeatherField|Object|null} fieldData - Field, field data with keyframes, or generation options
+     * @returns {WeatherField|null} The active field
+     */
+    setWeatherField(fieldData) {
+        if (!fieldData) {
+            this.weatherField = null;
+            this.groundedDroneIds.clear();
+            this.drones.forEach(drone => { drone.weather = null; });
+            this.logEvent('Campo de vento e clima removido');
+            this.emit('weatherChanged', { field: null });
+            return null;
+        }
+
+        const field = WeatherField.fromConfig(fieldData, this.random ? this.random.fork('weather') : null);
+        const validation = field.validate();
+        if (!validation.isValid) {
+            throw new Error(`Invalid weather field: ${validation.errors.join('; ')}`);
+        }
+
+        this.weatherField = field;
+        this.logEvent(`Campo de vento e clima ativo (${field.keyframes.length} quadros)`);
+        this.emit('weatherChanged', { field });
+        return field;
+    }
+
+    /**
+     * Get local weather conditions
+     * @param {Object} point - Location {x, y}
+     * @returns {Object|null} Conditions, or null without a weather field
+     */
+    getWeatherAt(point) {
+        return this.weatherField ? this.weatherField.getConditionsAt(point, this.currentTime) : null;
+    }
+
+    /**
+     * Ground drones where the weather exceeds the flight limits
+     * Idle drones are held at base; drones on a mission abort, fly home and
+     * their undelivered orders go back to the queue. Drones already returning
+     * keep going.
+     * @param {Drone} drone - Drone with up-to-date local weather
+     */
+    checkWeatherLimits(drone) {
+        const reason = drone.weather ? this.weatherField.getLimitExceeded(drone.weather) : null;
+
+        if (!reason) {
+            if (this.groundedDroneIds.delete(drone.id) && drone.status === 'idle') {
+                this.logEvent(`Drone ${drone.name} liberado para voo: condições meteorológicas dentro dos limites`, 'success');
+            }
+            return;
+        }
+
+        if (['loading', 'flying', 'delivering'].includes(drone.status)) {
+            const aborted = drone.replanRoute(() => true);
+            drone.updateStatus('returning');
+            this.statistics.weatherAborts++;
+            this.logEvent(`Drone ${drone.name} abortou a missão: ${reason}`, 'warning');
+            this.emit('droneGrounded', { drone, reason, orders: aborted });
+
+            this.requeueOrders(aborted, 'missão abortada pelo clima');
+        } else if (drone.status === 'idle' && !this.groundedDroneIds.has(drone.id)) {
+            this.logEvent(`Drone ${drone.name} retido em solo: ${reason}`, 'warning');
+            this.emit('droneGrounded', { drone, reason, orders: [] });
+        }
+
+        this.groundedDroneIds.add(drone.id);
+    }
+
     /**
      * Set simulation speed
      * @param {number} speed - Simulation speed multiplier
@@ -396,12 +1693,12 @@ class SimulationEngine {
         this.statistics.totalDistance = drones.reduce((sum, drone) => sum + drone.totalDistanceTraveled, 0);
         this.statistics.batteryConsumption = drones.reduce((sum, drone) => sum + drone.totalBatteryUsed, 0);
         
-        // Calculate average delivery time
-        const deliveredOrders = this.completedOrders.filter(o => o.actualDeliveryTime);
+        // Calculate average delivery time on the simulation clock
+        const deliveredOrders = this.completedOrders.filter(o => typeof o.simulationDeliveryTime === 'number');
         if (deliveredOrders.length > 0) {
             const avgTime = deliveredOrders.reduce((sum, order) => 
-                sum + (order.actualDeliveryTime - order.timestamp), 0) / deliveredOrders.length;
-            this.statistics.averageDeliveryTime = avgTime / (1000 * 60); // Convert to minutes
+                sum + (order.simulationDeliveryTime - order.simulationTimestamp), 0) / deliveredOrders.length;
+            this.statistics.averageDeliveryTime = avgTime / 60; // Convert to minutes
         }
         
         // Calculate efficiency
@@ -409,6 +1706,7 @@ class SimulationEngine {
             this.statistics.efficiency = (this.statistics.successfulDeliveries / this.statistics.totalDeliveries) * 100;
         }
         
+        this.statistics.noFlyViolations = this.noFlyViolations.length;
         this.statistics.uptime = this.currentTime;
     }
 
@@ -487,11 +1785,18 @@ class SimulationEngine {
         return {
             isRunning: this.isRunning,
             isPaused: this.isPaused,
+            seed: this.random ? this.random.seed : null,
             speed: this.speed,
             currentTime: this.currentTime,
             statistics: { ...this.statistics },
             dronesCount: this.drones.size,
             ordersCount: this.orders.size,
+            scheduledOrdersCount: this.scheduledOrders.length,
+            orderGeneratorsCount: this.orderGenerators.length,
+            depotsCount: this.depots.size,
+            chargingStationsCount: this.chargingStations.size,
+            weather: this.getWeatherAt(this.baseLocation),
+            groundedDrones: this.groundedDroneIds.size,
             eventLogSize: this.eventLog.length
         };
     }
@@ -532,16 +1837,68 @@ class SimulationEngine {
                 averageDeliveryTime: this.statistics.averageDeliveryTime
             },
             drones: droneStats,
+            depots: this.getDepotReport(),
+            chargingStations: this.getChargingReport(),
             performance: {
                 totalDistance: this.statistics.totalDistance,
                 batteryConsumption: this.statistics.batteryConsumption,
                 activeDrones: this.statistics.activeDrones,
-                pendingOrders: this.statistics.pendingOrders
+                pendingOrders: this.statistics.pendingOrders,
+                noFlyViolations: this.statistics.noFlyViolations,
+                weatherAborts: this.statistics.weatherAborts,
+                routeFailovers: this.statistics.routeFailovers,
+                insertedOrders: this.statistics.insertedOrders,
+                reassignments: this.statistics.reassignments,
+                preemptions: this.statistics.preemptions,
+                lateDeliveries: this.statistics.lateDeliveries,
+                totalLateness: this.statistics.totalLateness,
+                latenessPenalty: this.statistics.latenessPenalty,
+                missedWindows: this.statistics.missedWindows
+            },
+            dispatch: {
+                mode: this.dispatchMode,
+                policy: this.dispatchPolicy ? this.dispatchPolicy.type || this.dispatchPolicy.name || null : null,
+                trips: this.statistics.dispatchedTrips,
+                ordersPerTrip: this.statistics.dispatchedTrips > 0
+                    ? this.statistics.dispatchedOrders / this.statistics.dispatchedTrips
+                    : 0
             },
             events: this.eventLog.slice(-50) // Last 50 events
         };
     }
 
+    /**
+     * Break down performance per depot
+     * @returns {Array} Per-depot statistics
+     */
+    getDepotReport() {
+        return Array.from(this.depots.values()).map(depot => {
+            const drones = Array.from(this.drones.values()).filter(drone => drone.homeDepotId === depot.id);
+            const orders = this.completedOrders.filter(order => order.depotId === depot.id);
+            const delivered = orders.filter(order => order.status === 'delivered' && typeof order.simulationDeliveryTime === 'number');
+            const station = Array.from(this.chargingStations.values()).find(s => s.depotId === depot.id);
+            const totalDeliveryTime = delivered.reduce((sum, order) =>
+                sum + (order.simulationDeliveryTime - order.simulationTimestamp), 0);
+
+            return {
+                id: depot.id,
+                name: depot.name,
+                drones: drones.length,
+                capacity: depot.capacity === Infinity ? null : depot.capacity,
+                chargingBays: depot.chargingBays === Infinity ? null : depot.chargingBays,
+                baysInUse: station ? station.charging.size : 0,
+                dispatchedOrders: depot.stats.dispatchedOrders,
+                deliveries: delivered.length,
+                failedDeliveries: orders.filter(order => order.status === 'cancelled').length,
+                averageDeliveryTime: delivered.length > 0 ? totalDeliveryTime / delivered.length / 60 : 0, // minutes
+                distance: drones.reduce((sum, drone) => sum + drone.totalDistanceTraveled, 0),
+                inventory: depot.inventory ? { ...depot.inventory } : null,
+                energyPolicy: depot.energyPolicy,
+                batteryPacks: depot.batteryInventory ? depot.batteryInventory.getMetrics(this.currentTime) : null
+            };
+        });
+    }
+
     /**
      * Export simulation data
      * @returns {Object} Exportable data
@@ -551,10 +1908,17 @@ class SimulationEngine {
             version: '1.0',
             timestamp: new Date().toISOString(),
             state: this.getState(),
+            depots: Array.from(this.depots.values()).map(depot => depot.toJSON()),
+            // Depot stations are rebuilt from their depots
+            chargingStations: Array.from(this.chargingStations.values())
+                .filter(station => !station.depotId)
+                .map(station => station.toJSON()),
             drones: Array.from(this.drones.values()).map(d => d.toJSON()),
             orders: Array.from(this.orders.values()).map(o => o.toJSON()),
             completedOrders: this.completedOrders.map(o => o.toJSON()),
             obstacles: this.obstacles,
+            noFlyZones: this.noFlyZones.map(zone => zone.toJSON()),
+            weather: this.weatherField ? this.weatherField.toJSON() : null,
             eventLog: this.eventLog,
             statistics: this.statistics
         };
@@ -568,6 +1932,17 @@ class SimulationEngine {
         this.stop();
         this.reset();
         
+        // Restore depots first so drones can be homed
+        if (data.depots) {
+            this.depots.clear();
+            this.chargingStations.clear();
+            data.depots.forEach(depotData => this.addDepot(depotData));
+        }
+
+        if (data.chargingStations) {
+            data.chargingStations.forEach(stationData => this.addChargingStation(stationData));
+        }
+
         // Restore drones
         if (data.drones) {
             for (const droneData of data.drones) {
@@ -587,6 +1962,18 @@ class SimulationEngine {
         // Restore other state
         if (data.obstacles) {
             this.obstacles = data.obstacles;
+            if (this.pathPlanner) {
+                this.pathPlanner.setObstacles(this.obstacles, this.gridSize);
+            }
+        }
+
+        if (data.noFlyZones) {
+            this.noFlyZones = [];
+            data.noFlyZones.forEach(zoneData => this.addNoFlyZone(zoneData));
+        }
+
+        if (data.weather) {
+            this.setWeatherField(data.weather);
         }
         
         if (data.statistics) {
@@ -598,18 +1985,64 @@ class SimulationEngine {
 
     /**
      * Handle delivery completion
+     * Late deliveries against a time window are charged the order's penalty
+     * (or windowOptions.latenessPenalty) per second late.
      * @param {Order} order - Completed order
      */
     handleDeliveryCompletion(order) {
+        order.simulationDeliveryTime = this.currentTime;
+
         // Move to completed orders
         this.completedOrders.push(order);
         this.orders.delete(order.id);
         
         this.logEvent(`Pedido ${order.id} entregue com sucesso para ${order.customerName}`, 'success');
+
+        const lateness = order.getLateness();
+        if (lateness > 0) {
+            const rate = order.timeWindow.penalty !== null ? order.timeWindow.penalty : this.windowOptions.latenessPenalty;
+            this.statistics.lateDeliveries++;
+            this.statistics.totalLateness += lateness;
+            this.statistics.latenessPenalty += lateness * rate;
+            this.logEvent(`Pedido ${order.id} entregue com ${Math.round(lateness)}s de atraso`, 'warning');
+        }
+
         this.emit('deliveryCompleted', { order });
     }
 }
 
+// Dispatcher modes: one order per trip, or multi-stop trips
+SimulationEngine.DISPATCH_MODES = ['single', 'batched'];
+
+// Batched trips: at most maxStops orders, each adding at most maxDetour to the route
+SimulationEngine.DEFAULT_BATCH_OPTIONS = {
+    maxStops: 4,
+    maxDetour: 30
+};
+
+// Urgent orders joining a route in flight: at most maxDetour added to the
+// route and maxDelay seconds of delay for every stop already planned
+SimulationEngine.DEFAULT_INSERTION_OPTIONS = {
+    enabled: true,
+    maxDetour: 30,
+    maxDelay: 60
+};
+
+// Urgent orders bumping batches made only of these priorities; drones in
+// flight are recalled only within maxRecallDistance of their base
+SimulationEngine.DEFAULT_PREEMPTION_OPTIONS = {
+    enabled: true,
+    priorities: ['baixa'],
+    maxRecallDistance: 15
+};
+
+// Time windows: lateness cost per second late (unless the order sets its
+// own penalty) and how long before a window opens its order is dispatched
+SimulationEngine.DEFAULT_WINDOW_OPTIONS = {
+    latenessPenalty: 1,
+    releaseLead: 120
+};
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = SimulationEngine;
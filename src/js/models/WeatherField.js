@@ -0,0 +1,304 @@
+/**
+ * Weather field model - Time-varying wind and precipitation over the grid
+ * DTI Digital - Logistics Drone Simulation
+ *
+ * Conditions come from keyframes {time, wind: {speed, direction}, precipitation}
+ * interpolated linearly in time (wind as a vector, so direction turns smoothly).
+ * Spatial variation is seeded value noise: wind speed at a point is scaled by
+ * 1 + turbulence * noise, with noise in [-1, 1] and correlated over cellSize.
+ * Directions are degrees towards which the wind blows: 0 = +x, 90 = +y.
+ * Wind speed uses the same unit as drone speed.
+ */
+
+class WeatherField {
+    /**
+     * @param {Object} fieldData - Field data
+     * @param {Array} fieldData.keyframes - Keyframes [{time, wind: {speed, direction}, precipitation}] in simulation seconds
+     * @param {Object} fieldData.limits - Flight limits {maxWindSpeed, maxPrecipitation}
+     * @param {number} fieldData.turbulence - Spatial wind variation, 0 (uniform) to 1
+     * @param {number} fieldData.cellSize - Distance over which the spatial variation changes
+     * @param {number} fieldData.rainEnergyPenalty - Extra energy use at full precipitation (0.3 = +30%)
+     * @param {number} fieldData.period - Repeat keyframes every period seconds (optional)
+     * @param {number|string} fieldData.seed - Seed for the spatial variation
+     */
+    constructor(fieldData = {}) {
+        this.keyframes = (fieldData.keyframes || [])
+            .map(frame => ({
+                time: frame.time || 0,
+                wind: {
+                    speed: frame.wind && frame.wind.speed !== undefined ? frame.wind.speed : 0,
+                    direction: frame.wind && frame.wind.direction !== undefined ? frame.wind.direction : 0
+                },
+                precipitation: frame.precipitation || 0
+            }))
+            .sort((a, b) => a.time - b.time);
+        this.limits = { ...WeatherField.DEFAULT_LIMITS, ...(fieldData.limits || {}) };
+        this.turbulence = fieldData.turbulence || 0;
+        this.cellSize = fieldData.cellSize || 25;
+        this.rainEnergyPenalty = fieldData.rainEnergyPenalty !== undefined ? fieldData.rainEnergyPenalty : 0.3;
+        this.period = fieldData.period || null;
+        this.seed = fieldData.seed !== undefined ? fieldData.seed : null;
+        this.noiseSeed = this.seed !== null && typeof RandomGenerator !== 'undefined'
+            ? new RandomGenerator(this.seed).nextInt(0, 1e9)
+            : 0;
+    }
+
+    /**
+     * Generate a field from a seed: wind and rain drift as random walks
+     * @param {Object} options - Generation options
+     * @param {number|string} options.seed - Seed (omit to use the given generator)
+     * @param {number} options.duration - Simulation seconds to cover
+     * @param {number} options.interval - Seconds between keyframes
+     * @param {number} options.meanWindSpeed - Average wind speed
+     * @param {number} options.rainChance - Chance a keyframe starts or keeps a rain spell
+     * @param {RandomGenerator} random - Seeded random source (optional; options.seed takes precedence)
+     * @returns {WeatherField} Generated field
+     */
+    static generate(options = {}, random = null) {
+        const {
+            duration = 3600,
+            interval = 300,
+            meanWindSpeed = 15,
+            rainChance = 0.2,
+            turbulence = 0.3,
+            ...fieldData
+        } = options;
+        const source = options.seed !== undefined ? new RandomGenerator(options.seed) : (random || new RandomGenerator());
+        const keyframes = [];
+        let speed = Math.max(0, source.nextGaussian(meanWindSpeed, meanWindSpeed * 0.3));
+        let direction = source.nextFloat(0, 360);
+        let raining = false;
+
+        for (let time = 0; time <= duration; time += interval) {
+            raining = source.next() < (raining ? 0.6 : rainChance);
+            keyframes.push({
+                time,
+                wind: { speed: Math.round(speed * 10) / 10, direction: Math.round(direction) },
+                precipitation: raining ? Math.round(source.nextFloat(0.2, 1) * 100) / 100 : 0
+            });
+
+            // Mean-reverting drift so the wind stays around its average
+            speed = Math.max(0, speed + (meanWindSpeed - speed) * 0.3 + source.nextGaussian(0, meanWindSpeed * 0.25));
+            direction = (direction + source.nextGaussian(0, 20) + 360) % 360;
+        }
+
+        return new WeatherField({
+            ...fieldData,
+            keyframes,
+            turbulence,
+            seed: options.seed !== undefined ? options.seed : source.nextInt(0, 1e9)
+        });
+    }
+
+    /**
+     * Build a field from scenario configuration: keyframes are scripted, otherwise generated
+     * @param {Object} config - Field data, or generation options without keyframes
+     * @param {RandomGenerator} random - Seeded random source for generation (optional)
+     * @returns {WeatherField} Field
+     */
+    static fromConfig(config, random = null) {
+        if (config instanceof WeatherField) {
+            return config;
+        }
+
+        return Array.isArray(config.keyframes) ? new WeatherField(config) : WeatherField.generate(config, random);
+    }
+
+    /**
+     * Get the field-wide conditions at a simulation time
+     * @param {number} simTime - Simulation time in seconds
+     * @returns {Object} {wind: {x, y}, precipitation}
+     */
+    getBaseConditions(simTime) {
+        if (this.keyframes.length === 0) {
+            return { wind: { x: 0, y: 0 }, precipitation: 0 };
+        }
+
+        const time = this.period ? simTime % this.period : simTime;
+        const nextIndex = this.keyframes.findIndex(frame => frame.time > time);
+        const after = nextIndex === -1 ? this.keyframes[this.keyframes.length - 1] : this.keyframes[nextIndex];
+        const before = nextIndex <= 0 ? after : this.keyframes[nextIndex - 1];
+        const span = after.time - before.time;
+        const t = span > 0 ? (time - before.time) / span : 0;
+        const from = WeatherField.toVector(before.wind);
+        const to = WeatherField.toVector(after.wind);
+
+        return {
+            wind: { x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t },
+            precipitation: before.precipitation + (after.precipitation - before.precipitation) * t
+        };
+    }
+
+    /**
+     * Get conditions at a point
+     * @param {Object} point - Location {x, y}
+     * @param {number} simTime - Simulation time in seconds
+     * @returns {Object} {wind: {x, y}, windSpeed, direction, precipitation, energyFactor}
+     */
+    getConditionsAt(point, simTime) {
+        const base = this.getBaseConditions(simTime);
+        const scale = Math.max(0, 1 + this.turbulence * this.getNoise(point));
+        const wind = { x: base.wind.x * scale, y: base.wind.y * scale };
+        const windSpeed = Math.hypot(wind.x, wind.y);
+
+        return {
+            wind,
+            windSpeed,
+            direction: (Math.atan2(wind.y, wind.x) * 180 / Math.PI + 360) % 360,
+            precipitation: base.precipitation,
+            energyFactor: 1 + base.precipitation * this.rainEnergyPenalty
+        };
+    }
+
+    /**
+     * Check conditions against the flight limits
+     * @param {Object} conditions - Conditions from getConditionsAt
+     * @returns {string|null} Reason flights are grounded, or null when flyable
+     */
+    getLimitExceeded(conditions) {
+        if (conditions.windSpeed > this.limits.maxWindSpeed) {
+            return `vento de ${conditions.windSpeed.toFixed(1)} acima do limite de ${this.limits.maxWindSpeed}`;
+        }
+
+        if (conditions.precipitation > this.limits.maxPrecipitation) {
+            return `precipitação de ${Math.round(conditions.precipitation * 100)}% acima do limite de ${Math.round(this.limits.maxPrecipitation * 100)}%`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Sample the field on a regular lattice (for the grid overlay)
+     * @param {Object} gridSize - Grid size {width, height}
+     * @param {number} simTime - Simulation time in seconds
+     * @param {number} spacing - Distance between samples
+     * @returns {Array} Samples {x, y, ...conditions, grounded}
+     */
+    sampleGrid(gridSize, simTime, spacing = 10) {
+        const samples = [];
+
+        for (let y = spacing / 2; y < gridSize.height; y += spacing) {
+            for (let x = spacing / 2; x < gridSize.width; x += spacing) {
+                const conditions = this.getConditionsAt({ x, y }, simTime);
+                samples.push({ x, y, ...conditions, grounded: this.getLimitExceeded(conditions) !== null });
+            }
+        }
+
+        return samples;
+    }
+
+    /**
+     * Smooth value noise in [-1, 1], fixed in space
+     * @param {Object} point - Location {x, y}
+     * @returns {number} Noise value
+     */
+    getNoise(point) {
+        if (!this.turbulence) return 0;
+
+        const gx = point.x / this.cellSize;
+        const gy = point.y / this.cellSize;
+        const x0 = Math.floor(gx);
+        const y0 = Math.floor(gy);
+        const sx = WeatherField.smooth(gx - x0);
+        const sy = WeatherField.smooth(gy - y0);
+        const top = this.latticeValue(x0, y0) * (1 - sx) + this.latticeValue(x0 + 1, y0) * sx;
+        const bottom = this.latticeValue(x0, y0 + 1) * (1 - sx) + this.latticeValue(x0 + 1, y0 + 1) * sx;
+
+        return top * (1 - sy) + bottom * sy;
+    }
+
+    /**
+     * Deterministic pseudo-random value at a lattice corner
+     * @param {number} i - Column
+     * @param {number} j - Row
+     * @returns {number} Value in [-1, 1]
+     */
+    latticeValue(i, j) {
+        let h = (Math.imul(i, 374761393) + Math.imul(j, 668265263) + this.noiseSeed) | 0;
+        h = Math.imul(h ^ (h >>> 13), 1274126177);
+        h ^= h >>> 16;
+        return ((h >>> 0) / 4294967295) * 2 - 1;
+    }
+
+    /**
+     * Validate field data
+     * @returns {Object} Validation result with isValid boolean and errors array
+     */
+    validate() {
+        const errors = [];
+
+        this.keyframes.forEach((frame, index) => {
+            if (!(frame.time >= 0) || !(frame.wind.speed >= 0) || !isFinite(frame.wind.direction)) {
+                errors.push(`Quadro ${index} do clima deve ter tempo e velocidade do vento não negativos`);
+            }
+
+            if (!(frame.precipitation >= 0 && frame.precipitation <= 1)) {
+                errors.push(`Quadro ${index} do clima deve ter precipitação entre 0 e 1`);
+            }
+        });
+
+        if (!(this.limits.maxWindSpeed > 0) || !(this.limits.maxPrecipitation > 0)) {
+            errors.push('Limites de vento e precipitação devem ser maiores que zero');
+        }
+
+        if (!(this.turbulence >= 0 && this.turbulence <= 1)) {
+            errors.push('Turbulência deve estar entre 0 e 1');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * Convert field to JSON (generated fields export their keyframes, so they replay exactly)
+     * @returns {Object} JSON representation
+     */
+    toJSON() {
+        return {
+            keyframes: this.keyframes,
+            limits: this.limits,
+            turbulence: this.turbulence,
+            cellSize: this.cellSize,
+            rainEnergyPenalty: this.rainEnergyPenalty,
+            period: this.period,
+            seed: this.seed
+        };
+    }
+
+    /**
+     * Convert speed and direction to a vector
+     * @param {Object} wind - {speed, direction}
+     * @returns {Object} Vector {x, y}
+     */
+    static toVector(wind) {
+        const radians = wind.direction * Math.PI / 180;
+        return { x: wind.speed * Math.cos(radians), y: wind.speed * Math.sin(radians) };
+    }
+
+    /**
+     * Smoothstep easing for noise interpolation
+     * @param {number} t - Value in [0, 1]
+     * @returns {number} Eased value
+     */
+    static smooth(t) {
+        return t * t * (3 - 2 * t);
+    }
+}
+
+// Flights are grounded above these conditions
+WeatherField.DEFAULT_LIMITS = {
+    maxWindSpeed: 45,
+    maxPrecipitation: 0.8
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WeatherField;
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+    window.WeatherField = WeatherField;
+}
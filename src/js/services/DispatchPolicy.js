@@ -0,0 +1,307 @@
+/**
+ * Dispatch Policy - How the simulation engine pairs pending orders with idle drones
+ * DTI Digital - Logistics Drone Simulation
+ *
+ * The engine calls dispatch(orders, drones, engine) on every tick and loads
+ * the trips it returns. Built-in policies (DispatchPolicy.TYPES):
+ * - greedy: best weighted score of proximity, battery and spare capacity
+ * - nearest_idle: closest capable drone
+ * - round_robin: capable drones take turns in fleet order
+ * - batch_optimizer: groups nearby orders first (OptimizationService), then
+ *   gives each group to the best drone able to fly it
+ * - auction: every capable drone bids the share of its usable battery the
+ *   trip would take; the lowest bid wins
+ * - cvrp: solves a capacitated routing problem over all pending orders and
+ *   idle drones (OptimizationService.solveCVRP) and loads each drone's first
+ *   trip; later trips of the plan are re-planned once the queue or the idle
+ *   fleet changes
+ *
+ * Apart from batch_optimizer and cvrp, policies pick a drone for one order at a time
+ * and the engine's dispatch mode decides whether that trip takes more orders.
+ * Any object exposing dispatch(orders, drones, engine) can be plugged into the
+ * engine instead of this class.
+ */
+
+class DispatchPolicy {
+    /**
+     * @param {string} type - Policy type (see DispatchPolicy.TYPES)
+     */
+    constructor(type = 'greedy') {
+        if (!DispatchPolicy.TYPES[type]) {
+            throw new Error(`Unknown dispatch policy: ${type}`);
+        }
+
+        this.type = type;
+        this.name = DispatchPolicy.TYPES[type];
+        this.nextDroneIndex = 0; // round_robin turn, in fleet order
+        this.lastPlan = null; // cvrp: latest multi-trip plan, for inspection
+        this.lastPlanKey = null; // cvrp: pending orders and idle drones lastPlan was solved for
+    }
+
+    /**
+     * Plan this tick's trips
+     * @param {Array} orders - Dispatchable pending orders, highest priority first
+     * @param {Array} drones - Idle drones able to take off
+     * @param {SimulationEngine} engine - Engine (candidates, batching, depots)
+     * @returns {Array} Trips [{drone, depot, orders}], orders in priority order
+     */
+    dispatch(orders, drones, engine) {
+        if (this.type === 'batch_optimizer') {
+            return this.dispatchGroups(orders, drones, engine);
+        }
+
+        if (this.type === 'cvrp') {
+            return this.dispatchPlan(orders, drones, engine);
+        }
+
+        return this.dispatchOrders(orders, drones, engine);
+    }
+
+    /**
+     * Pick a drone for each order in turn, growing trips in batched mode
+     * @param {Array} orders - Pending orders, highest priority first
+     * @param {Array} drones - Idle drones
+     * @param {SimulationEngine} engine - Engine
+     * @returns {Array} Trips [{drone, depot, orders}]
+     */
+    dispatchOrders(orders, drones, engine) {
+        const trips = [];
+        const free = [...drones];
+        const taken = new Set();
+
+        for (const order of orders) {
+            if (taken.has(order) || free.length === 0) continue;
+
+            const choice = this.selectDrone(order, engine.getDispatchCandidates(order, free), engine);
+            if (!choice) continue;
+
+            const trip = engine.dispatchMode === 'batched'
+                ? engine.buildBatch(order, choice, orders.filter(o => !taken.has(o)))
+                : [order];
+
+            trip.forEach(o => taken.add(o));
+            free.splice(free.indexOf(choice.drone), 1);
+            trips.push({ ...choice, orders: trip });
+        }
+
+        return trips;
+    }
+
+    /**
+     * Choose among the drones able to serve an order
+     * @param {Order} order - Order to serve
+     * @param {Array} candidates - Capable {drone, depot} pairs
+     * @param {SimulationEngine} engine - Engine
+     * @returns {Object|null} Chosen {drone, depot}, or null
+     */
+    selectDrone(order, candidates, engine) {
+        if (candidates.length === 0) return null;
+
+        switch (this.type) {
+            case 'nearest_idle':
+                return this.pickMin(candidates, ({ drone }) => drone.getPathDistanceTo(order.location));
+
+            case 'round_robin': {
+                const fleet = Array.from(engine.drones.keys());
+                const turn = (id) => (fleet.indexOf(id) - this.nextDroneIndex + fleet.length) % fleet.length;
+                const choice = this.pickMin(candidates, ({ drone }) => turn(drone.id));
+                this.nextDroneIndex = (fleet.indexOf(choice.drone.id) + 1) % fleet.length;
+                return choice;
+            }
+
+            case 'auction':
+                return this.pickMin(candidates, ({ drone }) => this.getBid(drone, [order]));
+
+            default:
+                return this.pickMin(candidates, ({ drone }) =>
+                    -DispatchPolicy.scoreDrone(drone, [order], drone.getPathDistanceTo(order.location)));
+        }
+    }
+
+    /**
+     * Group nearby orders, then hand each group to the best drone that can fly it
+     * Groups no drone can take are split up and dispatched greedily.
+     * @param {Array} orders - Pending orders, highest priority first
+     * @param {Array} drones - Idle drones
+     * @param {SimulationEngine} engine - Engine
+     * @returns {Array} Trips [{drone, depot, orders}]
+     */
+    dispatchGroups(orders, drones, engine) {
+        if (orders.length === 0 || drones.length === 0) return [];
+
+        const optimizer = new OptimizationService(engine.random);
+        optimizer.setPathPlanner(engine.pathPlanner);
+
+        const trips = [];
+        const free = [...drones];
+        const groups = optimizer.groupOrdersForOptimalDelivery([...orders], free, engine.currentTime);
+
+        for (const group of groups) {
+            const center = optimizer.calculateCenterLocation(group);
+            const candidates = free
+                .map(drone => ({ drone, depot: engine.depots.get(drone.homeDepotId) || null }))
+                .filter(({ drone, depot }) => engine.canSupply(depot, group) && drone.canHandleOrders(group));
+            const choice = this.pickMin(candidates, ({ drone }) =>
+                -DispatchPolicy.scoreDrone(drone, group, drone.getPathDistanceTo(center)));
+
+            if (choice) {
+                free.splice(free.indexOf(choice.drone), 1);
+                trips.push({ ...choice, orders: group });
+                continue;
+            }
+
+            this.dispatchSingly(group, free, engine, trips);
+        }
+
+        return trips;
+    }
+
+    /**
+     * Route all pending orders over the idle fleet and load each drone's first trip
+     * The plan is solved again only when the pending orders or the idle
+     * drones change. Trips the drone or its depot cannot serve right now
+     * (weather, stock, hard windows) and first trips of drones that must
+     * recharge before them are split up and dispatched greedily.
+     * @param {Array} orders - Pending orders, highest priority first
+     * @param {Array} drones - Idle drones
+     * @param {SimulationEngine} engine - Engine
+     * @returns {Array} Trips [{drone, depot, orders}]
+     */
+    dispatchPlan(orders, drones, engine) {
+        if (orders.length === 0 || drones.length === 0) return [];
+
+        const key = `${orders.map(order => order.id).join(',')}|${drones.map(drone => `${drone.id}:${drone.batteryLevel}`).join(',')}`;
+        if (key !== this.lastPlanKey) {
+            const optimizer = new OptimizationService(engine.random);
+            optimizer.setPathPlanner(engine.pathPlanner);
+            this.lastPlan = optimizer.solveCVRP(orders, drones, { now: engine.currentTime });
+            this.lastPlanKey = key;
+        }
+
+        const trips = [];
+        const free = [...drones];
+        const deferred = [];
+
+        for (const { drone, trips: planned } of this.lastPlan.plans) {
+            const trip = orders.filter(order => planned[0].orders.includes(order));
+
+            // The drone would recharge first: offer its trip to drones that can fly now
+            if (planned[0].startTime > 0) {
+                deferred.push(trip);
+                continue;
+            }
+
+            const depot = engine.depots.get(drone.homeDepotId) || null;
+            if (free.includes(drone) && engine.canSupply(depot, trip) && drone.canHandleOrders(trip)) {
+                free.splice(free.indexOf(drone), 1);
+                trips.push({ drone, depot, orders: trip });
+                continue;
+            }
+
+            this.dispatchSingly(trip, free, engine, trips);
+        }
+
+        deferred.forEach(trip => this.dispatchSingly(trip, free, engine, trips));
+
+        return trips;
+    }
+
+    /**
+     * Fall back to one order per trip, each to the best-scoring capable drone
+     * @param {Array} group - Orders to dispatch
+     * @param {Array} free - Idle drones still free; chosen drones are removed
+     * @param {SimulationEngine} engine - Engine
+     * @param {Array} trips - Trips planned so far; new ones are appended
+     */
+    dispatchSingly(group, free, engine, trips) {
+        for (const order of group) {
+            const single = this.pickMin(engine.getDispatchCandidates(order, free), ({ drone }) =>
+                -DispatchPolicy.scoreDrone(drone, [order], drone.getPathDistanceTo(order.location)));
+            if (single) {
+                free.splice(free.indexOf(single.drone), 1);
+                trips.push({ ...single, orders: [order] });
+            }
+        }
+    }
+
+    /**
+     * Auction bid: share of the drone's usable battery the trip would take
+     * @param {Drone} drone - Bidding drone
+     * @param {Array} orders - Orders of the trip
+     * @returns {number} Bid (lower wins)
+     */
+    getBid(drone, orders) {
+        const energy = drone.estimateRouteEnergy(drone.planRoute(orders), orders);
+        return energy / Math.max(1e-9, drone.batteryLevel - drone.batteryReserve);
+    }
+
+    /**
+     * Pick the item with the lowest cost (first one on ties)
+     * @param {Array} items - Items
+     * @param {Function} cost - Cost function
+     * @returns {*} Cheapest item, or null
+     */
+    pickMin(items, cost) {
+        let best = null;
+        let bestCost = Infinity;
+
+        for (const item of items) {
+            const value = cost(item);
+            if (value < bestCost) {
+                best = item;
+                bestCost = value;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Score how well a drone suits a trip (higher is better)
+     * Shared by the engine's greedy dispatch, DroneService and OptimizationService.
+     * @param {Drone} drone - Candidate drone
+     * @param {Array} orders - Orders of the trip
+     * @param {number} distance - Distance from the drone to the trip
+     * @returns {number} Score: proximity 40%, battery 30%, spare capacity 30%
+     */
+    static scoreDrone(drone, orders, distance) {
+        const load = orders.reduce((sum, order) => sum + order.weight, 0);
+        const batteryScore = drone.batteryLevel / 100;
+        const capacityScore = (drone.capacity - load) / drone.capacity;
+
+        return batteryScore * 0.3 + capacityScore * 0.3 + (1 / (distance + 1)) * 0.4;
+    }
+
+    /**
+     * Build a policy from a type name, or pass a pluggable policy through
+     * @param {string|Object} policy - Type name or object exposing dispatch()
+     * @returns {Object} Policy
+     */
+    static from(policy) {
+        if (policy && typeof policy.dispatch === 'function') {
+            return policy;
+        }
+
+        return new DispatchPolicy(policy);
+    }
+}
+
+// Built-in policies and their display names
+DispatchPolicy.TYPES = {
+    greedy: 'Guloso',
+    nearest_idle: 'Drone ocioso mais próximo',
+    round_robin: 'Rodízio',
+    batch_optimizer: 'Otimizador de lotes',
+    auction: 'Leilão',
+    cvrp: 'Roteirização capacitada (CVRP)'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DispatchPolicy;
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+    window.DispatchPolicy = DispatchPolicy;
+}
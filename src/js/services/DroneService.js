@@ -4,7 +4,11 @@
  */
 
 class DroneService {
-    constructor() {
+    /**
+     * @param {RandomGenerator} random - Seeded random source for drone IDs (optional)
+     */
+    constructor(random = null) {
+        this.random = random;
         this.drones = new Map();
         this.droneCounter = 1;
     }
@@ -34,7 +38,7 @@ class DroneService {
             }
 
             // Create drone instance
-            const drone = new Drone(droneData);
+            const drone = new Drone(droneData, this.random);
             this.drones.set(drone.id, drone);
 
             return { success: true, drone: drone };
@@ -153,6 +157,7 @@ class DroneService {
 
     /**
      * Find best drone for order
+     * Uses the same score as the engine's greedy dispatch (DispatchPolicy.scoreDrone).
      * @param {Order} order - Order to assign
      * @param {Array} availableDrones - Available drones (optional)
      * @returns {Drone|null} Best suitable drone
@@ -168,7 +173,7 @@ class DroneService {
         for (const drone of drones) {
             if (!order.canBeAssignedTo(drone)) continue;
 
-            const score = this.calculateDroneOrderScore(drone, order);
+            const score = DispatchPolicy.scoreDrone(drone, [order], drone.getPathDistanceTo(order.location));
             if (score > bestScore) {
                 bestScore = score;
                 bestDrone = drone;
@@ -178,41 +183,6 @@ class DroneService {
         return bestDrone;
     }
 
-    /**
-     * Calculate compatibility score between drone and order
-     * @param {Drone} drone - Drone to evaluate
-     * @param {Order} order - Order to evaluate
-     * @returns {number} Compatibility score (0-100)
-     */
-    calculateDroneOrderScore(drone, order) {
-        // Distance factor (closer is better)
-        const distance = drone.getDistanceTo(order.location);
-        const maxDistance = Math.sqrt(2) * 100; // Maximum possible distance in 100x100 grid
-        const distanceScore = (1 - (distance / maxDistance)) * 100;
-
-        // Battery factor
-        const batteryScore = drone.batteryLevel;
-
-        // Capacity utilization factor
-        const capacityUtilization = (order.weight / drone.capacity) * 100;
-        const capacityScore = capacityUtilization > 80 ? capacityUtilization : 100 - capacityUtilization;
-
-        // Speed factor
-        const speedScore = Math.min(drone.speed / 60 * 100, 100);
-
-        // Efficiency factor
-        const efficiencyScore = drone.stats.efficiencyScore;
-
-        // Weighted average
-        return (
-            distanceScore * 0.3 +
-            batteryScore * 0.25 +
-            capacityScore * 0.2 +
-            speedScore * 0.1 +
-            efficiencyScore * 0.15
-        );
-    }
-
     /**
      * Get drone performance statistics
      * @param {string} droneId - Drone ID (optional)
@@ -294,6 +264,9 @@ class DroneService {
 
     /**
      * Force drone to return to base
+     * Outside a simulation the orders simply go back to pending; a running
+     * simulation hands parcels on board off at the base instead
+     * (SimulationEngine.recallDrone).
      * @param {string} droneId - Drone ID
      * @returns {Object} Command result
      */
@@ -310,6 +283,7 @@ class DroneService {
 
             // Cancel current orders and return to base
             for (const order of drone.currentOrders) {
+                order.recordAssignment('requeued', { droneId: drone.id, reason: 'drone chamado de volta' });
                 order.updateStatus('pending');
                 order.assignedDrone = null;
             }
@@ -448,11 +422,18 @@ class DroneService {
 
         const {
             orderWeight = 5,
-            deliveryDistance = 25,
             weatherCondition = 'normal', // normal, windy, rainy
             batteryStartLevel = drone.batteryLevel
         } = conditions;
 
+        // A destination gives the real round trip from base, detouring around obstacles
+        let deliveryDistance = conditions.deliveryDistance !== undefined ? conditions.deliveryDistance : 25;
+        if (conditions.destination) {
+            deliveryDistance = drone.pathPlanner
+                ? drone.pathPlanner.getRouteDistance([drone.baseLocation, conditions.destination, drone.baseLocation])
+                : CalculationUtils.calculateDistance(drone.baseLocation, conditions.destination) * 2;
+        }
+
         // Weather impact factors
         const weatherFactors = {
             normal: { speedFactor: 1.0, batteryFactor: 1.0 },
@@ -462,12 +443,13 @@ class DroneService {
 
         const weather = weatherFactors[weatherCondition] || weatherFactors.normal;
         const effectiveSpeed = drone.speed * weather.speedFactor;
-        const batteryConsumption = (deliveryDistance * 2) * weather.batteryFactor;
+        const batteryConsumption = this.estimateDeliveryEnergy(drone, deliveryDistance, orderWeight, effectiveSpeed) * weather.batteryFactor;
         const deliveryTime = (deliveryDistance / effectiveSpeed) * 60; // minutes
 
         return {
             canComplete: (batteryStartLevel >= batteryConsumption && orderWeight <= drone.capacity),
             estimatedTime: deliveryTime,
+            distance: deliveryDistance,
             batteryUsed: batteryConsumption,
             remainingBattery: Math.max(0, batteryStartLevel - batteryConsumption),
             conditions: conditions,
@@ -479,6 +461,27 @@ class DroneService {
         };
     }
 
+    /**
+     * Estimate battery for a single-order round trip with the drone's energy model
+     * @param {Drone} drone - Drone flying the trip
+     * @param {number} roundTripDistance - Distance out and back
+     * @param {number} orderWeight - Payload on the outbound leg
+     * @param {number} speed - Airspeed
+     * @returns {number} Battery consumed (percentage)
+     */
+    estimateDeliveryEnergy(drone, roundTripDistance, orderWeight, speed) {
+        if (!drone.energyModel) {
+            return roundTripDistance * 2; // Legacy flat rate: 2% per unit distance
+        }
+
+        const legs = [
+            { distance: roundTripDistance / 2, payload: orderWeight },
+            { distance: roundTripDistance / 2, payload: 0 }
+        ];
+
+        return EnergyModel.estimateTrip(drone.energyModel, legs, { speed });
+    }
+
     /**
      * Generate performance improvement recommendations
      * @param {Drone} drone - Drone to analyze
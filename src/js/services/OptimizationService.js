@@ -4,13 +4,47 @@
  */
 
 class OptimizationService {
-    constructor() {
+    /**
+     * @param {RandomGenerator} random - Seeded random source (optional)
+     */
+    constructor(random = null) {
+        this.random = random;
+        this.pathPlanner = null;
         this.algorithms = {
             NEAREST_NEIGHBOR: 'nearest_neighbor',
             GENETIC_ALGORITHM: 'genetic_algorithm',
             SIMULATED_ANNEALING: 'simulated_annealing',
+            HELD_KARP: 'held_karp',
+            ALNS: 'alns',
             BIN_PACKING: 'bin_packing'
         };
+        this.localSearchOptions = { ...OptimizationService.DEFAULT_LOCAL_SEARCH };
+        this.exactSolverOptions = { ...OptimizationService.DEFAULT_EXACT_SOLVER };
+        this.alnsOptions = { ...OptimizationService.DEFAULT_ALNS };
+    }
+
+    /**
+     * Tune the adaptive large neighborhood search of the alns algorithm
+     * @param {Object} options - Overrides of OptimizationService.DEFAULT_ALNS
+     */
+    setALNSOptions(options) {
+        this.alnsOptions = { ...this.alnsOptions, ...options };
+    }
+
+    /**
+     * Tune or switch off the exact solver used for short routes
+     * @param {Object} options - {enabled, maxStops}
+     */
+    setExactSolverOptions(options) {
+        this.exactSolverOptions = { ...this.exactSolverOptions, ...options };
+    }
+
+    /**
+     * Tune or switch off the local search run after every route algorithm
+     * @param {Object} options - {enabled, maxIterations, timeLimit}
+     */
+    setLocalSearchOptions(options) {
+        this.localSearchOptions = { ...this.localSearchOptions, ...options };
     }
 
     /**
@@ -25,13 +59,16 @@ class OptimizationService {
             algorithm = this.algorithms.NEAREST_NEIGHBOR,
             maxIterations = 1000,
             considerTraffic = false,
-            considerWeather = false
+            considerWeather = false,
+            localSearch = this.localSearchOptions,
+            alns = {},
+            now = null
         } = options;
 
         try {
             // Pre-process data
             const availableDrones = drones.filter(drone => 
-                drone.status === 'idle' && drone.batteryLevel > 20
+                drone.status === 'idle' && drone.batteryLevel > this.getBatteryReserve(drone)
             );
             const pendingOrders = orders.filter(order => order.status === 'pending');
 
@@ -39,25 +76,31 @@ class OptimizationService {
                 return { success: false, message: 'Não há drones ou pedidos disponíveis' };
             }
 
-            // Group orders optimally for batch delivery
-            const orderGroups = this.groupOrdersForOptimalDelivery(pendingOrders, availableDrones);
-
-            // Assign order groups to drones
-            const assignments = this.assignOrderGroupsToDrones(orderGroups, availableDrones);
+            // Capacitated routing over the fleet, several trips per drone
+            const plan = this.solveCVRP(pendingOrders, availableDrones, { algorithm, localSearch, alns, now });
 
-            // Calculate optimal routes for each assignment
-            const optimizedRoutes = assignments.map(assignment => ({
-                drone: assignment.drone,
-                orders: assignment.orders,
-                route: this.calculateOptimalRoute(assignment.orders, assignment.drone.location, algorithm),
-                estimatedTime: this.calculateRouteTime(assignment.route, assignment.drone),
-                estimatedBattery: this.calculateBatteryConsumption(assignment.route)
-            }));
+            const optimizedRoutes = plan.plans.flatMap(({ drone, trips }) => trips.map((trip, index) => ({
+                drone: drone,
+                orders: trip.orders,
+                route: trip.route,
+                trip: index + 1,
+                startTime: trip.startTime,
+                improvement: trip.improvement,
+                estimatedTime: this.calculateRouteTime(trip.route, drone),
+                estimatedDistance: trip.distance,
+                estimatedBattery: this.calculateBatteryConsumption(trip.route, drone, trip.orders)
+            })));
 
             return {
                 success: true,
                 routes: optimizedRoutes,
-                stats: this.calculateOptimizationStats(optimizedRoutes),
+                unassigned: plan.unassigned,
+                stats: {
+                    ...this.calculateOptimizationStats(optimizedRoutes),
+                    merges: plan.stats.merges,
+                    makespan: plan.stats.makespan,
+                    alns: plan.stats.alns
+                },
                 algorithm: algorithm
             };
 
@@ -66,26 +109,882 @@ class OptimizationService {
         }
     }
 
+    /**
+     * Solve a capacitated vehicle routing problem over the fleet
+     * Trips are built per home base with Clarke-Wright savings, improved by
+     * moving orders between trips and with 2-opt/Or-opt inside each trip,
+     * then scheduled on the drones one after another (a drone can fly
+     * several trips, recharging in between). With the alns algorithm the
+     * savings plan of every base is handed to the adaptive large neighborhood
+     * search, which can also move orders between bases. Every trip respects
+     * the capacity, range and battery of the drone that flies it.
+     * @param {Array} orders - Orders to plan
+     * @param {Array} drones - Drones to plan for
+     * @param {Object} options - Solver options
+     * @param {string} options.algorithm - Route algorithm for each trip, or alns for the whole plan
+     * @param {Object} options.localSearch - {enabled, maxIterations, timeLimit}
+     * @param {Object} options.alns - Overrides of alnsOptions
+     * @param {Object} options.readyAt - Seconds until each drone (by id) is free (default 0)
+     * @param {number} options.horizon - Latest trip start in seconds (default no limit)
+     * @param {number|null} options.now - Simulation time in seconds for the priority age of the orders (default wall clock)
+     * @returns {Object} {plans: [{drone, trips: [{orders, route, distance, energy, startTime, endTime, improvement}]}],
+     *   unassigned, stats: {trips, merges, relocations, totalDistance, distanceSaved, makespan, alns}}
+     */
+    solveCVRP(orders, drones, options = {}) {
+        const {
+            algorithm = this.algorithms.NEAREST_NEIGHBOR,
+            localSearch = this.localSearchOptions,
+            alns = {},
+            readyAt = {},
+            horizon = Infinity,
+            now = null
+        } = options;
+
+        const candidates = [];
+        const trips = [];
+        const unassigned = [];
+        let merges = 0;
+        let relocations = 0;
+
+        for (const { start, drones: baseDrones, orders: baseOrders } of this.groupOrdersByBase(orders, drones, unassigned)) {
+            const fits = (tripOrders) => {
+                const trip = this.evaluateTrip(tripOrders, start);
+                return baseDrones.some(drone => this.canDroneFlyTrip(trip, drone, 100));
+            };
+
+            const built = this.buildSavingsTrips(baseOrders, start, fits);
+            merges += built.merges;
+
+            let baseTrips = built.trips;
+            if (localSearch.enabled) {
+                const relocated = this.relocateBetweenTrips(baseTrips, start, fits, localSearch.maxIterations);
+                baseTrips = relocated.trips;
+                relocations += relocated.moves;
+            }
+
+            baseTrips.forEach(tripOrders => candidates.push({ start, drones: baseDrones, orders: tripOrders }));
+        }
+
+        const search = algorithm === this.algorithms.ALNS ? this.adaptiveLargeNeighborhoodSearch(candidates, alns) : null;
+        const routeAlgorithm = search ? this.algorithms.NEAREST_NEIGHBOR : algorithm;
+
+        (search ? search.trips : candidates).forEach(({ start, drones: tripDrones, orders: tripOrders }) => {
+            const { route, improvement } = this.planOptimalRoute(tripOrders, start, routeAlgorithm, localSearch);
+            trips.push({ ...this.evaluateTrip(tripOrders, start, route), improvement, drones: tripDrones });
+        });
+
+        const plans = this.scheduleTrips(trips, drones, readyAt, horizon, unassigned, now);
+        const scheduled = plans.flatMap(plan => plan.trips);
+
+        return {
+            plans,
+            unassigned,
+            stats: {
+                trips: scheduled.length,
+                merges,
+                relocations,
+                totalDistance: scheduled.reduce((sum, trip) => sum + trip.distance, 0),
+                distanceSaved: scheduled.reduce((sum, trip) => sum + (trip.improvement ? trip.improvement.saved : 0), 0),
+                makespan: Math.max(0, ...scheduled.map(trip => trip.endTime)),
+                alns: search ? search.stats : null
+            }
+        };
+    }
+
+    /**
+     * Split orders between the drones' home bases
+     * Each order goes to the nearest base with a drone able to fly it alone;
+     * orders no drone can fly are added to unassigned.
+     * @param {Array} orders - Orders to plan
+     * @param {Array} drones - Drones to plan for
+     * @param {Array} unassigned - Collects orders no drone can fly
+     * @returns {Array} [{start, drones, orders}] per base
+     */
+    groupOrdersByBase(orders, drones, unassigned) {
+        const bases = new Map();
+
+        for (const drone of drones) {
+            const start = drone.baseLocation || drone.location;
+            const key = `${start.x},${start.y}`;
+            if (!bases.has(key)) {
+                bases.set(key, { start, drones: [], orders: [] });
+            }
+            bases.get(key).drones.push(drone);
+        }
+
+        for (const order of orders) {
+            const pickup = order.origin || order.location;
+            const options = Array.from(bases.values()).filter(base => {
+                const trip = this.evaluateTrip([order], base.start);
+                return base.drones.some(drone => this.canDroneFlyTrip(trip, drone, 100));
+            });
+
+            if (options.length === 0) {
+                unassigned.push(order);
+                continue;
+            }
+
+            options.sort((a, b) => this.getLegDistance(a.start, pickup) - this.getLegDistance(b.start, pickup));
+            options[0].orders.push(order);
+        }
+
+        return Array.from(bases.values()).filter(base => base.orders.length > 0);
+    }
+
+    /**
+     * Clarke-Wright savings construction
+     * Starts with one trip per order and joins the trip ending at i to the
+     * trip starting at j, in decreasing order of the saving
+     * d(i, base) + d(base, j) - d(i, j), while the joined trip still fits.
+     * @param {Array} orders - Orders from one base
+     * @param {Object} start - Base location
+     * @param {Function} fits - (orders) => true if some drone can fly the trip
+     * @returns {Object} {trips: Array of order lists, merges}
+     */
+    buildSavingsTrips(orders, start, fits) {
+        const tripOf = new Map(orders.map(order => [order.id, [order]]));
+        const head = (order) => order.origin || order.location;
+        const savings = [];
+        let merges = 0;
+
+        for (const from of orders) {
+            for (const to of orders) {
+                if (from === to) continue;
+
+                const saving = this.getLegDistance(from.location, start) + this.getLegDistance(start, head(to)) -
+                    this.getLegDistance(from.location, head(to));
+                if (saving > 0) {
+                    savings.push({ from, to, saving });
+                }
+            }
+        }
+
+        savings.sort((a, b) => b.saving - a.saving);
+
+        for (const { from, to } of savings) {
+            const first = tripOf.get(from.id);
+            const second = tripOf.get(to.id);
+            if (first === second || first[first.length - 1] !== from || second[0] !== to) continue;
+
+            const joined = [...first, ...second];
+            if (!fits(joined)) continue;
+
+            joined.forEach(order => tripOf.set(order.id, joined));
+            merges++;
+        }
+
+        return { trips: Array.from(new Set(tripOf.values())), merges };
+    }
+
+    /**
+     * Local search between trips: move single orders to another trip while it shortens the plan
+     * @param {Array} trips - Order lists from one base
+     * @param {Object} start - Base location
+     * @param {Function} fits - (orders) => true if some drone can fly the trip
+     * @param {number} maxIterations - Maximum moves applied
+     * @returns {Object} {trips, moves}
+     */
+    relocateBetweenTrips(trips, start, fits, maxIterations) {
+        let current = trips.map(trip => [...trip]);
+        const distance = (tripOrders) => tripOrders.length === 0 ? 0 : this.evaluateTrip(tripOrders, start).distance;
+        let moves = 0;
+
+        while (moves < maxIterations) {
+            const lengths = current.map(distance);
+            let move = null;
+
+            for (let a = 0; a < current.length && !move; a++) {
+                for (const order of current[a]) {
+                    const shorter = current[a].filter(o => o !== order);
+                    const removalGain = lengths[a] - distance(shorter);
+
+                    for (let b = 0; b < current.length; b++) {
+                        if (b === a) continue;
+
+                        const longer = [...current[b], order];
+                        if (distance(longer) - lengths[b] - removalGain >= -1e-9 || !fits(longer)) continue;
+
+                        move = { a, b, shorter, longer };
+                        break;
+                    }
+                    if (move) break;
+                }
+            }
+
+            if (!move) break;
+
+            current[move.a] = move.shorter;
+            current[move.b] = move.longer;
+            current = current.filter(trip => trip.length > 0);
+            moves++;
+        }
+
+        return { trips: current, moves };
+    }
+
+    /**
+     * Adaptive large neighborhood search over the trips of the whole fleet
+     * Each iteration removes some orders from the plan (random, worst or
+     * related removal) and puts them back (greedy or regret-2 insertion) into
+     * any trip, or a new trip from any base, whose drones can fly them. The
+     * operators are drawn by roulette wheel and every segmentLength
+     * iterations their weights move towards the scores they earned; worse
+     * plans are accepted with a simulated annealing criterion. Stops after
+     * maxIterations or timeLimit ms, whichever comes first.
+     * @param {Array} trips - Starting plan [{start, drones, orders}]; each order must fit alone in a trip from its base
+     * @param {Object} options - Overrides of OptimizationService.DEFAULT_ALNS
+     * @returns {Object} {trips: [{start, drones, orders}], stats: {iterations, improvements, initialDistance,
+     *   distance, operators: {destroy, repair}}}
+     */
+    adaptiveLargeNeighborhoodSearch(trips, options = {}) {
+        const settings = { ...this.alnsOptions, ...options, scores: { ...this.alnsOptions.scores, ...options.scores } };
+        const bases = new Map();
+        trips.forEach(trip => {
+            const key = `${trip.start.x},${trip.start.y}`;
+            if (!bases.has(key)) bases.set(key, { start: trip.start, drones: trip.drones });
+        });
+
+        // Trip distances and feasibility by base and set of orders
+        const cache = new Map();
+        const measure = (base, orders) => {
+            const sorted = [...orders].sort((a, b) => String(a.id).localeCompare(String(b.id)));
+            const key = `${base.start.x},${base.start.y}|${sorted.map(order => order.id).join(',')}`;
+            if (!cache.has(key)) {
+                const trip = this.evaluateTrip(sorted, base.start);
+                cache.set(key, { distance: trip.distance, fits: base.drones.some(drone => this.canDroneFlyTrip(trip, drone, 100)) });
+            }
+            return cache.get(key);
+        };
+        const distanceOf = (plan) => plan.reduce((sum, trip) => sum + measure(trip.base, trip.orders).distance, 0);
+        const copy = (plan) => plan.map(trip => ({ base: trip.base, orders: [...trip.orders] }));
+        const operators = (names) => Object.fromEntries(names.map(name => [name, { weight: 1, uses: 0, score: 0, segmentUses: 0 }]));
+
+        const destroy = operators(['random', 'worst', 'related']);
+        const repair = operators(['greedy', 'regret']);
+        const orderCount = trips.reduce((sum, trip) => sum + trip.orders.length, 0);
+        const maxRemoval = Math.max(1, Math.ceil(orderCount * settings.removalShare));
+
+        let current = trips.map(trip => ({ base: bases.get(`${trip.start.x},${trip.start.y}`), orders: [...trip.orders] }));
+        let currentDistance = distanceOf(current);
+        let best = copy(current);
+        let bestDistance = currentDistance;
+        const initialDistance = currentDistance;
+
+        let temperature = -settings.startWorsening * initialDistance / Math.log(0.5);
+        const deadline = settings.timeLimit !== null ? Date.now() + settings.timeLimit : Infinity;
+        let iterations = 0;
+        let improvements = 0;
+
+        while (orderCount > 0 && iterations < settings.maxIterations && Date.now() < deadline) {
+            const destroyName = this.pickOperator(destroy);
+            const repairName = this.pickOperator(repair);
+            const candidate = copy(current);
+            const count = 1 + Math.floor(this.nextRandom() * maxRemoval);
+
+            const removed = this.removeOrders(candidate, destroyName, Math.min(count, orderCount), measure);
+            this.insertOrders(candidate, removed, repairName, Array.from(bases.values()), measure);
+            const candidateDistance = distanceOf(candidate);
+
+            let score = 0;
+            if (candidateDistance < bestDistance - 1e-9) {
+                best = copy(candidate);
+                bestDistance = candidateDistance;
+                improvements++;
+                score = settings.scores.best;
+            } else if (candidateDistance < currentDistance - 1e-9) {
+                score = settings.scores.improved;
+            } else if (this.nextRandom() < Math.exp((currentDistance - candidateDistance) / temperature)) {
+                score = settings.scores.accepted;
+            }
+
+            if (score > 0) {
+                current = candidate.filter(trip => trip.orders.length > 0);
+                currentDistance = candidateDistance;
+            }
+
+            [destroy[destroyName], repair[repairName]].forEach(operator => {
+                operator.uses++;
+                operator.segmentUses++;
+                operator.score += score;
+            });
+
+            iterations++;
+            temperature *= settings.coolingRate;
+
+            if (iterations % settings.segmentLength === 0) {
+                [...Object.values(destroy), ...Object.values(repair)].forEach(operator => {
+                    if (operator.segmentUses === 0) return;
+                    operator.weight = Math.max(settings.minWeight, (1 - settings.reactionFactor) * operator.weight +
+                        settings.reactionFactor * operator.score / operator.segmentUses);
+                    operator.score = 0;
+                    operator.segmentUses = 0;
+                });
+            }
+        }
+
+        const report = (group) => Object.fromEntries(Object.entries(group)
+            .map(([name, operator]) => [name, { weight: operator.weight, uses: operator.uses }]));
+
+        return {
+            trips: best
+                .filter(trip => trip.orders.length > 0)
+                .map(trip => ({ start: trip.base.start, drones: trip.base.drones, orders: trip.orders })),
+            stats: {
+                iterations,
+                improvements,
+                initialDistance,
+                distance: bestDistance,
+                operators: { destroy: report(destroy), repair: report(repair) }
+            }
+        };
+    }
+
+    /**
+     * Draw an ALNS operator by roulette wheel over the adaptive weights
+     * @param {Object} operators - {name: {weight}}
+     * @returns {string} Operator name
+     */
+    pickOperator(operators) {
+        const names = Object.keys(operators);
+        const total = names.reduce((sum, name) => sum + operators[name].weight, 0);
+        let draw = this.nextRandom() * total;
+
+        for (const name of names) {
+            draw -= operators[name].weight;
+            if (draw < 0) return name;
+        }
+
+        return names[names.length - 1];
+    }
+
+    /**
+     * ALNS destroy step: take orders out of a plan
+     * - random: any orders
+     * - worst: the orders whose removal shortens their trip the most
+     * - related: an order and the orders delivered closest to it
+     * Worst and related removal pick from the ranked list with a bias to the
+     * top (rank = length * random^3) so repeated calls differ.
+     * @param {Array} plan - [{base, orders}], changed in place
+     * @param {string} operator - random, worst or related
+     * @param {number} count - Orders to remove
+     * @param {Function} measure - (base, orders) => {distance, fits}
+     * @returns {Array} Removed orders
+     */
+    removeOrders(plan, operator, count, measure) {
+        const placed = plan.flatMap(trip => trip.orders.map(order => ({ order, trip })));
+        const removed = [];
+        const take = (ranked) => ranked.splice(Math.floor(Math.pow(this.nextRandom(), 3) * ranked.length), 1)[0];
+        let ranked;
+
+        if (operator === 'worst') {
+            const saving = (entry) => measure(entry.trip.base, entry.trip.orders).distance -
+                measure(entry.trip.base, entry.trip.orders.filter(order => order !== entry.order)).distance;
+            ranked = placed.map(entry => ({ entry, value: saving(entry) }))
+                .sort((a, b) => b.value - a.value)
+                .map(({ entry }) => entry);
+        } else if (operator === 'related') {
+            const seed = placed[Math.floor(this.nextRandom() * placed.length)];
+            ranked = placed.filter(entry => entry !== seed)
+                .sort((a, b) => this.getLegDistance(seed.order.location, a.order.location) -
+                    this.getLegDistance(seed.order.location, b.order.location));
+            removed.push(seed);
+        } else {
+            ranked = [...placed];
+            this.shuffleArray(ranked);
+        }
+
+        while (removed.length < count && ranked.length > 0) {
+            removed.push(operator === 'random' ? ranked.pop() : take(ranked));
+        }
+
+        removed.forEach(({ order, trip }) => {
+            trip.orders.splice(trip.orders.indexOf(order), 1);
+        });
+
+        return removed.map(entry => entry.order);
+    }
+
+    /**
+     * ALNS repair step: put removed orders back where they add the least distance
+     * - greedy: the order with the cheapest insertion goes first
+     * - regret: the order that would lose most by missing its best place goes
+     *   first (difference between its best and second best insertion)
+     * @param {Array} plan - [{base, orders}], changed in place
+     * @param {Array} orders - Orders to insert
+     * @param {string} operator - greedy or regret
+     * @param {Array} bases - [{start, drones}] where new trips may start
+     * @param {Function} measure - (base, orders) => {distance, fits}
+     */
+    insertOrders(plan, orders, operator, bases, measure) {
+        const pending = [...orders];
+
+        while (pending.length > 0) {
+            let choice = null;
+
+            pending.forEach((order, index) => {
+                const options = this.findInsertions(order, plan, bases, measure);
+                if (options.length === 0) return;
+
+                const regret = options.length > 1 ? options[1].cost - options[0].cost : Infinity;
+                const rank = operator === 'regret' ? -regret : options[0].cost;
+                if (!choice || rank < choice.rank || (rank === choice.rank && options[0].cost < choice.option.cost)) {
+                    choice = { index, rank, option: options[0] };
+                }
+            });
+
+            if (!choice) {
+                throw new Error(`No trip can take order ${pending[0].id}`);
+            }
+
+            const [order] = pending.splice(choice.index, 1);
+            if (choice.option.trip) {
+                choice.option.trip.orders.push(order);
+            } else {
+                plan.push({ base: choice.option.base, orders: [order] });
+            }
+        }
+    }
+
+    /**
+     * Every feasible place for an order, cheapest first
+     * @param {Object} order - Order to place
+     * @param {Array} plan - [{base, orders}]
+     * @param {Array} bases - [{start, drones}] where new trips may start
+     * @param {Function} measure - (base, orders) => {distance, fits}
+     * @returns {Array} [{trip, base, cost}] - trip is null for a new trip
+     */
+    findInsertions(order, plan, bases, measure) {
+        const options = [];
+
+        plan.forEach(trip => {
+            if (trip.orders.length === 0) return;
+
+            const longer = measure(trip.base, [...trip.orders, order]);
+            if (longer.fits) {
+                options.push({ trip, base: trip.base, cost: longer.distance - measure(trip.base, trip.orders).distance });
+            }
+        });
+
+        bases.forEach(base => {
+            const alone = measure(base, [order]);
+            if (alone.fits) {
+                options.push({ trip: null, base, cost: alone.distance });
+            }
+        });
+
+        return options.sort((a, b) => a.cost - b.cost);
+    }
+
+    /**
+     * Measure a trip from its base
+     * @param {Array} orders - Orders of the trip
+     * @param {Object} start - Base location
+     * @param {Array} route - Route to measure (defaults to the greedy route)
+     * @returns {Object} {orders, route, distance, load, legs}
+     */
+    evaluateTrip(orders, start, route = null) {
+        const path = route || this.nearestNeighborRoute(this.getStopPoints(orders), start);
+        const legs = this.buildRouteLegs(path, orders);
+
+        return {
+            orders,
+            route: path,
+            distance: legs.reduce((sum, leg) => sum + leg.distance, 0),
+            load: Math.max(0, ...legs.map(leg => leg.payload)),
+            legs
+        };
+    }
+
+    /**
+     * Check that a drone can fly a trip
+     * Capacity along the route always counts; with an energy model the trip
+     * must leave the battery reserve, without one it must fit in the range.
+     * @param {Object} trip - Trip from evaluateTrip
+     * @param {Drone} drone - Candidate drone
+     * @param {number} batteryLevel - Battery % at takeoff
+     * @returns {boolean} True if flyable
+     */
+    canDroneFlyTrip(trip, drone, batteryLevel = drone.batteryLevel) {
+        if (trip.load > drone.capacity + 1e-9) return false;
+
+        if (drone.energyModel) {
+            return this.getTripEnergy(trip, drone) <= batteryLevel - this.getBatteryReserve(drone) + 1e-9;
+        }
+
+        return trip.distance <= drone.range && batteryLevel > this.getBatteryReserve(drone);
+    }
+
+    /**
+     * Battery % a trip takes (energy model drones only)
+     * @param {Object} trip - Trip from evaluateTrip
+     * @param {Drone} drone - Drone flying it
+     * @returns {number} Battery % (0 without an energy model)
+     */
+    getTripEnergy(trip, drone) {
+        return drone.energyModel ? EnergyModel.estimateTrip(drone.energyModel, trip.legs, { speed: drone.speed }) : 0;
+    }
+
+    /**
+     * Seconds a drone needs for a trip: flying, loading each parcel and handing it over
+     * @param {Object} trip - Trip from evaluateTrip
+     * @param {Drone} drone - Drone flying it
+     * @returns {number} Duration in simulation seconds
+     */
+    estimateTripDuration(trip, drone) {
+        const pickups = trip.route.filter(point => point.pickup).length;
+        const flying = trip.distance / (drone.speed / 60); // speed in units per minute
+
+        return flying + OptimizationService.LOADING_TIME * (1 + pickups) + OptimizationService.DELIVERY_TIME * trip.orders.length;
+    }
+
+    /**
+     * Give trips to drones one after another
+     * Highest-priority trips go first, each to the drone of its base that
+     * finishes it soonest. A drone short of battery recharges to full before
+     * the trip (at its charge profile rate); trips that would start after the
+     * horizon are left out and their orders added to unassigned.
+     * @param {Array} trips - Trips with their base drones
+     * @param {Array} drones - Fleet
+     * @param {Object} readyAt - Seconds until each drone (by id) is free
+     * @param {number} horizon - Latest trip start in seconds
+     * @param {Array} unassigned - Collects orders of trips left out
+     * @param {number|null} now - Simulation time in seconds for the priority age (null uses the wall clock)
+     * @returns {Array} [{drone, trips}] for drones with at least one trip
+     */
+    scheduleTrips(trips, drones, readyAt, horizon, unassigned, now = null) {
+        const state = new Map(drones.map(drone => [drone.id, {
+            time: readyAt[drone.id] || 0,
+            battery: drone.batteryLevel,
+            trips: []
+        }]));
+        const priority = (trip) => Math.max(...trip.orders.map(order => this.getOrderPriority(order, now)));
+        const queue = [...trips].sort((a, b) => priority(b) - priority(a) || b.distance - a.distance);
+
+        for (const trip of queue) {
+            let best = null;
+
+            for (const drone of trip.drones) {
+                const slot = state.get(drone.id);
+                const rate = drone.chargeProfile ? drone.chargeProfile.rate : OptimizationService.CHARGE_RATE;
+                let startTime = slot.time;
+                let battery = slot.battery;
+
+                if (!this.canDroneFlyTrip(trip, drone, battery)) {
+                    if (!this.canDroneFlyTrip(trip, drone, 100)) continue;
+                    startTime += (100 - battery) / rate;
+                    battery = 100;
+                }
+
+                const endTime = startTime + this.estimateTripDuration(trip, drone);
+                if (startTime <= horizon && (!best || endTime < best.endTime)) {
+                    best = { drone, startTime, endTime, battery };
+                }
+            }
+
+            if (!best) {
+                unassigned.push(...trip.orders);
+                continue;
+            }
+
+            const slot = state.get(best.drone.id);
+            const energy = this.getTripEnergy(trip, best.drone);
+
+            slot.trips.push({
+                orders: trip.orders,
+                route: trip.route,
+                distance: trip.distance,
+                load: trip.load,
+                improvement: trip.improvement,
+                energy,
+                startTime: best.startTime,
+                endTime: best.endTime
+            });
+            slot.time = best.endTime;
+            slot.battery = best.battery - energy;
+        }
+
+        return drones
+            .filter(drone => state.get(drone.id).trips.length > 0)
+            .map(drone => ({ drone, trips: state.get(drone.id).trips }));
+    }
+
+    /**
+     * Solve a vehicle routing problem with time windows
+     * Each drone flies one route from its base. Orders are taken by due time
+     * and inserted where they add the least cost (distance, lateness penalty
+     * and vehicleCost for each drone used), then moved within and between
+     * routes while that lowers the cost. A drone early for a window waits at
+     * the door; hard windows must be met, soft ones are charged per second late.
+     * @param {Array} orders - Orders with timeWindow and optional serviceTime
+     * @param {Array} drones - Drones, one route each
+     * @param {Object} options - Overrides of OptimizationService.DEFAULT_VRPTW_OPTIONS, plus localSearch
+     * @returns {Object} {routes: [{drone, orders, route, distance, schedule, waiting, lateness, penalty, cost, endTime}],
+     *   infeasible: [{order, reasons, message}], stats}
+     */
+    solveVRPTW(orders, drones, options = {}) {
+        const settings = { ...OptimizationService.DEFAULT_VRPTW_OPTIONS, localSearch: this.localSearchOptions, ...options };
+        const evaluate = (routeOrders, drone) => this.evaluateWindowRoute(routeOrders, drone, settings);
+        const due = (order) => order.timeWindow && order.timeWindow.latest !== null ? order.timeWindow.latest : Infinity;
+        const routes = drones.map(drone => ({ drone, orders: [] }));
+        const infeasible = [];
+
+        for (const order of [...orders].sort((a, b) => due(a) - due(b))) {
+            const best = this.findWindowInsertion(order, routes, evaluate);
+
+            if (best) {
+                routes[best.index].orders = best.orders;
+            } else {
+                infeasible.push(this.explainInfeasible(order, drones, evaluate));
+            }
+        }
+
+        const relocations = settings.localSearch.enabled
+            ? this.relocateWithWindows(routes, evaluate, settings.localSearch.maxIterations)
+            : 0;
+
+        const planned = routes
+            .filter(route => route.orders.length > 0)
+            .map(({ drone, orders: routeOrders }) => {
+                const { route, distance, load, schedule, waiting, lateness, penalty, cost, endTime } = evaluate(routeOrders, drone);
+                return { drone, orders: routeOrders, route, distance, load, schedule, waiting, lateness, penalty, cost, endTime };
+            });
+        const total = (key) => planned.reduce((sum, route) => sum + route[key], 0);
+
+        return {
+            routes: planned,
+            infeasible,
+            stats: {
+                vehicles: planned.length,
+                served: planned.reduce((sum, route) => sum + route.orders.length, 0),
+                infeasible: infeasible.length,
+                totalDistance: total('distance'),
+                totalWaiting: total('waiting'),
+                totalLateness: total('lateness'),
+                totalPenalty: total('penalty'),
+                totalCost: total('cost'),
+                relocations
+            }
+        };
+    }
+
+    /**
+     * Cheapest feasible place for an order in any route
+     * @param {Object} order - Order to insert
+     * @param {Array} routes - [{drone, orders}]
+     * @param {Function} evaluate - (orders, drone) => evaluateWindowRoute result
+     * @returns {Object|null} {index, orders} of the route to update, or null if no route can take it
+     */
+    findWindowInsertion(order, routes, evaluate) {
+        let best = null;
+
+        routes.forEach(({ drone, orders: routeOrders }, index) => {
+            const currentCost = evaluate(routeOrders, drone).cost;
+
+            for (let position = 0; position <= routeOrders.length; position++) {
+                const trial = [...routeOrders.slice(0, position), order, ...routeOrders.slice(position)];
+                const result = evaluate(trial, drone);
+                const delta = result.cost - currentCost;
+
+                if (result.feasible && (!best || delta < best.delta - 1e-9)) {
+                    best = { index, orders: trial, delta };
+                }
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Local search with time windows: move single orders within or between routes
+     * @param {Array} routes - [{drone, orders}], updated in place
+     * @param {Function} evaluate - (orders, drone) => evaluateWindowRoute result
+     * @param {number} maxIterations - Maximum moves applied
+     * @returns {number} Moves applied
+     */
+    relocateWithWindows(routes, evaluate, maxIterations) {
+        let moves = 0;
+
+        while (moves < maxIterations) {
+            const costs = routes.map(({ drone, orders }) => evaluate(orders, drone).cost);
+            const move = this.findWindowRelocation(routes, costs, evaluate);
+            if (!move) break;
+
+            routes[move.from].orders = move.shorter;
+            routes[move.to].orders = move.longer;
+            moves++;
+        }
+
+        return moves;
+    }
+
+    /**
+     * First relocation of one order that lowers the total cost
+     * @param {Array} routes - [{drone, orders}]
+     * @param {Array} costs - Current cost of each route
+     * @param {Function} evaluate - (orders, drone) => evaluateWindowRoute result
+     * @returns {Object|null} {from, to, shorter, longer}
+     */
+    findWindowRelocation(routes, costs, evaluate) {
+        for (let from = 0; from < routes.length; from++) {
+            const source = routes[from];
+
+            for (const order of source.orders) {
+                const shorter = source.orders.filter(o => o !== order);
+                const removed = evaluate(shorter, source.drone);
+                if (!removed.feasible) continue;
+
+                for (let to = 0; to < routes.length; to++) {
+                    const base = to === from ? shorter : routes[to].orders;
+                    const before = to === from ? costs[from] : costs[from] + costs[to];
+
+                    for (let position = 0; position <= base.length; position++) {
+                        const longer = [...base.slice(0, position), order, ...base.slice(position)];
+                        if (to === from && longer.every((o, i) => o === source.orders[i])) continue;
+
+                        const result = evaluate(longer, routes[to].drone);
+                        const after = to === from ? result.cost : removed.cost + result.cost;
+
+                        if (result.feasible && after < before - 1e-9) {
+                            return { from, to, shorter: to === from ? longer : shorter, longer };
+                        }
+                    }
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Time a route with windows and check it against the drone
+     * The drone loads at its base, flies the orders in the given sequence
+     * (pickup right before each dropoff), waits for windows not yet open and
+     * spends each order's serviceTime at the door.
+     * @param {Array} orders - Orders in visiting order
+     * @param {Drone} drone - Drone flying the route
+     * @param {Object} settings - VRPTW options
+     * @returns {Object} {route, distance, load, schedule: [{orderId, arrival, start, lateness}], waiting,
+     *   lateness, penalty, cost, endTime, feasible, violations: [reason]}
+     */
+    evaluateWindowRoute(orders, drone, settings) {
+        const start = drone.baseLocation || drone.location;
+        const route = [start, ...this.getStopPoints(orders), start];
+        const legs = this.buildRouteLegs(route, orders);
+        const unitsPerSecond = drone.speed / 60;
+        const schedule = [];
+        const violations = new Set();
+        let time = settings.startTime + settings.loadingTime;
+        let waiting = 0;
+        let lateness = 0;
+        let penalty = 0;
+
+        for (let i = 1; i < route.length; i++) {
+            time += legs[i - 1].distance / unitsPerSecond;
+            if (i === route.length - 1) break;
+
+            const order = orders.find(o => o.id === route[i].orderId);
+            if (route[i].pickup) {
+                time += settings.loadingTime;
+                continue;
+            }
+
+            const window = order.timeWindow;
+            const arrival = time;
+            if (window && time < window.earliest) {
+                waiting += window.earliest - time;
+                time = window.earliest;
+            }
+
+            const late = window && window.latest !== null ? Math.max(0, time - window.latest) : 0;
+            if (late > 1e-9) {
+                if (window.hard) violations.add('window');
+                lateness += late;
+                penalty += late * (window.penalty !== null && window.penalty !== undefined ? window.penalty : settings.latenessPenalty);
+            }
+
+            schedule.push({ orderId: order.id, arrival, start: time, lateness: late });
+            time += order.serviceTime !== null && order.serviceTime !== undefined ? order.serviceTime : settings.serviceTime;
+        }
+
+        const trip = {
+            orders,
+            legs,
+            distance: legs.reduce((sum, leg) => sum + leg.distance, 0),
+            load: Math.max(0, ...legs.map(leg => leg.payload))
+        };
+
+        if (trip.load > drone.capacity + 1e-9) {
+            violations.add('capacity');
+        } else if (orders.length > 0 && !this.canDroneFlyTrip(trip, drone)) {
+            violations.add(drone.energyModel ? 'energy' : 'range');
+        }
+        if (time > settings.horizon + 1e-9) {
+            violations.add('horizon');
+        }
+
+        return {
+            route,
+            distance: trip.distance,
+            load: trip.load,
+            schedule,
+            waiting,
+            lateness,
+            penalty,
+            cost: orders.length > 0 ? trip.distance + penalty + settings.vehicleCost : 0,
+            endTime: time,
+            feasible: violations.size === 0,
+            violations: Array.from(violations)
+        };
+    }
+
+    /**
+     * Explain why an order fits in no route
+     * Tried alone on every drone: the reasons it fails on each are reported;
+     * if some drone could fly it alone, the fleet is simply used up.
+     * @param {Object} order - Order left out
+     * @param {Array} drones - Drones of the plan
+     * @param {Function} evaluate - (orders, drone) => evaluateWindowRoute result
+     * @returns {Object} {order, reasons, message}
+     */
+    explainInfeasible(order, drones, evaluate) {
+        const attempts = drones.map(drone => evaluate([order], drone));
+        const reasons = attempts.some(attempt => attempt.feasible)
+            ? ['fleet']
+            : Array.from(new Set(attempts.flatMap(attempt => attempt.violations)));
+
+        return {
+            order,
+            reasons,
+            message: reasons.map(reason => OptimizationService.INFEASIBILITY_REASONS[reason]).join('; ')
+        };
+    }
+
     /**
      * Group orders for optimal batch delivery
      * @param {Array} orders - Orders to group
      * @param {Array} drones - Available drones
+     * @param {number|null} now - Simulation time in seconds for the priority age (null uses the wall clock)
      * @returns {Array} Grouped orders
      */
-    groupOrdersForOptimalDelivery(orders, drones) {
-        const sortedOrders = orders.sort((a, b) => b.getPriorityScore() - a.getPriorityScore());
+    groupOrdersForOptimalDelivery(orders, drones, now = null) {
+        const sortedOrders = orders.sort((a, b) => this.getOrderPriority(b, now) - this.getOrderPriority(a, now));
         
+        if (drones.length === 0) {
+            return sortedOrders.map(order => [order]);
+        }
+
         const groups = [];
         const maxCapacity = Math.max(...drones.map(d => d.capacity));
+        const start = drones[0].baseLocation || drones[0].location;
         
         for (const order of sortedOrders) {
             let assigned = false;
             
             for (const group of groups) {
-                const totalWeight = group.reduce((sum, o) => sum + o.weight, 0);
-                const totalDistance = this.calculateGroupDistance(group.concat([order]));
+                const trial = group.concat([order]);
+                const totalDistance = this.calculateGroupDistance(trial);
                 
-                if (totalWeight + order.weight <= maxCapacity && totalDistance <= 50) {
+                if (this.getPeakLoad(trial, start) <= maxCapacity && totalDistance <= 50) {
                     group.push(order);
                     assigned = true;
                     break;
@@ -110,10 +1009,7 @@ class OptimizationService {
         
         let totalDistance = 0;
         for (let i = 0; i < orders.length - 1; i++) {
-            totalDistance += CalculationUtils.calculateDistance(
-                orders[i].location, 
-                orders[i + 1].location
-            );
+            totalDistance += this.getLegDistance(orders[i].location, orders[i + 1].location);
         }
         
         return totalDistance;
@@ -123,15 +1019,16 @@ class OptimizationService {
      * Assign order groups to drones optimally
      * @param {Array} orderGroups - Groups of orders
      * @param {Array} drones - Available drones
+     * @param {number|null} now - Simulation time in seconds for the priority age (null uses the wall clock)
      * @returns {Array} Drone assignments
      */
-    assignOrderGroupsToDrones(orderGroups, drones) {
+    assignOrderGroupsToDrones(orderGroups, drones, now = null) {
         const assignments = [];
         const usedDrones = new Set();
         
         const sortedGroups = orderGroups.sort((a, b) => {
-            const avgPriorityA = a.reduce((sum, order) => sum + order.getPriorityScore(), 0) / a.length;
-            const avgPriorityB = b.reduce((sum, order) => sum + order.getPriorityScore(), 0) / b.length;
+            const avgPriorityA = a.reduce((sum, order) => sum + this.getOrderPriority(order, now), 0) / a.length;
+            const avgPriorityB = b.reduce((sum, order) => sum + this.getOrderPriority(order, now), 0) / b.length;
             return avgPriorityB - avgPriorityA;
         });
         
@@ -152,27 +1049,23 @@ class OptimizationService {
 
     /**
      * Find best drone for a group of orders
+     * Scored like the engine's greedy dispatch (DispatchPolicy.scoreDrone).
      * @param {Array} orderGroup - Group of orders
      * @param {Array} availableDrones - Available drones
      * @returns {Drone|null} Best drone
      */
     findBestDroneForGroup(orderGroup, availableDrones) {
         let bestDrone = null;
-        let bestScore = -1;
+        let bestScore = -Infinity;
         
-        const totalWeight = orderGroup.reduce((sum, order) => sum + order.weight, 0);
         const centerLocation = this.calculateCenterLocation(orderGroup);
         
         for (const drone of availableDrones) {
-            if (drone.capacity < totalWeight) continue;
+            if (drone.capacity < this.getPeakLoad(orderGroup, drone.baseLocation || drone.location)) continue;
+            if (!this.isGroupFeasible(orderGroup, drone)) continue;
             
-            const distance = CalculationUtils.calculateDistance(drone.location, centerLocation);
-            const capacityUtilization = totalWeight / drone.capacity;
-            const batteryScore = drone.batteryLevel / 100;
-            
-            const score = (1 / (distance + 1)) * 0.4 + 
-                         capacityUtilization * 0.3 + 
-                         batteryScore * 0.3;
+            const distance = this.getLegDistance(drone.location, centerLocation);
+            const score = DispatchPolicy.scoreDrone(drone, orderGroup, distance);
             
             if (score > bestScore) {
                 bestScore = score;
@@ -183,6 +1076,60 @@ class OptimizationService {
         return bestDrone;
     }
 
+    /**
+     * Get the heaviest load a trip carries along its route
+     * Parcels with an origin are only on board from their pickup to their dropoff.
+     * @param {Array} orders - Orders of the trip
+     * @param {Object} start - Where the trip starts and ends
+     * @returns {number} Peak payload in kg
+     */
+    getPeakLoad(orders, start) {
+        const legs = this.buildRouteLegs(this.calculateOptimalRoute(orders, start), orders);
+        return Math.max(0, ...legs.map(leg => leg.payload));
+    }
+
+    /**
+     * Check that a drone has the energy to fly a group and return with the reserve
+     * Drones without an energy model (plain records) are only checked for capacity.
+     * @param {Array} orderGroup - Group of orders
+     * @param {Drone} drone - Candidate drone
+     * @returns {boolean} True if the trip fits in the battery
+     */
+    isGroupFeasible(orderGroup, drone) {
+        if (!drone.energyModel) {
+            return true;
+        }
+
+        const start = drone.baseLocation || drone.location;
+        const route = this.calculateOptimalRoute(orderGroup, start);
+        const energy = this.calculateBatteryConsumption(route, drone, orderGroup);
+
+        return energy <= drone.batteryLevel - this.getBatteryReserve(drone);
+    }
+
+    /**
+     * Get an order's priority score, aged on the simulation clock when given
+     * Orders without a simulation arrival time count as just arrived.
+     * @param {Order} order - Order
+     * @param {number|null} now - Simulation time in seconds (null uses the wall clock)
+     * @returns {number} Priority score
+     */
+    getOrderPriority(order, now = null) {
+        if (now === null) return order.getPriorityScore();
+
+        const arrival = typeof order.simulationTimestamp === 'number' ? order.simulationTimestamp : now;
+        return order.getPriorityScore(now - arrival);
+    }
+
+    /**
+     * Get battery % a drone must keep for the way home
+     * @param {Drone} drone - Drone
+     * @returns {number} Drone's own reserve, or the service default for plain records
+     */
+    getBatteryReserve(drone) {
+        return drone.batteryReserve !== undefined ? drone.batteryReserve : OptimizationService.BATTERY_RESERVE;
+    }
+
     /**
      * Calculate center location of order group
      * @param {Array} orders - Orders in group
@@ -206,28 +1153,220 @@ class OptimizationService {
      * @returns {Array} Optimal route
      */
     calculateOptimalRoute(orders, startLocation, algorithm = this.algorithms.NEAREST_NEIGHBOR) {
-        const deliveryPoints = orders.map(order => ({
-            ...order.location,
-            orderId: order.id
-        }));
+        return this.planOptimalRoute(orders, startLocation, algorithm).route;
+    }
+
+    /**
+     * Build a route with the given algorithm, then improve it with local search
+     * Routes of up to exactSolverOptions.maxStops stops (never more than
+     * HELD_KARP_MAX_STOPS) are solved to optimality with Held-Karp whatever
+     * the algorithm.
+     * @param {Array} orders - Orders to visit
+     * @param {Object} startLocation - Starting location
+     * @param {string} algorithm - Algorithm to use
+     * @param {Object} localSearch - {enabled, maxIterations, timeLimit}; defaults to localSearchOptions
+     * @returns {Object} {route, improvement, optimal} - improvement is null when local search is off
+     *   or the route is optimal
+     */
+    planOptimalRoute(orders, startLocation, algorithm = this.algorithms.NEAREST_NEIGHBOR, localSearch = this.localSearchOptions) {
+        const deliveryPoints = this.getStopPoints(orders);
+        let route;
+
+        const exactStops = Math.min(this.exactSolverOptions.maxStops, OptimizationService.HELD_KARP_MAX_STOPS);
+        if (algorithm === this.algorithms.HELD_KARP ||
+            (this.exactSolverOptions.enabled && deliveryPoints.length <= exactStops)) {
+            return { route: this.heldKarpRoute(deliveryPoints, startLocation, orders), improvement: null, optimal: true };
+        }
 
         switch (algorithm) {
-            case this.algorithms.NEAREST_NEIGHBOR:
-                return this.nearestNeighborRoute(deliveryPoints, startLocation);
-                
             case this.algorithms.GENETIC_ALGORITHM:
-                return this.geneticAlgorithmRoute(deliveryPoints, startLocation);
-                
+                route = this.geneticAlgorithmRoute(deliveryPoints, startLocation);
+                break;
+
             case this.algorithms.SIMULATED_ANNEALING:
-                return this.simulatedAnnealingRoute(deliveryPoints, startLocation);
-                
+                route = this.simulatedAnnealingRoute(deliveryPoints, startLocation);
+                break;
+
             default:
-                return this.nearestNeighborRoute(deliveryPoints, startLocation);
+                route = this.nearestNeighborRoute(deliveryPoints, startLocation);
+        }
+
+        if (!localSearch.enabled || typeof RouteImprover === 'undefined' || deliveryPoints.length < 2) {
+            return { route, improvement: null, optimal: false };
+        }
+
+        return { ...this.improveRoute(route, localSearch), optimal: false };
+    }
+
+    /**
+     * Held-Karp dynamic programming: shortest closed tour through all points
+     * cost[mask][last] is the shortest path from the start through the points
+     * in mask ending at last; a dropoff can only be added once its pickup is in
+     * the mask. The load on board only depends on the mask, so equally short
+     * paths are ranked by their peak load. O(2^n * n^2) time, so limited to
+     * HELD_KARP_MAX_STOPS points.
+     * @param {Array} points - Points to visit
+     * @param {Object} startPoint - Start and end of the tour
+     * @param {Array} orders - Orders behind the points, for their weights
+     * @returns {Array} Optimal route [start, ...points, start]
+     */
+    heldKarpRoute(points, startPoint, orders = []) {
+        if (points.length === 0) return [startPoint];
+
+        const n = points.length;
+        if (n > OptimizationService.HELD_KARP_MAX_STOPS) {
+            throw new Error(`Held-Karp is limited to ${OptimizationService.HELD_KARP_MAX_STOPS} stops, got ${n}`);
+        }
+
+        const nodes = [startPoint, ...points];
+        const distance = nodes.map(from => nodes.map(to => this.getLegDistance(from, to)));
+
+        // Bits of the pickups each point waits for
+        const requires = points.map(point => point.pickup ? 0 : points.reduce((mask, other, k) =>
+            other.pickup && other.orderId === point.orderId ? mask | (1 << k) : mask, 0));
+
+        const full = (1 << n) - 1;
+
+        // Load on board once the points in mask are visited
+        const weightOf = (point) => {
+            const order = orders.find(candidate => candidate.id === point.orderId);
+            return order ? order.weight : 0;
+        };
+        const load = new Float64Array(full + 1);
+        load[0] = points.reduce((sum, point, k) => requires[k] === 0 && !point.pickup ? sum + weightOf(point) : sum, 0);
+        for (let mask = 1; mask <= full; mask++) {
+            const k = 31 - Math.clz32(mask & -mask);
+            load[mask] = load[mask & (mask - 1)] + (points[k].pickup ? weightOf(points[k]) : -weightOf(points[k]));
+        }
+
+        const cost = new Float64Array((full + 1) * n).fill(Infinity);
+        const peak = new Float64Array((full + 1) * n).fill(Infinity);
+        const parent = new Int8Array((full + 1) * n).fill(-1);
+        const isBetter = (value, valuePeak, index) => value < cost[index] - OptimizationService.EXACT_EPSILON ||
+            (value <= cost[index] + OptimizationService.EXACT_EPSILON && valuePeak < peak[index]);
+
+        for (let first = 0; first < n; first++) {
+            if (requires[first] === 0) {
+                cost[(1 << first) * n + first] = distance[0][first + 1];
+                peak[(1 << first) * n + first] = load[0];
+            }
+        }
+
+        for (let mask = 1; mask <= full; mask++) {
+            for (let last = 0; last < n; last++) {
+                const here = cost[mask * n + last];
+                if (here === Infinity) continue;
+
+                for (let next = 0; next < n; next++) {
+                    if (mask & (1 << next) || (requires[next] & mask) !== requires[next]) continue;
+
+                    const index = (mask | (1 << next)) * n + next;
+                    const value = here + distance[last + 1][next + 1];
+                    const valuePeak = Math.max(peak[mask * n + last], load[mask]);
+                    if (isBetter(value, valuePeak, index)) {
+                        cost[index] = value;
+                        peak[index] = valuePeak;
+                        parent[index] = last;
+                    }
+                }
+            }
+        }
+
+        // Close the tour: the last leg home is flown with the final load
+        let last = -1;
+        let best = Infinity;
+        let bestPeak = Infinity;
+        for (let candidate = 0; candidate < n; candidate++) {
+            const value = cost[full * n + candidate] + distance[candidate + 1][0];
+            const valuePeak = Math.max(peak[full * n + candidate], load[full]);
+            if (value < best - OptimizationService.EXACT_EPSILON ||
+                (value <= best + OptimizationService.EXACT_EPSILON && valuePeak < bestPeak)) {
+                last = candidate;
+                best = value;
+                bestPeak = valuePeak;
+            }
+        }
+
+        const tour = [];
+        let mask = full;
+        while (last !== -1) {
+            tour.unshift(points[last]);
+            const previous = parent[mask * n + last];
+            mask &= ~(1 << last);
+            last = previous;
+        }
+
+        return [startPoint, ...tour, startPoint];
+    }
+
+    /**
+     * Apply 2-opt, Or-opt and relocate moves to a closed route
+     * @param {Array} route - Route [start, ...stops, start]
+     * @param {Object} localSearch - {maxIterations, timeLimit}
+     * @returns {Object} {route, improvement: {initialDistance, distance, saved, iterations, moves}}
+     */
+    improveRoute(route, localSearch = this.localSearchOptions) {
+        const start = route[0];
+        const improver = new RouteImprover({
+            maxIterations: localSearch.maxIterations,
+            timeLimit: localSearch.timeLimit,
+            distance: (from, to) => this.getLegDistance(from, to)
+        });
+        const { route: stops, ...improvement } = improver.improve(route.slice(1, -1), start);
+
+        return { route: [start, ...stops, start], improvement };
+    }
+
+    /**
+     * Build the stops of some orders
+     * Orders with an origin get a pickup point there ahead of their dropoff.
+     * @param {Array} orders - Orders (or plain records with location and optional origin)
+     * @returns {Array} Points {x, y, orderId, pickup?}
+     */
+    getStopPoints(orders) {
+        return orders.flatMap(order => [
+            ...(order.origin ? [{ ...order.origin, orderId: order.id, pickup: true }] : []),
+            { ...order.location, orderId: order.id }
+        ]);
+    }
+
+    /**
+     * Key a stop by order and kind (pickup and dropoff share the orderId)
+     * @param {Object} point - Route point
+     * @returns {string} Key
+     */
+    getStopKey(point) {
+        return `${point.orderId || point.id}${point.pickup ? ':pickup' : ''}`;
+    }
+
+    /**
+     * Move every pickup that comes after its dropoff to just before it
+     * Used to repair the permutations of the genetic and annealing searches.
+     * @param {Array} route - Stops in visiting order
+     * @returns {Array} Stops with each pickup ahead of its dropoff
+     */
+    enforcePrecedence(route) {
+        const pickups = new Map(route.filter(point => point.pickup).map(point => [point.orderId, point]));
+        const repaired = [];
+
+        for (const point of route) {
+            if (!pickups.has(point.orderId)) {
+                if (!point.pickup) repaired.push(point);
+                continue;
+            }
+
+            // First stop of an order with a pickup: the pickup goes here
+            repaired.push(pickups.get(point.orderId));
+            pickups.delete(point.orderId);
+            if (!point.pickup) repaired.push(point);
         }
+
+        return repaired;
     }
 
     /**
      * Nearest Neighbor algorithm for route optimization
+     * A dropoff only becomes eligible once its pickup has been visited.
      * @param {Array} points - Points to visit
      * @param {Object} startPoint - Starting point
      * @returns {Array} Route
@@ -237,14 +1376,17 @@ class OptimizationService {
         
         const route = [startPoint];
         const unvisited = [...points];
+        const awaitingPickup = new Set(points.filter(point => point.pickup).map(point => point.orderId));
         let currentPoint = startPoint;
 
         while (unvisited.length > 0) {
-            let nearestIndex = 0;
-            let nearestDistance = CalculationUtils.calculateDistance(currentPoint, unvisited[0]);
+            let nearestIndex = -1;
+            let nearestDistance = Infinity;
+
+            for (let i = 0; i < unvisited.length; i++) {
+                if (!unvisited[i].pickup && awaitingPickup.has(unvisited[i].orderId)) continue;
 
-            for (let i = 1; i < unvisited.length; i++) {
-                const distance = CalculationUtils.calculateDistance(currentPoint, unvisited[i]);
+                const distance = this.getLegDistance(currentPoint, unvisited[i]);
                 if (distance < nearestDistance) {
                     nearestDistance = distance;
                     nearestIndex = i;
@@ -252,6 +1394,9 @@ class OptimizationService {
             }
 
             const nearestPoint = unvisited.splice(nearestIndex, 1)[0];
+            if (nearestPoint.pickup) {
+                awaitingPickup.delete(nearestPoint.orderId);
+            }
             route.push(nearestPoint);
             currentPoint = nearestPoint;
         }
@@ -286,11 +1431,11 @@ class OptimizationService {
                 let child = this.orderCrossover(parent1, parent2);
                 
                 // Mutation
-                if (Math.random() < 0.1) {
+                if (this.nextRandom() < 0.1) {
                     child = this.mutateRoute(child);
                 }
                 
-                newPopulation.push(child);
+                newPopulation.push(this.enforcePrecedence(child));
             }
             
             population = newPopulation;
@@ -316,7 +1461,7 @@ class OptimizationService {
         for (let i = 0; i < populationSize; i++) {
             const route = [...points];
             this.shuffleArray(route);
-            population.push(route);
+            population.push(this.enforcePrecedence(route));
         }
         
         return population;
@@ -330,10 +1475,10 @@ class OptimizationService {
      */
     tournamentSelection(population, fitness) {
         const tournamentSize = 3;
-        let bestIndex = Math.floor(Math.random() * population.length);
+        let bestIndex = Math.floor(this.nextRandom() * population.length);
         
         for (let i = 1; i < tournamentSize; i++) {
-            const candidateIndex = Math.floor(Math.random() * population.length);
+            const candidateIndex = Math.floor(this.nextRandom() * population.length);
             if (fitness[candidateIndex] > fitness[bestIndex]) {
                 bestIndex = candidateIndex;
             }
@@ -350,8 +1495,8 @@ class OptimizationService {
      */
     orderCrossover(parent1, parent2) {
         const length = parent1.length;
-        const start = Math.floor(Math.random() * length);
-        const end = Math.floor(Math.random() * (length - start)) + start;
+        const start = Math.floor(this.nextRandom() * length);
+        const end = Math.floor(this.nextRandom() * (length - start)) + start;
         
         const child = new Array(length);
         const selected = new Set();
@@ -359,7 +1504,7 @@ class OptimizationService {
         // Copy segment from parent1
         for (let i = start; i <= end; i++) {
             child[i] = parent1[i];
-            selected.add(parent1[i].orderId || parent1[i].id);
+            selected.add(this.getStopKey(parent1[i]));
         }
         
         // Fill remaining positions from parent2
@@ -369,7 +1514,7 @@ class OptimizationService {
             if (childIndex >= length) break;
             
             const item = parent2[i];
-            if (!selected.has(item.orderId || item.id)) {
+            if (!selected.has(this.getStopKey(item))) {
                 child[childIndex] = item;
                 childIndex++;
             }
@@ -385,8 +1530,8 @@ class OptimizationService {
      */
     mutateRoute(route) {
         const mutated = [...route];
-        const i = Math.floor(Math.random() * mutated.length);
-        const j = Math.floor(Math.random() * mutated.length);
+        const i = Math.floor(this.nextRandom() * mutated.length);
+        const j = Math.floor(this.nextRandom() * mutated.length);
         [mutated[i], mutated[j]] = [mutated[j], mutated[i]];
         return mutated;
     }
@@ -402,6 +1547,7 @@ class OptimizationService {
         
         let currentRoute = [...points];
         this.shuffleArray(currentRoute);
+        currentRoute = this.enforcePrecedence(currentRoute);
         let currentDistance = this.calculateRouteDistance(currentRoute, startPoint);
         
         let bestRoute = [...currentRoute];
@@ -412,15 +1558,16 @@ class OptimizationService {
         
         for (let iteration = 0; iteration < maxIterations; iteration++) {
             // Generate neighbor solution
-            const newRoute = [...currentRoute];
-            const i = Math.floor(Math.random() * newRoute.length);
-            const j = Math.floor(Math.random() * newRoute.length);
+            let newRoute = [...currentRoute];
+            const i = Math.floor(this.nextRandom() * newRoute.length);
+            const j = Math.floor(this.nextRandom() * newRoute.length);
             [newRoute[i], newRoute[j]] = [newRoute[j], newRoute[i]];
+            newRoute = this.enforcePrecedence(newRoute);
             
             const newDistance = this.calculateRouteDistance(newRoute, startPoint);
             
             // Accept or reject new solution
-            if (newDistance < currentDistance || Math.random() < Math.exp((currentDistance - newDistance) / temperature)) {
+            if (newDistance < currentDistance || this.nextRandom() < Math.exp((currentDistance - newDistance) / temperature)) {
                 currentRoute = newRoute;
                 currentDistance = newDistance;
                 
@@ -445,17 +1592,38 @@ class OptimizationService {
     calculateRouteDistance(route, startPoint) {
         if (route.length === 0) return 0;
         
-        let totalDistance = CalculationUtils.calculateDistance(startPoint, route[0]);
+        let totalDistance = this.getLegDistance(startPoint, route[0]);
         
         for (let i = 0; i < route.length - 1; i++) {
-            totalDistance += CalculationUtils.calculateDistance(route[i], route[i + 1]);
+            totalDistance += this.getLegDistance(route[i], route[i + 1]);
         }
         
-        totalDistance += CalculationUtils.calculateDistance(route[route.length - 1], startPoint);
+        totalDistance += this.getLegDistance(route[route.length - 1], startPoint);
         
         return totalDistance;
     }
 
+    /**
+     * Distance flown between two points (detours around obstacles when a planner is set)
+     * @param {Object} from - Start point {x, y}
+     * @param {Object} to - End point {x, y}
+     * @returns {number} Distance
+     */
+    getLegDistance(from, to) {
+        if (this.pathPlanner) {
+            return this.pathPlanner.getPathDistance(from, to);
+        }
+        return CalculationUtils.calculateDistance(from, to);
+    }
+
+    /**
+     * Use obstacle-aware distances in every route calculation
+     * @param {PathPlanner|null} pathPlanner - Planner shared with the simulation engine
+     */
+    setPathPlanner(pathPlanner) {
+        this.pathPlanner = pathPlanner;
+    }
+
     /**
      * Calculate route time including delivery time
      * @param {Array} route - Route points
@@ -476,15 +1644,48 @@ class OptimizationService {
     /**
      * Calculate battery consumption for route
      * @param {Array} route - Route points
+     * @param {Drone} drone - Drone flying the route; its energy model prices payload, hover and climbs (optional)
+     * @param {Array} orders - Orders carried, dropped at the matching route points (optional)
      * @returns {number} Battery consumption percentage
      */
-    calculateBatteryConsumption(route) {
+    calculateBatteryConsumption(route, drone = null, orders = []) {
         if (!route || route.length === 0) return 0;
+
+        if (drone && drone.energyModel) {
+            const legs = this.buildRouteLegs(route, orders);
+            return EnergyModel.estimateTrip(drone.energyModel, legs, { speed: drone.speed });
+        }
         
         const totalDistance = this.calculateRouteDistance(route.slice(1, -1), route[0]);
         return totalDistance * 2; // 2% per km
     }
 
+    /**
+     * Split a route into legs with the payload carried on each
+     * @param {Array} route - Route points, start and end included
+     * @param {Array} orders - Orders carried; each is dropped at the point with its orderId
+     *   and, when the route has its pickup point, only loaded there
+     * @returns {Array} Legs {distance, payload}
+     */
+    buildRouteLegs(route, orders) {
+        const pickedUp = route.filter(point => point.pickup).map(point => point.orderId);
+        let payload = orders
+            .filter(order => !pickedUp.includes(order.id))
+            .reduce((sum, order) => sum + order.weight, 0);
+        const legs = [];
+
+        for (let i = 0; i < route.length - 1; i++) {
+            legs.push({ distance: this.getLegDistance(route[i], route[i + 1]), payload });
+
+            const stop = orders.find(order => order.id === route[i + 1].orderId);
+            if (stop) {
+                payload += route[i + 1].pickup ? stop.weight : -stop.weight;
+            }
+        }
+
+        return legs;
+    }
+
     /**
      * Calculate optimization statistics
      * @param {Array} routes - Optimized routes
@@ -492,9 +1693,11 @@ class OptimizationService {
      */
     calculateOptimizationStats(routes) {
         const totalOrders = routes.reduce((sum, route) => sum + route.orders.length, 0);
-        const totalDistance = routes.reduce((sum, route) => sum + route.estimatedBattery / 2, 0);
+        const totalDistance = routes.reduce((sum, route) =>
+            sum + (route.estimatedDistance !== undefined ? route.estimatedDistance : route.estimatedBattery / 2), 0);
         const totalTime = routes.reduce((sum, route) => sum + route.estimatedTime, 0);
         const averageTime = totalTime / routes.length || 0;
+        const distanceSaved = routes.reduce((sum, route) => sum + (route.improvement ? route.improvement.saved : 0), 0);
         
         return {
             totalRoutes: routes.length,
@@ -502,7 +1705,8 @@ class OptimizationService {
             totalDistance: Math.round(totalDistance * 100) / 100,
             averageTime: Math.round(averageTime * 100) / 100,
             efficiency: totalOrders > 0 ? (totalOrders / totalDistance) * 100 : 0,
-            utilization: routes.length > 0 ? (totalOrders / routes.length) : 0
+            utilization: routes.length > 0 ? (totalOrders / routes.length) : 0,
+            distanceSaved: Math.round(distanceSaved * 100) / 100
         };
     }
 
@@ -512,11 +1716,19 @@ class OptimizationService {
      */
     shuffleArray(array) {
         for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(this.nextRandom() * (i + 1));
             [array[i], array[j]] = [array[j], array[i]];
         }
     }
 
+    /**
+     * Draw a random number in [0, 1) from the injected generator
+     * @returns {number} Random number
+     */
+    nextRandom() {
+        return this.random ? this.random.next() : Math.random();
+    }
+
     /**
      * Optimize drone fleet allocation
      * @param {Array} orders - Orders to fulfill
@@ -586,6 +1798,23 @@ class OptimizationService {
         return this.kMeansBasePlacement(deliveryPoints, numBases);
     }
 
+    /**
+     * Turn optimized base locations into depot definitions
+     * @param {Array} deliveryPoints - Historical delivery points
+     * @param {number} numDepots - Number of depots to place
+     * @param {Object} depotDefaults - Shared depot settings {capacity, chargingBays, inventory}
+     * @returns {Array} Depot data ready for SimulationEngine.addDepot
+     */
+    planDepots(deliveryPoints, numDepots = 1, depotDefaults = {}) {
+        const { bases } = this.optimizeBaseLocations(deliveryPoints, numDepots);
+
+        return bases.map((location, index) => ({
+            ...depotDefaults,
+            name: `Depósito ${index + 1}`,
+            location: { x: Math.round(location.x * 10) / 10, y: Math.round(location.y * 10) / 10 }
+        }));
+    }
+
     /**
      * K-means clustering for base placement
      * @param {Array} points - Delivery points
@@ -597,17 +1826,18 @@ class OptimizationService {
         
         // Initialize centroids randomly
         for (let i = 0; i < k; i++) {
-            const randomPoint = points[Math.floor(Math.random() * points.length)];
+            const randomPoint = points[Math.floor(this.nextRandom() * points.length)];
             centroids.push({ x: randomPoint.x, y: randomPoint.y });
         }
 
         let changed = true;
         let iterations = 0;
+        let clusters = [];
         const maxIterations = 100;
 
         while (changed && iterations < maxIterations) {
             changed = false;
-            const clusters = Array(k).fill().map(() => []);
+            clusters = Array(k).fill().map(() => []);
 
             // Assign points to nearest centroid
             for (const point of points) {
@@ -684,6 +1914,74 @@ class OptimizationService {
     }
 }
 
+// Battery % a drone must still hold when it lands back at base
+OptimizationService.BATTERY_RESERVE = 20;
+
+// Seconds on the ground per parcel loaded and handed over, and battery %
+// recharged per second when planning several trips (as Drone's defaults)
+OptimizationService.LOADING_TIME = 5;
+OptimizationService.DELIVERY_TIME = 3;
+OptimizationService.CHARGE_RATE = 10;
+
+// VRPTW defaults: clock at the start, latest return to base (seconds), cost
+// per second late for soft windows without their own penalty, cost of each
+// drone used, and ground times at the base and at the door
+OptimizationService.DEFAULT_VRPTW_OPTIONS = {
+    startTime: 0,
+    horizon: Infinity,
+    latenessPenalty: 1,
+    vehicleCost: 0,
+    loadingTime: OptimizationService.LOADING_TIME,
+    serviceTime: OptimizationService.DELIVERY_TIME
+};
+
+// Why the VRPTW solver could not route an order
+OptimizationService.INFEASIBILITY_REASONS = {
+    capacity: 'Peso acima da capacidade dos drones',
+    range: 'Fora do alcance dos drones',
+    energy: 'Bateria insuficiente para a viagem',
+    window: 'Janela de entrega rígida não pode ser cumprida',
+    horizon: 'Não há tempo de voltar à base antes do fim do horizonte',
+    fleet: 'Nenhum drone livre consegue encaixar o pedido'
+};
+
+// Routes with at most maxStops stops are solved exactly (Held-Karp); the DP
+// grows as 2^n * n^2, so explicit held_karp requests stop at HELD_KARP_MAX_STOPS
+OptimizationService.DEFAULT_EXACT_SOLVER = {
+    enabled: true,
+    maxStops: 10
+};
+OptimizationService.HELD_KARP_MAX_STOPS = 16;
+
+// Distance difference below which two exact paths count as equally short
+OptimizationService.EXACT_EPSILON = 1e-9;
+
+// ALNS budget: iterations, and an optional wall-clock limit in ms (null keeps
+// seeded runs reproducible); share of the orders removed at most per
+// iteration; weight update every segmentLength iterations with the given
+// reaction factor and floor; scores for a new best, an improved and an
+// accepted plan; and annealing acceptance: a plan startWorsening (5%) longer
+// is first accepted half the time
+OptimizationService.DEFAULT_ALNS = {
+    maxIterations: 500,
+    timeLimit: null,
+    removalShare: 0.3,
+    segmentLength: 50,
+    reactionFactor: 0.2,
+    minWeight: 0.1,
+    scores: { best: 33, improved: 9, accepted: 13 },
+    startWorsening: 0.05,
+    coolingRate: 0.99
+};
+
+// Local search after every route algorithm: improving moves per route, and
+// an optional wall-clock limit in ms (null keeps seeded runs reproducible)
+OptimizationService.DEFAULT_LOCAL_SEARCH = {
+    enabled: true,
+    maxIterations: 100,
+    timeLimit: null
+};
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = OptimizationService;
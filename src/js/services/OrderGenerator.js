@@ -0,0 +1,288 @@
+/**
+ * Order Generator - Stochastic order arrival processes
+ * DTI Digital - Logistics Drone Simulation
+ *
+ * Orders arrive as a non-homogeneous Poisson process: the base rate is
+ * scaled by a time-of-day demand curve and sampled by thinning. Delivery
+ * points come from weighted spatial hotspots (or uniformly over the grid),
+ * and priority/weight follow configurable distributions.
+ */
+
+class OrderGenerator {
+    /**
+     * @param {Object} config - Generator configuration (see DEFAULT_CONFIG)
+     * @param {RandomGenerator} random - Seeded random source (optional; config.seed takes precedence)
+     */
+    constructor(config = {}, random = null) {
+        const validation = OrderGenerator.validateConfig(config);
+        if (!validation.isValid) {
+            throw new Error(`Invalid order generator config: ${validation.errors.join('; ')}`);
+        }
+
+        this.config = {
+            ...OrderGenerator.DEFAULT_CONFIG,
+            ...config,
+            weight: { ...OrderGenerator.DEFAULT_CONFIG.weight, ...(config.weight || {}) },
+            priorityWeights: config.priorityWeights || OrderGenerator.DEFAULT_CONFIG.priorityWeights
+        };
+        this.name = this.config.name;
+        this.grid = config.grid || null;
+        this.random = config.seed !== undefined ? new RandomGenerator(config.seed) : random;
+        this.demandCurve = OrderGenerator.resolveDemandCurve(this.config.demandCurve);
+        this.maxDemandFactor = Math.max(...this.demandCurve.map(([, factor]) => factor));
+        this.nextCandidateTime = null;
+        this.generatedCount = 0;
+    }
+
+    /**
+     * Validate generator configuration
+     * @param {Object} config - Generator configuration
+     * @returns {Object} Validation result with isValid boolean and errors array
+     */
+    static validateConfig(config) {
+        const errors = [];
+
+        if (config.rate !== undefined && (typeof config.rate !== 'number' || config.rate <= 0)) {
+            errors.push('Taxa de chegada deve ser maior que zero');
+        }
+
+        if (typeof config.demandCurve === 'string' && !OrderGenerator.DEMAND_CURVES[config.demandCurve]) {
+            errors.push(`Curva de demanda desconhecida: ${config.demandCurve}`);
+        } else if (Array.isArray(config.demandCurve)) {
+            const valid = config.demandCurve.length >= 2 && config.demandCurve.every(point =>
+                Array.isArray(point) && point[0] >= 0 && point[0] <= 24 && point[1] >= 0);
+            if (!valid) {
+                errors.push('Curva de demanda deve ter ao menos dois pontos [hora 0-24, fator >= 0]');
+            }
+        }
+
+        if (config.hotspots !== undefined) {
+            if (!Array.isArray(config.hotspots)) {
+                errors.push('Hotspots devem ser uma lista');
+            } else {
+                config.hotspots.forEach((hotspot, index) => {
+                    if (!hotspot.center || typeof hotspot.center.x !== 'number' || typeof hotspot.center.y !== 'number') {
+                        errors.push(`hotspots[${index}]: Centro inválido`);
+                    }
+                    if (!(hotspot.radius > 0)) {
+                        errors.push(`hotspots[${index}]: Raio deve ser maior que zero`);
+                    }
+                });
+            }
+        }
+
+        if (config.weight) {
+            const { min = 0.5, max = 5 } = config.weight;
+            if (!(min > 0) || !(max >= min)) {
+                errors.push('Faixa de peso inválida (0 < min <= max)');
+            }
+        }
+
+        if (config.priorityWeights) {
+            const keys = Object.keys(config.priorityWeights);
+            if (keys.some(key => !['alta', 'media', 'baixa'].includes(key)) ||
+                !keys.some(key => config.priorityWeights[key] > 0)) {
+                errors.push('Pesos de prioridade devem usar alta, media ou baixa com ao menos um peso positivo');
+            }
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * Resolve demand curve preset or custom points
+     * @param {string|Array} curve - Preset name or [[hour, factor], ...]
+     * @returns {Array} Points sorted by hour
+     */
+    static resolveDemandCurve(curve) {
+        const points = typeof curve === 'string' ? OrderGenerator.DEMAND_CURVES[curve] : curve;
+        return [...points].sort((a, b) => a[0] - b[0]);
+    }
+
+    /**
+     * Get demand multiplier at a simulation time
+     * @param {number} simTime - Simulation time in seconds
+     * @returns {number} Demand factor
+     */
+    getDemandFactor(simTime) {
+        const hour = (this.config.dayStartHour + simTime / 3600) % 24;
+        const points = this.demandCurve;
+
+        if (hour <= points[0][0]) return points[0][1];
+        if (hour >= points[points.length - 1][0]) return points[points.length - 1][1];
+
+        for (let i = 1; i < points.length; i++) {
+            const [hourB, factorB] = points[i];
+            if (hour <= hourB) {
+                const [hourA, factorA] = points[i - 1];
+                const progress = (hour - hourA) / (hourB - hourA || 1);
+                return factorA + (factorB - factorA) * progress;
+            }
+        }
+
+        return points[points.length - 1][1];
+    }
+
+    /**
+     * Get arrival rate at a simulation time
+     * @param {number} simTime - Simulation time in seconds
+     * @returns {number} Orders per simulation second
+     */
+    getRate(simTime) {
+        return (this.config.rate / 3600) * this.getDemandFactor(simTime);
+    }
+
+    /**
+     * Generate arrivals in the interval (fromTime, toTime]
+     * @param {number} fromTime - Interval start (simulation seconds)
+     * @param {number} toTime - Interval end (simulation seconds)
+     * @returns {Array} Arrivals { arrivalTime, orderData }
+     */
+    generateArrivals(fromTime, toTime) {
+        const { startTime, endTime } = this.config;
+        const maxRate = (this.config.rate / 3600) * this.maxDemandFactor;
+        const arrivals = [];
+
+        if (maxRate <= 0) return arrivals;
+
+        if (this.nextCandidateTime === null) {
+            this.nextCandidateTime = Math.max(startTime, fromTime) + this.random.nextExponential(maxRate);
+        }
+
+        // Thinning: candidates at the peak rate, each kept with probability rate(t) / peak
+        while (this.nextCandidateTime <= toTime && this.nextCandidateTime <= endTime) {
+            const arrivalTime = this.nextCandidateTime;
+
+            if (this.random.next() < this.getRate(arrivalTime) / maxRate) {
+                arrivals.push({ arrivalTime, orderData: this.createOrderData() });
+            }
+
+            this.nextCandidateTime = arrivalTime + this.random.nextExponential(maxRate);
+        }
+
+        return arrivals;
+    }
+
+    /**
+     * Create data for one generated order
+     * @returns {Object} Order data
+     */
+    createOrderData() {
+        this.generatedCount++;
+
+        return {
+            customerName: this.random.pick(this.config.customerNames) || `Cliente ${this.generatedCount}`,
+            weight: this.sampleWeight(),
+            location: this.sampleLocation(),
+            priority: this.random.pickWeighted(this.config.priorityWeights),
+            generator: this.name
+        };
+    }
+
+    /**
+     * Sample package weight
+     * @returns {number} Weight in kg (one decimal)
+     */
+    sampleWeight() {
+        const { distribution, min, max, mean, stdDev } = this.config.weight;
+        let weight;
+
+        if (distribution === 'normal') {
+            weight = this.random.nextGaussian(mean !== undefined ? mean : (min + max) / 2, stdDev !== undefined ? stdDev : (max - min) / 4);
+        } else {
+            weight = this.random.nextFloat(min, max);
+        }
+
+        return Math.round(Math.min(max, Math.max(min, weight)) * 10) / 10;
+    }
+
+    /**
+     * Sample delivery location from hotspots or uniformly over the grid
+     * @returns {Object} Location {x, y}
+     */
+    sampleLocation() {
+        const grid = this.grid || { width: 100, height: 100 };
+        const hotspots = this.config.hotspots;
+        const clamp = (value, max) => Math.round(Math.min(max, Math.max(0, value)));
+
+        if (hotspots.length === 0) {
+            return {
+                x: clamp(this.random.nextFloat(0, grid.width), grid.width),
+                y: clamp(this.random.nextFloat(0, grid.height), grid.height)
+            };
+        }
+
+        const weights = { uniform: this.config.uniformShare };
+        hotspots.forEach((hotspot, index) => {
+            weights[index] = hotspot.weight !== undefined ? hotspot.weight : 1;
+        });
+
+        const choice = this.random.pickWeighted(weights);
+        if (choice === 'uniform') {
+            return {
+                x: clamp(this.random.nextFloat(0, grid.width), grid.width),
+                y: clamp(this.random.nextFloat(0, grid.height), grid.height)
+            };
+        }
+
+        // Gaussian spread around the hotspot: ~95% of orders fall inside the radius
+        const hotspot = hotspots[Number(choice)];
+        return {
+            x: clamp(this.random.nextGaussian(hotspot.center.x, hotspot.radius / 2), grid.width),
+            y: clamp(this.random.nextGaussian(hotspot.center.y, hotspot.radius / 2), grid.height)
+        };
+    }
+
+    /**
+     * Restart the arrival process (keeps the random stream position)
+     */
+    reset() {
+        this.nextCandidateTime = null;
+        this.generatedCount = 0;
+    }
+
+    /**
+     * Export configuration
+     * @returns {Object} JSON representation
+     */
+    toJSON() {
+        return { ...this.config };
+    }
+}
+
+// Time-of-day demand presets: [hour, multiplier of the base rate]
+OrderGenerator.DEMAND_CURVES = {
+    flat: [[0, 1], [24, 1]],
+    lunch_peak: [[0, 0.1], [7, 0.3], [10, 0.8], [12, 2.5], [14, 1], [18, 1.2], [21, 0.6], [24, 0.1]],
+    lunch_dinner: [[0, 0.1], [7, 0.3], [12, 2.2], [14.5, 0.8], [17, 0.9], [19.5, 2.4], [22, 0.7], [24, 0.1]]
+};
+
+OrderGenerator.DEFAULT_CONFIG = {
+    name: 'Gerador',
+    rate: 30, // orders per simulated hour, before the demand curve
+    startTime: 0,
+    endTime: Infinity,
+    dayStartHour: 8, // hour of day at simulation time 0
+    demandCurve: 'flat',
+    hotspots: [],
+    uniformShare: 0.2, // share of orders placed uniformly when hotspots exist
+    priorityWeights: { alta: 0.2, media: 0.5, baixa: 0.3 },
+    weight: { distribution: 'uniform', min: 0.5, max: 5 },
+    customerNames: [
+        'João Silva', 'Maria Santos', 'Pedro Costa', 'Ana Lima',
+        'Carlos Oliveira', 'Lucia Pereira', 'Roberto Alves', 'Patricia Rodrigues'
+    ]
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OrderGenerator;
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+    window.OrderGenerator = OrderGenerator;
+}
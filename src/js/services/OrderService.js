@@ -1,10 +1,31 @@
 
 class OrderService {
-    constructor() {
+    /**
+     * @param {RandomGenerator} random - Seeded random source for order IDs (optional)
+     */
+    constructor(random = null) {
+        this.random = random;
         this.orders = new Map();
         this.completedOrders = [];
         this.orderCounter = 1;
         this.priorityQueue = [];
+        this.simulationClock = null; // () => simulation seconds, for time windows
+    }
+
+    /**
+     * Evaluate deadlines against the simulation clock
+     * @param {Function|null} clock - Returns the current simulation time in seconds
+     */
+    setSimulationClock(clock) {
+        this.simulationClock = clock;
+    }
+
+    /**
+     * Get the current simulation time
+     * @returns {number|null} Seconds, or null without a clock
+     */
+    getSimulationTime() {
+        return this.simulationClock ? this.simulationClock() : null;
     }
 
     /**
@@ -24,7 +45,7 @@ class OrderService {
             const order = new Order({
                 ...orderData,
                 timestamp: Date.now()
-            });
+            }, this.random);
 
             this.orders.set(order.id, order);
             this.updatePriorityQueue();
@@ -207,7 +228,8 @@ class OrderService {
      * @returns {Array} Array of overdue orders
      */
     getOverdueOrders() {
-        return this.getAllOrders().filter(order => order.isOverdue());
+        const now = this.getSimulationTime();
+        return this.getAllOrders().filter(order => order.isOverdue(now));
     }
 
     /**
@@ -270,10 +292,11 @@ class OrderService {
             total: filteredOrders.length,
             pending: filteredOrders.filter(o => o.status === 'pending').length,
             assigned: filteredOrders.filter(o => o.status === 'assigned').length,
+            pickedUp: filteredOrders.filter(o => o.status === 'picked_up').length,
             inTransit: filteredOrders.filter(o => o.status === 'in_transit').length,
             delivered: filteredOrders.filter(o => o.status === 'delivered').length,
             cancelled: filteredOrders.filter(o => o.status === 'cancelled').length,
-            overdue: filteredOrders.filter(o => o.isOverdue()).length,
+            overdue: filteredOrders.filter(o => o.isOverdue(this.getSimulationTime())).length,
             
             // Priority breakdown
             priorityBreakdown: {
@@ -289,6 +312,9 @@ class OrderService {
 
             // Delivery time statistics
             averageDeliveryTime: this.calculateAverageDeliveryTime(filteredOrders),
+
+            // Where the time goes: average simulation seconds per lifecycle stage
+            averageStageTimes: this.calculateAverageStageTimes(filteredOrders),
             
             // Success rate
             successRate: filteredOrders.length > 0 ? 
@@ -317,6 +343,31 @@ class OrderService {
         return totalTime / deliveredOrders.length / (1000 * 60); // Convert to minutes
     }
 
+    /**
+     * Calculate the average time orders spent in each status
+     * Only finished stages of the status history count.
+     * @param {Array} orders - Orders to calculate
+     * @returns {Object} Average simulation seconds per status, over the orders that went through it
+     */
+    calculateAverageStageTimes(orders) {
+        const totals = {};
+        const counts = {};
+
+        orders.forEach(order => {
+            Object.entries(order.getStageDurations()).forEach(([status, seconds]) => {
+                totals[status] = (totals[status] || 0) + seconds;
+                counts[status] = (counts[status] || 0) + 1;
+            });
+        });
+
+        const averages = {};
+        Object.keys(totals).forEach(status => {
+            averages[status] = totals[status] / counts[status];
+        });
+
+        return averages;
+    }
+
     /**
      * Get delivery performance metrics
      * @returns {Object} Performance metrics
@@ -336,16 +387,15 @@ class OrderService {
 
     /**
      * Calculate on-time delivery rate
+     * Time windows are checked against the simulated delivery time.
      * @param {Array} deliveredOrders - Delivered orders
      * @returns {number} On-time delivery rate percentage
      */
     calculateOnTimeDeliveryRate(deliveredOrders) {
-        const ordersWithDeadline = deliveredOrders.filter(order => order.deliveryTime);
+        const ordersWithDeadline = deliveredOrders.filter(order => order.hasDeadline());
         if (ordersWithDeadline.length === 0) return 100;
 
-        const onTimeOrders = ordersWithDeadline.filter(order => 
-            order.actualDeliveryTime <= new Date(order.deliveryTime).getTime()
-        );
+        const onTimeOrders = ordersWithDeadline.filter(order => order.isDeliveredOnTime());
 
         return (onTimeOrders.length / ordersWithDeadline.length) * 100;
     }
@@ -370,7 +420,7 @@ class OrderService {
             else if (deliveryTime > 60) score -= 15;
             
             // Penalize for overdue deliveries
-            if (order.deliveryTime && order.actualDeliveryTime > new Date(order.deliveryTime).getTime()) {
+            if (order.hasDeadline() && !order.isDeliveredOnTime()) {
                 score -= 25;
             }
             
@@ -620,7 +670,7 @@ class OrderService {
             highPriority: this.priorityQueue.filter(o => o.priority === 'alta').length,
             mediumPriority: this.priorityQueue.filter(o => o.priority === 'media').length,
             lowPriority: this.priorityQueue.filter(o => o.priority === 'baixa').length,
-            overdue: this.priorityQueue.filter(o => o.isOverdue()).length,
+            overdue: this.priorityQueue.filter(o => o.isOverdue(this.getSimulationTime())).length,
             averageAge: this.priorityQueue.length > 0 ? 
                 this.priorityQueue.reduce((sum, order) => sum + order.getAge(), 0) / this.priorityQueue.length : 0,
             nextOrder: this.getNextPriorityOrder()
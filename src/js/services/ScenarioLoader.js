@@ -0,0 +1,918 @@
+/**
+ * Scenario Loader - Builds simulations from declarative scenario files
+ * DTI Digital - Logistics Drone Simulation
+ *
+ * Scenario format (version 1.0, JSON):
+ * {
+ *   "version": "1.0",
+ *   "name": "Centro - manhã",
+ *   "seed": 42,                        // optional, makes the run reproducible
+ *   "duration": 3600,                  // simulation seconds
+ *   "timeStep": 0.1,                   // optional headless timestep
+ *   "grid": { "width": 100, "height": 100 },
+ *   "bases": [{ "id": "BASE-1", "name": "Central", "location": { "x": 50, "y": 50 },
+ *               "capacity": 4, "chargingBays": 2, "chargePower": 5, "inventory": { "remedio": 20 },
+ *               "energyPolicy": "swap_or_charge", "batteryPacks": { "packs": 3, "swapTime": 20 } }],  // all but id/location optional
+ *   "fleet": [{ "name": "Alpha", "capacity": 10, "range": 50, "speed": 60, "base": "BASE-1", "count": 2,
+ *               "energyProfile": { "frameMass": 8, "hoverRate": 0.4 }, "batteryReserve": 25 }],  // energyProfile/batteryReserve optional
+ *   "chargingStations": [{ "name": "Posto Norte", "location": { "x": 50, "y": 10 }, "bays": 2, "chargePower": 5 }],
+ *   "obstacles": [{ "x": 20, "y": 20, "width": 10, "height": 5 }],
+ *   "noFlyZones": [{ "name": "Hospital", "polygon": [{ "x": 60, "y": 10 }, { "x": 70, "y": 10 }, { "x": 65, "y": 20 }],
+ *                    "windows": [{ "start": 0, "end": 1800 }] }],
+ *   "orders": [{ "time": 0, "customerName": "João", "weight": 2, "location": { "x": 10, "y": 10 }, "priority": "alta",
+ *                "item": "remedio", "origin": { "x": 30, "y": 40 },     // origin: pickup point (optional)
+ *                "timeWindow": { "earliest": 60, "latest": 600, "hard": false, "penalty": 2 } }],  // seconds (optional)
+ *   "generators": [{ "rate": 40, "demandCurve": "lunch_peak", "hotspots": [{ "center": { "x": 30, "y": 40 }, "radius": 8 }] }],
+ *   "weather": { "keyframes": [{ "time": 0, "wind": { "speed": 10, "direction": 90 }, "precipitation": 0 }],
+ *                "limits": { "maxWindSpeed": 40 }, "turbulence": 0.2 }  // optional; without keyframes it is
+ *                                                                       // generated from the seed (meanWindSpeed, rainChance, ...)
+ *   "dispatch": { "mode": "batched", "maxStops": 3, "maxDetour": 20,      // optional; default "single" flies one order per trip
+ *                 "policy": "greedy",                                   // see DispatchPolicy.TYPES
+ *                 "insertion": { "maxDetour": 30, "maxDelay": 60 },     // urgent orders joining routes in flight
+ *                 "windows": { "latenessPenalty": 1, "releaseLead": 120 } }  // time window handling
+ * }
+ *
+ * Solomon VRPTW instances (plain text) are read by parseSolomon/loadSolomonFile
+ * and solved with OptimizationService.solveVRPTW by benchmarkSolomon.
+ */
+
+class ScenarioLoader {
+    constructor() {
+        this.supportedVersions = ['1.0'];
+        this.validPriorities = ['baixa', 'media', 'alta'];
+    }
+
+    /**
+     * Parse scenario source
+     * @param {Object|string} source - Scenario object or JSON text
+     * @returns {Object} Parse result with scenario or errors
+     */
+    parse(source) {
+        if (typeof source === 'string') {
+            try {
+                return { success: true, scenario: JSON.parse(source) };
+            } catch (error) {
+                return { success: false, errors: [`JSON do cenário inválido: ${error.message}`] };
+            }
+        }
+
+        if (!source || typeof source !== 'object') {
+            return { success: false, errors: ['Cenário deve ser um objeto ou texto JSON'] };
+        }
+
+        return { success: true, scenario: source };
+    }
+
+    /**
+     * Validate scenario structure
+     * @param {Object} scenario - Parsed scenario
+     * @returns {Object} Validation result with isValid boolean and errors array
+     */
+    validateScenario(scenario) {
+        const errors = [];
+
+        if (!this.supportedVersions.includes(scenario.version)) {
+            errors.push(`Versão do cenário não suportada: ${scenario.version} (suportadas: ${this.supportedVersions.join(', ')})`);
+        }
+
+        if (typeof scenario.duration !== 'number' || !(scenario.duration > 0)) {
+            errors.push('Duração do cenário deve ser um número maior que zero');
+        }
+
+        if (scenario.timeStep !== undefined && (typeof scenario.timeStep !== 'number' || !(scenario.timeStep > 0))) {
+            errors.push('Passo de tempo deve ser um número maior que zero');
+        }
+
+        if (scenario.seed !== undefined && !['number', 'string'].includes(typeof scenario.seed)) {
+            errors.push('Semente deve ser um número ou texto');
+        }
+
+        const grid = this.getGrid(scenario);
+        if (!(grid.width > 0) || !(grid.height > 0)) {
+            errors.push('Dimensões da grade devem ser maiores que zero');
+        }
+
+        errors.push(...this.validateBases(scenario.bases, grid));
+        errors.push(...this.validateFleet(scenario.fleet, scenario.bases));
+        errors.push(...this.validateChargingStations(scenario.chargingStations || [], grid));
+        errors.push(...this.validateObstacles(scenario.obstacles || []));
+        errors.push(...this.validateNoFlyZones(scenario.noFlyZones || []));
+        errors.push(...this.validateOrders(scenario.orders || [], grid));
+        errors.push(...this.validateGenerators(scenario.generators || []));
+        errors.push(...this.validateWeather(scenario.weather));
+        errors.push(...this.validateDispatch(scenario.dispatch));
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * Validate bases section
+     * @param {Array} bases - Base definitions
+     * @param {Object} grid - Grid size {width, height}
+     * @returns {Array} Error messages
+     */
+    validateBases(bases, grid) {
+        if (!Array.isArray(bases) || bases.length === 0) {
+            return ['Cenário deve definir ao menos uma base'];
+        }
+
+        const errors = [];
+        const ids = new Set();
+
+        bases.forEach((base, index) => {
+            const prefix = `bases[${index}]`;
+
+            if (!this.isEntry(base)) {
+                errors.push(`${prefix}: Base deve ser um objeto`);
+                return;
+            }
+
+            if (!base.id) {
+                errors.push(`${prefix}: ID da base é obrigatório`);
+            } else if (ids.has(base.id)) {
+                errors.push(`${prefix}: ID da base duplicado (${base.id})`);
+            } else {
+                ids.add(base.id);
+            }
+
+            if (!this.isPointInGrid(base.location, grid)) {
+                errors.push(`${prefix}: Localização da base fora da grade`);
+            } else {
+                const validation = new Depot(base).validate();
+                errors.push(...validation.errors.map(error => `${prefix}: ${error}`));
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Validate fleet section
+     * @param {Array} fleet - Drone definitions
+     * @param {Array} bases - Base definitions
+     * @returns {Array} Error messages
+     */
+    validateFleet(fleet, bases) {
+        if (!Array.isArray(fleet) || fleet.length === 0) {
+            return ['Cenário deve definir ao menos um drone'];
+        }
+
+        const errors = [];
+        const validBases = Array.isArray(bases) ? bases.filter(base => this.isEntry(base)) : [];
+        const baseIds = validBases.map(base => base.id);
+        const defaultBaseId = Array.isArray(bases) && this.isEntry(bases[0]) ? bases[0].id : undefined;
+
+        fleet.forEach((droneData, index) => {
+            const prefix = `fleet[${index}]`;
+
+            if (!this.isEntry(droneData)) {
+                errors.push(`${prefix}: Drone deve ser um objeto`);
+                return;
+            }
+
+            const validation = typeof ValidationUtils !== 'undefined'
+                ? ValidationUtils.validateDrone(droneData)
+                : { errors: [] };
+
+            errors.push(...validation.errors.map(error => `${prefix}: ${error}`));
+
+            if (droneData.base !== undefined && !baseIds.includes(droneData.base)) {
+                errors.push(`${prefix}: Base desconhecida (${droneData.base})`);
+            }
+
+            if (droneData.count !== undefined && !(Number.isInteger(droneData.count) && droneData.count > 0)) {
+                errors.push(`${prefix}: Quantidade deve ser um inteiro maior que zero`);
+            }
+
+            if (droneData.energyProfile && typeof EnergyModel !== 'undefined') {
+                const energyErrors = new EnergyModel(droneData.energyProfile).validate().errors;
+                errors.push(...energyErrors.map(error => `${prefix}: ${error}`));
+            }
+        });
+
+        // Drones without a base go to the first one
+        validBases.forEach((base) => {
+            const index = bases.indexOf(base);
+            const homed = fleet
+                .filter(droneData => this.isEntry(droneData))
+                .filter(droneData => (droneData.base !== undefined ? droneData.base : defaultBaseId) === base.id)
+                .reduce((sum, droneData) => sum + (Number.isInteger(droneData.count) ? droneData.count : 1), 0);
+
+            if (Number.isInteger(base.capacity) && homed > base.capacity) {
+                errors.push(`bases[${index}]: Frota excede a capacidade da base (${homed} de ${base.capacity})`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Validate obstacles section
+     * @param {Array} obstacles - Obstacle rectangles
+     * @returns {Array} Error messages
+     */
+    validateObstacles(obstacles) {
+        if (!Array.isArray(obstacles)) {
+            return ['Obstáculos devem ser uma lista'];
+        }
+
+        const errors = [];
+
+        obstacles.forEach((obstacle, index) => {
+            const valid = this.isEntry(obstacle) &&
+                ['x', 'y', 'width', 'height'].every(key => typeof obstacle[key] === 'number');
+            if (!valid || obstacle.width <= 0 || obstacle.height <= 0) {
+                errors.push(`obstacles[${index}]: Obstáculo deve ter x, y, width e height numéricos (dimensões positivas)`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Validate charging stations section
+     * @param {Array} stations - Charging station definitions
+     * @param {Object} grid - Grid size {width, height}
+     * @returns {Array} Error messages
+     */
+    validateChargingStations(stations, grid) {
+        if (!Array.isArray(stations)) {
+            return ['Estações de recarga devem ser uma lista'];
+        }
+
+        const errors = [];
+
+        stations.forEach((stationData, index) => {
+            const prefix = `chargingStations[${index}]`;
+
+            if (!this.isEntry(stationData)) {
+                errors.push(`${prefix}: Estação de recarga deve ser um objeto`);
+                return;
+            }
+
+            if (!this.isPointInGrid(stationData.location, grid)) {
+                errors.push(`${prefix}: Localização da estação fora da grade`);
+                return;
+            }
+
+            const validation = new ChargingStation(stationData).validate();
+            errors.push(...validation.errors.map(error => `${prefix}: ${error}`));
+        });
+
+        return errors;
+    }
+
+    /**
+     * Validate restricted airspace section
+     * @param {Array} zones - No-fly zone definitions
+     * @returns {Array} Error messages
+     */
+    validateNoFlyZones(zones) {
+        if (!Array.isArray(zones)) {
+            return ['Zonas de exclusão aérea devem ser uma lista'];
+        }
+
+        const errors = [];
+
+        zones.forEach((zoneData, index) => {
+            if (!this.isEntry(zoneData)) {
+                errors.push(`noFlyZones[${index}]: Zona de exclusão deve ser um objeto`);
+                return;
+            }
+
+            if (!Array.isArray(zoneData.polygon)) {
+                errors.push(`noFlyZones[${index}]: Polígono da zona deve ser uma lista de vértices`);
+                return;
+            }
+
+            const validation = new NoFlyZone(zoneData).validate();
+            errors.push(...validation.errors.map(error => `noFlyZones[${index}]: ${error}`));
+        });
+
+        return errors;
+    }
+
+    /**
+     * Validate order arrival schedule
+     * @param {Array} orders - Order definitions with arrival time
+     * @param {Object} grid - Grid size {width, height}
+     * @returns {Array} Error messages
+     */
+    validateOrders(orders, grid) {
+        if (!Array.isArray(orders)) {
+            return ['Pedidos devem ser uma lista'];
+        }
+
+        const errors = [];
+
+        orders.forEach((orderData, index) => {
+            const prefix = `orders[${index}]`;
+
+            if (!this.isEntry(orderData)) {
+                errors.push(`${prefix}: Pedido deve ser um objeto`);
+                return;
+            }
+
+            if (orderData.time !== undefined && (typeof orderData.time !== 'number' || orderData.time < 0)) {
+                errors.push(`${prefix}: Horário de chegada deve ser um número não negativo`);
+            }
+
+            if (!orderData.customerName || String(orderData.customerName).trim() === '') {
+                errors.push(`${prefix}: Nome do cliente é obrigatório`);
+            }
+
+            if (typeof orderData.weight !== 'number' || orderData.weight <= 0) {
+                errors.push(`${prefix}: Peso deve ser maior que zero`);
+            }
+
+            if (!this.validPriorities.includes(String(orderData.priority).toLowerCase())) {
+                errors.push(`${prefix}: Prioridade deve ser: baixa, media ou alta`);
+            }
+
+            if (!this.isPointInGrid(orderData.location, grid)) {
+                errors.push(`${prefix}: Localização de entrega fora da grade`);
+            }
+
+            if (orderData.origin !== undefined && !this.isPointInGrid(orderData.origin, grid)) {
+                errors.push(`${prefix}: Origem de coleta fora da grade`);
+            }
+
+            if (orderData.timeWindow !== undefined && !this.isValidTimeWindow(orderData.timeWindow)) {
+                errors.push(`${prefix}: Janela de entrega inválida (início e fim em segundos, fim não antes do início, multa não negativa)`);
+            }
+
+            if (orderData.serviceTime !== undefined && !(typeof orderData.serviceTime === 'number' && orderData.serviceTime >= 0)) {
+                errors.push(`${prefix}: Tempo de atendimento deve ser um número não negativo`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Validate stochastic order generators
+     * @param {Array} generators - Generator configurations
+     * @returns {Array} Error messages
+     */
+    validateGenerators(generators) {
+        if (!Array.isArray(generators)) {
+            return ['Geradores devem ser uma lista'];
+        }
+
+        if (generators.length > 0 && typeof OrderGenerator === 'undefined') {
+            return ['Geradores de pedidos não disponíveis'];
+        }
+
+        const errors = [];
+
+        generators.forEach((config, index) => {
+            if (!this.isEntry(config)) {
+                errors.push(`generators[${index}]: Gerador deve ser um objeto`);
+                return;
+            }
+
+            const validation = OrderGenerator.validateConfig(config);
+            errors.push(...validation.errors.map(error => `generators[${index}]: ${error}`));
+        });
+
+        return errors;
+    }
+
+    /**
+     * Validate weather section (scripted keyframes only; generated fields are valid by construction)
+     * @param {Object} weather - Weather configuration (optional)
+     * @returns {Array} Error messages
+     */
+    validateWeather(weather) {
+        if (weather === undefined || weather === null) {
+            return [];
+        }
+
+        if (typeof weather !== 'object' || Array.isArray(weather)) {
+            return ['Clima deve ser um objeto'];
+        }
+
+        if (weather.keyframes !== undefined && !Array.isArray(weather.keyframes)) {
+            return ['weather: Quadros do clima devem ser uma lista'];
+        }
+
+        if (typeof WeatherField === 'undefined' || !weather.keyframes) {
+            return [];
+        }
+
+        return new WeatherField(weather).validate().errors.map(error => `weather: ${error}`);
+    }
+
+    /**
+     * Validate dispatch section
+     * @param {Object} dispatch - Dispatch configuration (optional)
+     * @returns {Array} Error messages
+     */
+    validateDispatch(dispatch) {
+        if (dispatch === undefined) {
+            return [];
+        }
+
+        if (typeof dispatch !== 'object' || dispatch === null || Array.isArray(dispatch)) {
+            return ['Despacho deve ser um objeto'];
+        }
+
+        const errors = [];
+
+        if (dispatch.mode !== undefined && typeof SimulationEngine !== 'undefined' &&
+            !SimulationEngine.DISPATCH_MODES.includes(dispatch.mode)) {
+            errors.push(`dispatch: Modo de despacho desconhecido (${dispatch.mode})`);
+        }
+
+        if (dispatch.policy !== undefined && typeof DispatchPolicy !== 'undefined' &&
+            !DispatchPolicy.TYPES[dispatch.policy]) {
+            errors.push(`dispatch: Política de despacho desconhecida (${dispatch.policy})`);
+        }
+
+        if (dispatch.insertion !== undefined) {
+            const insertion = dispatch.insertion;
+            if (typeof insertion !== 'object' || insertion === null || Array.isArray(insertion)) {
+                errors.push('dispatch: Inserção em voo deve ser um objeto');
+            } else if (['maxDetour', 'maxDelay'].some(key => insertion[key] !== undefined &&
+                !(typeof insertion[key] === 'number' && insertion[key] >= 0))) {
+                errors.push('dispatch: Desvio e atraso máximos da inserção em voo devem ser números não negativos');
+            }
+        }
+
+        if (dispatch.windows !== undefined) {
+            const windows = dispatch.windows;
+            if (typeof windows !== 'object' || windows === null || Array.isArray(windows)) {
+                errors.push('dispatch: Opções de janelas de entrega devem ser um objeto');
+            } else if (['latenessPenalty', 'releaseLead'].some(key => windows[key] !== undefined &&
+                !(typeof windows[key] === 'number' && windows[key] >= 0))) {
+                errors.push('dispatch: Multa por atraso e antecedência de liberação devem ser números não negativos');
+            }
+        }
+
+        if (dispatch.maxStops !== undefined && !(Number.isInteger(dispatch.maxStops) && dispatch.maxStops >= 1)) {
+            errors.push('dispatch: Número máximo de paradas deve ser um inteiro positivo');
+        }
+
+        if (dispatch.maxDetour !== undefined && !(typeof dispatch.maxDetour === 'number' && dispatch.maxDetour >= 0)) {
+            errors.push('dispatch: Desvio máximo deve ser um número não negativo');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Build a simulation engine from a scenario
+     * @param {Object|string} source - Scenario object or JSON text
+     * @returns {Object} Result with engine and scenario, or errors
+     */
+    load(source) {
+        const parsed = this.parse(source);
+        if (!parsed.success) {
+            return parsed;
+        }
+
+        const scenario = parsed.scenario;
+        const validation = this.validateScenario(scenario);
+        if (!validation.isValid) {
+            return { success: false, errors: validation.errors };
+        }
+
+        try {
+            const seed = scenario.seed !== undefined ? scenario.seed : Date.now();
+            const random = new RandomGenerator(seed);
+            const engine = new SimulationEngine(random);
+            const bases = new Map(scenario.bases.map(base => [base.id, base]));
+            const defaultBase = scenario.bases[0];
+
+            engine.gridSize = { ...this.getGrid(scenario) };
+            engine.baseLocation = { ...defaultBase.location };
+            engine.scenario = {
+                name: scenario.name || 'Cenário sem nome',
+                version: scenario.version,
+                seed: seed,
+                duration: scenario.duration
+            };
+
+            if (scenario.timeStep) {
+                engine.fixedTimeStep = scenario.timeStep;
+            }
+
+            for (const base of scenario.bases) {
+                engine.addDepot({ ...base });
+            }
+
+            for (const droneData of this.expandFleet(scenario.fleet)) {
+                const base = bases.get(droneData.base) || defaultBase;
+                const drone = new Drone({
+                    ...droneData,
+                    depotId: base.id,
+                    baseLocation: { ...base.location },
+                    location: { ...base.location }
+                }, random);
+
+                engine.addDrone(drone);
+                drone.location = { ...drone.baseLocation };
+            }
+
+            (scenario.chargingStations || []).forEach((stationData, index) => {
+                engine.addChargingStation({ id: `CHG-${index + 1}`, ...stationData });
+            });
+
+            for (const obstacle of scenario.obstacles || []) {
+                engine.addObstacle({ ...obstacle });
+            }
+
+            (scenario.noFlyZones || []).forEach((zoneData, index) => {
+                engine.addNoFlyZone({ id: `NFZ-${index + 1}`, ...zoneData });
+            });
+
+            for (const orderData of scenario.orders || []) {
+                const { time = 0, ...data } = orderData;
+                engine.scheduleOrder(new Order(data, random), time);
+            }
+
+            (scenario.generators || []).forEach((config, index) => {
+                engine.addOrderGenerator(new OrderGenerator({
+                    name: `Gerador ${index + 1}`,
+                    ...config
+                }, random.fork(`generator-${index}`)));
+            });
+
+            if (scenario.weather) {
+                engine.setWeatherField({ duration: scenario.duration, ...scenario.weather });
+            }
+
+            if (scenario.dispatch) {
+                const { mode = engine.dispatchMode, policy, insertion, windows, ...options } = scenario.dispatch;
+                engine.setDispatchMode(mode, options);
+                if (policy) {
+                    engine.setDispatchPolicy(policy);
+                }
+                if (insertion) {
+                    engine.setInsertionOptions(insertion);
+                }
+                if (windows) {
+                    engine.setWindowOptions(windows);
+                }
+            }
+
+            engine.logEvent(`Cenário "${engine.scenario.name}" carregado (semente ${seed})`, 'success');
+
+            return { success: true, engine: engine, scenario: scenario };
+        } catch (error) {
+            return { success: false, errors: [`Erro ao carregar cenário: ${error.message}`] };
+        }
+    }
+
+    /**
+     * Load scenario from a JSON file (Node.js only)
+     * @param {string} filePath - Path to scenario file
+     * @returns {Object} Result with engine and scenario, or errors
+     */
+    loadFile(filePath) {
+        if (typeof require === 'undefined') {
+            return { success: false, errors: ['Leitura de arquivos disponível apenas no Node.js'] };
+        }
+
+        try {
+            const fs = require('fs');
+            return this.load(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            return { success: false, errors: [`Erro ao ler arquivo de cenário: ${error.message}`] };
+        }
+    }
+
+    /**
+     * Load a scenario and run it headless for its full duration
+     * @param {Object|string} source - Scenario object or JSON text
+     * @returns {Object} Result with engine and final report, or errors
+     */
+    run(source) {
+        const result = this.load(source);
+        if (!result.success) {
+            return result;
+        }
+
+        result.engine.runUntil(result.scenario.duration);
+
+        return { ...result, report: result.engine.generateReport() };
+    }
+
+    /**
+     * Run a scenario once per dispatch mode, with the same seed
+     * @param {Object|string} source - Scenario object or JSON text
+     * @param {Array} modes - Dispatch modes to compare
+     * @returns {Object} Result with a report per mode, or errors
+     */
+    compareDispatchModes(source, modes = SimulationEngine.DISPATCH_MODES) {
+        return this.compareDispatch(source, modes, mode => ({ mode }));
+    }
+
+    /**
+     * Run a scenario once per dispatch policy, with the same seed
+     * @param {Object|string} source - Scenario object or JSON text
+     * @param {Array} policies - Dispatch policy types to compare
+     * @returns {Object} Result with a report per policy, or errors
+     */
+    compareDispatchPolicies(source, policies = Object.keys(DispatchPolicy.TYPES)) {
+        return this.compareDispatch(source, policies, policy => ({ policy }));
+    }
+
+    /**
+     * Run a scenario once per dispatch variant, with the same seed
+     * @param {Object|string} source - Scenario object or JSON text
+     * @param {Array} variants - Variant names
+     * @param {Function} toDispatch - Builds the dispatch overrides for a variant
+     * @returns {Object} Result with a report per variant, or errors
+     */
+    compareDispatch(source, variants, toDispatch) {
+        const parsed = this.parse(source);
+        if (!parsed.success) {
+            return parsed;
+        }
+
+        const scenario = parsed.scenario;
+        const seed = scenario.seed !== undefined ? scenario.seed : Date.now();
+        const reports = {};
+
+        for (const variant of variants) {
+            const result = this.run({ ...scenario, seed, dispatch: { ...scenario.dispatch, ...toDispatch(variant) } });
+            if (!result.success) {
+                return result;
+            }
+            reports[variant] = result.report;
+        }
+
+        return { success: true, seed, reports };
+    }
+
+    /**
+     * Parse a Solomon VRPTW instance
+     * Text format: instance name, VEHICLE section (NUMBER, CAPACITY) and
+     * CUSTOMER section with one row per customer: CUST NO., XCOORD., YCOORD.,
+     * DEMAND, READY TIME, DUE DATE, SERVICE TIME. Customer 0 is the depot.
+     * @param {string} text - Instance file contents
+     * @returns {Object} Result with instance {name, vehicles: {count, capacity}, depot, customers}, or errors
+     */
+    parseSolomon(text) {
+        if (typeof text !== 'string') {
+            return { success: false, errors: ['Instância Solomon deve ser um texto'] };
+        }
+
+        const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+        const vehicleAt = lines.findIndex(line => /^VEHICLE\b/i.test(line));
+        const customerAt = lines.findIndex(line => /^CUSTOMER\b/i.test(line));
+        const numbers = (line) => line.split(/\s+/).map(Number);
+
+        if (vehicleAt === -1 || customerAt === -1) {
+            return { success: false, errors: ['Instância Solomon: seções VEHICLE e CUSTOMER são obrigatórias'] };
+        }
+
+        const errors = [];
+        const [count, capacity] = numbers(lines[vehicleAt + 2] || '');
+        if (!(Number.isInteger(count) && count > 0 && capacity > 0)) {
+            errors.push('Instância Solomon: número e capacidade dos veículos inválidos');
+        }
+
+        const rows = [];
+        lines.slice(customerAt + 1).forEach(line => {
+            if (!/^\d/.test(line)) return; // Column headers
+
+            const values = numbers(line);
+            if (values.length < 7 || values.some(value => Number.isNaN(value))) {
+                errors.push(`Instância Solomon: linha de cliente inválida (${line})`);
+                return;
+            }
+
+            const [id, x, y, demand, ready, due, service] = values;
+            rows.push({ id, location: { x, y }, demand, earliest: ready, latest: due, serviceTime: service });
+        });
+
+        const depot = rows.find(row => row.id === 0);
+        if (!depot) {
+            errors.push('Instância Solomon: depósito (cliente 0) ausente');
+        }
+
+        if (errors.length > 0) {
+            return { success: false, errors };
+        }
+
+        return {
+            success: true,
+            instance: {
+                name: lines[0],
+                vehicles: { count, capacity },
+                depot: { location: depot.location, earliest: depot.earliest, latest: depot.latest },
+                customers: rows.filter(row => row.id !== 0)
+            }
+        };
+    }
+
+    /**
+     * Load a Solomon instance file (Node.js only)
+     * @param {string} filePath - Path to the instance
+     * @returns {Object} Result with instance, or errors
+     */
+    loadSolomonFile(filePath) {
+        if (typeof require === 'undefined') {
+            return { success: false, errors: ['Leitura de arquivos disponível apenas no Node.js'] };
+        }
+
+        try {
+            const fs = require('fs');
+            return this.parseSolomon(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            return { success: false, errors: [`Erro ao ler instância Solomon: ${error.message}`] };
+        }
+    }
+
+    /**
+     * Turn a Solomon instance into orders, drones and VRPTW options
+     * Vehicles become drones at the depot flying 1 unit per second (speed 60),
+     * so instance times read as simulation seconds; windows are hard.
+     * @param {Object} instance - Parsed instance
+     * @returns {Object} {orders, drones, options}
+     */
+    buildSolomonProblem(instance) {
+        const { vehicles, depot, customers } = instance;
+
+        const drones = Array.from({ length: vehicles.count }, (_, index) => new Drone({
+            id: `V${index + 1}`,
+            name: `Veículo ${index + 1}`,
+            capacity: vehicles.capacity,
+            range: Infinity,
+            speed: 60,
+            energyModel: null,
+            location: { ...depot.location },
+            baseLocation: { ...depot.location }
+        }));
+
+        const orders = customers.map(customer => new Order({
+            id: `C${customer.id}`,
+            customerName: `Cliente ${customer.id}`,
+            weight: customer.demand,
+            location: customer.location,
+            priority: 'media',
+            timeWindow: { earliest: customer.earliest, latest: customer.latest, hard: true },
+            serviceTime: customer.serviceTime
+        }));
+
+        return { orders, drones, options: { startTime: depot.earliest, horizon: depot.latest, loadingTime: 0 } };
+    }
+
+    /**
+     * Solve a Solomon instance with the VRPTW solver and summarize the result
+     * @param {string} source - Instance file contents
+     * @param {Object} options - Solver options, plus bestKnown {vehicles, distance} to report the gap
+     * @returns {Object} Result with the solver output and a summary, or errors
+     */
+    benchmarkSolomon(source, options = {}) {
+        const parsed = this.parseSolomon(source);
+        if (!parsed.success) {
+            return parsed;
+        }
+
+        return this.benchmarkInstance(parsed.instance, options);
+    }
+
+    /**
+     * Solve a parsed Solomon instance and summarize the result
+     * @param {Object} instance - Parsed instance
+     * @param {Object} options - Solver options, plus bestKnown {vehicles, distance}
+     * @returns {Object} Result with the solver output and a summary
+     */
+    benchmarkInstance(instance, options = {}) {
+        const { bestKnown = null, ...solverOptions } = options;
+        const problem = this.buildSolomonProblem(instance);
+        const started = Date.now();
+        const result = new OptimizationService().solveVRPTW(problem.orders, problem.drones, { ...problem.options, ...solverOptions });
+        const distance = result.stats.totalDistance;
+
+        return {
+            success: true,
+            result,
+            summary: {
+                name: instance.name,
+                customers: problem.orders.length,
+                vehicles: result.stats.vehicles,
+                distance: Math.round(distance * 100) / 100,
+                served: result.stats.served,
+                infeasible: result.stats.infeasible,
+                runtime: Date.now() - started,
+                gap: bestKnown ? ((distance - bestKnown.distance) / bestKnown.distance) * 100 : null,
+                extraVehicles: bestKnown ? result.stats.vehicles - bestKnown.vehicles : null
+            }
+        };
+    }
+
+    /**
+     * Benchmark several Solomon instance files (Node.js only)
+     * @param {Array} filePaths - Instance paths
+     * @param {Object} options - Solver options; bestKnown may map instance names to {vehicles, distance}
+     * @returns {Object} Result with a summary per instance, or errors
+     */
+    benchmarkSolomonFiles(filePaths, options = {}) {
+        const { bestKnown = {}, ...solverOptions } = options;
+        const summaries = [];
+
+        for (const filePath of filePaths) {
+            const loaded = this.loadSolomonFile(filePath);
+            if (!loaded.success) {
+                return loaded;
+            }
+
+            const run = this.benchmarkInstance(loaded.instance, { ...solverOptions, bestKnown: bestKnown[loaded.instance.name] || null });
+            summaries.push(run.summary);
+        }
+
+        return { success: true, summaries };
+    }
+
+    /**
+     * Expand fleet entries with "count" into individual drone definitions
+     * @param {Array} fleet - Fleet section
+     * @returns {Array} Drone definitions
+     */
+    expandFleet(fleet) {
+        const drones = [];
+
+        for (const entry of fleet) {
+            const { count = 1, ...droneData } = entry;
+
+            if (count === 1) {
+                drones.push(droneData);
+                continue;
+            }
+
+            for (let i = 1; i <= count; i++) {
+                drones.push({ ...droneData, name: `${droneData.name}-${i.toString().padStart(2, '0')}` });
+            }
+        }
+
+        return drones;
+    }
+
+    /**
+     * Get grid size with defaults
+     * @param {Object} scenario - Scenario
+     * @returns {Object} Grid size {width, height}
+     */
+    getGrid(scenario) {
+        return {
+            width: 100,
+            height: 100,
+            ...(scenario.grid || {})
+        };
+    }
+
+    /**
+     * Check an order's delivery time window
+     * @param {Object} window - {earliest, latest, hard, penalty} in simulation seconds
+     * @returns {boolean} True if valid
+     */
+    isValidTimeWindow(window) {
+        if (typeof window !== 'object' || window === null || Array.isArray(window)) return false;
+
+        const { earliest = 0, latest = null, penalty = null } = window;
+        const isTime = (value) => typeof value === 'number' && value >= 0;
+
+        return isTime(earliest) &&
+            (latest === null || (isTime(latest) && latest >= earliest)) &&
+            (penalty === null || isTime(penalty));
+    }
+
+    /**
+     * Check that a section entry is a plain object
+     * @param {*} entry - Entry from a scenario list
+     * @returns {boolean} True if the entry can be read field by field
+     */
+    isEntry(entry) {
+        return typeof entry === 'object' && entry !== null && !Array.isArray(entry);
+    }
+
+    /**
+     * Check if point lies within the grid
+     * @param {Object} point - Point {x, y}
+     * @param {Object} grid - Grid size {width, height}
+     * @returns {boolean} True if inside grid
+     */
+    isPointInGrid(point, grid) {
+        return !!point &&
+            typeof point.x === 'number' && typeof point.y === 'number' &&
+            point.x >= 0 && point.x <= grid.width &&
+            point.y >= 0 && point.y <= grid.height;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScenarioLoader;
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+    window.ScenarioLoader = ScenarioLoader;
+}
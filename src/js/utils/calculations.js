@@ -48,23 +48,30 @@ class CalculationUtils {
 
     /**
      * Calculate optimal route using Nearest Neighbor heuristic
+     * Pickup points ({pickup: true}) are visited before the dropoff with the
+     * same orderId. The greedy tour (returning to startPoint) is then improved
+     * with 2-opt, Or-opt and relocate moves when RouteImprover is loaded.
      * @param {Array} points - Array of delivery points
      * @param {Object} startPoint - Starting position
+     * @param {Object} options - Local search budget {maxIterations, timeLimit}
      * @returns {Array} Optimized route
      */
-    static calculateOptimalRoute(points, startPoint) {
+    static calculateOptimalRoute(points, startPoint, options = {}) {
         if (!points || points.length === 0) return [];
         if (points.length === 1) return [points[0]];
 
         const route = [];
         const unvisited = [...points];
+        const awaitingPickup = new Set(points.filter(point => point.pickup).map(point => point.orderId));
         let currentPoint = startPoint;
 
         while (unvisited.length > 0) {
-            let nearestIndex = 0;
-            let nearestDistance = this.calculateDistance(currentPoint, unvisited[0]);
+            let nearestIndex = -1;
+            let nearestDistance = Infinity;
+
+            for (let i = 0; i < unvisited.length; i++) {
+                if (!unvisited[i].pickup && awaitingPickup.has(unvisited[i].orderId)) continue;
 
-            for (let i = 1; i < unvisited.length; i++) {
                 const distance = this.calculateDistance(currentPoint, unvisited[i]);
                 if (distance < nearestDistance) {
                     nearestDistance = distance;
@@ -73,10 +80,18 @@ class CalculationUtils {
             }
 
             const nearestPoint = unvisited.splice(nearestIndex, 1)[0];
+            if (nearestPoint.pickup) {
+                awaitingPickup.delete(nearestPoint.orderId);
+            }
             route.push(nearestPoint);
             currentPoint = nearestPoint;
         }
 
+        if (typeof RouteImprover !== 'undefined') {
+            const improver = new RouteImprover({ ...options, distance: (from, to) => this.calculateDistance(from, to) });
+            return improver.improve(route, startPoint).route;
+        }
+
         return route;
     }
 
@@ -112,6 +127,97 @@ class CalculationUtils {
         return totalDistance;
     }
 
+    /**
+     * Check if point lies strictly inside a polygon (points on the border are outside)
+     * @param {Object} point - {x, y} coordinates
+     * @param {Array} polygon - Vertices [{x, y}, ...]
+     * @returns {boolean} True if inside
+     */
+    static isPointInPolygon(point, polygon) {
+        let inside = false;
+
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[j];
+            const b = polygon[i];
+
+            if (this.distanceToSegment(point, a, b) < 1e-9) {
+                return false;
+            }
+
+            if ((b.y > point.y) !== (a.y > point.y) &&
+                point.x < (a.x - b.x) * (point.y - b.y) / (a.y - b.y) + b.x) {
+                inside = !inside;
+            }
+        }
+
+        return inside;
+    }
+
+    /**
+     * Calculate shortest distance from point to segment
+     * @param {Object} point - {x, y} coordinates
+     * @param {Object} a - Segment start {x, y}
+     * @param {Object} b - Segment end {x, y}
+     * @returns {number} Distance
+     */
+    static distanceToSegment(point, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared === 0
+            ? 0
+            : Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared));
+
+        return this.calculateDistance(point, { x: a.x + t * dx, y: a.y + t * dy });
+    }
+
+    /**
+     * Check if segment passes through the interior of a polygon
+     * Touching the border or running along an edge does not count.
+     * @param {Object} a - Segment start {x, y}
+     * @param {Object} b - Segment end {x, y}
+     * @param {Array} polygon - Vertices [{x, y}, ...]
+     * @returns {boolean} True if segment enters the polygon
+     */
+    static segmentCrossesPolygon(a, b, polygon) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const cuts = [0, 1];
+
+        // Split the segment wherever it meets an edge; each piece is then fully inside or outside
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const p = polygon[j];
+            const ex = polygon[i].x - p.x;
+            const ey = polygon[i].y - p.y;
+            const denominator = dx * ey - dy * ex;
+
+            if (Math.abs(denominator) > 1e-12) {
+                const t = ((p.x - a.x) * ey - (p.y - a.y) * ex) / denominator;
+                const u = ((p.x - a.x) * dy - (p.y - a.y) * dx) / denominator;
+                if (t > 0 && t < 1 && u >= 0 && u <= 1) cuts.push(t);
+            } else {
+                const lengthSquared = dx * dx + dy * dy || 1;
+                [p, polygon[i]].forEach(vertex => {
+                    const t = ((vertex.x - a.x) * dx + (vertex.y - a.y) * dy) / lengthSquared;
+                    if (t > 0 && t < 1) cuts.push(t);
+                });
+            }
+        }
+
+        cuts.sort((x, y) => x - y);
+
+        for (let k = 0; k < cuts.length - 1; k++) {
+            if (cuts[k + 1] - cuts[k] < 1e-9) continue;
+
+            const t = (cuts[k] + cuts[k + 1]) / 2;
+            if (this.isPointInPolygon({ x: a.x + t * dx, y: a.y + t * dy }, polygon)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
     /**
      * Check if point is within drone's range
      * @param {Object} dronePosition - Current drone position
@@ -129,7 +235,7 @@ class CalculationUtils {
      * @param {Object} order - Order object with priority, timestamp, weight
      * @returns {number} Priority score (higher = more priority)
      */
-    static calculatePriorityScore(order) {
+    static calculatePriorityScore(order, age = null) {
         const priorityWeights = {
             'alta': 100,
             'media': 50,
@@ -137,10 +243,10 @@ class CalculationUtils {
         };
 
         const priorityScore = priorityWeights[order.priority] || 10;
-        const timeScore = Date.now() - order.timestamp; // Older orders get higher score
+        const timeScore = age !== null ? age : (Date.now() - order.timestamp) / 1000; // Older orders get higher score
         const weightPenalty = order.weight * 2; // Heavier packages get slight penalty
 
-        return priorityScore + (timeScore / 1000) - weightPenalty;
+        return priorityScore + timeScore - weightPenalty;
     }
 
     /**
@@ -262,12 +368,14 @@ class CalculationUtils {
      * Generate random coordinates within bounds
      * @param {number} maxX - Maximum X coordinate
      * @param {number} maxY - Maximum Y coordinate
+     * @param {RandomGenerator} random - Seeded random source (optional)
      * @returns {Object} Random coordinates
      */
-    static generateRandomCoordinates(maxX = 100, maxY = 100) {
+    static generateRandomCoordinates(maxX = 100, maxY = 100, random = null) {
+        const nextRandom = () => random ? random.next() : Math.random();
         return {
-            x: Math.floor(Math.random() * maxX),
-            y: Math.floor(Math.random() * maxY)
+            x: Math.floor(nextRandom() * maxX),
+            y: Math.floor(nextRandom() * maxY)
         };
     }
 
@@ -0,0 +1,198 @@
+/**
+ * Energy Model - Battery consumption for flight, hover, climb and descent
+ * DTI Digital - Logistics Drone Simulation
+ *
+ * Costs are battery percentages. Cruise consumption starts from a flat rate
+ * per distance unit (the legacy 2%) and is scaled by:
+ * - mass: ((frameMass + payload) / frameMass) ^ massExponent
+ * - speed: inducedShare * (vRef / v) + (1 - inducedShare) * (v / vRef)^2,
+ *   i.e. lift power spread over less time plus drag growing with speed;
+ *   the factor is 1 at the reference speed.
+ * Hovering at a stop is charged per second, takeoffs and landings per event,
+ * all scaled by the same mass factor.
+ *
+ * Any object exposing flightCost/hoverCost/climbCost/descentCost can be
+ * plugged into a drone instead of this model.
+ */
+
+class EnergyModel {
+    /**
+     * @param {Object} params - Model parameters (see EnergyModel.DEFAULTS)
+     */
+    constructor(params = {}) {
+        this.params = { ...EnergyModel.DEFAULTS, ...params };
+    }
+
+    /**
+     * Get consumption multiplier for the carried payload
+     * @param {number} payload - Payload weight in kg
+     * @returns {number} Mass factor (1 when empty)
+     */
+    getMassFactor(payload = 0) {
+        const { frameMass, massExponent } = this.params;
+        return Math.pow((frameMass + payload) / frameMass, massExponent);
+    }
+
+    /**
+     * Get consumption multiplier per distance for the airspeed
+     * @param {number} speed - Airspeed
+     * @returns {number} Speed factor (1 at the reference speed)
+     */
+    getSpeedFactor(speed) {
+        const { referenceSpeed, inducedShare } = this.params;
+
+        if (!referenceSpeed || !speed) {
+            return 1;
+        }
+
+        const ratio = speed / referenceSpeed;
+        return inducedShare / ratio + (1 - inducedShare) * ratio * ratio;
+    }
+
+    /**
+     * Battery used cruising a distance
+     * @param {number} distance - Distance flown
+     * @param {Object} conditions - Flight conditions
+     * @param {number} conditions.payload - Payload weight in kg
+     * @param {number} conditions.speed - Airspeed (omit for the reference speed)
+     * @returns {number} Battery consumed (percentage)
+     */
+    flightCost(distance, { payload = 0, speed = null } = {}) {
+        return distance * this.params.consumptionRate * this.getMassFactor(payload) * this.getSpeedFactor(speed);
+    }
+
+    /**
+     * Battery used hovering in place
+     * @param {number} seconds - Simulation seconds hovering
+     * @param {Object} conditions - {payload}
+     * @returns {number} Battery consumed (percentage)
+     */
+    hoverCost(seconds, { payload = 0 } = {}) {
+        return seconds * this.params.hoverRate * this.getMassFactor(payload);
+    }
+
+    /**
+     * Battery used taking off to cruise altitude
+     * @param {Object} conditions - {payload}
+     * @returns {number} Battery consumed (percentage)
+     */
+    climbCost({ payload = 0 } = {}) {
+        return this.params.climbCost * this.getMassFactor(payload);
+    }
+
+    /**
+     * Battery used landing or descending to a drop-off
+     * @param {Object} conditions - {payload}
+     * @returns {number} Battery consumed (percentage)
+     */
+    descentCost({ payload = 0 } = {}) {
+        return this.params.descentCost * this.getMassFactor(payload);
+    }
+
+    /**
+     * Estimate the battery needed for a trip
+     * Every leg takes off, cruises and lands; the drone hovers at every
+     * stop except the last one.
+     * @param {Array} legs - Legs in flying order, each {distance, payload}
+     * @param {Object} options - Estimate options
+     * @param {number} options.speed - Airspeed (omit for the reference speed)
+     * @param {number} options.hoverTime - Simulation seconds spent at each stop
+     * @returns {number} Battery consumed (percentage)
+     */
+    estimateTrip(legs, { speed = null, hoverTime = EnergyModel.DEFAULT_HOVER_TIME } = {}) {
+        return EnergyModel.estimateTrip(this, legs, { speed, hoverTime });
+    }
+
+    /**
+     * Estimate a trip with any pluggable model
+     * @param {Object} model - Object exposing flightCost/hoverCost/climbCost/descentCost
+     * @param {Array} legs - Legs in flying order, each {distance, payload}
+     * @param {Object} options - {speed, hoverTime}
+     * @returns {number} Battery consumed (percentage)
+     */
+    static estimateTrip(model, legs, { speed = null, hoverTime = EnergyModel.DEFAULT_HOVER_TIME } = {}) {
+        return legs.reduce((total, leg, index) => {
+            const conditions = { payload: leg.payload || 0, speed };
+            let cost = model.climbCost(conditions) +
+                model.flightCost(leg.distance, conditions) +
+                model.descentCost(conditions);
+
+            if (index < legs.length - 1) {
+                cost += model.hoverCost(hoverTime, conditions);
+            }
+
+            return total + cost;
+        }, 0);
+    }
+
+    /**
+     * Validate model parameters
+     * @returns {Object} Validation result with isValid boolean and errors array
+     */
+    validate() {
+        const errors = [];
+        const { consumptionRate, frameMass, massExponent, referenceSpeed, inducedShare, hoverRate, climbCost, descentCost } = this.params;
+
+        if (!(consumptionRate >= 0)) {
+            errors.push('Taxa de consumo deve ser um número não negativo');
+        }
+
+        if (!(frameMass > 0)) {
+            errors.push('Massa do drone deve ser maior que zero');
+        }
+
+        if (!(massExponent >= 0)) {
+            errors.push('Expoente de massa deve ser um número não negativo');
+        }
+
+        if (referenceSpeed !== null && !(referenceSpeed > 0)) {
+            errors.push('Velocidade de referência deve ser maior que zero');
+        }
+
+        if (!(inducedShare >= 0 && inducedShare <= 1)) {
+            errors.push('Parcela induzida deve estar entre 0 e 1');
+        }
+
+        if (!(hoverRate >= 0) || !(climbCost >= 0) || !(descentCost >= 0)) {
+            errors.push('Custos de pairar, subida e descida devem ser não negativos');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    /**
+     * Convert model parameters to JSON
+     * @returns {Object} JSON representation
+     */
+    toJSON() {
+        return { ...this.params };
+    }
+}
+
+// Defaults keep the legacy 2% per distance unit for an empty drone at its own speed
+EnergyModel.DEFAULTS = {
+    consumptionRate: 2, // % per distance unit
+    frameMass: 10, // kg
+    massExponent: 1,
+    referenceSpeed: null, // Speed the rate was measured at; drones use their own speed
+    inducedShare: 0.5,
+    hoverRate: 0.5, // % per simulation second
+    climbCost: 1, // % per takeoff
+    descentCost: 0.25 // % per landing
+};
+
+// Matches the time SimulationEngine keeps a drone in 'delivering'
+EnergyModel.DEFAULT_HOVER_TIME = 3;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EnergyModel;
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+    window.EnergyModel = EnergyModel;
+}
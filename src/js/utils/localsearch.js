@@ -0,0 +1,182 @@
+/**
+ * Route Improver - Local search over a single closed tour
+ * DTI Digital - Logistics Drone Simulation
+ *
+ * Starting from any tour (greedy or metaheuristic), applies improving moves
+ * until none is left or the budget runs out:
+ * - 2-opt: reverse a stretch of the tour, removing two crossing legs
+ * - Or-opt: move a chain of 2-3 consecutive stops elsewhere in the tour
+ * - Relocate: move a single stop elsewhere in the tour
+ * Moves that would drop a parcel off before collecting it ({pickup: true}
+ * point with the same orderId) are skipped. Distances must be symmetric.
+ */
+
+class RouteImprover {
+    /**
+     * @param {Object} options - Search options
+     * @param {Function} options.distance - (from, to) => distance; straight line by default
+     * @param {number} options.maxIterations - Maximum improving moves applied
+     * @param {number|null} options.timeLimit - Milliseconds of search (null for no limit)
+     */
+    constructor(options = {}) {
+        this.distance = options.distance || ((from, to) => RouteImprover.straightDistance(from, to));
+        this.maxIterations = options.maxIterations !== undefined ? options.maxIterations : RouteImprover.DEFAULT_MAX_ITERATIONS;
+        this.timeLimit = options.timeLimit !== undefined ? options.timeLimit : null;
+    }
+
+    /**
+     * Improve a tour that starts and ends at startPoint
+     * @param {Array} stops - Stops in visiting order (without the start point)
+     * @param {Object} startPoint - Start and end of the tour {x, y}
+     * @returns {Object} {route, initialDistance, distance, saved, iterations, moves: {twoOpt, orOpt, relocate}}
+     */
+    improve(stops, startPoint) {
+        const tour = [startPoint, ...stops, startPoint];
+        const initialDistance = this.getTourDistance(tour);
+        const moves = { twoOpt: 0, orOpt: 0, relocate: 0 };
+        const deadline = this.timeLimit !== null ? Date.now() + this.timeLimit : Infinity;
+        let iterations = 0;
+
+        while (iterations < this.maxIterations && Date.now() < deadline) {
+            const move = this.findTwoOpt(tour) || this.findSegmentMove(tour, 2, 3) || this.findSegmentMove(tour, 1, 1);
+            if (!move) break;
+
+            tour.splice(0, tour.length, ...move.tour);
+            moves[move.type]++;
+            iterations++;
+        }
+
+        const distance = this.getTourDistance(tour);
+        return {
+            route: tour.slice(1, -1),
+            initialDistance,
+            distance,
+            saved: Math.max(0, initialDistance - distance),
+            iterations,
+            moves
+        };
+    }
+
+    /**
+     * Find the first improving 2-opt move
+     * @param {Array} tour - Closed tour [start, ...stops, start]
+     * @returns {Object|null} {type, tour} or null at a local optimum
+     */
+    findTwoOpt(tour) {
+        const last = tour.length - 2;
+
+        for (let i = 1; i < last; i++) {
+            for (let j = i + 1; j <= last; j++) {
+                const delta = this.distance(tour[i - 1], tour[j]) + this.distance(tour[i], tour[j + 1]) -
+                    this.distance(tour[i - 1], tour[i]) - this.distance(tour[j], tour[j + 1]);
+                if (delta >= -RouteImprover.EPSILON) continue;
+
+                const candidate = [...tour.slice(0, i), ...tour.slice(i, j + 1).reverse(), ...tour.slice(j + 1)];
+                if (this.respectsPrecedence(candidate)) {
+                    return { type: 'twoOpt', tour: candidate };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Find the first improving move of a chain of consecutive stops
+     * Chains of one stop are relocate moves, longer ones Or-opt moves.
+     * @param {Array} tour - Closed tour [start, ...stops, start]
+     * @param {number} minLength - Shortest chain tried
+     * @param {number} maxLength - Longest chain tried
+     * @returns {Object|null} {type, tour} or null at a local optimum
+     */
+    findSegmentMove(tour, minLength, maxLength) {
+        const last = tour.length - 2;
+
+        for (let length = minLength; length <= maxLength; length++) {
+            for (let i = 1; i + length - 1 <= last; i++) {
+                const end = i + length - 1;
+                const removalGain = this.distance(tour[i - 1], tour[i]) + this.distance(tour[end], tour[end + 1]) -
+                    this.distance(tour[i - 1], tour[end + 1]);
+
+                // Insert between tour[k] and tour[k + 1], outside the chain and its own gap
+                for (let k = 0; k <= last; k++) {
+                    if (k >= i - 1 && k <= end) continue;
+
+                    const insertionCost = this.distance(tour[k], tour[i]) + this.distance(tour[end], tour[k + 1]) -
+                        this.distance(tour[k], tour[k + 1]);
+                    if (insertionCost - removalGain >= -RouteImprover.EPSILON) continue;
+
+                    const chain = tour.slice(i, end + 1);
+                    const rest = [...tour.slice(0, i), ...tour.slice(end + 1)];
+                    const at = k < i ? k + 1 : k + 1 - length;
+                    const candidate = [...rest.slice(0, at), ...chain, ...rest.slice(at)];
+
+                    if (this.respectsPrecedence(candidate)) {
+                        return { type: length === 1 ? 'relocate' : 'orOpt', tour: candidate };
+                    }
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check that every pickup comes before the dropoff of its order
+     * @param {Array} tour - Points in visiting order
+     * @returns {boolean} True if no parcel is dropped off before collection
+     */
+    respectsPrecedence(tour) {
+        const collected = new Set();
+        const pickups = new Set(tour.filter(point => point.pickup).map(point => point.orderId));
+
+        for (const point of tour) {
+            if (point.pickup) {
+                collected.add(point.orderId);
+            } else if (pickups.has(point.orderId) && !collected.has(point.orderId)) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Length of a tour
+     * @param {Array} tour - Points in visiting order
+     * @returns {number} Distance
+     */
+    getTourDistance(tour) {
+        let total = 0;
+        for (let i = 0; i < tour.length - 1; i++) {
+            total += this.distance(tour[i], tour[i + 1]);
+        }
+        return total;
+    }
+
+    /**
+     * Straight-line distance between two points
+     * @param {Object} from - Point {x, y}
+     * @param {Object} to - Point {x, y}
+     * @returns {number} Distance
+     */
+    static straightDistance(from, to) {
+        return Math.hypot(to.x - from.x, to.y - from.y);
+    }
+}
+
+// Improving moves applied per search unless a budget is given
+RouteImprover.DEFAULT_MAX_ITERATIONS = 100;
+
+// Smallest saving accepted as an improvement (guards against float noise)
+RouteImprover.EPSILON = 1e-9;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RouteImprover;
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+    window.RouteImprover = RouteImprover;
+}
@@ -0,0 +1,389 @@
+/**
+ * Path Planner - Obstacle-aware routing
+ * DTI Digital - Logistics Drone Simulation
+ *
+ * Rectangular obstacles are grown by a safety clearance and the shortest
+ * path is found with A* over a visibility graph whose nodes are the corners
+ * of the grown rectangles and the (offset) vertices of no-fly polygons.
+ * Without obstacles every path is a straight line.
+ */
+
+class PathPlanner {
+    /**
+     * @param {Array} obstacles - Obstacle rectangles {x, y, width, height}
+     * @param {Object} options - Planner options
+     * @param {number} options.clearance - Minimum distance kept from obstacles
+     * @param {Object} options.bounds - Flyable area {width, height} (optional)
+     */
+    constructor(obstacles = [], options = {}) {
+        this.clearance = options.clearance !== undefined ? options.clearance : 0.5;
+        this.maxCacheSize = options.maxCacheSize || 5000;
+        this.cache = new Map();
+        this.noFlyZones = [];
+        this.setObstacles(obstacles, options.bounds || null);
+    }
+
+    /**
+     * Replace obstacles and rebuild the visibility graph nodes
+     * @param {Array} obstacles - Obstacle rectangles {x, y, width, height}
+     * @param {Object} bounds - Flyable area {width, height}; detours never leave it
+     */
+    setObstacles(obstacles, bounds = this.bounds) {
+        this.obstacles = obstacles;
+        this.bounds = bounds;
+        this.rebuild();
+    }
+
+    /**
+     * Replace the currently active no-fly polygons
+     * @param {Array} polygons - Polygons, each an array of vertices [{x, y}, ...]
+     */
+    setNoFlyZones(polygons) {
+        this.noFlyZones = polygons;
+        this.rebuild();
+    }
+
+    /**
+     * Rebuild blocked zones and visibility graph nodes
+     */
+    rebuild() {
+        const margin = this.clearance + PathPlanner.NODE_MARGIN;
+        const candidates = [];
+
+        this.zones = this.obstacles.map(obstacle => ({ type: 'rect', ...this.growRectangle(obstacle, this.clearance) }));
+        this.zones.push(...this.noFlyZones.map(polygon => ({ type: 'polygon', polygon })));
+
+        // Nodes sit slightly outside the blocked zones so edges along a zone border stay visible
+        for (const obstacle of this.obstacles) {
+            const { minX, minY, maxX, maxY } = this.growRectangle(obstacle, margin);
+            candidates.push({ x: minX, y: minY }, { x: maxX, y: minY }, { x: maxX, y: maxY }, { x: minX, y: maxY });
+        }
+        for (const polygon of this.noFlyZones) {
+            candidates.push(...this.offsetPolygonVertices(polygon, margin));
+        }
+
+        this.nodes = candidates.filter(node => !this.isPointBlocked(node) && this.isPointInBounds(node));
+        this.nodeEdges = null;
+        this.cache.clear();
+    }
+
+    /**
+     * Push polygon vertices outwards along the corner bisector
+     * @param {Array} polygon - Vertices [{x, y}, ...]
+     * @param {number} margin - Distance kept from both adjacent edges
+     * @returns {Array} Offset points (reflex vertices end up inside and are filtered later)
+     */
+    offsetPolygonVertices(polygon, margin) {
+        const n = polygon.length;
+        let area = 0;
+        for (let i = 0; i < n; i++) {
+            const a = polygon[i];
+            const b = polygon[(i + 1) % n];
+            area += a.x * b.y - b.x * a.y;
+        }
+        const orientation = area >= 0 ? 1 : -1;
+
+        const outwardNormal = (a, b) => {
+            const length = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+            return { x: orientation * (b.y - a.y) / length, y: -orientation * (b.x - a.x) / length };
+        };
+
+        return polygon.map((vertex, i) => {
+            const n1 = outwardNormal(polygon[(i - 1 + n) % n], vertex);
+            const n2 = outwardNormal(vertex, polygon[(i + 1) % n]);
+            const bx = n1.x + n2.x;
+            const by = n1.y + n2.y;
+            const length = Math.hypot(bx, by) || 1;
+            // Scale so the point stays "margin" away from both edges, capped for very sharp corners
+            const scale = margin / Math.max(0.25, (bx * n1.x + by * n1.y) / length);
+
+            return { x: vertex.x + (bx / length) * scale, y: vertex.y + (by / length) * scale };
+        });
+    }
+
+    /**
+     * Grow obstacle rectangle by a margin
+     * @param {Object} obstacle - Obstacle rectangle {x, y, width, height}
+     * @param {number} margin - Margin added on every side
+     * @returns {Object} Zone {minX, minY, maxX, maxY}
+     */
+    growRectangle(obstacle, margin) {
+        return {
+            minX: obstacle.x - margin,
+            minY: obstacle.y - margin,
+            maxX: obstacle.x + obstacle.width + margin,
+            maxY: obstacle.y + obstacle.height + margin
+        };
+    }
+
+    /**
+     * Check if point lies strictly inside a blocked zone
+     * @param {Object} point - Point {x, y}
+     * @param {Array} zones - Zones to test (defaults to all)
+     * @returns {boolean} True if blocked
+     */
+    isPointBlocked(point, zones = this.zones) {
+        return zones.some(zone => {
+            if (zone.type === 'polygon') {
+                return CalculationUtils.isPointInPolygon(point, zone.polygon);
+            }
+            return point.x > zone.minX && point.x < zone.maxX &&
+                point.y > zone.minY && point.y < zone.maxY;
+        });
+    }
+
+    /**
+     * Check if point lies within the flyable area
+     * @param {Object} point - Point {x, y}
+     * @returns {boolean} True if inside bounds (always true without bounds)
+     */
+    isPointInBounds(point) {
+        return !this.bounds || (
+            point.x >= 0 && point.x <= this.bounds.width &&
+            point.y >= 0 && point.y <= this.bounds.height
+        );
+    }
+
+    /**
+     * Check if segment crosses the interior of a zone (Liang-Barsky clipping)
+     * Touching a zone border or corner does not count as crossing.
+     * @param {Object} a - Segment start {x, y}
+     * @param {Object} b - Segment end {x, y}
+     * @param {Object} zone - Zone {minX, minY, maxX, maxY}
+     * @returns {boolean} True if segment enters the zone
+     */
+    segmentCrossesZone(a, b, zone) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const p = [-dx, dx, -dy, dy];
+        const q = [a.x - zone.minX, zone.maxX - a.x, a.y - zone.minY, zone.maxY - a.y];
+        let t0 = 0;
+        let t1 = 1;
+
+        for (let i = 0; i < 4; i++) {
+            if (p[i] === 0) {
+                if (q[i] <= 0) return false;
+                continue;
+            }
+
+            const t = q[i] / p[i];
+            if (p[i] < 0) {
+                if (t > t1) return false;
+                if (t > t0) t0 = t;
+            } else {
+                if (t < t0) return false;
+                if (t < t1) t1 = t;
+            }
+        }
+
+        return t1 - t0 > 1e-9;
+    }
+
+    /**
+     * Check if two points see each other
+     * @param {Object} a - Point {x, y}
+     * @param {Object} b - Point {x, y}
+     * @param {Array} zones - Zones that block sight (defaults to all)
+     * @returns {boolean} True if the straight segment is free
+     */
+    isSegmentClear(a, b, zones = this.zones) {
+        return !zones.some(zone => zone.type === 'polygon'
+            ? CalculationUtils.segmentCrossesPolygon(a, b, zone.polygon)
+            : this.segmentCrossesZone(a, b, zone));
+    }
+
+    /**
+     * Find shortest obstacle-free path
+     * Endpoints inside a zone (e.g. a landing pad next to a building) ignore that zone.
+     * @param {Object} start - Start point {x, y}
+     * @param {Object} goal - Goal point {x, y}
+     * @returns {Array|null} Points from start to goal, or null if unreachable
+     */
+    findPath(start, goal) {
+        const from = { x: start.x, y: start.y };
+        const to = { x: goal.x, y: goal.y };
+
+        if (this.zones.length === 0) {
+            return [from, to];
+        }
+
+        const key = `${from.x},${from.y}|${to.x},${to.y}`;
+        if (this.cache.has(key)) {
+            const cached = this.cache.get(key);
+            return cached ? cached.map(point => ({ ...point })) : null;
+        }
+
+        const path = this.searchPath(from, to);
+
+        if (this.cache.size >= this.maxCacheSize) {
+            this.cache.clear();
+        }
+        this.cache.set(key, path);
+
+        return path ? path.map(point => ({ ...point })) : null;
+    }
+
+    /**
+     * A* search over the visibility graph
+     * @param {Object} start - Start point {x, y}
+     * @param {Object} goal - Goal point {x, y}
+     * @returns {Array|null} Path points or null
+     */
+    searchPath(start, goal) {
+        const zones = this.zones.filter(zone => !this.isPointBlocked(start, [zone]) && !this.isPointBlocked(goal, [zone]));
+
+        if (this.isSegmentClear(start, goal, zones)) {
+            return [start, goal];
+        }
+
+        const edges = this.getNodeEdges();
+        const startIndex = this.nodes.length;
+        const goalIndex = this.nodes.length + 1;
+        const points = [...this.nodes, start, goal];
+        const distance = (i, j) => Math.hypot(points[i].x - points[j].x, points[i].y - points[j].y);
+
+        const neighbors = (index) => {
+            if (index === startIndex) {
+                return this.nodes.map((_, i) => i).filter(i => this.isSegmentClear(start, this.nodes[i], zones));
+            }
+            const list = edges[index].slice();
+            if (this.isSegmentClear(this.nodes[index], goal, zones)) {
+                list.push(goalIndex);
+            }
+            return list;
+        };
+
+        const gScore = new Map([[startIndex, 0]]);
+        const cameFrom = new Map();
+        const open = new Set([startIndex]);
+        const closed = new Set();
+
+        while (open.size > 0) {
+            let current = null;
+            let bestF = Infinity;
+            for (const index of open) {
+                const f = gScore.get(index) + distance(index, goalIndex);
+                if (f < bestF) {
+                    bestF = f;
+                    current = index;
+                }
+            }
+
+            if (current === goalIndex) {
+                const path = [goal];
+                while (cameFrom.has(current)) {
+                    current = cameFrom.get(current);
+                    path.unshift(points[current]);
+                }
+                return path;
+            }
+
+            open.delete(current);
+            closed.add(current);
+
+            for (const next of neighbors(current)) {
+                if (closed.has(next)) continue;
+
+                const tentative = gScore.get(current) + distance(current, next);
+                if (!gScore.has(next) || tentative < gScore.get(next)) {
+                    gScore.set(next, tentative);
+                    cameFrom.set(next, current);
+                    open.add(next);
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get (lazily built) visibility edges between obstacle corner nodes
+     * @returns {Array} Adjacency list indexed by node
+     */
+    getNodeEdges() {
+        if (this.nodeEdges) return this.nodeEdges;
+
+        this.nodeEdges = this.nodes.map(() => []);
+        for (let i = 0; i < this.nodes.length; i++) {
+            for (let j = i + 1; j < this.nodes.length; j++) {
+                if (this.isSegmentClear(this.nodes[i], this.nodes[j])) {
+                    this.nodeEdges[i].push(j);
+                    this.nodeEdges[j].push(i);
+                }
+            }
+        }
+
+        return this.nodeEdges;
+    }
+
+    /**
+     * Get flyable distance between two points
+     * @param {Object} start - Start point {x, y}
+     * @param {Object} goal - Goal point {x, y}
+     * @returns {number} Path length (Infinity if unreachable)
+     */
+    getPathDistance(start, goal) {
+        const path = this.findPath(start, goal);
+        return path ? PathPlanner.measurePath(path) : Infinity;
+    }
+
+    /**
+     * Get flyable distance through a sequence of points
+     * @param {Array} points - Points visited in order
+     * @returns {number} Total path length (Infinity if any leg is unreachable)
+     */
+    getRouteDistance(points) {
+        let total = 0;
+        for (let i = 0; i < points.length - 1; i++) {
+            total += this.getPathDistance(points[i], points[i + 1]);
+        }
+        return total;
+    }
+
+    /**
+     * Insert detour waypoints between route stops
+     * Waypoints are marked with waypoint: true; unreachable legs stay straight.
+     * @param {Array} route - Route stops
+     * @returns {Array} Route with waypoints
+     */
+    expandRoute(route) {
+        if (route.length < 2 || this.zones.length === 0) return route;
+
+        const expanded = [route[0]];
+        for (let i = 0; i < route.length - 1; i++) {
+            const path = this.findPath(route[i], route[i + 1]);
+            if (path) {
+                expanded.push(...path.slice(1, -1).map(point => ({ ...point, waypoint: true })));
+            }
+            expanded.push(route[i + 1]);
+        }
+
+        return expanded;
+    }
+
+    /**
+     * Measure polyline length
+     * @param {Array} path - Points
+     * @returns {number} Length
+     */
+    static measurePath(path) {
+        let total = 0;
+        for (let i = 0; i < path.length - 1; i++) {
+            total += Math.hypot(path[i + 1].x - path[i].x, path[i + 1].y - path[i].y);
+        }
+        return total;
+    }
+}
+
+// Extra distance between blocked zones and graph nodes
+PathPlanner.NODE_MARGIN = 0.01;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PathPlanner;
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+    window.PathPlanner = PathPlanner;
+}
@@ -0,0 +1,170 @@
+/**
+ * Seedable pseudo-random number generator for the drone simulation
+ * DTI Digital - Logistics Drone Simulation
+ */
+
+class RandomGenerator {
+    /**
+     * @param {number|string} seed - Seed value (defaults to current time)
+     */
+    constructor(seed = Date.now()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Reset the generator to the start of the sequence for a seed
+     * @param {number|string} seed - Seed value
+     */
+    setSeed(seed) {
+        this.seed = seed;
+        this.state = RandomGenerator.hashSeed(seed);
+    }
+
+    /**
+     * Convert any seed into a 32-bit unsigned integer state
+     * @param {number|string} seed - Seed value
+     * @returns {number} 32-bit state
+     */
+    static hashSeed(seed) {
+        if (typeof seed === 'number' && Number.isInteger(seed)) {
+            return seed >>> 0;
+        }
+
+        // FNV-1a hash for strings and non-integer numbers
+        const text = String(seed);
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Next number in [0, 1) using the mulberry32 algorithm
+     * @returns {number} Random number
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Random float in [min, max)
+     * @param {number} min - Lower bound
+     * @param {number} max - Upper bound
+     * @returns {number} Random float
+     */
+    nextFloat(min = 0, max = 1) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Random integer in [min, max)
+     * @param {number} min - Lower bound (inclusive)
+     * @param {number} max - Upper bound (exclusive)
+     * @returns {number} Random integer
+     */
+    nextInt(min, max) {
+        return Math.floor(this.nextFloat(min, max));
+    }
+
+    /**
+     * Normally distributed number (Box-Muller transform)
+     * @param {number} mean - Distribution mean
+     * @param {number} stdDev - Standard deviation
+     * @returns {number} Random number
+     */
+    nextGaussian(mean = 0, stdDev = 1) {
+        const u1 = 1 - this.next(); // (0, 1] so log() stays finite
+        const u2 = this.next();
+        const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+        return mean + z * stdDev;
+    }
+
+    /**
+     * Exponentially distributed number, e.g. Poisson inter-arrival times
+     * @param {number} rate - Events per time unit
+     * @returns {number} Random waiting time
+     */
+    nextExponential(rate) {
+        return -Math.log(1 - this.next()) / rate;
+    }
+
+    /**
+     * Pick a key from a map of relative weights
+     * @param {Object} weights - { key: weight }
+     * @returns {string} Selected key
+     */
+    pickWeighted(weights) {
+        const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+        const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        let threshold = this.next() * total;
+
+        for (const [key, weight] of entries) {
+            threshold -= weight;
+            if (threshold < 0) return key;
+        }
+
+        return entries.length > 0 ? entries[entries.length - 1][0] : undefined;
+    }
+
+    /**
+     * Random base-36 string, used for IDs
+     * @param {number} length - String length
+     * @returns {string} Random string
+     */
+    nextString(length = 6) {
+        let result = '';
+        for (let i = 0; i < length; i++) {
+            result += this.nextInt(0, 36).toString(36);
+        }
+        return result;
+    }
+
+    /**
+     * Pick a random element from an array
+     * @param {Array} array - Source array
+     * @returns {*} Random element or undefined for empty arrays
+     */
+    pick(array) {
+        if (!array || array.length === 0) return undefined;
+        return array[this.nextInt(0, array.length)];
+    }
+
+    /**
+     * Shuffle array in place (Fisher-Yates)
+     * @param {Array} array - Array to shuffle
+     * @returns {Array} The same array, shuffled
+     */
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = this.nextInt(0, i + 1);
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+
+    /**
+     * Create an independent generator derived from this seed, so one
+     * consumer drawing more numbers does not shift another's sequence
+     * @param {string} label - Stream label
+     * @returns {RandomGenerator} Derived generator
+     */
+    fork(label) {
+        return new RandomGenerator(`${this.seed}:${label}`);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RandomGenerator;
+}
+
+// Make available globally for browser
+if (typeof window !== 'undefined') {
+    window.RandomGenerator = RandomGenerator;
+}
@@ -35,6 +35,24 @@ class ValidationUtils {
             errors.push('Localização de entrega é obrigatória');
         }
 
+        // Pickup point (optional): parcel collected there instead of at the base
+        if (orderData.origin) {
+            const { x, y } = orderData.origin;
+            if (typeof x !== 'number' || typeof y !== 'number' || x < 0 || x > 100 || y < 0 || y > 100) {
+                errors.push('Origem de coleta deve ter coordenadas entre 0 e 100');
+            }
+        }
+
+        // Delivery window (optional), in simulation seconds
+        if (orderData.timeWindow) {
+            const { earliest = 0, latest = null, penalty = null } = orderData.timeWindow;
+            if (typeof earliest !== 'number' || earliest < 0 ||
+                (latest !== null && (typeof latest !== 'number' || latest < earliest)) ||
+                (penalty !== null && (typeof penalty !== 'number' || penalty < 0))) {
+                errors.push('Janela de entrega inválida');
+            }
+        }
+
         const validPriorities = ['baixa', 'media', 'alta'];
         if (!orderData.priority || !validPriorities.includes(orderData.priority)) {
             errors.push('Prioridade deve ser: baixa, média ou alta');
@@ -94,6 +112,10 @@ class ValidationUtils {
             }
         }
 
+        if (droneData.batteryReserve !== undefined && !(droneData.batteryReserve >= 0 && droneData.batteryReserve < 100)) {
+            errors.push('Reserva de bateria deve estar entre 0 e 100%');
+        }
+
         return {
             isValid: errors.length === 0,
             errors: errors
@@ -0,0 +1,141 @@
+/**
+ * Battery Swap Tests
+ * DTI Digital - Logistics Drone Simulation
+ */
+
+describe('BatteryInventory', () => {
+    beforeEach(() => {
+        global.CalculationUtils = require('../src/js/utils/calculations');
+        global.RandomGenerator = require('../src/js/utils/random');
+        global.Order = require('../src/js/models/Order');
+        global.Drone = require('../src/js/models/Drone');
+        global.NoFlyZone = require('../src/js/models/NoFlyZone');
+        global.Depot = require('../src/js/models/Depot');
+        global.ChargingStation = require('../src/js/models/ChargingStation');
+        global.DispatchPolicy = require('../src/js/services/DispatchPolicy');
+        global.SimulationEngine = require('../src/js/models/SimulationEngine');
+
+        if (typeof BatteryInventory === 'undefined') {
+            global.BatteryInventory = require('../src/js/models/BatteryInventory');
+        }
+    });
+
+    const base = { id: 'BASE', name: 'Base', location: { x: 10, y: 50 } };
+
+    describe('Model', () => {
+        test('should hand out charged packs and recharge returned ones', () => {
+            const inventory = new BatteryInventory({ packs: 1, swapTime: 20, packChargeRate: 10 });
+
+            expect(inventory.takePack('A', 0)).toBe(true);
+            expect(inventory.takePack('B', 0)).toBe(false);
+            expect(inventory.takePack('B', 2)).toBe(false);
+
+            inventory.returnPack(10);
+            inventory.update(5);
+            expect(inventory.getChargedCount()).toBe(0);
+            inventory.update(4);
+            expect(inventory.takePack('B', 9)).toBe(true);
+
+            expect(inventory.getMetrics(9)).toMatchObject({
+                packs: 0,
+                swaps: 2,
+                minChargedPacks: 0,
+                starvationEvents: 1,
+                starvationTime: 9,
+                waitingDrones: 0
+            });
+        });
+
+        test('should validate pack settings', () => {
+            const inventory = new BatteryInventory({ packs: -1, swapTime: -5, packChargeRate: 0 });
+
+            expect(inventory.validate().errors).toEqual([
+                'Número de baterias reserva deve ser um inteiro não negativo',
+                'Tempo de troca de bateria deve ser um número não negativo'
+            ]);
+        });
+
+        test('should validate the depot energy policy', () => {
+            expect(new Depot({ ...base, energyPolicy: 'swap' }).validate().errors)
+                .toEqual(['Política de troca exige baterias reserva (batteryPacks)']);
+            expect(new Depot({ ...base, energyPolicy: 'solar' }).validate().errors)
+                .toEqual(['Política de energia inválida: solar']);
+            expect(new Depot({ ...base, batteryPacks: { packs: 2 } }).energyPolicy).toBe('swap');
+        });
+    });
+
+    describe('Simulation', () => {
+        const addLowDrone = (engine, name) => {
+            const drone = new Drone({ name, capacity: 10, range: 300, speed: 60 });
+            engine.addDrone(drone);
+            drone.batteryLevel = 10;
+            drone.updateStatus('charging');
+            return drone;
+        };
+
+        test('should swap to a charged pack after the swap time', () => {
+            const engine = new SimulationEngine(new RandomGenerator(4));
+            const depot = engine.addDepot({ ...base, batteryPacks: { packs: 1, swapTime: 30 } });
+            const drone = addLowDrone(engine, 'A');
+
+            engine.step(1);
+            expect(drone.status).toBe('swapping');
+
+            engine.runUntil(30, 1);
+            expect(drone.status).toBe('swapping');
+            engine.runUntil(31, 1);
+            expect(drone.status).toBe('idle');
+            expect(drone.batteryLevel).toBe(100);
+            expect(depot.batteryInventory.packs).toEqual([10]);
+
+            engine.runUntil(40, 1);
+            expect(depot.batteryInventory.getChargedCount()).toBe(1);
+        });
+
+        test('should make drones wait and record starvation when packs run out', () => {
+            const engine = new SimulationEngine(new RandomGenerator(4));
+            engine.addDepot({ ...base, batteryPacks: { packs: 1, swapTime: 10, packChargeRate: 5 } });
+            const first = addLowDrone(engine, 'A');
+            const second = addLowDrone(engine, 'B');
+
+            engine.runUntil(20, 1);
+            expect(first.batteryLevel).toBe(100);
+            expect(second.status).toBe('charging');
+            expect(second.batteryLevel).toBe(10);
+
+            engine.runUntil(60, 1);
+            const packs = engine.generateReport().depots[0].batteryPacks;
+
+            expect(second.batteryLevel).toBe(100);
+            expect(packs.swaps).toBe(2);
+            expect(packs.starvationEvents).toBe(1);
+            expect(packs.starvationTime).toBeGreaterThan(20);
+            expect(engine.eventLog.filter(e => e.message.includes('sem baterias carregadas'))).toHaveLength(1);
+        });
+
+        test('should fall back to a charging bay under swap_or_charge', () => {
+            const engine = new SimulationEngine(new RandomGenerator(4));
+            const depot = engine.addDepot({ ...base, energyPolicy: 'swap_or_charge', batteryPacks: { packs: 1, swapTime: 10 } });
+            const first = addLowDrone(engine, 'A');
+            const second = addLowDrone(engine, 'B');
+
+            engine.step(1);
+
+            expect(first.status).toBe('swapping');
+            expect(second.status).toBe('charging');
+            expect(second.batteryLevel).toBe(20);
+            expect(depot.batteryInventory.getMetrics(engine.currentTime)).toMatchObject({ starvationEvents: 1, starvationTime: 0 });
+        });
+
+        test('should charge normally at charge-only depots', () => {
+            const engine = new SimulationEngine(new RandomGenerator(4));
+            engine.addDepot({ ...base, energyPolicy: 'charge', batteryPacks: { packs: 2 } });
+            const drone = addLowDrone(engine, 'A');
+
+            engine.step(1);
+
+            expect(drone.status).toBe('charging');
+            expect(drone.batteryLevel).toBe(20);
+        });
+    });
+});
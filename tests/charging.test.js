@@ -0,0 +1,158 @@
+/**
+ * Charging Station Tests
+ * DTI Digital - Logistics Drone Simulation
+ */
+
+describe('ChargingStation', () => {
+    beforeEach(() => {
+        global.CalculationUtils = require('../src/js/utils/calculations');
+        global.RandomGenerator = require('../src/js/utils/random');
+        global.Order = require('../src/js/models/Order');
+        global.Drone = require('../src/js/models/Drone');
+        global.NoFlyZone = require('../src/js/models/NoFlyZone');
+        global.Depot = require('../src/js/models/Depot');
+        global.DispatchPolicy = require('../src/js/services/DispatchPolicy');
+        global.SimulationEngine = require('../src/js/models/SimulationEngine');
+
+        if (typeof ChargingStation === 'undefined') {
+            global.ChargingStation = require('../src/js/models/ChargingStation');
+        }
+    });
+
+    const createDrone = (name, data = {}) => new Drone({ name, capacity: 10, range: 300, speed: 60, ...data });
+
+    describe('Model', () => {
+        test('should serve drones first come first served', () => {
+            const station = new ChargingStation({ name: 'Posto', location: { x: 0, y: 0 }, bays: 1 });
+
+            expect(station.join('A', 0)).toBe(true);
+            expect(station.join('B', 1)).toBe(false);
+            expect(station.join('C', 2)).toBe(false);
+            expect(station.join('B', 3)).toBe(false);
+
+            station.leave('A', 10);
+
+            expect(station.isCharging('B')).toBe(true);
+            expect(station.isQueued('C')).toBe(true);
+        });
+
+        test('should measure utilization and wait times', () => {
+            const station = new ChargingStation({ name: 'Posto', location: { x: 0, y: 0 }, bays: 1 });
+            station.join('A', 0);
+            station.join('B', 1);
+            station.join('C', 2);
+            station.leave('A', 10);
+
+            expect(station.getMetrics(10)).toMatchObject({
+                bays: 1,
+                baysInUse: 1,
+                queueLength: 1,
+                maxQueueLength: 2,
+                sessions: 2,
+                utilization: 100,
+                averageWaitTime: 4.5,
+                maxWaitTime: 9
+            });
+
+            station.leave('B', 20);
+            station.leave('C', 20);
+            expect(station.getMetrics(40).utilization).toBe(50);
+        });
+
+        test('should not report utilization for unlimited stations', () => {
+            const station = new ChargingStation({ name: 'Base', location: { x: 0, y: 0 } });
+
+            expect(station.join('A', 0)).toBe(true);
+            expect(station.getMetrics(10).utilization).toBeNull();
+        });
+
+        test('should validate bays and power', () => {
+            const station = new ChargingStation({ location: { x: 0, y: 0 }, bays: 0, chargePower: -1 });
+
+            expect(station.validate().errors).toEqual([
+                'Estação deve ter um número inteiro de baias maior que zero',
+                'Potência de recarga deve ser maior que zero'
+            ]);
+        });
+    });
+
+    describe('Simulation', () => {
+        let engine;
+
+        beforeEach(() => {
+            engine = new SimulationEngine(new RandomGenerator(9));
+            engine.addDepot({ id: 'BASE', name: 'Base', location: { x: 10, y: 50 }, chargingBays: 1, chargePower: 5 });
+        });
+
+        test('should cap the charge rate at the station power', () => {
+            const drone = createDrone('A');
+            engine.addDrone(drone);
+            drone.batteryLevel = 50;
+            drone.updateStatus('charging');
+
+            engine.step(1);
+
+            expect(drone.batteryLevel).toBe(55);
+        });
+
+        test('should queue drones when every bay is busy', () => {
+            const drones = [createDrone('A'), createDrone('B')];
+            drones.forEach(drone => {
+                engine.addDrone(drone);
+                drone.batteryLevel = 80;
+                drone.updateStatus('charging');
+            });
+
+            engine.runUntil(5, 1);
+            const station = engine.getChargingReport()[0];
+
+            // B joins at t=1 and takes the bay when A fills up at t=4
+            expect(drones.map(drone => drone.batteryLevel)).toEqual([100, 90]);
+            expect(station).toMatchObject({ name: 'Base', sessions: 2, maxQueueLength: 1, maxWaitTime: 3 });
+            expect(engine.generateReport().chargingStations).toHaveLength(1);
+        });
+
+        test('should divert low-battery drones to a nearer station and resume', () => {
+            const drone = createDrone('A');
+            const order = new Order({ customerName: 'Cliente', weight: 1, location: { x: 90, y: 50 }, priority: 'media' });
+            engine.addChargingStation({ id: 'CHG-1', name: 'Posto Leste', location: { x: 80, y: 50 }, bays: 1 });
+            engine.addDrone(drone);
+            engine.addOrder(order);
+
+            while (drone.location.x < 60) {
+                engine.step(0.5);
+            }
+            drone.batteryLevel = 15;
+            engine.runUntil(engine.currentTime + 200, 0.5);
+
+            expect(engine.eventLog.some(e => e.message.includes('desviou para a estação de recarga "Posto Leste"'))).toBe(true);
+            expect(order.status).toBe('delivered');
+            expect(engine.chargingStations.get('CHG-1').stats.sessions).toBe(1);
+            expect(drone.location).toEqual({ x: 10, y: 50 });
+        });
+
+        test('should keep heading home when the base is nearest', () => {
+            const drone = createDrone('A');
+            engine.addChargingStation({ id: 'CHG-1', name: 'Posto Leste', location: { x: 80, y: 50 }, bays: 1 });
+            engine.addDrone(drone);
+            drone.location = { x: 20, y: 50 };
+            drone.batteryLevel = 15;
+            drone.updateStatus('flying');
+
+            engine.step(0.5);
+
+            expect(drone.status).toBe('returning');
+            expect(drone.returnTarget).toBeNull();
+        });
+
+        test('should round-trip standalone stations through export and import', () => {
+            engine.addChargingStation({ id: 'CHG-1', name: 'Posto Leste', location: { x: 80, y: 50 }, bays: 2, chargePower: 4 });
+            const restored = new SimulationEngine(new RandomGenerator(9));
+
+            restored.importData(JSON.parse(JSON.stringify(engine.exportData())));
+
+            expect(Array.from(restored.chargingStations.keys())).toEqual(['BASE-CHG', 'CHG-1']);
+            expect(restored.chargingStations.get('CHG-1')).toMatchObject({ bays: 2, chargePower: 4 });
+        });
+    });
+});
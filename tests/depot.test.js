@@ -0,0 +1,197 @@
+/**
+ * Depot Tests
+ * DTI Digital - Logistics Drone Simulation
+ */
+
+describe('Depot', () => {
+    const west = { id: 'OESTE', name: 'Oeste', location: { x: 10, y: 50 } };
+    const east = { id: 'LESTE', name: 'Leste', location: { x: 90, y: 50 } };
+
+    beforeEach(() => {
+        global.CalculationUtils = require('../src/js/utils/calculations');
+        global.RandomGenerator = require('../src/js/utils/random');
+        global.Order = require('../src/js/models/Order');
+        global.Drone = require('../src/js/models/Drone');
+        global.NoFlyZone = require('../src/js/models/NoFlyZone');
+        global.ChargingStation = require('../src/js/models/ChargingStation');
+        global.DispatchPolicy = require('../src/js/services/DispatchPolicy');
+        global.SimulationEngine = require('../src/js/models/SimulationEngine');
+        global.OptimizationService = require('../src/js/services/OptimizationService');
+
+        if (typeof Depot === 'undefined') {
+            global.Depot = require('../src/js/models/Depot');
+        }
+    });
+
+    const createDrone = (name, data = {}) => new Drone({ name, capacity: 10, range: 300, speed: 60, ...data });
+    const createOrder = (location, data = {}) => new Order({ customerName: 'Cliente', weight: 1, location, priority: 'media', ...data });
+
+    describe('Model', () => {
+        test('should reserve and restock inventory', () => {
+            const depot = new Depot({ ...west, inventory: { remedio: 1 } });
+
+            expect(depot.hasStock(null)).toBe(true);
+            expect(depot.hasStock('vacina')).toBe(false);
+            expect(depot.reserveStock('remedio')).toBe(true);
+            expect(depot.hasStock('remedio')).toBe(false);
+            expect(depot.reserveStock('remedio')).toBe(false);
+
+            depot.restock('remedio', 2);
+            expect(depot.inventory.remedio).toBe(2);
+            expect(depot.stats.dispatchedOrders).toBe(1);
+
+            depot.reset();
+            expect(depot.inventory.remedio).toBe(1);
+        });
+
+        test('should stock everything without an inventory', () => {
+            expect(new Depot(west).hasStock('qualquer')).toBe(true);
+        });
+
+        test('should validate capacity, bays and inventory', () => {
+            const depot = new Depot({ ...west, capacity: 0, chargingBays: 0, inventory: { remedio: 1.5 } });
+
+            expect(depot.validate().errors).toEqual([
+                'Capacidade do depósito deve ser um inteiro maior que zero',
+                'Número de baias de recarga deve ser um inteiro maior que zero',
+                'Estoque do depósito deve ter quantidades inteiras não negativas'
+            ]);
+        });
+    });
+
+    describe('Simulation', () => {
+        let engine;
+
+        beforeEach(() => {
+            engine = new SimulationEngine(new RandomGenerator(5));
+            engine.addDepot({ ...west, capacity: 1, inventory: { remedio: 1 } });
+            engine.addDepot({ ...east, inventory: { racao: 5 } });
+        });
+
+        test('should home drones at the nearest depot with room', () => {
+            const first = createDrone('A', { baseLocation: { x: 0, y: 50 } });
+            const second = createDrone('B', { baseLocation: { x: 0, y: 50 } });
+            engine.addDrone(first);
+            engine.addDrone(second);
+
+            expect(first.homeDepotId).toBe('OESTE');
+            expect(first.location).toEqual(west.location);
+            expect(second.homeDepotId).toBe('LESTE');
+            expect(second.baseLocation).toEqual(east.location);
+            expect(() => engine.addDrone(createDrone('C', { depotId: 'OESTE' }))).toThrow('Depot Oeste is at capacity');
+            expect(() => engine.addDrone(createDrone('D', { depotId: 'NORTE' }))).toThrow('Unknown depot: NORTE');
+        });
+
+        test('should dispatch from the nearest depot that stocks the item', () => {
+            const westDrone = createDrone('A', { depotId: 'OESTE' });
+            const eastDrone = createDrone('B', { depotId: 'LESTE' });
+            engine.addDrone(westDrone);
+            engine.addDrone(eastDrone);
+
+            const nearby = createOrder({ x: 80, y: 50 });
+            const medicine = createOrder({ x: 85, y: 50 }, { item: 'remedio' });
+            engine.addOrder(nearby);
+            engine.addOrder(medicine);
+            engine.step(1);
+
+            expect(nearby.assignedDrone).toBe(eastDrone.id);
+            expect(medicine.assignedDrone).toBe(westDrone.id);
+            expect(medicine.depotId).toBe('OESTE');
+            expect(engine.depots.get('OESTE').inventory.remedio).toBe(0);
+        });
+
+        test('should requeue the orders of a removed drone and return their stock', () => {
+            const drone = createDrone('A', { depotId: 'OESTE' });
+            engine.addDrone(drone);
+            const order = createOrder({ x: 40, y: 50 }, { item: 'remedio' });
+            engine.addOrder(order);
+            engine.step(1);
+
+            engine.removeDrone(drone.id);
+
+            expect(order.status).toBe('pending');
+            expect(order.assignedDrone).toBeNull();
+            expect(order.depotId).toBeNull();
+            expect(engine.depots.get('OESTE').inventory.remedio).toBe(1);
+            expect(order.assignmentHistory.map(entry => entry.event)).toEqual(['assigned', 'requeued']);
+        });
+
+        test('should hold orders whose item is out of stock everywhere', () => {
+            engine.addDrone(createDrone('A', { depotId: 'OESTE' }));
+            const order = createOrder({ x: 20, y: 50 }, { item: 'vacina' });
+            engine.addOrder(order);
+
+            engine.runUntil(5, 1);
+
+            expect(order.status).toBe('pending');
+            expect(engine.eventLog.filter(e => e.message.includes('sem estoque'))).toHaveLength(1);
+        });
+
+        test('should charge only as many drones as there are bays', () => {
+            engine.addDepot({ id: 'NORTE', location: { x: 50, y: 10 }, chargingBays: 1 });
+            const station = engine.chargingStations.get('NORTE-CHG');
+            const drones = [createDrone('A', { depotId: 'NORTE' }), createDrone('B', { depotId: 'NORTE' })];
+            drones.forEach(drone => {
+                engine.addDrone(drone);
+                drone.batteryLevel = 50;
+                drone.updateStatus('charging');
+            });
+
+            engine.step(1);
+
+            expect(drones.map(drone => drone.batteryLevel)).toEqual([60, 50]);
+            expect(station.charging.size).toBe(1);
+
+            engine.runUntil(12, 1);
+            expect(drones.every(drone => drone.status === 'idle')).toBe(true);
+            expect(station.charging.size).toBe(0);
+        });
+
+        test('should report performance per depot', () => {
+            engine.addDrone(createDrone('A', { depotId: 'OESTE' }));
+            engine.addDrone(createDrone('B', { depotId: 'LESTE' }));
+            engine.addOrder(createOrder({ x: 20, y: 50 }));
+            engine.addOrder(createOrder({ x: 80, y: 50 }));
+            engine.addOrder(createOrder({ x: 70, y: 50 }));
+
+            engine.runUntil(300, 0.5);
+            const report = engine.generateReport().depots;
+
+            expect(report.map(depot => depot.name)).toEqual(['Oeste', 'Leste']);
+            expect(report.map(depot => depot.deliveries)).toEqual([1, 2]);
+            expect(report[1].dispatchedOrders).toBe(2);
+            expect(report[1].distance).toBeGreaterThan(report[0].distance);
+            expect(report[0].averageDeliveryTime).toBeGreaterThan(0);
+        });
+
+        test('should round-trip depots through export and import', () => {
+            engine.addDrone(createDrone('A', { depotId: 'LESTE' }));
+            const data = JSON.parse(JSON.stringify(engine.exportData()));
+            const restored = new SimulationEngine(new RandomGenerator(5));
+
+            restored.importData(data);
+
+            expect(Array.from(restored.depots.keys())).toEqual(['OESTE', 'LESTE']);
+            expect(restored.depots.get('OESTE').capacity).toBe(1);
+            expect(Array.from(restored.drones.values())[0].homeDepotId).toBe('LESTE');
+        });
+
+        test('should plan depot locations from delivery points', () => {
+            const service = new OptimizationService(new RandomGenerator(1));
+            const depots = service.planDepots([{ x: 10, y: 10 }, { x: 20, y: 20 }], 1, { chargingBays: 2 });
+
+            expect(depots).toEqual([{ chargingBays: 2, name: 'Depósito 1', location: { x: 15, y: 15 } }]);
+        });
+
+        test('should plan one depot per cluster of delivery points', () => {
+            const service = new OptimizationService(new RandomGenerator(1));
+            const points = [{ x: 0, y: 0 }, { x: 2, y: 0 }, { x: 1, y: 3 }, { x: 100, y: 100 }, { x: 102, y: 100 }, { x: 101, y: 103 }];
+
+            const depots = service.planDepots(points, 2);
+            const locations = depots.map(depot => depot.location).sort((a, b) => a.x - b.x);
+
+            expect(depots.map(depot => depot.name)).toEqual(['Depósito 1', 'Depósito 2']);
+            expect(locations).toEqual([{ x: 1, y: 1 }, { x: 101, y: 101 }]);
+        });
+    });
+});
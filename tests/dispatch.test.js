@@ -0,0 +1,493 @@
+/**
+ * Dispatch Policy Tests
+ * DTI Digital - Logistics Drone Simulation
+ */
+
+describe('DispatchPolicy', () => {
+    let engine;
+
+    beforeEach(() => {
+        global.CalculationUtils = require('../src/js/utils/calculations');
+        global.RandomGenerator = require('../src/js/utils/random');
+        global.Order = require('../src/js/models/Order');
+        global.Drone = require('../src/js/models/Drone');
+        global.OptimizationService = require('../src/js/services/OptimizationService');
+        global.DispatchPolicy = require('../src/js/services/DispatchPolicy');
+        global.SimulationEngine = require('../src/js/models/SimulationEngine');
+
+        engine = new SimulationEngine(new RandomGenerator(3));
+        engine.setDispatchMode('single');
+    });
+
+    // Without an energy model the range bounds the trip
+    const addDrone = (id, location, batteryLevel = 100) => {
+        const drone = new Drone({ id, name: id, capacity: 10, range: 200, speed: 60, energyModel: null });
+        engine.addDrone(drone);
+        drone.location = { ...location };
+        drone.batteryLevel = batteryLevel;
+        return drone;
+    };
+    const addOrder = (id, location, priority = 'media', weight = 1) => {
+        const order = new Order({ id, customerName: 'Cliente', weight, location, priority });
+        engine.addOrder(order);
+        return order;
+    };
+    const droneFor = (orderId) => engine.orders.get(orderId).assignedDrone;
+
+    describe('Policies', () => {
+        // A drone next to the order with little battery against a full one at the base
+        test.each([
+            ['greedy', 60, 'DRN-N'],
+            ['greedy', 30, 'DRN-F'],
+            ['nearest_idle', 30, 'DRN-N'],
+            ['auction', 60, 'DRN-F']
+        ])('%s with the near drone at %i%% should pick %s', (policy, battery, expected) => {
+            addDrone('DRN-N', { x: 9, y: 0 }, battery);
+            addDrone('DRN-F', { x: 0, y: 0 });
+            addOrder('ORD-1', { x: 10, y: 0 });
+            engine.setDispatchPolicy(policy);
+
+            engine.step(0.5);
+
+            expect(droneFor('ORD-1')).toBe(expected);
+        });
+
+        test('should take turns in fleet order with round_robin', () => {
+            const policy = new DispatchPolicy('round_robin');
+            const drones = [addDrone('DRN-A', { x: 0, y: 0 }), addDrone('DRN-B', { x: 0, y: 0 })];
+            const order = addOrder('ORD-1', { x: 10, y: 0 });
+
+            const picks = [1, 2, 3].map(() => policy.dispatch([order], drones, engine)[0].drone.id);
+
+            expect(picks).toEqual(['DRN-A', 'DRN-B', 'DRN-A']);
+        });
+
+        test('should give each group to one drone with batch_optimizer', () => {
+            addDrone('DRN-A', { x: 0, y: 0 });
+            addDrone('DRN-B', { x: 0, y: 0 });
+            addOrder('ORD-1', { x: 10, y: 0 });
+            addOrder('ORD-2', { x: 12, y: 0 });
+            addOrder('ORD-3', { x: 40, y: 60 });
+            engine.setDispatchPolicy('batch_optimizer');
+
+            engine.step(0.5);
+
+            // Groups are formed even in single mode
+            expect(droneFor('ORD-2')).toBe(droneFor('ORD-1'));
+            expect(droneFor('ORD-3')).not.toBe(droneFor('ORD-1'));
+            expect(engine.generateReport().dispatch).toMatchObject({ policy: 'batch_optimizer', trips: 2 });
+        });
+
+        test('should load the first trip of a multi-trip fleet plan with cvrp', () => {
+            addDrone('DRN-A', { x: 0, y: 0 });
+            ['ORD-1', 'ORD-2', 'ORD-3', 'ORD-4'].forEach((id, index) =>
+                addOrder(id, index < 2 ? { x: 10 + index * 2, y: 0 } : { x: 0, y: 10 + (index - 2) * 2 }, 'media', 4));
+            engine.setDispatchPolicy('cvrp');
+
+            engine.step(0.5);
+
+            const plan = engine.dispatchPolicy.lastPlan.plans[0];
+            expect(plan.trips.map(trip => trip.orders.length)).toEqual([2, 2]);
+            expect(plan.trips[1].startTime).toBeGreaterThanOrEqual(plan.trips[0].endTime);
+            expect(engine.drones.get('DRN-A').currentOrders.map(order => order.id).sort())
+                .toEqual(plan.trips[0].orders.map(order => order.id).sort());
+
+            engine.runUntil(200, 0.5);
+            expect(engine.completedOrders).toHaveLength(4);
+        });
+
+        test('should solve the cvrp plan again only when orders or drones change', () => {
+            const policy = new DispatchPolicy('cvrp');
+            const drones = [addDrone('DRN-A', { x: 0, y: 0 }, 50)];
+            const orders = [addOrder('ORD-1', { x: 10, y: 0 }), addOrder('ORD-2', { x: 0, y: 10 })];
+
+            policy.dispatch(orders, drones, engine);
+            const plan = policy.lastPlan;
+
+            policy.dispatch(orders, drones, engine);
+            expect(policy.lastPlan).toBe(plan);
+
+            policy.dispatch(orders.slice(1), drones, engine);
+            expect(policy.lastPlan).not.toBe(plan);
+
+            const replanned = policy.lastPlan;
+            drones[0].batteryLevel = 60;
+            policy.dispatch(orders.slice(1), drones, engine);
+            expect(policy.lastPlan).not.toBe(replanned);
+        });
+
+        test('should plan the same cvrp trips for the same seeded scenario', () => {
+            // The same orders, created at different wall-clock times, all arrive at simulation time 0
+            const firstTrip = (wallAges) => {
+                engine = new SimulationEngine(new RandomGenerator(3));
+                addDrone('DRN-A', { x: 0, y: 0 });
+                ['ORD-1', 'ORD-2', 'ORD-3', 'ORD-4'].forEach((id, index) => {
+                    const order = addOrder(id, index < 2 ? { x: 10 + index * 2, y: 0 } : { x: 0, y: 10 + (index - 2) * 2 }, 'media', 4);
+                    order.timestamp = Date.now() - wallAges[index] * 1000;
+                });
+                engine.setDispatchPolicy('cvrp');
+
+                engine.step(0.5);
+                return engine.drones.get('DRN-A').currentOrders.map(order => order.id).sort();
+            };
+
+            expect(firstTrip([0, 0, 3600, 3600])).toEqual(firstTrip([3600, 3600, 0, 0]));
+        });
+
+        test('should hand cvrp trips of drones that must recharge to drones that can fly now', () => {
+            global.EnergyModel = require('../src/js/utils/energy');
+            try {
+                // The fast drone needs a top-up for both parcels but still finishes first
+                const fast = new Drone({ id: 'FAST', name: 'FAST', capacity: 10, range: 200, speed: 60 });
+                const slow = new Drone({ id: 'SLOW', name: 'SLOW', capacity: 10, range: 200, speed: 20 });
+                engine.addDrone(fast);
+                engine.addDrone(slow);
+                fast.batteryLevel = 45;
+                addOrder('ORD-1', { x: 6, y: 0 });
+                addOrder('ORD-2', { x: 7, y: 0 });
+                engine.setDispatchPolicy('cvrp');
+
+                engine.step(0.5);
+
+                const [planned] = engine.dispatchPolicy.lastPlan.plans;
+                expect(planned.drone.id).toBe('FAST');
+                expect(planned.trips[0].startTime).toBeGreaterThan(0);
+                expect(droneFor('ORD-1')).toBe('SLOW');
+            } finally {
+                delete global.EnergyModel;
+            }
+        });
+
+        test('should weigh proximity, battery and spare capacity', () => {
+            const drone = addDrone('DRN-A', { x: 0, y: 0 }, 50);
+            const order = addOrder('ORD-1', { x: 9, y: 0 });
+
+            expect(DispatchPolicy.scoreDrone(drone, [order], 9)).toBeCloseTo(0.5 * 0.3 + 0.9 * 0.3 + 0.04);
+        });
+    });
+
+    describe('Interface', () => {
+        test('should run a pluggable policy on every tick', () => {
+            addDrone('DRN-A', { x: 0, y: 0 });
+            addDrone('DRN-B', { x: 0, y: 0 });
+            addOrder('ORD-1', { x: 10, y: 0 });
+            const calls = [];
+            engine.setDispatchPolicy({
+                name: 'Último drone',
+                dispatch: (orders, drones) => {
+                    calls.push(orders.map(order => order.id));
+                    return [{ drone: drones[drones.length - 1], depot: null, orders: [orders[0]] }];
+                }
+            });
+
+            engine.step(0.5);
+            engine.step(0.5);
+
+            expect(calls).toEqual([['ORD-1']]);
+            expect(droneFor('ORD-1')).toBe('DRN-B');
+            expect(engine.generateReport().dispatch.policy).toBe('Último drone');
+        });
+
+        test('should reject unknown policies', () => {
+            expect(() => engine.setDispatchPolicy('sorteio')).toThrow('Unknown dispatch policy: sorteio');
+        });
+    });
+
+    describe('Insertion', () => {
+        // One drone flying east to ORD-1 when an urgent order comes in near its route
+        const launch = () => {
+            const drone = addDrone('DRN-A', { x: 0, y: 0 });
+            addOrder('ORD-1', { x: 40, y: 0 });
+            engine.runUntil(10, 0.5);
+            return drone;
+        };
+
+        test('should insert an urgent order with its pickup into the route in flight', () => {
+            const drone = launch();
+            addOrder('ORD-2', { x: 20, y: 5 }, 'alta');
+
+            engine.step(0.5);
+
+            expect(droneFor('ORD-2')).toBe('DRN-A');
+            expect(drone.rerouted).toBe(true);
+            expect(drone.currentRoute.filter(point => point.orderId).map(point => Drone.stopKey(point)))
+                .toEqual(['ORD-2:pickup', 'ORD-2', 'ORD-1']);
+            expect(engine.statistics.insertedOrders).toBe(1);
+            expect(engine.eventLog.some(e => e.message.includes('Pedido urgente ORD-2 inserido na rota do drone DRN-A (coleta na base'))).toBe(true);
+
+            engine.runUntil(120, 0.5);
+
+            expect(engine.completedOrders.map(order => order.id)).toEqual(['ORD-2', 'ORD-1']);
+            expect(drone.pickups.size).toBe(0);
+        });
+
+        test('should keep an inserted order assigned until the drone collects it', () => {
+            launch();
+            const order = addOrder('ORD-2', { x: 20, y: 5 }, 'alta');
+
+            engine.step(0.5);
+            expect(order.status).toBe('assigned');
+
+            engine.runUntil(120, 0.5);
+            const stages = order.statusHistory.map(entry => entry.status);
+            expect(stages).toEqual(['pending', 'assigned', 'picked_up', 'in_transit', 'delivered']);
+            expect(order.getStageDurations().assigned).toBeGreaterThan(0);
+        });
+
+        test('should not delay planned stops beyond the limit', () => {
+            launch();
+            engine.setInsertionOptions({ maxDelay: 10 });
+            addOrder('ORD-2', { x: 20, y: 5 }, 'alta');
+
+            engine.step(0.5);
+
+            expect(engine.orders.get('ORD-2').status).toBe('pending');
+        });
+
+        test('should only insert urgent orders that fit the load', () => {
+            launch();
+            addOrder('ORD-2', { x: 20, y: 5 }, 'media');
+            addOrder('ORD-3', { x: 20, y: 5 }, 'alta', 9.5);
+
+            engine.step(0.5);
+
+            expect(engine.orders.get('ORD-2').status).toBe('pending');
+            expect(engine.orders.get('ORD-3').status).toBe('pending');
+        });
+
+        test('should leave the order to an idle drone that gets there sooner', () => {
+            launch();
+            addDrone('DRN-B', { x: 0, y: 0 });
+            addOrder('ORD-2', { x: 20, y: 5 }, 'alta');
+
+            engine.step(0.5);
+
+            expect(droneFor('ORD-2')).toBe('DRN-B');
+            expect(engine.statistics.insertedOrders).toBe(0);
+        });
+    });
+
+    describe('Pickup and delivery', () => {
+        const addPickup = (id, origin, location, weight = 1) => {
+            const order = new Order({ id, customerName: 'Cliente', weight, origin, location, priority: 'media' });
+            engine.addOrder(order);
+            return order;
+        };
+        const stops = (drone) => drone.currentRoute.filter(point => point.orderId).map(point => Drone.stopKey(point));
+
+        test('should collect the parcel at its origin before the dropoff', () => {
+            const drone = addDrone('DRN-A', { x: 0, y: 0 });
+            const order = addPickup('ORD-1', { x: 30, y: 0 }, { x: 5, y: 0 });
+
+            engine.step(0.5);
+
+            expect(stops(drone)).toEqual(['ORD-1:pickup', 'ORD-1']);
+            expect(drone.isCarrying(order)).toBe(false);
+
+            engine.runUntil(120, 0.5);
+
+            expect(engine.completedOrders).toEqual([order]);
+            expect(order.statusHistory.map(entry => entry.status))
+                .toEqual(['pending', 'assigned', 'picked_up', 'in_transit', 'delivered']);
+            expect(order.getStageDurations().assigned).toBeGreaterThan(0);
+        });
+
+        test('should track capacity along the route', () => {
+            const drone = addDrone('DRN-A', { x: 0, y: 0 });
+            const fromBase = addOrder('ORD-1', { x: 10, y: 0 }, 'media', 6);
+            const fromStore = addPickup('ORD-2', { x: 10, y: 0 }, { x: 20, y: 0 }, 6);
+            const route = drone.planRoute([fromBase, fromStore]);
+
+            // 12 kg in total, but never more than 6 kg on board at once
+            expect(route.filter(point => point.orderId).map(point => Drone.stopKey(point)))
+                .toEqual(['ORD-1', 'ORD-2:pickup', 'ORD-2']);
+            expect(drone.getPeakPayload(route, [fromBase, fromStore])).toBe(6);
+            expect(drone.canHandleOrders([fromBase, fromStore])).toBe(true);
+
+            // ORD-3 is still on board when ORD-2 is collected
+            const farther = addOrder('ORD-3', { x: 25, y: 0 }, 'media', 6);
+            expect(drone.canHandleOrders([fromStore, farther])).toBe(false);
+        });
+    });
+
+    describe('Time windows', () => {
+        const addWindowed = (id, location, timeWindow) => {
+            const order = new Order({ id, customerName: 'Cliente', weight: 1, location, priority: 'media', timeWindow });
+            engine.addOrder(order);
+            return order;
+        };
+
+        test('should hover until the window opens before delivering', () => {
+            addDrone('DRN-A', { x: 0, y: 0 });
+            const order = addWindowed('ORD-1', { x: 30, y: 0 }, { earliest: 60 });
+
+            engine.runUntil(120, 0.5);
+
+            expect(order.status).toBe('delivered');
+            expect(order.simulationDeliveryTime).toBeGreaterThanOrEqual(60);
+            expect(order.getLateness()).toBe(0);
+        });
+
+        test('should charge the lateness penalty for late soft windows', () => {
+            addDrone('DRN-A', { x: 0, y: 0 });
+            const order = addWindowed('ORD-1', { x: 30, y: 0 }, { latest: 20, penalty: 2 });
+
+            engine.runUntil(120, 0.5);
+
+            const lateness = order.getLateness();
+            expect(order.status).toBe('delivered');
+            expect(lateness).toBeGreaterThan(0);
+            expect(engine.statistics.lateDeliveries).toBe(1);
+            expect(engine.statistics.latenessPenalty).toBeCloseTo(lateness * 2);
+            expect(engine.generateReport().performance.totalLateness).toBeCloseTo(lateness);
+        });
+
+        test('should not dispatch trips that miss a hard window and reject it once lost', () => {
+            addDrone('DRN-A', { x: 0, y: 0 });
+            const order = addWindowed('ORD-1', { x: 30, y: 0 }, { latest: 20, hard: true });
+
+            engine.step(0.5);
+            expect(order.status).toBe('pending');
+
+            engine.runUntil(30, 0.5);
+            expect(order.status).toBe('cancelled');
+            expect(engine.completedOrders).toEqual([order]);
+            expect(engine.statistics.missedWindows).toBe(1);
+        });
+
+        test('should hold orders until shortly before their window opens', () => {
+            engine.setWindowOptions({ releaseLead: 60 });
+            addDrone('DRN-A', { x: 0, y: 0 });
+            const order = addWindowed('ORD-1', { x: 30, y: 0 }, { earliest: 100 });
+
+            engine.step(0.5);
+            expect(order.status).toBe('pending');
+
+            engine.runUntil(45, 0.5);
+            expect(droneFor('ORD-1')).toBe('DRN-A');
+        });
+    });
+
+    describe('Reassignment', () => {
+        const events = (orderId) => (engine.orders.get(orderId) || engine.completedOrders.find(order => order.id === orderId))
+            .assignmentHistory.map(entry => entry.event);
+
+        test('should move a parcel still on the ground to another drone', () => {
+            const first = addDrone('DRN-A', { x: 0, y: 0 });
+            addOrder('ORD-1', { x: 40, y: 0 });
+            engine.step(0.5);
+            const second = addDrone('DRN-B', { x: 0, y: 0 });
+
+            expect(engine.reassignOrder('ORD-1', 'DRN-B', 'teste')).toEqual({ success: true, handoff: false });
+            expect(first.status).toBe('idle');
+            expect(second.status).toBe('loading');
+            expect(droneFor('ORD-1')).toBe('DRN-B');
+            expect(engine.orders.get('ORD-1').assignmentHistory[1]).toEqual({
+                event: 'reassigned', time: 0.5, fromDroneId: 'DRN-A', droneId: 'DRN-B', reason: 'teste'
+            });
+        });
+
+        test('should hand a parcel on board off at the base', () => {
+            const first = addDrone('DRN-A', { x: 0, y: 0 });
+            addOrder('ORD-1', { x: 40, y: 0 });
+            engine.runUntil(10, 0.5);
+            const second = addDrone('DRN-B', { x: 0, y: 0 });
+
+            expect(engine.reassignOrder('ORD-1', 'DRN-B')).toEqual({ success: true, handoff: true });
+            expect(droneFor('ORD-1')).toBe('DRN-A');
+            expect(first.returnCargo.has('ORD-1')).toBe(true);
+
+            engine.runUntil(120, 0.5);
+
+            expect(engine.completedOrders.map(order => order.id)).toEqual(['ORD-1']);
+            expect(first.completedDeliveries).toBe(0);
+            expect(second.completedDeliveries).toBe(1);
+            expect(events('ORD-1')).toEqual(['assigned', 'handoff', 'reassigned', 'assigned']);
+        });
+
+        test('should drop the handoffs of a removed drone', () => {
+            addDrone('DRN-A', { x: 0, y: 0 });
+            addOrder('ORD-1', { x: 40, y: 0 });
+            engine.runUntil(10, 0.5);
+            addDrone('DRN-B', { x: 0, y: 0 });
+            engine.reassignOrder('ORD-1', 'DRN-B');
+
+            engine.removeDrone('DRN-A');
+            expect(engine.handoffs.size).toBe(0);
+
+            engine.step(0.5);
+            expect(droneFor('ORD-1')).toBe('DRN-B');
+            expect(engine.reassignOrder('ORD-1', null, 'cliente ausente').success).toBe(true);
+        });
+
+        test('should send a parcel promised to a removed drone back to the queue', () => {
+            const first = addDrone('DRN-A', { x: 0, y: 0 });
+            addOrder('ORD-1', { x: 40, y: 0 });
+            engine.runUntil(10, 0.5);
+            addDrone('DRN-B', { x: 0, y: 0 });
+            engine.reassignOrder('ORD-1', 'DRN-B');
+
+            engine.removeDrone('DRN-B');
+            engine.runUntil(200, 0.5);
+
+            expect(engine.completedOrders.map(order => order.id)).toEqual(['ORD-1']);
+            expect(first.completedDeliveries).toBe(1);
+            expect(events('ORD-1')).toEqual(['assigned', 'handoff', 'requeued', 'assigned']);
+        });
+
+        test('should send orders back to the queue', () => {
+            addDrone('DRN-A', { x: 0, y: 0 });
+            addOrder('ORD-1', { x: 40, y: 0 });
+            engine.step(0.5);
+
+            expect(engine.reassignOrder('ORD-1', null, 'cliente ausente').handoff).toBe(false);
+            expect(engine.orders.get('ORD-1').status).toBe('pending');
+            expect(events('ORD-1')).toEqual(['assigned', 'requeued']);
+            expect(engine.reassignOrder('ORD-1', null).errors).toEqual(['Pedido não está em rota com um drone']);
+            expect(engine.reassignOrder('ORD-9', null).errors).toEqual(['Pedido não encontrado']);
+        });
+
+        test('should let an urgent order bump a low-priority batch before takeoff', () => {
+            const drone = addDrone('DRN-A', { x: 0, y: 0 });
+            addOrder('ORD-1', { x: 40, y: 0 }, 'baixa');
+            engine.step(0.5);
+            addOrder('ORD-2', { x: 10, y: 10 }, 'alta');
+
+            engine.step(0.5);
+
+            expect(drone.currentOrders.map(order => order.id)).toEqual(['ORD-2']);
+            expect(engine.orders.get('ORD-1').status).toBe('pending');
+            expect(events('ORD-1')).toEqual(['assigned', 'preempted', 'requeued']);
+            expect(engine.statistics.preemptions).toBe(1);
+        });
+
+        test('should recall a low-priority batch near the base for an urgent order', () => {
+            const drone = addDrone('DRN-A', { x: 0, y: 0 });
+            addOrder('ORD-1', { x: 40, y: 0 }, 'baixa');
+            engine.setInsertionOptions({ enabled: false });
+            engine.runUntil(10, 0.5);
+            addOrder('ORD-2', { x: 10, y: 10 }, 'alta');
+
+            engine.step(0.5);
+            expect(drone.returnCargo.has('ORD-1')).toBe(true);
+
+            engine.runUntil(30, 0.5);
+            expect(droneFor('ORD-2')).toBe('DRN-A');
+            expect(events('ORD-1')).toEqual(['assigned', 'preempted', 'handoff', 'requeued']);
+        });
+
+        test('should leave urgent and distant batches alone', () => {
+            engine.setPreemptionOptions({ maxRecallDistance: 2 });
+            const drone = addDrone('DRN-A', { x: 0, y: 0 });
+            addOrder('ORD-1', { x: 40, y: 0 }, 'baixa');
+            engine.setInsertionOptions({ enabled: false });
+            engine.runUntil(10, 0.5);
+            addOrder('ORD-2', { x: 10, y: 10 }, 'alta');
+
+            engine.step(0.5);
+
+            expect(drone.currentOrders.map(order => order.id)).toEqual(['ORD-1']);
+            expect(engine.statistics.preemptions).toBe(0);
+        });
+    });
+});
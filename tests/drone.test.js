@@ -87,6 +87,51 @@ describe('Drone Model', () => {
             expect(drone.batteryLevel).toBe(0);
         });
 
+        test('should charge battery over simulation time', () => {
+            drone.batteryLevel = 50;
+            drone.updateStatus('charging');
+
+            drone.chargeBattery(2);
+            expect(drone.batteryLevel).toBe(70);
+            expect(drone.status).toBe('charging');
+
+            drone.chargeBattery(10);
+            expect(drone.batteryLevel).toBe(100);
+            expect(drone.status).toBe('idle');
+        });
+
+        test('should not start wall-clock timers when charging', () => {
+            jest.useFakeTimers();
+            drone.batteryLevel = 50;
+            drone.updateStatus('charging');
+
+            expect(jest.getTimerCount()).toBe(0);
+            jest.useRealTimers();
+        });
+
+        test('should taper charge rate with cccv curve', () => {
+            const cccvDrone = new Drone({
+                name: 'CCCV', capacity: 10, range: 50, speed: 60,
+                chargeProfile: { curve: 'cccv', rate: 10, taperStart: 80, minRate: 2 }
+            });
+
+            cccvDrone.batteryLevel = 50;
+            expect(cccvDrone.getChargeRate()).toBe(10);
+
+            cccvDrone.batteryLevel = 90;
+            expect(cccvDrone.getChargeRate()).toBeCloseTo(6, 5);
+        });
+
+        test('should accept custom charge curve function', () => {
+            const customDrone = new Drone({
+                name: 'Custom', capacity: 10, range: 50, speed: 60,
+                chargeProfile: { curve: level => (level < 50 ? 20 : 5) }
+            });
+
+            customDrone.batteryLevel = 30;
+            expect(customDrone.getChargeRate()).toBe(20);
+        });
+
         test('should calculate battery consumption', () => {
             const consumption = drone.calculateBatteryConsumption(10);
             expect(consumption).toBe(20); // 2% per km * 10km
@@ -162,6 +207,37 @@ describe('Drone Model', () => {
             expect(drone.status).toBe('maintenance');
             expect(drone.stats.totalFlightTime).toBe(0);
         });
+
+        test('should schedule maintenance on the simulation clock', () => {
+            expect(drone.needsMaintenance(Drone.MAINTENANCE_INTERVAL)).toBe(false);
+            expect(drone.needsMaintenance(Drone.MAINTENANCE_INTERVAL + 1)).toBe(true);
+
+            drone.performMaintenance(0, Drone.MAINTENANCE_INTERVAL + 1);
+            expect(drone.lastMaintenanceTime).toBe(Drone.MAINTENANCE_INTERVAL + 1);
+            expect(drone.needsMaintenance(Drone.MAINTENANCE_INTERVAL + 2)).toBe(false);
+        });
+
+        test('should keep a maintenance duration of zero', () => {
+            const quickDrone = new Drone({ name: 'Quick', capacity: 10, range: 50, speed: 60, maintenanceDuration: 0 });
+            quickDrone.performMaintenance();
+
+            expect(quickDrone.maintenanceDuration).toBe(0);
+            quickDrone.progressMaintenance(0.1);
+            expect(quickDrone.status).toBe('idle');
+        });
+
+        test('should finish maintenance after configured simulation time', () => {
+            const slowDrone = new Drone({ name: 'Slow', capacity: 10, range: 50, speed: 60, maintenanceDuration: 30 });
+            slowDrone.batteryLevel = 40;
+            slowDrone.performMaintenance();
+
+            slowDrone.progressMaintenance(20);
+            expect(slowDrone.status).toBe('maintenance');
+
+            slowDrone.progressMaintenance(10);
+            expect(slowDrone.status).toBe('idle');
+            expect(slowDrone.batteryLevel).toBe(100);
+        });
     });
 
     describe('Validation', () => {
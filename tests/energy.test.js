@@ -0,0 +1,211 @@
+/**
+ * Energy Model Tests
+ * DTI Digital - Logistics Drone Simulation
+ */
+
+describe('EnergyModel', () => {
+    beforeEach(() => {
+        global.CalculationUtils = require('../src/js/utils/calculations');
+        global.ValidationUtils = require('../src/js/utils/validators');
+        global.RandomGenerator = require('../src/js/utils/random');
+        global.Order = require('../src/js/models/Order');
+        global.Drone = require('../src/js/models/Drone');
+        global.ChargingStation = require('../src/js/models/ChargingStation');
+        global.DispatchPolicy = require('../src/js/services/DispatchPolicy');
+        global.SimulationEngine = require('../src/js/models/SimulationEngine');
+        global.DroneService = require('../src/js/services/DroneService');
+        global.OptimizationService = require('../src/js/services/OptimizationService');
+        global.ScenarioLoader = require('../src/js/services/ScenarioLoader');
+
+        if (typeof EnergyModel === 'undefined') {
+            global.EnergyModel = require('../src/js/utils/energy');
+        }
+    });
+
+    const createDrone = (data = {}) => new Drone({ name: 'Alpha', capacity: 10, range: 50, speed: 60, ...data });
+
+    describe('Model', () => {
+        test('should keep the legacy rate for an empty drone at its reference speed', () => {
+            const model = new EnergyModel({ referenceSpeed: 60 });
+
+            expect(model.flightCost(10)).toBe(20);
+            expect(model.flightCost(10, { speed: 60 })).toBe(20);
+        });
+
+        test('should scale cruise cost with payload and speed', () => {
+            const model = new EnergyModel({ referenceSpeed: 60 });
+
+            expect(model.flightCost(10, { payload: 5 })).toBe(30);
+            expect(model.getSpeedFactor(120)).toBe(2.25);
+            expect(model.getSpeedFactor(30)).toBe(1.125);
+        });
+
+        test('should price a trip with climbs, descents and hover at each stop', () => {
+            const model = new EnergyModel();
+            const legs = [{ distance: 10, payload: 5 }, { distance: 10, payload: 0 }];
+
+            // Loaded leg: 1.5 climb + 30 cruise + 0.375 descent + 2.25 hover; empty leg: 1 + 20 + 0.25
+            expect(model.estimateTrip(legs)).toBeCloseTo(55.375);
+        });
+
+        test('should validate parameters', () => {
+            const model = new EnergyModel({ frameMass: 0, inducedShare: 2, hoverRate: -1 });
+
+            expect(model.validate().errors).toEqual([
+                'Massa do drone deve ser maior que zero',
+                'Parcela induzida deve estar entre 0 e 1',
+                'Custos de pairar, subida e descida devem ser não negativos'
+            ]);
+        });
+    });
+
+    describe('Drone', () => {
+        test('should use per-drone parameters and the carried payload', () => {
+            const drone = createDrone({ energyProfile: { consumptionRate: 1 } });
+
+            expect(drone.calculateBatteryConsumption(10)).toBe(10);
+            drone.currentOrders = [new Order({ customerName: 'Ana', weight: 5, location: { x: 5, y: 5 }, priority: 'media' })];
+            expect(drone.calculateBatteryConsumption(10)).toBe(15);
+            expect(drone.toJSON().energyProfile).toEqual({ consumptionRate: 1 });
+        });
+
+        test('should accept a pluggable model', () => {
+            const flat = { flightCost: distance => distance, hoverCost: () => 0, climbCost: () => 5, descentCost: () => 0 };
+            const drone = createDrone({ energyModel: flat, status: 'loading' });
+
+            drone.updateStatus('flying');
+
+            expect(drone.batteryLevel).toBe(95);
+            expect(drone.calculateBatteryConsumption(10)).toBe(10);
+        });
+
+        test('should pay for takeoffs and landings', () => {
+            const drone = createDrone({ status: 'loading' });
+
+            drone.updateStatus('flying');
+            expect(drone.batteryLevel).toBe(99);
+
+            drone.updateStatus('delivering');
+            expect(drone.batteryLevel).toBe(98.75);
+        });
+
+        test('should drain the battery while hovering to deliver', () => {
+            const engine = new SimulationEngine(new RandomGenerator(3));
+            const drone = createDrone({ energyProfile: { hoverRate: 1 } });
+            engine.addDrone(drone);
+            drone.status = 'delivering';
+            drone.lastStatusChange = engine.currentTime;
+
+            engine.step(2);
+
+            expect(drone.batteryLevel).toBe(98);
+        });
+    });
+
+    describe('Reserve', () => {
+        const createOrder = (id, location) => new Order({ id, customerName: 'Ana', weight: 1, location, priority: 'media' });
+
+        // Dispatch a route, fly until the given time, then cut the battery
+        const launch = (engine, drone, orders, batteryLevel, time = 6) => {
+            orders.forEach(order => {
+                engine.addOrder(order);
+                order.assignDrone(drone.id);
+            });
+            drone.assignOrders(orders);
+            engine.runUntil(time, 0.5);
+            drone.batteryLevel = batteryLevel;
+            engine.step(0.5);
+        };
+
+        test('should check the whole route against the reserve before takeoff', () => {
+            const drone = createDrone();
+            const near = createOrder('ORD-1', { x: 10, y: 0 });
+            const corner = createOrder('ORD-2', { x: 10, y: 10 });
+
+            // About 63.7% alone, but 81.9% after the stop already loaded
+            expect(drone.canHandleOrder(corner)).toBe(true);
+            drone.currentOrders = [near];
+            expect(drone.canHandleOrder(corner)).toBe(false);
+            expect(createDrone({ batteryReserve: 60 }).canHandleOrder(near)).toBe(false);
+        });
+
+        test('should drop trailing stops that no longer fit and requeue them', () => {
+            const engine = new SimulationEngine(new RandomGenerator(3));
+            const drone = createDrone();
+            const first = createOrder('ORD-1', { x: 10, y: 0 });
+            const second = createOrder('ORD-2', { x: 20, y: 0 });
+            engine.addDrone(drone);
+
+            launch(engine, drone, [first, second], 90);
+
+            expect(drone.currentOrders).toEqual([first]);
+            expect(second.status).toBe('pending');
+            expect(second.assignedDrone).toBeNull();
+            expect(engine.statistics.routeFailovers).toBe(1);
+            expect(engine.eventLog.some(e => e.message.includes('encurtou a rota'))).toBe(true);
+            expect(engine.eventLog.some(e => e.message.includes('Pedido ORD-2 devolvido à fila'))).toBe(true);
+        });
+
+        test('should fly home and requeue the route when nothing fits', () => {
+            const engine = new SimulationEngine(new RandomGenerator(3));
+            const drone = createDrone();
+            const order = createOrder('ORD-1', { x: 15, y: 0 });
+            engine.addDrone(drone);
+
+            launch(engine, drone, [order], 40, 15);
+
+            expect(drone.status).toBe('returning');
+            expect(drone.currentOrders).toHaveLength(0);
+            expect(order.status).toBe('pending');
+            expect(engine.eventLog.some(e => e.message.includes('abandonou a rota'))).toBe(true);
+        });
+
+        test('should recharge at a nearer station and keep the orders', () => {
+            const engine = new SimulationEngine(new RandomGenerator(3));
+            const drone = createDrone();
+            const order = createOrder('ORD-1', { x: 15, y: 0 });
+            engine.addDrone(drone);
+            engine.addChargingStation({ name: 'Posto', location: { x: 12, y: 0 } });
+
+            launch(engine, drone, [order], 40, 15);
+
+            expect(drone.status).toBe('returning');
+            expect(drone.returnTarget).toEqual({ x: 12, y: 0 });
+            expect(drone.currentOrders).toEqual([order]);
+
+            engine.runUntil(120, 0.5);
+            expect(order.status).toBe('delivered');
+        });
+    });
+
+    describe('Services', () => {
+        test('should estimate performance with the drone energy model', () => {
+            const service = new DroneService();
+            const { drone } = service.createDrone({ name: 'Alpha', capacity: 10, range: 50, speed: 60 });
+
+            const light = service.simulateDronePerformance(drone.id, { deliveryDistance: 20, orderWeight: 5 });
+            const heavy = service.simulateDronePerformance(drone.id, { deliveryDistance: 20, orderWeight: 10 });
+
+            expect(light.batteryUsed).toBeCloseTo(55.375);
+            expect(heavy.batteryUsed).toBeGreaterThan(light.batteryUsed);
+        });
+
+        test('should skip drones that cannot fly the group back with the reserve', () => {
+            const service = new OptimizationService();
+            const low = createDrone({ id: 'LOW', batteryLevel: 60 });
+            const full = createDrone({ id: 'FULL', name: 'Beta' });
+            const group = [{ id: 'ORD-1', weight: 2, location: { x: 10, y: 0 } }];
+
+            // About 48.6% for the round trip: LOW would land below the 20% reserve
+            expect(service.isGroupFeasible(group, low)).toBe(false);
+            expect(service.findBestDroneForGroup(group, [low, full])).toBe(full);
+        });
+
+        test('should validate energy profiles in scenarios', () => {
+            const loader = new ScenarioLoader();
+            const fleet = [{ name: 'Alpha', capacity: 10, range: 50, speed: 60, energyProfile: { frameMass: 0 } }];
+
+            expect(loader.validateFleet(fleet, [])).toContain('fleet[0]: Massa do drone deve ser maior que zero');
+        });
+    });
+});
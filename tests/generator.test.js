@@ -0,0 +1,173 @@
+/**
+ * Order Generator Tests
+ * DTI Digital - Logistics Drone Simulation
+ */
+
+describe('OrderGenerator', () => {
+    beforeEach(() => {
+        global.CalculationUtils = require('../src/js/utils/calculations');
+        global.ValidationUtils = require('../src/js/utils/validators');
+        global.RandomGenerator = require('../src/js/utils/random');
+        global.Order = require('../src/js/models/Order');
+        global.Drone = require('../src/js/models/Drone');
+        global.DispatchPolicy = require('../src/js/services/DispatchPolicy');
+        global.SimulationEngine = require('../src/js/models/SimulationEngine');
+
+        if (typeof OrderGenerator === 'undefined') {
+            global.OrderGenerator = require('../src/js/services/OrderGenerator');
+        }
+    });
+
+    describe('Configuration', () => {
+        test('should reject invalid configuration', () => {
+            const validation = OrderGenerator.validateConfig({
+                rate: -1,
+                demandCurve: 'madrugada',
+                hotspots: [{ center: { x: 10 }, radius: 0 }],
+                priorityWeights: { urgente: 1 }
+            });
+
+            expect(validation.isValid).toBe(false);
+            expect(validation.errors).toHaveLength(5);
+            expect(() => new OrderGenerator({ rate: 0 })).toThrow('Invalid order generator config');
+        });
+
+        test('should interpolate demand curves by hour of day', () => {
+            const generator = new OrderGenerator({
+                seed: 1,
+                dayStartHour: 0,
+                demandCurve: [[0, 1], [12, 3], [24, 1]]
+            });
+
+            expect(generator.getDemandFactor(0)).toBe(1);
+            expect(generator.getDemandFactor(6 * 3600)).toBe(2);
+            expect(generator.getDemandFactor(12 * 3600)).toBe(3);
+            expect(generator.getDemandFactor(36 * 3600)).toBe(3); // wraps to next day
+        });
+    });
+
+    describe('Arrivals', () => {
+        test('should be reproducible for the same seed', () => {
+            const run = () => new OrderGenerator({ seed: 'demo', rate: 60 }).generateArrivals(0, 3600);
+
+            expect(run()).toEqual(run());
+        });
+
+        test('should match the Poisson rate on average', () => {
+            const generator = new OrderGenerator({ seed: 3, rate: 120 });
+            const arrivals = generator.generateArrivals(0, 10 * 3600);
+
+            // 1200 expected; 4 standard deviations is ~140
+            expect(arrivals.length).toBeGreaterThan(1060);
+            expect(arrivals.length).toBeLessThan(1340);
+            arrivals.forEach((arrival, i) => {
+                expect(arrival.arrivalTime).toBeGreaterThan(0);
+                if (i > 0) expect(arrival.arrivalTime).toBeGreaterThan(arrivals[i - 1].arrivalTime);
+            });
+        });
+
+        test('should produce the same arrivals in one call or many steps', () => {
+            const whole = new OrderGenerator({ seed: 5, rate: 90 }).generateArrivals(0, 1800);
+            const stepped = new OrderGenerator({ seed: 5, rate: 90 });
+            const parts = [];
+            for (let t = 0; t < 1800; t += 0.5) {
+                parts.push(...stepped.generateArrivals(t, t + 0.5));
+            }
+
+            expect(parts).toEqual(whole);
+        });
+
+        test('should concentrate orders around the lunch peak', () => {
+            const generator = new OrderGenerator({ seed: 9, rate: 60, dayStartHour: 0, demandCurve: 'lunch_peak' });
+            const arrivals = generator.generateArrivals(0, 24 * 3600);
+            const inHour = (hour) => arrivals.filter(a => Math.floor(a.arrivalTime / 3600) === hour).length;
+
+            expect(inHour(12)).toBeGreaterThan(inHour(3) * 5);
+            expect(inHour(12)).toBeGreaterThan(inHour(16));
+        });
+
+        test('should respect start and end times', () => {
+            const generator = new OrderGenerator({ seed: 2, rate: 600, startTime: 600, endTime: 1200 });
+            const arrivals = generator.generateArrivals(0, 3600);
+
+            expect(arrivals.length).toBeGreaterThan(0);
+            arrivals.forEach(a => {
+                expect(a.arrivalTime).toBeGreaterThanOrEqual(600);
+                expect(a.arrivalTime).toBeLessThanOrEqual(1200);
+            });
+        });
+    });
+
+    describe('Order Attributes', () => {
+        test('should place most orders near hotspots', () => {
+            const generator = new OrderGenerator({
+                seed: 4,
+                rate: 600,
+                uniformShare: 0,
+                hotspots: [{ center: { x: 20, y: 20 }, radius: 6 }],
+                grid: { width: 100, height: 100 }
+            });
+            const arrivals = generator.generateArrivals(0, 3600);
+            const near = arrivals.filter(({ orderData }) =>
+                CalculationUtils.calculateDistance(orderData.location, { x: 20, y: 20 }) <= 6);
+
+            expect(near.length / arrivals.length).toBeGreaterThan(0.8);
+        });
+
+        test('should follow priority and weight distributions', () => {
+            const generator = new OrderGenerator({
+                seed: 6,
+                rate: 600,
+                priorityWeights: { alta: 1, baixa: 1 },
+                weight: { distribution: 'normal', mean: 2, stdDev: 0.5, min: 1, max: 4 }
+            });
+            const orders = generator.generateArrivals(0, 3600).map(a => a.orderData);
+            const meanWeight = orders.reduce((sum, o) => sum + o.weight, 0) / orders.length;
+
+            expect(orders.some(o => o.priority === 'media')).toBe(false);
+            expect(orders.filter(o => o.priority === 'alta').length / orders.length).toBeCloseTo(0.5, 1);
+            expect(meanWeight).toBeCloseTo(2, 1);
+            orders.forEach(o => {
+                expect(o.weight).toBeGreaterThanOrEqual(1);
+                expect(o.weight).toBeLessThanOrEqual(4);
+            });
+        });
+    });
+
+    describe('Simulation Integration', () => {
+        test('should feed orders into the engine over simulation time', () => {
+            const engine = new SimulationEngine(new RandomGenerator(10));
+            engine.addOrderGenerator(new OrderGenerator({ rate: 120 }));
+
+            engine.runUntil(1800, 1);
+            const times = Array.from(engine.orders.values()).map(o => o.simulationTimestamp);
+
+            expect(engine.orders.size).toBeGreaterThan(30);
+            expect(times.every(t => t > 0 && t <= 1800)).toBe(true);
+            expect(times).toEqual([...times].sort((a, b) => a - b));
+        });
+
+        test('should reproduce the same orders for the same engine seed', () => {
+            const run = () => {
+                const engine = new SimulationEngine(new RandomGenerator(10));
+                engine.addOrderGenerator(new OrderGenerator({ rate: 60, demandCurve: 'lunch_dinner' }));
+                engine.runUntil(900, 1);
+                return Array.from(engine.orders.values()).map(o => [o.id, o.location, o.priority]);
+            };
+
+            expect(run()).toEqual(run());
+        });
+
+        test('should stop generating after removal', () => {
+            const engine = new SimulationEngine(new RandomGenerator(10));
+            const generator = engine.addOrderGenerator(new OrderGenerator({ rate: 600 }));
+
+            engine.runUntil(300, 1);
+            engine.removeOrderGenerator(generator);
+            const count = engine.orders.size;
+            engine.runUntil(600, 1);
+
+            expect(engine.orders.size).toBe(count);
+        });
+    });
+});
@@ -0,0 +1,92 @@
+/**
+ * Route Improver Tests
+ * DTI Digital - Logistics Drone Simulation
+ */
+
+describe('RouteImprover', () => {
+    const start = { x: 0, y: 0 };
+    const keys = (route) => route.map(point => `${point.orderId}${point.pickup ? ':pickup' : ''}`);
+
+    beforeEach(() => {
+        global.RouteImprover = require('../src/js/utils/localsearch');
+        global.CalculationUtils = require('../src/js/utils/calculations');
+    });
+
+    describe('Moves', () => {
+        test('should uncross a tour with 2-opt', () => {
+            const stops = [
+                { x: 10, y: 10, orderId: 'A' },
+                { x: 10, y: 0, orderId: 'B' },
+                { x: 0, y: 10, orderId: 'C' }
+            ];
+
+            const result = new RouteImprover().improve(stops, start);
+
+            expect(result.distance).toBeCloseTo(40);
+            expect(result.saved).toBeCloseTo(result.initialDistance - 40);
+            expect(result.iterations).toBe(result.moves.twoOpt + result.moves.orOpt + result.moves.relocate);
+            expect(result.route).toHaveLength(3);
+        });
+
+        test('should move stray stops back into line', () => {
+            const stops = [
+                { x: 10, y: 0, orderId: 'A' },
+                { x: 40, y: 10, orderId: 'D' },
+                { x: 20, y: 0, orderId: 'B' },
+                { x: 30, y: 0, orderId: 'C' },
+                { x: 40, y: 0, orderId: 'E' }
+            ];
+
+            const result = new RouteImprover().improve(stops, start);
+
+            expect(keys(result.route)).toEqual(['A', 'B', 'C', 'E', 'D']);
+            expect(result.saved).toBeGreaterThan(0);
+        });
+
+        test('should never drop a parcel off before collecting it', () => {
+            // Unconstrained, the dropoff at (5, 0) would come first
+            const stops = [
+                { x: 30, y: 0, orderId: 'A', pickup: true },
+                { x: 5, y: 0, orderId: 'A' },
+                { x: 20, y: 20, orderId: 'B' },
+                { x: 5, y: 5, orderId: 'C' }
+            ];
+
+            const result = new RouteImprover().improve(stops, start);
+            const order = keys(result.route);
+
+            expect(order.indexOf('A:pickup')).toBeLessThan(order.indexOf('A'));
+            expect(result.distance).toBeLessThanOrEqual(result.initialDistance);
+        });
+    });
+
+    describe('Budget', () => {
+        test('should stop after maxIterations moves', () => {
+            const stops = [
+                { x: 10, y: 10, orderId: 'A' },
+                { x: 10, y: 0, orderId: 'B' },
+                { x: 0, y: 10, orderId: 'C' }
+            ];
+
+            const result = new RouteImprover({ maxIterations: 0 }).improve(stops, start);
+
+            expect(result.route).toEqual(stops);
+            expect(result.saved).toBe(0);
+        });
+
+        test('should improve the greedy route of CalculationUtils', () => {
+            const points = [
+                { x: 10, y: 0, orderId: 'A' },
+                { x: 0, y: 11, orderId: 'B' },
+                { x: 20, y: 0, orderId: 'C' },
+                { x: 0, y: 22, orderId: 'D' }
+            ];
+            const greedy = new RouteImprover({ maxIterations: 0 });
+            const before = CalculationUtils.calculateOptimalRoute(points, start, { maxIterations: 0 });
+            const after = CalculationUtils.calculateOptimalRoute(points, start);
+
+            expect(greedy.getTourDistance([start, ...after, start]))
+                .toBeLessThan(greedy.getTourDistance([start, ...before, start]));
+        });
+    });
+});
@@ -0,0 +1,159 @@
+/**
+ * No-Fly Zone Tests
+ * DTI Digital - Logistics Drone Simulation
+ */
+
+describe('NoFlyZone', () => {
+    // Square corridor between base (10, 50) and customer (90, 50)
+    const square = [{ x: 45, y: 30 }, { x: 55, y: 30 }, { x: 55, y: 70 }, { x: 45, y: 70 }];
+    const isInside = (point) => point.x > 45 && point.x < 55 && point.y > 30 && point.y < 70;
+
+    beforeEach(() => {
+        global.CalculationUtils = require('../src/js/utils/calculations');
+        global.RandomGenerator = require('../src/js/utils/random');
+        global.PathPlanner = require('../src/js/utils/pathfinding');
+        global.Order = require('../src/js/models/Order');
+        global.Drone = require('../src/js/models/Drone');
+        global.DispatchPolicy = require('../src/js/services/DispatchPolicy');
+        global.SimulationEngine = require('../src/js/models/SimulationEngine');
+
+        if (typeof NoFlyZone === 'undefined') {
+            global.NoFlyZone = require('../src/js/models/NoFlyZone');
+        }
+    });
+
+    describe('Model', () => {
+        test('should follow its time windows', () => {
+            const event = new NoFlyZone({ name: 'Show', polygon: square, windows: [{ start: 100, end: 200 }] });
+            const daily = new NoFlyZone({ name: 'Escola', polygon: square, windows: [{ start: 0, end: 3600 }], period: 86400 });
+
+            expect(new NoFlyZone({ polygon: square }).isActiveAt(1e6)).toBe(true);
+            expect(event.isActiveAt(99)).toBe(false);
+            expect(event.isActiveAt(100)).toBe(true);
+            expect(event.isActiveAt(200)).toBe(false);
+            expect(daily.isActiveAt(86400 + 10)).toBe(true);
+            expect(daily.isActiveAt(86400 + 3600)).toBe(false);
+        });
+
+        test('should test points and paths against the polygon', () => {
+            const zone = new NoFlyZone({ polygon: square });
+
+            expect(zone.containsPoint({ x: 50, y: 50 })).toBe(true);
+            expect(zone.containsPoint({ x: 45, y: 50 })).toBe(false); // border
+            expect(zone.intersectsPath([{ x: 10, y: 50 }, { x: 90, y: 50 }])).toBe(true);
+            expect(zone.intersectsPath([{ x: 10, y: 30 }, { x: 90, y: 30 }])).toBe(false); // along the edge
+        });
+
+        test('should validate polygon and windows', () => {
+            const zone = new NoFlyZone({ polygon: square.slice(0, 2), windows: [{ start: 50, end: 10 }] });
+
+            expect(zone.validate().errors).toEqual([
+                'Zona deve ter ao menos três vértices',
+                'Janelas de ativação devem ter início menor que o fim'
+            ]);
+        });
+
+        test('should plan paths around active polygons', () => {
+            const planner = new PathPlanner();
+            planner.setNoFlyZones([square]);
+            const path = planner.findPath({ x: 10, y: 50 }, { x: 90, y: 50 });
+
+            expect(path.length).toBeGreaterThan(2);
+            for (let i = 0; i < path.length - 1; i++) {
+                expect(CalculationUtils.segmentCrossesPolygon(path[i], path[i + 1], square)).toBe(false);
+            }
+        });
+    });
+
+    describe('Simulation', () => {
+        let engine;
+        let drone;
+
+        const createOrder = (location) => new Order({ customerName: 'Cliente', weight: 1, location, priority: 'media' });
+
+        beforeEach(() => {
+            engine = new SimulationEngine(new RandomGenerator(3));
+            engine.baseLocation = { x: 10, y: 50 };
+            drone = new Drone({ name: 'Alpha', capacity: 10, range: 300, speed: 60, baseLocation: { x: 10, y: 50 } });
+            engine.addDrone(drone);
+        });
+
+        test('should reject orders inside permanent zones', () => {
+            engine.addNoFlyZone({ name: 'Aeroporto', polygon: square });
+            const order = createOrder({ x: 50, y: 50 });
+            engine.addOrder(order);
+
+            engine.step(1);
+
+            expect(order.status).toBe('cancelled');
+            expect(engine.orders.has(order.id)).toBe(false);
+            expect(engine.statistics.failedDeliveries).toBe(1);
+            expect(engine.eventLog.some(e => e.message.includes('rejeitado'))).toBe(true);
+        });
+
+        test('should hold orders until a temporary zone closes', () => {
+            engine.addNoFlyZone({ name: 'Evento', polygon: square, windows: [{ start: 0, end: 60 }] });
+            const order = createOrder({ x: 50, y: 50 });
+            engine.addOrder(order);
+
+            engine.runUntil(59, 1);
+            expect(order.status).toBe('pending');
+
+            engine.runUntil(200, 1);
+            expect(order.status).toBe('delivered');
+        });
+
+        test('should route dispatched drones around active zones', () => {
+            engine.addNoFlyZone({ name: 'Hospital', polygon: square });
+            engine.addOrder(createOrder({ x: 90, y: 50 }));
+
+            const positions = [];
+            engine.on('simulationUpdated', () => positions.push({ ...drone.location }));
+            engine.runUntil(300, 0.5);
+
+            expect(engine.completedOrders).toHaveLength(1);
+            expect(positions.some(isInside)).toBe(false);
+            expect(engine.noFlyViolations).toHaveLength(0);
+        });
+
+        test('should re-plan in flight when a zone activates on the path', () => {
+            engine.addNoFlyZone({ name: 'Hospital', polygon: square, windows: [{ start: 20, end: 1000 }] });
+            engine.addOrder(createOrder({ x: 90, y: 50 }));
+
+            const positions = [];
+            engine.on('simulationUpdated', () => positions.push({ ...drone.location }));
+            engine.runUntil(300, 0.5);
+
+            expect(drone.location).toEqual({ x: 10, y: 50 });
+            expect(engine.completedOrders).toHaveLength(1);
+            expect(positions.some(isInside)).toBe(false);
+            expect(engine.eventLog.some(e => e.message.includes('replanejou'))).toBe(true);
+        });
+
+        test('should log violations when a zone activates around a drone', () => {
+            // Flying from x=10 at 1 unit/s, the drone is inside the square around t=45
+            engine.addNoFlyZone({ name: 'Evento', polygon: square, windows: [{ start: 45, end: 1000 }] });
+            engine.addOrder(createOrder({ x: 90, y: 50 }));
+
+            engine.runUntil(300, 0.5);
+
+            expect(engine.noFlyViolations).toHaveLength(1);
+            expect(engine.noFlyViolations[0]).toMatchObject({ droneId: drone.id, time: 45 });
+            expect(engine.statistics.noFlyViolations).toBe(1);
+            expect(engine.eventLog.some(e => e.type === 'error' && e.message.includes('Violação'))).toBe(true);
+            expect(engine.completedOrders).toHaveLength(1);
+        });
+
+        test('should return deliveries inside a newly active zone to the queue', () => {
+            engine.addNoFlyZone({ name: 'Evento', polygon: square, windows: [{ start: 20, end: 1000 }] });
+            const order = createOrder({ x: 50, y: 50 });
+            engine.addOrder(order);
+
+            engine.runUntil(25, 0.5);
+
+            expect(order.status).toBe('pending');
+            expect(order.assignedDrone).toBeNull();
+            expect(drone.currentOrders).toHaveLength(0);
+        });
+    });
+});
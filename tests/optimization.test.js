@@ -23,6 +23,14 @@ describe('OptimizationService', () => {
             };
         }
 
+        if (typeof RouteImprover === 'undefined') {
+            global.RouteImprover = require('../src/js/utils/localsearch');
+        }
+
+        if (typeof DispatchPolicy === 'undefined') {
+            global.DispatchPolicy = require('../src/js/services/DispatchPolicy');
+        }
+
         if (typeof OptimizationService === 'undefined') {
             global.OptimizationService = require('../src/js/services/OptimizationService');
         }
@@ -109,6 +117,210 @@ describe('OptimizationService', () => {
         });
     });
 
+    describe('Capacitated Routing', () => {
+        const order = (id, x, y, weight = 2) => ({ id, weight, location: { x, y }, getPriorityScore: () => 50 });
+        const drone = (id, capacity, range) => ({
+            id, name: id, capacity, range, speed: 60, status: 'idle', batteryLevel: 100, location: { x: 0, y: 0 }
+        });
+
+        test('should join nearby orders into trips with Clarke-Wright savings', () => {
+            const orders = [order('A', 20, 0), order('B', 22, 2), order('C', 0, 20), order('D', 2, 22)];
+
+            const result = optimizationService.solveCVRP(orders, [drone('D1', 4, 200)]);
+            const trips = result.plans[0].trips.map(trip => trip.orders.map(o => o.id).sort());
+
+            expect(trips).toEqual(expect.arrayContaining([['A', 'B'], ['C', 'D']]));
+            expect(result.stats.merges).toBe(2);
+            expect(result.unassigned).toEqual([]);
+        });
+
+        test('should fly several trips per drone one after another', () => {
+            const orders = [order('A', 10, 0, 3), order('B', 0, 10, 3), order('C', 10, 10, 3)];
+
+            const result = optimizationService.solveCVRP(orders, [drone('D1', 4, 200)]);
+            const trips = result.plans[0].trips;
+
+            expect(trips).toHaveLength(3);
+            trips.slice(1).forEach((trip, index) => {
+                expect(trip.startTime).toBeGreaterThanOrEqual(trips[index].endTime);
+            });
+            expect(result.stats.makespan).toBe(trips[2].endTime);
+        });
+
+        test('should respect each drone\'s capacity and range', () => {
+            const orders = [order('A', 10, 0, 6), order('B', 12, 0, 2), order('FAR', 90, 0, 1)];
+            const small = drone('SMALL', 3, 60);
+            const large = drone('LARGE', 8, 60);
+
+            const result = optimizationService.solveCVRP(orders, [small, large]);
+
+            result.plans.forEach(({ drone: planned, trips }) => trips.forEach(trip => {
+                expect(trip.load).toBeLessThanOrEqual(planned.capacity);
+                expect(trip.distance).toBeLessThanOrEqual(planned.range);
+            }));
+            expect(result.unassigned.map(o => o.id)).toEqual(['FAR']);
+        });
+
+        test('should plan several trips per drone in optimizeDeliveryRoutes', () => {
+            const orders = [order('A', 10, 0, 3), order('B', 0, 10, 3), order('C', 10, 10, 3)]
+                .map(o => ({ ...o, status: 'pending' }));
+
+            const result = optimizationService.optimizeDeliveryRoutes([drone('D1', 4, 200)], orders);
+
+            expect(result.success).toBe(true);
+            expect(result.routes.map(route => route.trip)).toEqual([1, 2, 3]);
+        });
+    });
+
+    describe('Adaptive Large Neighborhood Search', () => {
+        const RandomGenerator = require('../src/js/utils/random');
+        const drone = (id, capacity, location = { x: 0, y: 0 }) => ({
+            id, name: id, capacity, range: 500, speed: 60, status: 'idle', batteryLevel: 100, location
+        });
+        const randomOrders = (seed, count) => {
+            const random = new RandomGenerator(seed);
+            return Array.from({ length: count }, (_, i) => ({
+                id: `O${i + 1}`,
+                weight: random.nextInt(1, 4),
+                location: { x: random.nextInt(-50, 50), y: random.nextInt(-50, 50) },
+                status: 'pending',
+                getPriorityScore: () => 50
+            }));
+        };
+        const solve = (seed, orders, drones, alns = {}) => new OptimizationService(new RandomGenerator(seed))
+            .solveCVRP(orders, drones, { algorithm: 'alns', alns: { timeLimit: null, maxIterations: 200, ...alns } });
+
+        test('should improve on the savings plan without losing or splitting orders', () => {
+            const orders = randomOrders('alns', 20);
+            const drones = [drone('D1', 6), drone('D2', 6)];
+
+            const result = solve(1, orders, drones);
+            const served = result.plans.flatMap(plan => plan.trips.flatMap(trip => trip.orders.map(o => o.id)));
+
+            expect(result.stats.alns.distance).toBeLessThan(result.stats.alns.initialDistance);
+            expect(result.stats.alns.improvements).toBeGreaterThan(0);
+            expect(served.sort()).toEqual(orders.map(o => o.id).sort());
+            result.plans.forEach(plan => plan.trips.forEach(trip => {
+                expect(trip.load).toBeLessThanOrEqual(plan.drone.capacity);
+            }));
+        });
+
+        test('should adapt the weights of every destroy and repair operator', () => {
+            const result = solve(2, randomOrders('weights', 12), [drone('D1', 5)], { segmentLength: 20 });
+            const { destroy, repair } = result.stats.alns.operators;
+
+            expect(Object.keys(destroy)).toEqual(['random', 'worst', 'related']);
+            expect(Object.keys(repair)).toEqual(['greedy', 'regret']);
+            [destroy, repair].forEach(group => {
+                const operators = Object.values(group);
+                expect(operators.reduce((sum, operator) => sum + operator.uses, 0)).toBe(200);
+                expect(operators.some(operator => operator.weight !== 1)).toBe(true);
+                operators.forEach(operator => expect(operator.weight).toBeGreaterThanOrEqual(0.1));
+            });
+        });
+
+        test('should move orders between bases', () => {
+            // Nearest-base grouping sends C to the north base, which already flies a full trip
+            const orders = [
+                { id: 'A', weight: 4, location: { x: 0, y: 40 }, getPriorityScore: () => 50 },
+                { id: 'B', weight: 4, location: { x: 2, y: 42 }, getPriorityScore: () => 50 },
+                { id: 'C', weight: 2, location: { x: 0, y: 27 }, getPriorityScore: () => 50 },
+                { id: 'D', weight: 2, location: { x: 0, y: 10 }, getPriorityScore: () => 50 }
+            ];
+            const drones = [drone('NORTH', 8, { x: 0, y: 50 }), drone('SOUTH', 8)];
+
+            const savings = optimizationService.solveCVRP(orders, drones);
+            const result = solve(3, orders, drones, { maxIterations: 100 });
+            const south = result.plans.find(plan => plan.drone.id === 'SOUTH');
+
+            expect(result.stats.totalDistance).toBeLessThan(savings.stats.totalDistance);
+            expect(south.trips[0].orders.map(o => o.id).sort()).toEqual(['C', 'D']);
+        });
+
+        test('should stop at its iteration and time budget', () => {
+            const orders = randomOrders('budget', 10);
+
+            const none = solve(4, orders, [drone('D1', 6)], { maxIterations: 0 });
+            expect(none.stats.alns.iterations).toBe(0);
+            expect(none.stats.alns.distance).toBe(none.stats.alns.initialDistance);
+
+            const timed = solve(4, orders, [drone('D1', 6)], { maxIterations: Infinity, timeLimit: 50 });
+            expect(timed.stats.alns.iterations).toBeGreaterThan(0);
+            expect(timed.stats.alns.iterations).toBeLessThan(Infinity);
+        });
+
+        test('should be reproducible with a seed and selectable in optimizeDeliveryRoutes', () => {
+            const orders = randomOrders('seed', 12);
+            const trips = (result) => result.plans.map(plan => plan.trips.map(trip => trip.orders.map(o => o.id)));
+
+            expect(trips(solve(5, orders, [drone('D1', 6)]))).toEqual(trips(solve(5, orders, [drone('D1', 6)])));
+
+            // No wall-clock budget by default, so the host's speed does not change the plan
+            optimizationService.setALNSOptions({ maxIterations: 50 });
+            const result = optimizationService.optimizeDeliveryRoutes([drone('D1', 6)], orders, { algorithm: 'alns' });
+
+            expect(OptimizationService.DEFAULT_ALNS.timeLimit).toBeNull();
+            expect(result.success).toBe(true);
+            expect(result.algorithm).toBe('alns');
+            expect(result.stats.alns.iterations).toBe(50);
+        });
+    });
+
+    describe('Time Windows', () => {
+        const drone = (id, overrides = {}) => ({
+            id, name: id, capacity: 10, range: 200, speed: 60, status: 'idle', batteryLevel: 100,
+            location: { x: 0, y: 0 }, ...overrides
+        });
+        const order = (id, x, y, timeWindow, extra = {}) => ({
+            id, weight: 1, location: { x, y }, timeWindow: { earliest: 0, latest: null, hard: true, penalty: null, ...timeWindow }, ...extra
+        });
+        const options = { loadingTime: 0, serviceTime: 0 };
+
+        test('should wait for the window to open and spend the service time', () => {
+            const result = optimizationService.solveVRPTW(
+                [order('A', 10, 0, { earliest: 30, latest: 100 }, { serviceTime: 5 })], [drone('D1')], options);
+            const [route] = result.routes;
+
+            expect(route.schedule).toEqual([{ orderId: 'A', arrival: 10, start: 30, lateness: 0 }]);
+            expect(route.waiting).toBe(20);
+            expect(route.endTime).toBe(45);
+        });
+
+        test('should charge soft windows per second late', () => {
+            const result = optimizationService.solveVRPTW(
+                [order('A', 10, 0, { latest: 5, hard: false, penalty: 3 })], [drone('D1')], options);
+
+            expect(result.routes[0].lateness).toBe(5);
+            expect(result.stats.totalPenalty).toBe(15);
+            expect(result.stats.totalCost).toBe(20 + 15);
+        });
+
+        test('should use more drones to meet hard windows', () => {
+            const orders = [order('E', 10, 0, { latest: 12 }), order('W', 0, 10, { latest: 12 })];
+
+            const one = optimizationService.solveVRPTW(orders, [drone('D1')], options);
+            const two = optimizationService.solveVRPTW(orders, [drone('D1'), drone('D2')], options);
+
+            expect(one.infeasible.map(entry => entry.reasons)).toEqual([['fleet']]);
+            expect(two.stats).toMatchObject({ vehicles: 2, served: 2, infeasible: 0 });
+            two.routes.forEach(route => route.schedule.forEach(stop => expect(stop.start).toBeLessThanOrEqual(12)));
+        });
+
+        test('should report why orders cannot be routed', () => {
+            const orders = [
+                order('HEAVY', 10, 0, {}, { weight: 30 }),
+                order('LATE', 10, 0, { latest: 5 }),
+                order('FAR', 90, 90, {})
+            ];
+
+            const result = optimizationService.solveVRPTW(orders, [drone('D1'), drone('D2')], options);
+            const reasons = Object.fromEntries(result.infeasible.map(entry => [entry.order.id, entry.reasons]));
+
+            expect(reasons).toEqual({ HEAVY: ['capacity'], LATE: ['window'], FAR: ['range'] });
+            expect(result.infeasible[0].message).toBe(OptimizationService.INFEASIBILITY_REASONS[result.infeasible[0].reasons[0]]);
+        });
+    });
+
     describe('Order Grouping', () => {
         test('should group orders optimally', () => {
             const groups = optimizationService.groupOrdersForOptimalDelivery(mockOrders, mockDrones);
@@ -121,6 +333,22 @@ describe('OptimizationService', () => {
             expect(totalOrders).toBe(mockOrders.length);
         });
 
+        test('should rank orders by their age on the simulation clock', () => {
+            const order = (id, simulationTimestamp, timestamp) => ({
+                id, weight: 1, location: { x: 0, y: 0 }, simulationTimestamp, timestamp,
+                getPriorityScore: (age = null) => 50 + (age !== null ? age : (Date.now() - timestamp) / 1000)
+            });
+            // Created long ago on the wall clock, but arrived late in the simulation
+            const recent = order('recent', 500, Date.now() - 3600 * 1000);
+            const early = order('early', 0, Date.now());
+
+            const groups = optimizationService.groupOrdersForOptimalDelivery([recent, early], mockDrones, 600);
+            expect(groups.flat().map(o => o.id)).toEqual(['early', 'recent']);
+
+            const assignments = optimizationService.assignOrderGroupsToDrones([[recent], [early]], mockDrones, 600);
+            expect(assignments[0].orders[0].id).toBe('early');
+        });
+
         test('should respect capacity constraints', () => {
             const heavyOrders = [
                 { id: 'heavy1', weight: 15, location: { x: 10, y: 10 }, getPriorityScore: () => 100 },
@@ -194,6 +422,53 @@ describe('OptimizationService', () => {
             expect(route.length).toBe(points.length + 2);
         });
 
+        test.each(['nearest_neighbor', 'genetic_algorithm', 'simulated_annealing'])(
+            'should collect parcels before dropping them off with %s', (algorithm) => {
+                const orders = [
+                    { id: '1', weight: 1, location: { x: 5, y: 0 }, origin: { x: 30, y: 0 } },
+                    { id: '2', weight: 1, location: { x: 10, y: 10 } },
+                    { id: '3', weight: 1, location: { x: 20, y: 5 }, origin: { x: 2, y: 2 } },
+                    { id: '4', weight: 1, location: { x: 15, y: 15 } }
+                ];
+
+                const route = optimizationService.calculateOptimalRoute(orders, { x: 0, y: 0 }, algorithm);
+                const keys = route.slice(1, -1).map(point => optimizationService.getStopKey(point));
+
+                expect(keys).toHaveLength(6);
+                expect(keys.indexOf('1:pickup')).toBeLessThan(keys.indexOf('1'));
+                expect(keys.indexOf('3:pickup')).toBeLessThan(keys.indexOf('3'));
+            });
+
+        test.each(['nearest_neighbor', 'genetic_algorithm', 'simulated_annealing'])(
+            'should report the distance saved by local search after %s', (algorithm) => {
+                const orders = [
+                    { id: '1', weight: 1, location: { x: 10, y: 0 } },
+                    { id: '2', weight: 1, location: { x: 0, y: 11 } },
+                    { id: '3', weight: 1, location: { x: 20, y: 0 } },
+                    { id: '4', weight: 1, location: { x: 0, y: 22 } },
+                    { id: '5', weight: 1, location: { x: 12, y: 12 } }
+                ];
+                const start = { x: 0, y: 0 };
+                optimizationService.setExactSolverOptions({ enabled: false });
+
+                const { route, improvement } = optimizationService.planOptimalRoute(orders, start, algorithm);
+
+                expect(improvement.saved).toBeCloseTo(improvement.initialDistance - improvement.distance);
+                expect(optimizationService.calculateRouteDistance(route.slice(1, -1), start)).toBeCloseTo(improvement.distance);
+
+                optimizationService.setLocalSearchOptions({ enabled: false });
+                expect(optimizationService.planOptimalRoute(orders, start, algorithm).improvement).toBeNull();
+            });
+
+        test('should size groups by the load carried along the route', () => {
+            const orders = [
+                { id: '1', weight: 6, location: { x: 10, y: 0 } },
+                { id: '2', weight: 6, location: { x: 20, y: 0 }, origin: { x: 10, y: 0 } }
+            ];
+
+            expect(optimizationService.getPeakLoad(orders, { x: 0, y: 0 })).toBe(6);
+        });
+
         test('should handle empty points array', () => {
             const route = optimizationService.nearestNeighborRoute([], { x: 0, y: 0 });
             expect(route).toEqual([{ x: 0, y: 0 }]);
@@ -362,6 +637,111 @@ describe('OptimizationService', () => {
         });
     });
 
+    describe('Exact Solver', () => {
+        const start = { x: 0, y: 0 };
+        const randomOrders = (seed, count) => {
+            const RandomGenerator = require('../src/js/utils/random');
+            const random = new RandomGenerator(seed);
+            return Array.from({ length: count }, (_, i) => ({
+                id: String(i + 1),
+                weight: 1,
+                location: { x: random.nextInt(0, 100), y: random.nextInt(0, 100) }
+            }));
+        };
+        const permutations = (items) => items.length <= 1 ? [items] :
+            items.flatMap((item, i) => permutations([...items.slice(0, i), ...items.slice(i + 1)]).map(rest => [item, ...rest]));
+
+        test('should match brute force on small instances', () => {
+            [1, 2, 3].forEach(seed => {
+                const orders = randomOrders(seed, 7);
+                const points = optimizationService.getStopPoints(orders);
+                const best = Math.min(...permutations(points)
+                    .map(tour => optimizationService.calculateRouteDistance(tour, start)));
+
+                const route = optimizationService.heldKarpRoute(points, start);
+
+                expect(route).toHaveLength(points.length + 2);
+                expect(optimizationService.calculateRouteDistance(route.slice(1, -1), start)).toBeCloseTo(best);
+            });
+        });
+
+        test('should bound the gap of every heuristic from below', () => {
+            const orders = randomOrders('gap', 9);
+            const optimum = optimizationService.calculateRouteDistance(
+                optimizationService.calculateOptimalRoute(orders, start).slice(1, -1), start);
+
+            optimizationService.setExactSolverOptions({ enabled: false });
+            ['nearest_neighbor', 'genetic_algorithm', 'simulated_annealing'].forEach(algorithm => {
+                const route = optimizationService.calculateOptimalRoute(orders, start, algorithm);
+                const gap = optimizationService.calculateRouteDistance(route.slice(1, -1), start) / optimum - 1;
+                expect(gap).toBeGreaterThanOrEqual(-1e-9);
+            });
+        });
+
+        test('should show the gap of nearest neighbor on a greedy trap', () => {
+            // Greedy walks right to the closest stop and has to come back for (-3, 0)
+            const orders = [
+                { id: '1', weight: 1, location: { x: 2, y: 0 } },
+                { id: '2', weight: 1, location: { x: -3, y: 0 } },
+                { id: '3', weight: 1, location: { x: 8, y: 0 } },
+                { id: '4', weight: 1, location: { x: 20, y: 0 } }
+            ];
+            const points = optimizationService.getStopPoints(orders);
+            const greedy = optimizationService.calculateRouteDistance(
+                optimizationService.nearestNeighborRoute(points, start).slice(1, -1), start);
+            const optimum = optimizationService.calculateRouteDistance(
+                optimizationService.heldKarpRoute(points, start).slice(1, -1), start);
+
+            expect(optimum).toBeCloseTo(46);
+            expect(greedy).toBeGreaterThan(optimum);
+        });
+
+        test('should collect parcels before dropping them off', () => {
+            const orders = [
+                { id: '1', weight: 1, location: { x: 5, y: 0 }, origin: { x: 30, y: 0 } },
+                { id: '2', weight: 1, location: { x: 10, y: 10 } },
+                { id: '3', weight: 1, location: { x: 20, y: 5 }, origin: { x: 2, y: 2 } }
+            ];
+            const points = optimizationService.getStopPoints(orders);
+            const best = Math.min(...permutations(points)
+                .filter(tour => new RouteImprover().respectsPrecedence(tour))
+                .map(tour => optimizationService.calculateRouteDistance(tour, start)));
+
+            const route = optimizationService.heldKarpRoute(points, start);
+            const keys = route.slice(1, -1).map(point => optimizationService.getStopKey(point));
+
+            expect(keys.indexOf('1:pickup')).toBeLessThan(keys.indexOf('1'));
+            expect(keys.indexOf('3:pickup')).toBeLessThan(keys.indexOf('3'));
+            expect(optimizationService.calculateRouteDistance(route.slice(1, -1), start)).toBeCloseTo(best);
+        });
+
+        test('should only solve exactly up to the configured stop count', () => {
+            const orders = randomOrders(4, 5);
+
+            expect(optimizationService.planOptimalRoute(orders, start).optimal).toBe(true);
+
+            optimizationService.setExactSolverOptions({ maxStops: 4 });
+            expect(optimizationService.planOptimalRoute(orders, start).optimal).toBe(false);
+            expect(optimizationService.planOptimalRoute(orders, start, 'held_karp').optimal).toBe(true);
+        });
+
+        test('should fall back to the heuristics when maxStops exceeds the Held-Karp limit', () => {
+            const orders = randomOrders(6, OptimizationService.HELD_KARP_MAX_STOPS + 2);
+            optimizationService.setExactSolverOptions({ maxStops: 20 });
+
+            const plan = optimizationService.planOptimalRoute(orders, start);
+
+            expect(plan.optimal).toBe(false);
+            expect(plan.route).toHaveLength(orders.length + 2);
+        });
+
+        test('should refuse explicit requests beyond the Held-Karp limit', () => {
+            const orders = randomOrders(5, OptimizationService.HELD_KARP_MAX_STOPS + 1);
+
+            expect(() => optimizationService.calculateOptimalRoute(orders, start, 'held_karp')).toThrow('Held-Karp');
+        });
+    });
+
     describe('Genetic Algorithm', () => {
         test('should initialize population', () => {
             const points = [
@@ -72,6 +72,26 @@ describe('Order Model', () => {
             expect(order.status).toBe('delivered');
             expect(order.actualDeliveryTime).toBeTruthy();
         });
+
+        test('should record a timestamped status history', () => {
+            order.assignDrone('DRN-1', null, 2);
+            order.updateStatus('picked_up', { time: 2 });
+            order.updateStatus('in_transit', { time: 7 });
+            order.updateStatus('delivered', { time: 19 });
+
+            expect(order.statusHistory.map(entry => entry.status)).toEqual(['assigned', 'picked_up', 'in_transit', 'delivered']);
+            expect(order.getStageDurations(30)).toEqual({ assigned: 0, picked_up: 5, in_transit: 12 });
+            expect(Order.fromJSON(order.toJSON()).statusHistory).toEqual(order.statusHistory);
+        });
+
+        test('should count the current status up to now', () => {
+            order.updateStatus('assigned', { time: 4 });
+            order.updateStatus('picked_up');
+
+            // Unstamped entries are left out
+            expect(order.getStageDurations()).toEqual({});
+            expect(order.getStageDurations(10)).toEqual({ assigned: 6 });
+        });
     });
 
     describe('Priority Scoring', () => {
@@ -117,20 +137,53 @@ describe('Order Model', () => {
 
     describe('Overdue Detection', () => {
         test('should detect overdue orders', () => {
-            // Set delivery time to 1 hour ago
-            order.deliveryTime = new Date(Date.now() - (60 * 60 * 1000));
-            expect(order.isOverdue()).toBe(true);
+            // Due one hour after creation; arrived 100s into the simulation
+            order.deliveryTime = new Date(order.timestamp + (60 * 60 * 1000));
+            order.simulationTimestamp = 100;
+            expect(order.getDeadline()).toBe(3700);
+            expect(order.isOverdue(3700)).toBe(false);
+            expect(order.isOverdue(3701)).toBe(true);
         });
 
         test('should not be overdue if delivered', () => {
-            order.deliveryTime = new Date(Date.now() - (60 * 60 * 1000));
+            order.deliveryTime = new Date(order.timestamp + (60 * 60 * 1000));
+            order.simulationTimestamp = 100;
             order.updateStatus('delivered');
+            expect(order.isOverdue(5000)).toBe(false);
+        });
+
+        test('should ignore the wall clock for delivery deadlines', () => {
+            order.deliveryTime = new Date(Date.now() - (60 * 60 * 1000));
             expect(order.isOverdue()).toBe(false);
+
+            order.simulationTimestamp = 0;
+            order.deliveryTime = new Date(order.timestamp + (10 * 1000));
+            order.updateStatus('delivered');
+            order.simulationDeliveryTime = 8;
+            order.actualDeliveryTime = order.timestamp + (60 * 1000);
+            expect(order.isDeliveredOnTime()).toBe(true);
         });
 
         test('should not be overdue without delivery time', () => {
             expect(order.isOverdue()).toBe(false);
         });
+
+        test('should evaluate time windows against the simulation clock', () => {
+            const windowed = new Order({
+                customerName: 'Ana', weight: 1, location: { x: 10, y: 10 }, priority: 'media',
+                timeWindow: { earliest: 30, latest: 60 }
+            });
+
+            expect(windowed.isBeforeWindow(20)).toBe(true);
+            expect(windowed.isOverdue(50)).toBe(false);
+            expect(windowed.isOverdue(61)).toBe(true);
+
+            windowed.updateStatus('delivered', { time: 75 });
+            windowed.simulationDeliveryTime = 75;
+            expect(windowed.getLateness()).toBe(15);
+            expect(windowed.isDeliveredOnTime()).toBe(false);
+            expect(windowed.isOverdue(100)).toBe(false);
+        });
     });
 
     describe('Drone Assignment', () => {
@@ -248,6 +301,16 @@ describe('Order Model', () => {
             expect(displayInfo).toHaveProperty('status');
             expect(displayInfo).toHaveProperty('urgency');
         });
+
+        test('should flag overdue orders on the simulation clock', () => {
+            const windowed = new Order({
+                customerName: 'Ana', weight: 1, location: { x: 10, y: 10 }, priority: 'media',
+                timeWindow: { latest: 60 }
+            });
+
+            expect(windowed.getDisplayInfo(30).isOverdue).toBe(false);
+            expect(windowed.getDisplayInfo(61).isOverdue).toBe(true);
+        });
     });
 
     describe('Summary', () => {
@@ -0,0 +1,167 @@
+/**
+ * Random Generator Tests
+ * DTI Digital - Logistics Drone Simulation
+ */
+
+describe('RandomGenerator', () => {
+    beforeEach(() => {
+        if (typeof RandomGenerator === 'undefined') {
+            global.RandomGenerator = require('../src/js/utils/random');
+        }
+    });
+
+    describe('Reproducibility', () => {
+        test('should produce the same sequence for the same seed', () => {
+            const a = new RandomGenerator(42);
+            const b = new RandomGenerator(42);
+            const sequenceA = Array.from({ length: 20 }, () => a.next());
+            const sequenceB = Array.from({ length: 20 }, () => b.next());
+
+            expect(sequenceA).toEqual(sequenceB);
+        });
+
+        test('should produce different sequences for different seeds', () => {
+            const a = new RandomGenerator(1);
+            const b = new RandomGenerator(2);
+
+            expect(a.next()).not.toBe(b.next());
+        });
+
+        test('should accept string seeds', () => {
+            const a = new RandomGenerator('cenario-almoco');
+            const b = new RandomGenerator('cenario-almoco');
+
+            expect(a.next()).toBe(b.next());
+        });
+
+        test('should restart sequence when reseeded', () => {
+            const random = new RandomGenerator(7);
+            const first = random.next();
+            random.next();
+            random.setSeed(7);
+
+            expect(random.next()).toBe(first);
+        });
+
+        test('should fork independent streams', () => {
+            const base = new RandomGenerator(99);
+            const forkA = base.fork('orders');
+            const forkB = new RandomGenerator(99).fork('orders');
+
+            base.next();
+            expect(forkA.next()).toBe(forkB.next());
+            expect(base.fork('weather').next()).not.toBe(base.fork('orders').next());
+        });
+    });
+
+    describe('Ranges', () => {
+        test('should keep values within bounds', () => {
+            const random = new RandomGenerator(123);
+
+            for (let i = 0; i < 500; i++) {
+                const value = random.next();
+                const integer = random.nextInt(5, 10);
+                expect(value).toBeGreaterThanOrEqual(0);
+                expect(value).toBeLessThan(1);
+                expect(integer).toBeGreaterThanOrEqual(5);
+                expect(integer).toBeLessThan(10);
+                expect(Number.isInteger(integer)).toBe(true);
+            }
+        });
+
+        test('should generate base-36 strings', () => {
+            const random = new RandomGenerator(5);
+            expect(random.nextString(8)).toMatch(/^[0-9a-z]{8}$/);
+        });
+
+        test('should pick and shuffle deterministically', () => {
+            const a = new RandomGenerator(11);
+            const b = new RandomGenerator(11);
+
+            expect(a.pick(['x', 'y', 'z'])).toBe(b.pick(['x', 'y', 'z']));
+            expect(a.shuffle([1, 2, 3, 4, 5])).toEqual(b.shuffle([1, 2, 3, 4, 5]));
+            expect(a.pick([])).toBeUndefined();
+        });
+
+        test('should sample gaussian, exponential and weighted distributions', () => {
+            const random = new RandomGenerator(13);
+            const n = 5000;
+            let gaussianSum = 0;
+            let exponentialSum = 0;
+            const counts = { a: 0, b: 0, c: 0 };
+
+            for (let i = 0; i < n; i++) {
+                gaussianSum += random.nextGaussian(10, 2);
+                exponentialSum += random.nextExponential(4);
+                counts[random.pickWeighted({ a: 1, b: 3, c: 0 })]++;
+            }
+
+            expect(gaussianSum / n).toBeCloseTo(10, 0);
+            expect(exponentialSum / n).toBeCloseTo(0.25, 1);
+            expect(counts.c).toBe(0);
+            expect(counts.b / n).toBeGreaterThan(0.7);
+            expect(counts.b / n).toBeLessThan(0.8);
+        });
+    });
+
+    describe('Seeded Models and Services', () => {
+        beforeEach(() => {
+            global.CalculationUtils = require('../src/js/utils/calculations');
+
+            if (typeof Drone === 'undefined') {
+                global.Drone = require('../src/js/models/Drone');
+            }
+
+            if (typeof Order === 'undefined') {
+                global.Order = require('../src/js/models/Order');
+            }
+
+            if (typeof DispatchPolicy === 'undefined') {
+                global.DispatchPolicy = require('../src/js/services/DispatchPolicy');
+            }
+
+            if (typeof OptimizationService === 'undefined') {
+                global.OptimizationService = require('../src/js/services/OptimizationService');
+            }
+        });
+
+        test('should generate reproducible drone and order IDs', () => {
+            const droneData = { name: 'Alpha', capacity: 10, range: 50, speed: 60 };
+            const orderData = { customerName: 'Ana Lima', weight: 1, location: { x: 1, y: 1 }, priority: 'alta' };
+
+            const droneA = new Drone(droneData, new RandomGenerator(3));
+            const droneB = new Drone(droneData, new RandomGenerator(3));
+            const orderA = new Order(orderData, new RandomGenerator(3));
+            const orderB = new Order(orderData, new RandomGenerator(3));
+
+            expect(droneA.id).toBe(droneB.id);
+            expect(droneA.id).toMatch(/^DRN-\d+-\w+$/);
+            expect(orderA.id).toBe(orderB.id);
+            expect(orderA.id).toMatch(/^ORD-\d+-\w+$/);
+        });
+
+        test('should generate reproducible coordinates', () => {
+            const a = CalculationUtils.generateRandomCoordinates(100, 100, new RandomGenerator(8));
+            const b = CalculationUtils.generateRandomCoordinates(100, 100, new RandomGenerator(8));
+
+            expect(a).toEqual(b);
+        });
+
+        test('should produce identical optimizer routes for the same seed', () => {
+            const points = Array.from({ length: 8 }, (_, i) => ({
+                x: (i * 37) % 50,
+                y: (i * 53) % 50,
+                orderId: `ORD-${i}`
+            }));
+            const start = { x: 0, y: 0 };
+
+            const routeIds = (seed, method) => {
+                const service = new OptimizationService(new RandomGenerator(seed));
+                return service[method](points, start).map(p => p.orderId);
+            };
+
+            expect(routeIds(21, 'geneticAlgorithmRoute')).toEqual(routeIds(21, 'geneticAlgorithmRoute'));
+            expect(routeIds(21, 'simulatedAnnealingRoute')).toEqual(routeIds(21, 'simulatedAnnealingRoute'));
+        });
+    });
+});
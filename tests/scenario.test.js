@@ -0,0 +1,357 @@
+/**
+ * Scenario Loader Tests
+ * DTI Digital - Logistics Drone Simulation
+ */
+
+const path = require('path');
+
+describe('ScenarioLoader', () => {
+    let loader;
+    let scenario;
+
+    beforeEach(() => {
+        global.CalculationUtils = require('../src/js/utils/calculations');
+        global.ValidationUtils = require('../src/js/utils/validators');
+        global.RandomGenerator = require('../src/js/utils/random');
+        global.Order = require('../src/js/models/Order');
+        global.Drone = require('../src/js/models/Drone');
+        global.OptimizationService = require('../src/js/services/OptimizationService');
+        global.DispatchPolicy = require('../src/js/services/DispatchPolicy');
+        global.SimulationEngine = require('../src/js/models/SimulationEngine');
+
+        global.OrderGenerator = require('../src/js/services/OrderGenerator');
+        global.NoFlyZone = require('../src/js/models/NoFlyZone');
+        global.Depot = require('../src/js/models/Depot');
+        global.ChargingStation = require('../src/js/models/ChargingStation');
+
+        if (typeof ScenarioLoader === 'undefined') {
+            global.ScenarioLoader = require('../src/js/services/ScenarioLoader');
+        }
+
+        loader = new ScenarioLoader();
+        scenario = {
+            version: '1.0',
+            name: 'Teste',
+            seed: 7,
+            duration: 600,
+            grid: { width: 100, height: 100 },
+            bases: [
+                { id: 'B1', location: { x: 10, y: 10 } },
+                { id: 'B2', location: { x: 90, y: 90 } }
+            ],
+            fleet: [
+                { name: 'Alpha', capacity: 10, range: 50, speed: 60, base: 'B1', count: 2 },
+                { name: 'Beta', capacity: 8, range: 45, speed: 65, base: 'B2' }
+            ],
+            obstacles: [{ x: 40, y: 40, width: 5, height: 5 }],
+            orders: [
+                { time: 0, customerName: 'João Silva', weight: 2, location: { x: 15, y: 12 }, priority: 'alta' },
+                { time: 120, customerName: 'Maria Santos', weight: 1, location: { x: 85, y: 88 }, priority: 'media' }
+            ]
+        };
+    });
+
+    describe('Validation', () => {
+        test('should accept a valid scenario', () => {
+            expect(loader.validateScenario(scenario)).toEqual({ isValid: true, errors: [] });
+        });
+
+        test('should reject unsupported versions', () => {
+            scenario.version = '9.9';
+            const result = loader.validateScenario(scenario);
+            expect(result.isValid).toBe(false);
+            expect(result.errors[0]).toContain('Versão do cenário não suportada');
+        });
+
+        test('should report errors with their location in the file', () => {
+            scenario.fleet[1].base = 'B9';
+            scenario.orders[1].location = { x: 150, y: 10 };
+            scenario.orders[0].origin = { x: 10, y: -5 };
+            scenario.orders[0].timeWindow = { earliest: 60, latest: 30 };
+            scenario.obstacles[0].width = -1;
+
+            const result = loader.validateScenario(scenario);
+            expect(result.errors).toEqual(expect.arrayContaining([
+                'fleet[1]: Base desconhecida (B9)',
+                'orders[1]: Localização de entrega fora da grade',
+                'orders[0]: Origem de coleta fora da grade',
+                expect.stringContaining('orders[0]: Janela de entrega inválida'),
+                expect.stringContaining('obstacles[0]')
+            ]));
+        });
+
+        test('should require bases, fleet and duration', () => {
+            const result = loader.validateScenario({ version: '1.0', bases: [], fleet: [] });
+            expect(result.errors).toEqual(expect.arrayContaining([
+                'Duração do cenário deve ser um número maior que zero',
+                'Cenário deve definir ao menos uma base',
+                'Cenário deve definir ao menos um drone'
+            ]));
+        });
+
+        test('should report malformed section entries instead of throwing', () => {
+            const result = loader.validateScenario({
+                version: '1.0',
+                duration: 60,
+                bases: [null, { id: 'B1', location: { x: 5, y: 5 } }],
+                fleet: [null, 'drone'],
+                orders: [null],
+                obstacles: [null],
+                chargingStations: [null],
+                noFlyZones: [null],
+                generators: [null]
+            });
+
+            expect(result.isValid).toBe(false);
+            expect(result.errors).toEqual(expect.arrayContaining([
+                'bases[0]: Base deve ser um objeto',
+                'fleet[0]: Drone deve ser um objeto',
+                'fleet[1]: Drone deve ser um objeto',
+                'orders[0]: Pedido deve ser um objeto',
+                'chargingStations[0]: Estação de recarga deve ser um objeto',
+                'noFlyZones[0]: Zona de exclusão deve ser um objeto',
+                'generators[0]: Gerador deve ser um objeto'
+            ]));
+            expect(loader.load({ version: 1, fleet: [null], orders: [null] }).success).toBe(false);
+        });
+
+        test('should reject malformed JSON', () => {
+            const result = loader.load('{ invalid');
+            expect(result.success).toBe(false);
+            expect(result.errors[0]).toContain('JSON do cenário inválido');
+        });
+    });
+
+    describe('Loading', () => {
+        test('should build engine from scenario', () => {
+            const result = loader.load(scenario);
+            const engine = result.engine;
+
+            expect(result.success).toBe(true);
+            expect(engine.drones.size).toBe(3);
+            expect(engine.obstacles).toHaveLength(1);
+            expect(engine.orders.size).toBe(1);
+            expect(engine.scheduledOrders).toHaveLength(1);
+            expect(engine.random.seed).toBe(7);
+            expect(engine.scenario.duration).toBe(600);
+        });
+
+        test('should home drones at their bases', () => {
+            const drones = Array.from(loader.load(scenario).engine.drones.values());
+
+            expect(drones.map(d => d.name)).toEqual(['Alpha-01', 'Alpha-02', 'Beta']);
+            expect(drones[0].location).toEqual({ x: 10, y: 10 });
+            expect(drones[2].baseLocation).toEqual({ x: 90, y: 90 });
+            expect(drones[2].location).toEqual({ x: 90, y: 90 });
+        });
+
+        test('should turn bases into depots', () => {
+            scenario.bases[0] = { ...scenario.bases[0], capacity: 2, chargingBays: 1, inventory: { remedio: 3 } };
+            const engine = loader.load(scenario).engine;
+
+            expect(Array.from(engine.depots.keys())).toEqual(['B1', 'B2']);
+            expect(engine.depots.get('B1').droneIds.size).toBe(2);
+            expect(Array.from(engine.drones.values())[2].homeDepotId).toBe('B2');
+
+            scenario.bases[0].capacity = 1;
+            expect(loader.validateScenario(scenario).errors)
+                .toContain('bases[0]: Frota excede a capacidade da base (2 de 1)');
+        });
+
+        test('should register charging stations from the scenario', () => {
+            scenario.chargingStations = [{ name: 'Posto Norte', location: { x: 50, y: 10 }, bays: 2, chargePower: 5 }];
+            const engine = loader.load(scenario).engine;
+
+            expect(engine.chargingStations.get('CHG-1')).toMatchObject({ name: 'Posto Norte', bays: 2 });
+            expect(engine.chargingStations.has('B1-CHG')).toBe(true);
+
+            scenario.chargingStations[0].bays = 0;
+            expect(loader.validateScenario(scenario).errors)
+                .toContain('chargingStations[0]: Estação deve ter um número inteiro de baias maior que zero');
+        });
+
+        test('should release scheduled orders at their arrival time', () => {
+            const engine = loader.load(scenario).engine;
+
+            engine.runUntil(119);
+            expect(engine.scheduledOrders).toHaveLength(1);
+
+            engine.runUntil(121);
+            expect(engine.scheduledOrders).toHaveLength(0);
+            const arrived = [...engine.orders.values(), ...engine.completedOrders]
+                .find(order => order.customerName === 'Maria Santos');
+            expect(arrived.simulationTimestamp).toBe(120);
+        });
+
+        test('should reproduce identical runs from the same scenario', () => {
+            const summarize = (result) => ({
+                ids: result.engine.completedOrders.map(o => o.id),
+                statistics: result.report.performance
+            });
+
+            expect(summarize(loader.run(scenario))).toEqual(summarize(loader.run(JSON.stringify(scenario))));
+        });
+
+        test('should register no-fly zones from the scenario', () => {
+            scenario.noFlyZones = [{
+                name: 'Hospital',
+                polygon: [{ x: 60, y: 60 }, { x: 70, y: 60 }, { x: 65, y: 70 }],
+                windows: [{ start: 300, end: 900 }]
+            }];
+            const engine = loader.load(scenario).engine;
+
+            expect(engine.noFlyZones[0].id).toBe('NFZ-1');
+            expect(engine.getActiveNoFlyZones()).toHaveLength(0);
+            engine.runUntil(301);
+            expect(engine.getActiveNoFlyZones()).toHaveLength(1);
+
+            scenario.noFlyZones[0].polygon = [{ x: 1, y: 1 }];
+            expect(loader.validateScenario(scenario).errors)
+                .toContain('noFlyZones[0]: Zona deve ter ao menos três vértices');
+        });
+
+        test('should attach order generators from the scenario', () => {
+            scenario.generators = [{ rate: 120, hotspots: [{ center: { x: 50, y: 50 }, radius: 10 }] }];
+            const engine = loader.load(scenario).engine;
+
+            expect(engine.orderGenerators).toHaveLength(1);
+            engine.runUntil(600);
+            expect(engine.orders.size + engine.completedOrders.length).toBeGreaterThan(2);
+
+            scenario.generators = [{ rate: 0 }];
+            expect(loader.validateScenario(scenario).errors)
+                .toContain('generators[0]: Taxa de chegada deve ser maior que zero');
+        });
+    });
+
+    describe('Dispatch', () => {
+        test('should set the dispatch mode from the scenario', () => {
+            expect(loader.load(scenario).engine.dispatchMode).toBe('single');
+
+            scenario.dispatch = { mode: 'batched', maxDetour: 10 };
+            const engine = loader.load(scenario).engine;
+
+            expect(engine.dispatchMode).toBe('batched');
+            expect(engine.batchOptions).toEqual({ maxStops: 4, maxDetour: 10 });
+
+            scenario.dispatch = { mode: 'drone', maxStops: 0 };
+            expect(loader.validateScenario(scenario).errors).toEqual([
+                'dispatch: Modo de despacho desconhecido (drone)',
+                'dispatch: Número máximo de paradas deve ser um inteiro positivo'
+            ]);
+        });
+
+        test('should compare single and batched dispatch on the same scenario', () => {
+            scenario.orders.push(
+                { time: 0, customerName: 'Ana', weight: 1, location: { x: 18, y: 14 }, priority: 'media' },
+                { time: 0, customerName: 'Rui', weight: 1, location: { x: 14, y: 18 }, priority: 'media' }
+            );
+
+            const result = loader.compareDispatchModes(scenario);
+
+            expect(result.seed).toBe(7);
+            expect(result.reports.single.dispatch).toMatchObject({ mode: 'single', ordersPerTrip: 1 });
+            expect(result.reports.batched.dispatch.ordersPerTrip).toBeGreaterThan(1);
+            expect(result.reports.batched.dispatch.trips).toBeLessThan(result.reports.single.dispatch.trips);
+        });
+
+        test('should set the dispatch policy from the scenario', () => {
+            scenario.dispatch = { policy: 'auction' };
+            expect(loader.load(scenario).engine.dispatchPolicy.type).toBe('auction');
+
+            scenario.dispatch = { policy: 'sorteio' };
+            expect(loader.validateScenario(scenario).errors).toEqual(['dispatch: Política de despacho desconhecida (sorteio)']);
+        });
+
+        test('should configure urgent insertion in flight from the scenario', () => {
+            scenario.dispatch = { insertion: { maxDelay: 20 } };
+            expect(loader.load(scenario).engine.insertionOptions).toEqual({ enabled: true, maxDetour: 30, maxDelay: 20 });
+
+            scenario.dispatch = { insertion: { maxDetour: -1 } };
+            expect(loader.validateScenario(scenario).errors).toEqual([
+                'dispatch: Desvio e atraso máximos da inserção em voo devem ser números não negativos'
+            ]);
+        });
+
+        test('should benchmark every dispatch policy on the same scenario', () => {
+            const result = loader.compareDispatchPolicies(scenario);
+
+            expect(Object.keys(result.reports)).toEqual(Object.keys(DispatchPolicy.TYPES));
+            Object.entries(result.reports).forEach(([policy, report]) => {
+                expect(report.dispatch.policy).toBe(policy);
+                expect(report.summary.totalOrders).toBe(2);
+            });
+        });
+    });
+
+    describe('Scenario Library', () => {
+        test.each(['centro-manha.json', 'duas-bases.json'])('should load and run %s', (file) => {
+            const result = loader.loadFile(path.join(__dirname, '..', 'scenarios', file));
+            expect(result.errors).toBeUndefined();
+
+            result.engine.runUntil(result.scenario.duration);
+            expect(result.engine.completedOrders.length).toBe(result.scenario.orders.length);
+        });
+
+        test.each(['centro-manha.json', 'duas-bases.json'])('should deliver every order of %s on battery', (file) => {
+            // Drones land above their reserve and must recharge for the longer trips
+            global.EnergyModel = require('../src/js/utils/energy');
+            try {
+                const result = loader.loadFile(path.join(__dirname, '..', 'scenarios', file));
+                result.engine.runUntil(result.scenario.duration);
+
+                expect(result.engine.completedOrders.length).toBe(result.scenario.orders.length);
+                expect(result.engine.eventLog.some(entry => entry.message.includes('para atender pedidos pendentes'))).toBe(true);
+            } finally {
+                delete global.EnergyModel;
+            }
+        });
+    });
+
+    describe('Solomon Instances', () => {
+        const instancePath = path.join(__dirname, '..', 'scenarios', 'solomon', 'exemplo-10.txt');
+
+        test('should parse vehicles, depot and customers', () => {
+            const result = loader.loadSolomonFile(instancePath);
+
+            expect(result.success).toBe(true);
+            expect(result.instance.name).toBe('EXEMPLO10');
+            expect(result.instance.vehicles).toEqual({ count: 3, capacity: 60 });
+            expect(result.instance.depot).toEqual({ location: { x: 40, y: 50 }, earliest: 0, latest: 1000 });
+            expect(result.instance.customers[0]).toEqual({
+                id: 1, location: { x: 45, y: 68 }, demand: 10, earliest: 0, latest: 200, serviceTime: 10
+            });
+        });
+
+        test('should solve an instance within its windows and capacity', () => {
+            const { result } = loader.benchmarkSolomon(require('fs').readFileSync(instancePath, 'utf8'));
+
+            expect(result.stats).toMatchObject({ served: 10, infeasible: 0 });
+            expect(result.stats.vehicles).toBeLessThanOrEqual(3);
+            result.routes.forEach(route => {
+                expect(route.load).toBeLessThanOrEqual(60);
+                expect(route.endTime).toBeLessThanOrEqual(1000);
+                route.schedule.forEach(stop => {
+                    const order = route.orders.find(o => o.id === stop.orderId);
+                    expect(stop.start).toBeGreaterThanOrEqual(order.timeWindow.earliest);
+                    expect(stop.start).toBeLessThanOrEqual(order.timeWindow.latest);
+                });
+            });
+        });
+
+        test('should summarize benchmark runs against best known results', () => {
+            const { summaries } = loader.benchmarkSolomonFiles([instancePath], {
+                bestKnown: { EXEMPLO10: { vehicles: 3, distance: 250 } }
+            });
+
+            expect(summaries).toHaveLength(1);
+            expect(summaries[0]).toMatchObject({ name: 'EXEMPLO10', customers: 10, served: 10 });
+            expect(summaries[0].gap).toBeCloseTo((summaries[0].distance - 250) / 250 * 100, 1);
+        });
+
+        test('should reject malformed instances', () => {
+            expect(loader.parseSolomon('R101\nCUSTOMER\n 1 10 10').errors)
+                .toEqual(['Instância Solomon: seções VEHICLE e CUSTOMER são obrigatórias']);
+        });
+    });
+});
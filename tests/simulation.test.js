@@ -0,0 +1,245 @@
+/**
+ * Simulation Engine Tests
+ * DTI Digital - Logistics Drone Simulation
+ */
+
+describe('SimulationEngine', () => {
+    let engine;
+
+    const createScenario = (simulation) => {
+        simulation.addDrone(new Drone({ id: 'DRN-A', name: 'Alpha', capacity: 10, range: 80, speed: 60 }));
+        simulation.addDrone(new Drone({ id: 'DRN-B', name: 'Beta', capacity: 8, range: 80, speed: 65 }));
+
+        [
+            { id: 'ORD-1', customerName: 'João Silva', weight: 2.5, location: { x: 5, y: 6 }, priority: 'alta' },
+            { id: 'ORD-2', customerName: 'Maria Santos', weight: 1.8, location: { x: 8, y: 3 }, priority: 'media' },
+            { id: 'ORD-3', customerName: 'Pedro Costa', weight: 3.2, location: { x: 4, y: 9 }, priority: 'baixa' }
+        ].forEach(orderData => simulation.addOrder(new Order(orderData)));
+    };
+
+    beforeEach(() => {
+        global.CalculationUtils = require('../src/js/utils/calculations');
+
+        if (typeof Order === 'undefined') {
+            global.Order = require('../src/js/models/Order');
+        }
+
+        if (typeof Drone === 'undefined') {
+            global.Drone = require('../src/js/models/Drone');
+        }
+
+        if (typeof DispatchPolicy === 'undefined') {
+            global.DispatchPolicy = require('../src/js/services/DispatchPolicy');
+        }
+
+        if (typeof SimulationEngine === 'undefined') {
+            global.SimulationEngine = require('../src/js/models/SimulationEngine');
+        }
+
+        engine = new SimulationEngine();
+    });
+
+    describe('Headless Stepping', () => {
+        test('should advance by a fixed timestep', () => {
+            engine.step(0.5);
+            engine.step(0.5);
+            expect(engine.currentTime).toBeCloseTo(1, 10);
+        });
+
+        test('should use default timestep when none is given', () => {
+            engine.step();
+            expect(engine.currentTime).toBeCloseTo(engine.fixedTimeStep, 10);
+        });
+
+        test('should reject invalid timesteps', () => {
+            expect(() => engine.step(0)).toThrow('Invalid simulation timestep: 0');
+            expect(() => engine.step(-1)).toThrow('Invalid simulation timestep: -1');
+            expect(() => engine.step(NaN)).toThrow();
+        });
+
+        test('should run until the requested simulation time', () => {
+            const state = engine.runUntil(10, 0.3);
+            expect(engine.currentTime).toBeCloseTo(10, 10);
+            expect(state.currentTime).toBe(engine.currentTime);
+        });
+
+        test('should refuse to run headless while real-time loop is active', () => {
+            engine.updateInterval = 1;
+            expect(() => engine.runUntil(5)).toThrow();
+            engine.updateInterval = null;
+        });
+
+        test('should not rely on timers', () => {
+            jest.useFakeTimers();
+            createScenario(engine);
+            engine.runUntil(5);
+            expect(jest.getTimerCount()).toBe(0);
+            jest.useRealTimers();
+        });
+    });
+
+    describe('Charging and Maintenance', () => {
+        test('should charge drones on the simulation clock', () => {
+            const drone = new Drone({ name: 'Alpha', capacity: 10, range: 50, speed: 60 });
+            engine.addDrone(drone);
+            drone.batteryLevel = 10;
+            drone.updateStatus('charging');
+
+            engine.runUntil(5, 0.5);
+            expect(drone.batteryLevel).toBe(60);
+
+            engine.runUntil(20, 0.5);
+            expect(drone.batteryLevel).toBe(100);
+            expect(drone.status).toBe('idle');
+        });
+
+        test('should complete maintenance after its simulated duration', () => {
+            const drone = new Drone({ name: 'Alpha', capacity: 10, range: 50, speed: 60, maintenanceDuration: 8 });
+            engine.addDrone(drone);
+            drone.performMaintenance();
+
+            engine.runUntil(7);
+            expect(drone.status).toBe('maintenance');
+
+            engine.runUntil(8.5);
+            expect(drone.status).toBe('idle');
+        });
+    });
+
+    describe('Dispatch', () => {
+        const tripOf = (orderId) => Array.from(engine.drones.values())
+            .find(drone => drone.currentOrders.some(order => order.id === orderId))
+            .currentOrders.map(order => order.id);
+
+        test('should batch orders into multi-stop trips', () => {
+            createScenario(engine);
+            engine.setDispatchMode('batched');
+            engine.step(0.5);
+
+            // Urgent orders fly alone; the others share a trip
+            expect(tripOf('ORD-1')).toEqual(['ORD-1']);
+            expect(tripOf('ORD-2')).toEqual(['ORD-2', 'ORD-3']);
+            expect(engine.generateReport().dispatch).toEqual({ mode: 'batched', policy: 'greedy', trips: 2, ordersPerTrip: 1.5 });
+        });
+
+        test('should fly one order per trip in single mode', () => {
+            createScenario(engine);
+            engine.setDispatchMode('single');
+            engine.step(0.5);
+
+            expect(tripOf('ORD-1')).toEqual(['ORD-1']);
+            expect(tripOf('ORD-2')).toEqual(['ORD-2']);
+            expect(engine.orders.get('ORD-3').status).toBe('pending');
+        });
+
+        test('should keep batches within capacity, stops and detour limits', () => {
+            engine.addDrone(new Drone({ id: 'DRN-A', name: 'Alpha', capacity: 10, range: 200, speed: 60 }));
+            // Lighter orders rank first
+            [
+                { id: 'ORD-1', weight: 1, location: { x: 5, y: 5 } },
+                { id: 'ORD-2', weight: 1.2, location: { x: 60, y: 60 } }, // too far out of the way
+                { id: 'ORD-3', weight: 1.4, location: { x: 6, y: 5 } },
+                { id: 'ORD-4', weight: 9, location: { x: 7, y: 5 } }, // over capacity
+                { id: 'ORD-5', weight: 1.6, location: { x: 5, y: 7 } },
+                { id: 'ORD-6', weight: 1.8, location: { x: 6, y: 6 } } // over maxStops
+            ].forEach(data => engine.addOrder(new Order({ customerName: 'Cliente', priority: 'media', ...data })));
+            engine.setDispatchMode('batched', { maxStops: 3 });
+
+            engine.step(0.5);
+
+            expect(tripOf('ORD-1')).toEqual(['ORD-1', 'ORD-3', 'ORD-5']);
+        });
+
+        test('should rank the queue by waiting time on the simulation clock', () => {
+            engine.setDispatchMode('single');
+            engine.addOrder(new Order({ id: 'ORD-1', customerName: 'Cliente', weight: 1, location: { x: 5, y: 0 }, priority: 'media' }));
+            engine.runUntil(5);
+
+            // Created an hour ago on the wall clock, but it has only just arrived
+            engine.addOrder(new Order({
+                id: 'ORD-2', customerName: 'Cliente', weight: 1, location: { x: 0, y: 5 }, priority: 'media',
+                timestamp: Date.now() - 3600 * 1000
+            }));
+            engine.addDrone(new Drone({ id: 'DRN-A', name: 'Alpha', capacity: 10, range: 80, speed: 60 }));
+            engine.step(0.5);
+
+            expect(tripOf('ORD-1')).toEqual(['ORD-1']);
+            expect(engine.orders.get('ORD-2').status).toBe('pending');
+        });
+
+        test('should reject unknown dispatch modes', () => {
+            expect(() => engine.setDispatchMode('leilao')).toThrow('Unknown dispatch mode: leilao');
+        });
+    });
+
+    describe('Order Lifecycle', () => {
+        const statuses = (order) => order.statusHistory.map(entry => [entry.status, entry.time]);
+
+        test('should drive orders through loading, take-off and arrival', () => {
+            engine.addDrone(new Drone({ id: 'DRN-A', name: 'Alpha', capacity: 10, range: 200, speed: 60, energyModel: null }));
+            const order = new Order({ id: 'ORD-1', customerName: 'Cliente', weight: 1, location: { x: 20, y: 0 }, priority: 'media' });
+            engine.addOrder(order);
+
+            engine.step(0.5);
+            expect(order.status).toBe('picked_up');
+
+            engine.runUntil(6, 0.5);
+            expect(order.status).toBe('in_transit');
+
+            engine.runUntil(60, 0.5);
+            expect(statuses(order)).toEqual([
+                ['pending', 0], ['assigned', 0.5], ['picked_up', 0.5], ['in_transit', 5.5], ['delivered', 25.5]
+            ]);
+            expect(order.simulationDeliveryTime).toBe(25.5);
+        });
+
+        test('should report the average time spent in each stage', () => {
+            global.OrderService = require('../src/js/services/OrderService');
+            createScenario(engine);
+            engine.runUntil(60);
+
+            const service = new OrderService();
+            engine.completedOrders.forEach(order => service.orders.set(order.id, order));
+            const stats = service.getOrderStatistics();
+
+            expect(stats.delivered).toBe(3);
+            expect(stats.averageStageTimes.picked_up).toBeCloseTo(Drone.LOADING_TIME, 0);
+            expect(stats.averageStageTimes.in_transit).toBeGreaterThan(0);
+            expect(stats.averageStageTimes.delivered).toBeUndefined();
+        });
+    });
+
+    describe('Determinism', () => {
+        test('should deliver orders in headless mode', () => {
+            createScenario(engine);
+            engine.runUntil(60);
+
+            expect(engine.completedOrders.length).toBe(3);
+            expect(engine.statistics.successfulDeliveries).toBe(3);
+        });
+
+        test('should produce identical results for identical runs', () => {
+            const runs = [new SimulationEngine(), new SimulationEngine()].map(simulation => {
+                createScenario(simulation);
+                simulation.runUntil(60);
+                return {
+                    statistics: simulation.statistics,
+                    deliveries: simulation.completedOrders.map(o => [o.id, o.simulationDeliveryTime]),
+                    drones: Array.from(simulation.drones.values()).map(d => [d.id, d.location, d.batteryLevel])
+                };
+            });
+
+            expect(runs[0]).toEqual(runs[1]);
+        });
+
+        test('should measure delivery time on the simulation clock', () => {
+            createScenario(engine);
+            engine.runUntil(60);
+
+            const order = engine.completedOrders[0];
+            expect(order.simulationTimestamp).toBe(0);
+            expect(order.simulationDeliveryTime).toBeGreaterThan(0);
+            expect(engine.statistics.averageDeliveryTime).toBeGreaterThan(0);
+        });
+    });
+});
@@ -0,0 +1,182 @@
+/**
+ * Weather Field Tests
+ * DTI Digital - Logistics Drone Simulation
+ */
+
+describe('WeatherField', () => {
+    beforeEach(() => {
+        global.CalculationUtils = require('../src/js/utils/calculations');
+        global.RandomGenerator = require('../src/js/utils/random');
+        global.Order = require('../src/js/models/Order');
+        global.Drone = require('../src/js/models/Drone');
+        global.NoFlyZone = require('../src/js/models/NoFlyZone');
+        global.Depot = require('../src/js/models/Depot');
+        global.ChargingStation = require('../src/js/models/ChargingStation');
+        global.DispatchPolicy = require('../src/js/services/DispatchPolicy');
+        global.SimulationEngine = require('../src/js/models/SimulationEngine');
+        global.ScenarioLoader = require('../src/js/services/ScenarioLoader');
+
+        if (typeof WeatherField === 'undefined') {
+            global.WeatherField = require('../src/js/models/WeatherField');
+        }
+    });
+
+    const calm = { time: 0, wind: { speed: 0, direction: 0 }, precipitation: 0 };
+    const createDrone = () => new Drone({ name: 'Alpha', capacity: 10, range: 300, speed: 60, baseLocation: { x: 10, y: 50 } });
+    const createEngine = () => {
+        const engine = new SimulationEngine(new RandomGenerator(5));
+        engine.baseLocation = { x: 10, y: 50 };
+        return engine;
+    };
+    const createOrder = () => new Order({ customerName: 'Ana', weight: 1, location: { x: 25, y: 50 }, priority: 'media' });
+
+    describe('Field', () => {
+        test('should interpolate keyframes over time', () => {
+            const field = new WeatherField({
+                keyframes: [
+                    { time: 100, wind: { speed: 20, direction: 0 }, precipitation: 0.5 },
+                    { time: 0, wind: { speed: 10, direction: 0 } }
+                ]
+            });
+
+            expect(field.getConditionsAt({ x: 0, y: 0 }, 50)).toMatchObject({ windSpeed: 15, precipitation: 0.25 });
+            expect(field.getConditionsAt({ x: 0, y: 0 }, 500).windSpeed).toBe(20);
+        });
+
+        test('should vary wind over the grid reproducibly from a seed', () => {
+            const data = { keyframes: [{ time: 0, wind: { speed: 20, direction: 90 } }], turbulence: 0.5, seed: 7 };
+            const field = new WeatherField(data);
+            const twin = new WeatherField(data);
+            const a = field.getConditionsAt({ x: 12, y: 30 }, 0);
+
+            expect(twin.getConditionsAt({ x: 12, y: 30 }, 0)).toEqual(a);
+            expect(field.getConditionsAt({ x: 80, y: 75 }, 0).windSpeed).not.toBeCloseTo(a.windSpeed);
+            expect(a.direction).toBeCloseTo(90);
+        });
+
+        test('should generate the same weather from the same seed', () => {
+            const first = WeatherField.generate({ seed: 'tempestade', duration: 600, interval: 60 });
+            const second = WeatherField.generate({ seed: 'tempestade', duration: 600, interval: 60 });
+
+            expect(first.keyframes).toHaveLength(11);
+            expect(first.toJSON()).toEqual(second.toJSON());
+            expect(WeatherField.generate({ seed: 'brisa', duration: 600, interval: 60 }).keyframes).not.toEqual(first.keyframes);
+        });
+
+        test('should report exceeded limits', () => {
+            const field = new WeatherField({ keyframes: [{ time: 0, wind: { speed: 50, direction: 0 } }], limits: { maxWindSpeed: 40 } });
+
+            expect(field.getLimitExceeded(field.getConditionsAt({ x: 0, y: 0 }, 0))).toBe('vento de 50.0 acima do limite de 40');
+        });
+
+        test('should validate keyframes and limits', () => {
+            const field = new WeatherField({ keyframes: [{ time: 0, wind: { speed: -1 }, precipitation: 2 }], turbulence: 3 });
+
+            expect(field.validate().errors).toEqual([
+                'Quadro 0 do clima deve ter tempo e velocidade do vento não negativos',
+                'Quadro 0 do clima deve ter precipitação entre 0 e 1',
+                'Turbulência deve estar entre 0 e 1'
+            ]);
+        });
+    });
+
+    describe('Flight', () => {
+        test('should change ground speed by heading', () => {
+            const drone = createDrone();
+            drone.location = { x: 0, y: 0 };
+            drone.weather = { wind: { x: 20, y: 0 }, energyFactor: 1 };
+
+            expect(drone.getGroundSpeed({ x: 10, y: 0 })).toBe(80);
+            expect(drone.getGroundSpeed({ x: -10, y: 0 })).toBe(40);
+            expect(drone.getGroundSpeed({ x: 0, y: 10 })).toBeCloseTo(Math.sqrt(3200));
+        });
+
+        test('should fly a round trip slower and with more energy in wind', () => {
+            const fly = (weather) => {
+                const engine = createEngine();
+                const drone = createDrone();
+                engine.addDrone(drone);
+                if (weather) {
+                    engine.setWeatherField(weather);
+                }
+                engine.addOrder(createOrder());
+
+                while (engine.currentTime < 200 && !(engine.completedOrders.length === 1 && drone.status === 'idle')) {
+                    engine.step(0.5);
+                }
+                return { time: engine.currentTime, battery: drone.totalBatteryUsed };
+            };
+
+            const still = fly(null);
+            const windy = fly({ keyframes: [{ time: 0, wind: { speed: 30, direction: 180 } }] });
+            const rainy = fly({ keyframes: [{ ...calm, precipitation: 0.5 }] });
+
+            expect(windy.time).toBeGreaterThan(still.time);
+            expect(windy.battery).toBeGreaterThan(still.battery);
+            expect(rainy.battery).toBeCloseTo(still.battery * 1.15);
+        });
+
+        test('should hold idle drones on the ground above the limits', () => {
+            const engine = createEngine();
+            const drone = createDrone();
+            engine.addDrone(drone);
+            engine.setWeatherField({
+                keyframes: [{ time: 0, wind: { speed: 50, direction: 0 } }, { time: 10, wind: { speed: 10, direction: 0 } }],
+                limits: { maxWindSpeed: 40 }
+            });
+            engine.addOrder(createOrder());
+
+            engine.runUntil(2, 0.5);
+            expect(drone.status).toBe('idle');
+            expect(engine.eventLog.some(e => e.message.includes('retido em solo: vento'))).toBe(true);
+
+            engine.runUntil(12, 0.5);
+            expect(drone.status).not.toBe('idle');
+        });
+
+        test('should abort missions and requeue orders when the weather turns', () => {
+            const engine = createEngine();
+            const drone = createDrone();
+            const order = createOrder();
+            engine.addDrone(drone);
+            engine.setWeatherField({ keyframes: [calm, { ...calm, time: 10 }, { ...calm, time: 11, precipitation: 1 }] });
+            engine.addOrder(order);
+
+            engine.runUntil(11.5, 0.5);
+
+            expect(drone.status).toBe('returning');
+            expect(drone.currentOrders).toHaveLength(0);
+            expect(order.status).toBe('pending');
+            expect(engine.statistics.weatherAborts).toBe(1);
+            expect(engine.eventLog.some(e => e.message.includes('abortou a missão: precipitação de'))).toBe(true);
+        });
+    });
+
+    describe('Scenarios', () => {
+        const scenario = (weather) => ({
+            version: '1.0',
+            seed: 11,
+            duration: 600,
+            bases: [{ id: 'BASE', location: { x: 10, y: 50 } }],
+            fleet: [{ name: 'Alpha', capacity: 10, range: 300, speed: 60 }],
+            weather
+        });
+
+        test('should load scripted and seeded weather', () => {
+            const loader = new ScenarioLoader();
+            const scripted = loader.load(scenario({ keyframes: [{ time: 0, wind: { speed: 12, direction: 45 } }] }));
+            const seeded = loader.load(scenario({ meanWindSpeed: 20, duration: 1200 }));
+            const replay = loader.load(scenario({ meanWindSpeed: 20, duration: 1200 }));
+
+            expect(scripted.engine.weatherField.keyframes[0].wind).toEqual({ speed: 12, direction: 45 });
+            expect(seeded.engine.weatherField.toJSON()).toEqual(replay.engine.weatherField.toJSON());
+        });
+
+        test('should reject invalid weather keyframes', () => {
+            const result = new ScenarioLoader().load(scenario({ keyframes: [{ time: 0, precipitation: 5 }] }));
+
+            expect(result.success).toBe(false);
+            expect(result.errors).toContain('weather: Quadro 0 do clima deve ter precipitação entre 0 e 1');
+        });
+    });
+});